@@ -11,48 +11,148 @@
 //    - Canonical AVOID items (robust): "don't include candles 14 years old" => candles
 //    - Canonical MUST INCLUDE items (robust): "reebok hat" => hat (focus mode)
 //    - Focus Mode: if MUST INCLUDE is detected, composition centers on it
-// ✅ Optional brand constraints via env vars (MVP-safe)
+// ✅ Optional LLM notes understanding (lib/notes) with the regex extractor as fallback
+// ✅ Brand policies (lib/brands): aliases, listed misspellings and one-typo matches; per-brand
+//    license (logo / inspired-by styling / none), allowed items and tiers from the catalog. A brand
+//    that can't be shown becomes its generic equivalent and the response explains why (brandNotices)
+// ✅ "Optional inspiration" links/handles/keywords map onto catalog style modifiers (lib/inspiration);
+//    links are never fetched unless MEANINGFULL_INSPIRATION_FETCH is on (allowlisted hosts only)
+// ✅ Tier blueprints (Mini, Curated, Signature, Corporate, Subscription): box layout, item count,
+//    hero rules and banned hero categories are catalog data composed into the prompt; unknown
+//    tiers are rejected (TIER_INVALID), never treated as Curated
+// ✅ Taxonomy, brands and the recipient profile rules come from the versioned catalog
+//    (config/catalog.json); every response records catalogVersion
+// ✅ Recipient profile (lib/recipient): relationship, age band, interests and the vibe field map
+//    onto palette / materials / props through the catalog rule table; an explicit vibe always wins
 // ✅ Improved error handling: returns clear JSON errors instead of silent failures
+// ✅ Validated inputs (lib/validation): field length caps, catalog tiers only, sessionId format,
+//    sanitized text and a content-safety / prompt-injection pass. Every 4xx has a stable `code`;
+//    so do server errors: MISSING_ENV (500), PROVIDER_FAILED (502), GENERATION_FAILED (500)
+// ✅ Multi-provider engine (lib/providers): Replicate, OpenAI Images, local mock; ordered fallback per tier
+// ✅ Durable images (lib/storage): provider output is re-hosted under a content hash,
+//    with optional jpeg/png renditions and thumbnails
+// ✅ Reference image (img2img): body.reference = { previewId } to refine one of the session's
+//    previews, or { image: "data:image/...;base64,..." } to start from an upload; optional
+//    strength (0.1-0.95). Runs on img2img-capable models only and counts against the quota
+// ✅ Variants (lib/variants): body.variants = N (up to the tier limit) generates N images with
+//    different seeds in parallel for one quota unit; results are ranked server-side and returned
+//    best-first with their seeds (each variant gets its own previewId/token for the picker)
+// ✅ Verification (lib/verify): optional vision check of each image against the HIGH/HARD
+//    constraints; a visible hard avoid triggers a retry with a tightened prompt (no extra quota).
+//    Every image carries its `verification` verdict (sync mode; async previews are not checked)
+// ✅ Locales (en, es, fr): body.locale or Accept-Language picks the option-set labels, synonyms
+//    and notes grammar ("sin velas" => candles avoided); unsupported locales use the catalog default
+// ✅ Placements: body.placement picks a catalog output profile — "gallery" (1:1, default),
+//    "mobile" (4:5), "banner" (16:9 email), "social" (9:16 share). Aspect ratio / format are checked
+//    against the tier's models (unsupported steps are skipped) and the prompt gets that placement's
+//    composition guidance (e.g. negative space for headline text on banners)
+// ✅ Observability (lib/telemetry): structured JSON logs with a requestId (also returned in every
+//    JSON response and the X-Request-Id header), per-stage latency, Prometheus counters at
+//    /api/metrics and one audit line per generation. Shopper text is hashed, never logged
+// ✅ Abuse protection (lib/guard): origin allowlist, optional Shopify app proxy signatures,
+//    per-IP token bucket and a daily global spend cap / kill switch ("previews temporarily unavailable")
+// ✅ Engraving (lib/engraving): body.engraving (+ engravingItem) or a quoted string / initials near
+//    "engrave" / "monogram" in Notes puts exactly that text on exactly one item; length, charset and
+//    profanity are checked (ENGRAVING_* codes) and every other surface keeps the no-text rule
+// ✅ Structured prompt (lib/prompt): typed constraints rendered per model
+//    (Flux: single prompt; SDXL-style: prompt + negative_prompt), trimmed to a token budget
 //
 // Env (optional):
-// - REPLICATE_API_TOKEN
+// - REPLICATE_API_TOKEN / OPENAI_API_KEY (whichever providers the engine chain uses)
 // - REPLICATE_MODEL (default: black-forest-labs/flux-dev)
-// - MEANINGFULL_ALLOWED_BRANDS="nike,adidas,bose"
-// - MEANINGFULL_DISALLOWED_BRANDS="rolex,gucci"
+// - MEANINGFULL_ENGINE_CHAIN / MEANINGFULL_IMAGE_PROVIDER="mock" (see lib/providers)
+// - MEANINGFULL_ALLOWED_BRANDS="nike,adidas,bose" (operator override on top of the catalog policies)
+// - MEANINGFULL_DISALLOWED_BRANDS="rolex,gucci" (same; e.g. a license lapses before the next catalog)
 // - MEANINGFULL_STRICT_BRAND_MODE="true" (default true)
-
-const Replicate = require("replicate");
-
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN,
-});
+// - MEANINGFULL_QUOTA_STORE / MEANINGFULL_QUOTA_LIMITS (see lib/quota)
+// - MEANINGFULL_NOTES_LLM="true" (OpenAI notes interpretation; see lib/notes)
+// - MEANINGFULL_CATALOG_PATH (merchandising catalog JSON; see lib/catalog)
+// - MEANINGFULL_INSPIRATION_FETCH / MEANINGFULL_INSPIRATION_FETCH_HOSTS (see lib/inspiration)
+// - MEANINGFULL_SAFETY_MODE="reject" | "flag" (unsafe notes; see lib/validation)
+// - MEANINGFULL_JOB_STORE / MEANINGFULL_PUBLIC_URL (async mode; see lib/jobs)
+// - MEANINGFULL_FAKE_REPLICATE="true" (offline fake client; see lib/replicate)
+// - MEANINGFULL_PREVIEW_TOKEN_SECRET / MEANINGFULL_PREVIEW_STORE (preview tokens; see lib/previews)
+// - MEANINGFULL_IMAGE_STORE / MEANINGFULL_IMAGE_FORMATS / MEANINGFULL_IMAGE_THUMBNAILS (see lib/storage)
+// - MEANINGFULL_VARIANT_LIMITS / MEANINGFULL_VISION_SCORER_URL (see lib/variants)
+// - MEANINGFULL_VERIFY="openai" | "stub" / MEANINGFULL_VERIFY_RETRIES (see lib/verify)
+// - MEANINGFULL_ALLOWED_ORIGINS / MEANINGFULL_REQUIRE_SIGNED_REQUESTS / MEANINGFULL_RATE_LIMIT_* /
+//   MEANINGFULL_DAILY_SPEND_CAP_USD / MEANINGFULL_PREVIEWS_DISABLED (see lib/guard)
+// - MEANINGFULL_ENGRAVING_BLOCKLIST (extra words never engraved; see lib/engraving)
+//
+// Async mode: POST { ..., async: true } returns 202 + jobId immediately;
+// poll GET /api/preview-status?id=<jobId>&sessionId=<sessionId> (the statusUrl in the response;
+// or let /api/replicate-webhook update it).
+//
+// Cart: every response carries previewId + a signed previewToken. The theme adds it to the
+// line item as `lineItemProperty` ({ name: "_meaningfull_preview", value: token }) and
+// /api/shopify-orders-webhook attaches the preview to the order on orders/create.
+//
+// Support: every preview record keeps the inputs, final prompt, model, seed and provider
+// prediction id; POST /api/regenerate-preview { previewId } (admin) reruns it exactly.
+//
+// Dry run: POST { inputs, tier, dryRun: true } with header x-meaningfull-admin-secret
+// (= MEANINGFULL_ADMIN_SECRET) returns the final prompt and a per-constraint rule trace
+// without calling the model or touching the quota.
+
+const { createQuota, tierKey } = require("../lib/quota");
+const { createImageEngine, missingEnv } = require("../lib/providers");
+const { buildInput } = require("../lib/providers/replicate");
+const { createJobStore, newJobId, webhookUrl } = require("../lib/jobs");
+const { setCors, clientIp, isAdminRequest, preferredLocale } = require("../lib/http");
+const { PRIORITY, createPromptAst, addSection, addConstraint, renderPrompt } = require("../lib/prompt");
+const { interpretNotes, matchNotes, hasTerm } = require("../lib/notes");
+const { resolveBrands, matchBrands, parseBrandList } = require("../lib/brands");
+const { resolveEngraving } = require("../lib/engraving");
+const { getCatalog } = require("../lib/catalog");
+const { interpretInspiration, understandInspiration } = require("../lib/inspiration");
+const { buildRecipientProfile, resolveStyling } = require("../lib/recipient");
+const { imageStorageFromEnv, rehostImage } = require("../lib/storage");
+const {
+  validateRawInputs,
+  validateInputs,
+  validateRequest,
+  validateReference,
+  validateVariants,
+  rejectionBody,
+} = require("../lib/validation");
+const { variantLimit, newSeeds, rankerFromEnv } = require("../lib/variants");
+const { verifierFromEnv, checkableConstraints, skippedVerdict } = require("../lib/verify");
+const { guardFromEnv } = require("../lib/guard");
+const { instrument, METRICS, recordAttempts, recordPreview } = require("../lib/telemetry");
+const {
+  createPreviewStore,
+  newPreviewId,
+  signPreviewToken,
+  buildPreviewRecord,
+  resolveReference,
+  LINE_ITEM_PROPERTY,
+} = require("../lib/previews");
+
+const engine = createImageEngine();
+const replicate = engine.providers.replicate.client; // async mode talks to predictions directly
 
 // ================= CONFIG =================
-const MAX_GENERATIONS = 2;
-const generationCount = new Map();
+// Validated at cold start: a broken catalog fails the deploy, not individual previews
+const catalog = getCatalog();
+
+// Persistent per-session / per-IP / per-customer limits (replaces the per-instance Map)
+const quota = createQuota();
+const jobs = createJobStore();
+const previews = createPreviewStore();
+const storage = imageStorageFromEnv();
+const ranker = rankerFromEnv();
+const verifier = verifierFromEnv();
+const guard = guardFromEnv();
 
 // ================= CONSTRAINTS (MVP) =================
 const CONSTRAINTS = {
-  ALLOWED_BRANDS: (process.env.MEANINGFULL_ALLOWED_BRANDS || "")
-    .split(",")
-    .map((s) => String(s || "").trim().toLowerCase())
-    .filter(Boolean),
+  ALLOWED_BRANDS: parseBrandList(process.env.MEANINGFULL_ALLOWED_BRANDS),
 
-  DISALLOWED_BRANDS: (process.env.MEANINGFULL_DISALLOWED_BRANDS || "")
-    .split(",")
-    .map((s) => String(s || "").trim().toLowerCase())
-    .filter(Boolean),
+  DISALLOWED_BRANDS: parseBrandList(process.env.MEANINGFULL_DISALLOWED_BRANDS),
 
   STRICT_BRAND_MODE: String(process.env.MEANINGFULL_STRICT_BRAND_MODE || "true").toLowerCase() === "true",
 };
 
-// ================= CORS =================
-function setCors(res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-}
-
 // ================= HELPERS =================
 function normalizeStr(s) {
   return String(s || "").trim().replace(/\s+/g, " ");
@@ -61,12 +161,18 @@ function toLower(s) {
   return normalizeStr(s).toLowerCase();
 }
 
-// Normalize smart quotes -> straight quotes so label matching won’t break
+// Normalize smart quotes -> straight quotes so label matching won’t break;
+// accents and ¿?¡!: are dropped ("¿Para quién es?" == "Para quien es", "Pour qui ?" == "pour qui")
 function normalizeKey(k) {
   return normalizeStr(k)
     .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
     .replace(/[’‘]/g, "'")
-    .replace(/[“”]/g, '"');
+    .replace(/[“”]/g, '"')
+    .replace(/[¿?¡!:]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
 }
 
 /**
@@ -104,92 +210,51 @@ function pickField(obj, keyCandidates) {
 
 /**
  * Coerces whatever the frontend sends into canonical inputs.
+ * Option-set titles come from the catalog's fieldLabels (locale first, then the default locale).
  */
-function coerceInputs(payloadInputs) {
+function coerceInputs(payloadInputs, locale) {
   const inputs = payloadInputs && typeof payloadInputs === "object" ? payloadInputs : {};
+  const labels = catalog.fieldLabels(locale);
 
   const canonicalRecipient = inputs.recipient || inputs.to || inputs.for || "";
   const canonicalVibe = inputs.vibe || "";
   const canonicalOccasion = inputs.occasion || "";
   const canonicalNotes = inputs.notes || inputs.anythingElse || "";
   const canonicalSocial = inputs.social || inputs.socialLinks || inputs.links || "";
-
-  const recipient =
-    normalizeStr(canonicalRecipient) ||
-    normalizeStr(
-      pickField(inputs, [
-        "Who's this gift for?",
-        "Who’s this gift for?",
-        "Who is this gift for?",
-        "Gift for",
-        "Recipient",
-        "To",
-      ])
-    );
-
-  const vibe =
-    normalizeStr(canonicalVibe) ||
-    normalizeStr(
-      pickField(inputs, [
-        "What's their vibe?",
-        "What’s their vibe?",
-        "Vibe",
-        "Their vibe",
-      ])
-    );
-
-  const occasion =
-    normalizeStr(canonicalOccasion) ||
-    normalizeStr(
-      pickField(inputs, [
-        "What's the occasion?",
-        "What’s the occasion?",
-        "Occasion",
-        "Event",
-      ])
-    );
-
-  const notes =
-    normalizeStr(canonicalNotes) ||
-    normalizeStr(
-      pickField(inputs, [
-        "Anything you'd like us to know?",
-        "Anything you’d like us to know?",
-        "Anything Else",
-        "Anything else",
-        "Notes",
-        "Special notes",
-      ])
-    );
-
-  const social =
-    normalizeStr(canonicalSocial) ||
-    normalizeStr(
-      pickField(inputs, [
-        "Optional inspiration (links, profiles, or references)",
-        "Optional inspiration",
-        "Social Links",
-        "Social links",
-        "Links",
-        "Inspiration",
-      ])
-    );
-
-  return { recipient, vibe, occasion, notes, social };
+  const canonicalEngraving = inputs.engraving || inputs.monogram || inputs.personalization || "";
+  const canonicalEngravingItem = inputs.engravingItem || inputs.engraveOn || "";
+
+  const recipient = normalizeStr(canonicalRecipient) || normalizeStr(pickField(inputs, labels.recipient));
+  const vibe = normalizeStr(canonicalVibe) || normalizeStr(pickField(inputs, labels.vibe));
+  const occasion = normalizeStr(canonicalOccasion) || normalizeStr(pickField(inputs, labels.occasion));
+  const notes = normalizeStr(canonicalNotes) || normalizeStr(pickField(inputs, labels.notes));
+  const social = normalizeStr(canonicalSocial) || normalizeStr(pickField(inputs, labels.social));
+  // "Engraving" is a substring of "engravingItem", so the item keys are set aside first
+  const itemKeys = ["engravingItem", "engraveOn"].concat(labels.engravingItem).map(normalizeKey);
+  const textFields = Object.fromEntries(Object.entries(inputs).filter(([k]) => !itemKeys.includes(normalizeKey(k))));
+  const engraving = normalizeStr(canonicalEngraving) || normalizeStr(pickField(textFields, labels.engraving));
+  const engravingItem = normalizeStr(canonicalEngravingItem) || normalizeStr(pickField(inputs, labels.engravingItem));
+
+  return { recipient, vibe, occasion, notes, social, engraving, engravingItem };
 }
 
-function inferRecipientGroup(recipient, notes) {
-  const text = (String(recipient || "") + " " + String(notes || "")).toLowerCase();
-
-  const female = ["wife", "girlfriend", "mom", "mother", "sister", "daughter", "girl", "woman", "women", "her", "she"];
-  const male = ["husband", "boyfriend", "dad", "father", "brother", "son", "boy", "man", "men", "him", "he"];
-
-  const isFemale = female.some((k) => text.includes(k));
-  const isMale = male.some((k) => text.includes(k));
+/**
+ * Recipient profile (lib/recipient) from the inputs; hint = the notes LLM's recipient answer.
+ */
+function recipientProfileFor(inputs, locale, hint) {
+  return buildRecipientProfile(inputs, {
+    vocabulary: catalog.profiles(locale),
+    groupTerms: catalog.recipientTerms(locale),
+    locale,
+    hint,
+  });
+}
 
-  if (isFemale && !isMale) return "female";
-  if (isMale && !isFemale) return "male";
-  return "neutral";
+/**
+ * "female" | "male" | "neutral" for the palette / props rules.
+ */
+function inferRecipientGroup(inputs, locale, hint) {
+  return recipientProfileFor(inputs, locale, hint).group;
 }
 
 function extractTimeFromNotes(notes) {
@@ -199,231 +264,230 @@ function extractTimeFromNotes(notes) {
 }
 
 /**
- * Brand detection from notes (NOT permission).
- * Returns requested/permitted/blocked using CONSTRAINTS.
+ * Brand decisions for the notes (lib/brands): catalog policy + the env override lists.
+ * opts: { tier (key), tierLabel, includes, locale, hints? }
+ * => { requested, permitted, inspired, blocked, negated, decisions, notices }
  */
-function detectBrands(notesTextLower) {
-  const BRANDS = [
-    "nike",
-    "adidas",
-    "puma",
-    "new balance",
-    "reebok",
-    "rolex",
-    "omega",
-    "cartier",
-    "seiko",
-    "apple",
-    "sony",
-    "bose",
-    "lululemon",
-    "chanel",
-    "dior",
-    "gucci",
-    "prada",
-    "ysl",
-    "hermes",
-  ];
-
-  const found = [];
-  for (const b of BRANDS) {
-    if (notesTextLower.includes(b)) found.push(b);
-  }
-
-  const requested = Array.from(new Set(found));
-
-  const disallowed = new Set(CONSTRAINTS.DISALLOWED_BRANDS);
-  const allowed = new Set(CONSTRAINTS.ALLOWED_BRANDS);
-
-  const blocked = requested.filter((b) => disallowed.has(b) || (allowed.size > 0 && !allowed.has(b)));
-  const permitted = requested.filter((b) => !blocked.includes(b));
-
-  return { requested, permitted, blocked };
+function detectBrands(text, opts) {
+  return resolveBrands(text, {
+    policies: catalog.brandPolicies,
+    tier: opts.tier,
+    includes: opts.includes,
+    locale: opts.locale,
+    messages: catalog.brandMessages(opts.locale || catalog.defaultLocale),
+    tierLabel: opts.tierLabel,
+    allowed: CONSTRAINTS.ALLOWED_BRANDS,
+    disallowed: CONSTRAINTS.DISALLOWED_BRANDS,
+    hints: opts.hints,
+  });
 }
 
-// ================= CANONICAL ITEM TAXONOMY =================
-const INCLUDE_LABEL = {
-  watch: "premium wristwatch/timepiece (analog unless requested otherwise)",
-  wallet: "premium wallet or card holder",
-  jewelry: "premium jewelry (necklace/bracelet/ring/earrings as appropriate)",
-  sneakers: "premium sneakers/shoes (clean, elevated)",
-  hoodie: "premium hoodie/sweatshirt",
-  sweater: "premium sweater/knit",
-  jacket: "premium jacket/outerwear accent",
-  hat: "premium hat/cap/beanie (structured, elevated)",
-  headphones: "premium headphones/earbuds",
-  speaker: "premium speaker (minimal, modern)",
-  bag: "premium bag (tote/handbag/backpack as appropriate)",
-  sunglasses: "premium sunglasses",
-  belt: "premium belt",
-  scarf: "premium scarf",
-  book: "book (premium edition aesthetic)",
-  journal: "journal/notebook (minimal, premium)",
-  mug: "ceramic mug/cup (premium, minimal)",
-  bottle: "premium tumbler/water bottle",
-  decor: "modern sculptural decor object (ceramic/stone/metal)",
-  tech_accessory: "tech accessory (charging dock/phone accessory; minimal; no text)",
-  fitness: "fitness accessory (premium, minimal; no cheap plastic)",
-  travel: "travel accessory (passport cover/luggage tag; minimal; no text)",
-};
-
-const CANONICAL_INCLUDE = {
-  watch: ["watch", "timepiece", "analog watch"],
-  wallet: ["wallet", "card holder", "cardholder"],
-  jewelry: ["jewelry", "necklace", "bracelet", "ring", "earrings"],
-  sneakers: ["sneakers", "sneaker", "shoes", "shoe", "trainers"],
-  hoodie: ["hoodie", "sweatshirt"],
-  sweater: ["sweater", "knit"],
-  jacket: ["jacket", "coat", "outerwear"],
-  hat: ["hat", "cap", "beanie"],
-  headphones: ["headphones", "earbuds", "earphones", "airpods"],
-  speaker: ["speaker", "bluetooth speaker"],
-  bag: ["bag", "handbag", "tote", "backpack"],
-  sunglasses: ["sunglasses", "shades"],
-  belt: ["belt"],
-  scarf: ["scarf"],
-  book: ["book", "novel"],
-  journal: ["journal", "notebook"],
-  mug: ["mug", "cup"],
-  bottle: ["water bottle", "tumbler"],
-  decor: ["decor", "sculpture", "ceramic object", "vase", "tray", "bowl"],
-  tech_accessory: ["charger", "charging dock", "phone accessory"],
-  fitness: ["gym", "workout", "fitness", "yoga"],
-  travel: ["travel", "luggage tag", "passport cover"],
-};
-
-const CANONICAL_AVOID = {
-  candles: ["candle", "candles", "tealight", "tealights", "votive", "wax"],
-  skincare: ["skincare", "serum", "lotion", "face mask", "sheet mask", "moisturizer", "hand cream", "cream"],
-  fragrance: ["fragrance", "perfume", "cologne"],
-  socks: ["socks"],
-  hats: ["hat", "cap", "beanie"],
-  plush: ["plush", "stuffed", "stuffed animal"],
-  pillow: ["pillow", "cushion"],
-  blanket: ["blanket", "throw"],
-  soap: ["soap", "body wash"],
-  bath: ["bath bomb", "bath bombs", "loofah"],
-  alcohol: ["alcohol", "wine", "beer", "spirits"],
-  food: ["food", "snack", "snacks", "candy", "chocolate"],
-  paper: ["card", "greeting card", "poster", "print", "prints", "sticker", "stickers"],
-  clutter: ["cheap", "plastic", "novelty", "gag gift"],
-};
-
-function extractCanonicalTags(notes) {
-  const text = String(notes || "").toLowerCase();
-
-  const includes = new Set();
-  const avoids = new Set();
-
-  // AVOID detection (explicit only)
-  const exclusionPatterns = [
-    /\bno\s+([a-z\s-]{3,60})/g,
-    /\bdon'?t\s+include\s+([a-z\s-]{3,60})/g,
-    /\bexclude\s+([a-z\s-]{3,60})/g,
-    /\bwithout\s+([a-z\s-]{3,60})/g,
-  ];
-
-  const exclusionPhrases = [];
-  for (const re of exclusionPatterns) {
-    let m;
-    while ((m = re.exec(text)) !== null) exclusionPhrases.push(m[1]);
-  }
-
-  for (const phrase of exclusionPhrases) {
-    for (const [key, synonyms] of Object.entries(CANONICAL_AVOID)) {
-      if (synonyms.some((s) => phrase.includes(s))) avoids.add(key);
-    }
-  }
-
-  // INCLUDE detection (explicit OR list-style)
-  const inclusionPatterns = [
-    /\bmust\s+include\s+([^.\n]{3,120})/gi,
-    /\binclude\s+([^.\n]{3,120})/gi,
-    /\badd\s+([^.\n]{3,120})/gi,
-    /\bfocus\s+on\s+([^.\n]{3,120})/gi,
-    /\bwant\s+([^.\n]{3,120})/gi,
-    /\blooking\s+for\s+([^.\n]{3,120})/gi,
-  ];
-
-  const inclusionPhrases = [];
-  for (const re of inclusionPatterns) {
-    let m;
-    while ((m = re.exec(text)) !== null) inclusionPhrases.push(m[1]);
-  }
-
-  const listStyle = text.split(/[,|\n]/g).map((s) => s.trim());
-  inclusionPhrases.push(...listStyle);
+/**
+ * Engraving request (lib/engraving): { ok, engraving: null | { text, item, surface, source } } | rejection.
+ */
+function detectEngraving(inputs, tierName, locale) {
+  return resolveEngraving(inputs, {
+    vocabulary: catalog.engraving(locale),
+    taxonomy: catalog.taxonomy(locale),
+    locale,
+    tierAllows: (key) => catalog.tierAllows(key, tierName),
+  });
+}
 
-  for (const phrase of inclusionPhrases) {
-    for (const [key, synonyms] of Object.entries(CANONICAL_INCLUDE)) {
-      if (synonyms.some((s) => phrase.includes(s))) includes.add(key);
-    }
-  }
+// ================= CANONICAL TAGS =================
+/**
+ * Canonical INCLUDE / AVOID keys from Notes via the lexical matcher (lib/notes/matcher):
+ * word boundaries, plurals, multi-word synonyms and negation scopes.
+ * Conflicts (same item included + avoided) resolve to AVOID and are reported.
+ */
+function extractCanonicalTags(notes, locale) {
+  const matched = matchNotes(notes, catalog.taxonomy(locale), locale);
+  return {
+    includes: matched.includes.slice(0, 6),
+    avoids: matched.avoids.slice(0, 6),
+    conflicts: matched.conflicts,
+  };
+}
 
+/**
+ * Regex notes understanding (the default path, and the LLM fallback).
+ */
+function regexNotesInfo(notes, locale) {
+  const canonical = extractCanonicalTags(notes, locale);
   return {
-    includes: Array.from(includes).slice(0, 6),
-    avoids: Array.from(avoids).slice(0, 6),
+    source: "regex",
+    includes: canonical.includes,
+    avoids: canonical.avoids,
+    conflicts: canonical.conflicts,
+    brands: matchBrands(notes, catalog.brandPolicies, locale).requested.map((m) => m.brand),
+    requestedTime: extractTimeFromNotes(notes),
+    recipient: null,
+    confidence: null,
   };
 }
 
+/**
+ * Notes understanding: LLM when enabled (validated against the canonical keys), else regex.
+ * opts.locale selects the synonyms and negation grammar.
+ */
+async function understandNotes(notes, opts) {
+  const locale = opts && opts.locale;
+  return interpretNotes(
+    notes,
+    Object.assign(
+      {
+        taxonomy: catalog.taxonomy(locale),
+        fallback: (text) => regexNotesInfo(text, locale),
+      },
+      opts
+    )
+  );
+}
+
+async function understandSocial(social, opts) {
+  return understandInspiration(social, Object.assign({ vocabulary: catalog.inspiration(opts && opts.locale) }, opts));
+}
+
 // ================= PROMPT BUILDER =================
+/**
+ * Builds the structured prompt (see lib/prompt/ast). Every constraint is typed
+ * (include/negative) with a source and priority; renderPrompt turns it into model fields.
+ */
 function buildPrompt(opts) {
   const inputs = (opts && opts.inputs) || {};
   const tier = (opts && opts.tier) || "Curated";
+  const locale = (opts && opts.locale) || catalog.defaultLocale;
+  // Pre-computed notes understanding (understandNotes); sync callers get the regex path
+  const notesInfo = (opts && opts.notesInfo) || regexNotesInfo(inputs.notes || "", locale);
 
-  const isSignature = String(tier).toLowerCase().includes("signature");
   const notesTextLower = toLower(inputs.notes || "");
-  const recipientGroup = inferRecipientGroup(inputs.recipient || "", inputs.notes || "");
-  const requestedTime = extractTimeFromNotes(inputs.notes || "");
-
-  const canonical = extractCanonicalTags(inputs.notes || "");
+  // Recipient profile: the notes LLM's recipient answer when present, else keywords
+  const profileVocabulary = catalog.profiles(locale);
+  const recipientProfile = recipientProfileFor(inputs, locale, notesInfo.recipient);
+  const recipientGroup = recipientProfile.group;
+  const requestedTime = notesInfo.requestedTime || extractTimeFromNotes(inputs.notes || "");
+  // Reference image (img2img): { kind: "preview" | "upload", strength }
+  const reference = (opts && opts.reference) || null;
+  // Pre-computed inspiration (understandSocial, may include fetched pages); else keywords/links only
+  const inspiration = (opts && opts.inspiration) || interpretInspiration(inputs.social || "", catalog.inspiration(locale));
+  // Output placement (catalog.placement): aspect ratio + composition guidance
+  const placement = (opts && opts.placement) || catalog.placement(null);
+
+  // Tier blueprint (box layout, item count, hero rules); undeclared tiers never fall back to Curated
+  const tierName = tierKey(tier);
+  const blueprint = catalog.blueprint(tierName);
+  if (!blueprint) throw new Error("Unknown tier: " + tier);
+
+  // Category -> allowed-tier rules from the catalog
+  const tierBlockedIncludes = notesInfo.includes.filter((k) => !catalog.tierAllows(k, tierName));
+  const canonical = {
+    includes: notesInfo.includes.filter((k) => catalog.tierAllows(k, tierName)),
+    avoids: notesInfo.avoids,
+  };
   const avoidSet = new Set(canonical.avoids.map((x) => String(x).toLowerCase()));
   const hasUserSpecificFocus = canonical.includes.length > 0;
 
-  // Brand logic
-  const brandScan = detectBrands(notesTextLower);
-  const permittedBrands = brandScan.permitted || [];
-  const blockedBrands = brandScan.blocked || [];
+  // Palette / materials / props from the profile rule table; props never name an avoided item
+  const avoidTaxonomy = catalog.taxonomy(locale).avoid;
+  const styling = resolveStyling(recipientProfile, profileVocabulary, {
+    avoidTerms: canonical.avoids.reduce((all, k) => all.concat(avoidTaxonomy[k] || []), []),
+  });
+
+  // Brand policies (LLM-extracted brand names count unless the notes negate them)
+  const brandScan = detectBrands(inputs.notes || "", {
+    hints: notesInfo.source === "regex" ? [] : notesInfo.brands,
+    tier: tierName,
+    tierLabel: blueprint.label,
+    includes: canonical.includes,
+    locale,
+  });
+  const permittedBrands = brandScan.permitted;
+  const blockedBrands = brandScan.blocked;
+
+  // Engraving mode: pre-validated by the handler; sync callers drop an invalid request
+  let engraving = opts && opts.engraving !== undefined ? opts.engraving : undefined;
+  if (engraving === undefined) {
+    const check = detectEngraving(inputs, tierName, locale);
+    engraving = check.ok ? check.engraving : null;
+  }
+  const engraved = engraving && engraving.text ? engraving : null;
 
-  const requestedBrandWords =
-    notesTextLower.includes("logo") ||
-    notesTextLower.includes("logos") ||
-    notesTextLower.includes("brand") ||
-    notesTextLower.includes("branded");
+  const requestedBrandWords = hasTerm(notesTextLower, ["logo", "brand", "branded"]);
 
   const wantsBrandsOrLogos = CONSTRAINTS.STRICT_BRAND_MODE
     ? permittedBrands.length > 0
     : permittedBrands.length > 0 || requestedBrandWords;
 
-  const MUST_INCLUDE = [];
-  const NEGATIVE = [];
+  const ast = createPromptAst(
+    "High-end photorealistic studio product photography of a premium AI-curated gift box experience with contents clearly visible."
+  );
+  // rule ids ("avoid.candles", "tier.signature") are recorded on each constraint for dry-run traces
+  const must = (rule, priority, ...texts) => texts.forEach((t) => addConstraint(ast, "include", rule, priority, t));
+  const negative = (rule, priority, ...texts) => texts.forEach((t) => addConstraint(ast, "negative", rule, priority, t));
+
+  must("profile.palette", PRIORITY.MEDIUM, "apply a premium palette: " + styling.palette);
+  if (styling.materials.length) must("profile.materials", PRIORITY.LOW, "favor these materials: " + styling.materials.join(", "));
+  // Props are filler by definition: Focus Mode keeps the box to the requested items
+  if (styling.props.length && !hasUserSpecificFocus) {
+    must("profile.props", PRIORITY.LOW, "small secondary styling props (never the hero): " + styling.props.join("; "));
+  }
 
-  const PALETTES = {
-    female: "soft ivory, warm beige, blush-neutral accents, subtle gold or brass details",
-    male: "charcoal, black, deep navy, warm gray, brushed metal accents",
-    neutral: "ivory, stone, warm gray, charcoal accents, minimal restrained tones",
-  };
-  MUST_INCLUDE.push("apply a " + recipientGroup + " premium palette: " + PALETTES[recipientGroup]);
+  // Reference image: the prompt still carries every constraint; these say how to use the image
+  if (reference && reference.kind === "preview") {
+    must(
+      "reference.refine",
+      PRIORITY.HIGH,
+      "keep the gift box, layout, camera angle and lighting of the reference preview",
+      "change only what the notes ask for"
+    );
+  } else if (reference) {
+    must("reference.upload", PRIORITY.HIGH, "use the reference image as a guide for composition, mood and materials");
+  }
 
-  // Text/logo control
-  if (!wantsBrandsOrLogos) {
-    NEGATIVE.push("no logos", "no brand names", "no readable labels", "no readable text", "no typography");
+  // Inspiration: catalog-authored modifiers only, low priority (trimmed before anything structural)
+  if (inspiration.styles.length) {
+    must("inspiration.vibe", PRIORITY.LOW, "styling cues from the shopper's inspiration: " + inspiration.modifiers.vibe.join("; "));
+    must("inspiration.palette", PRIORITY.LOW, "accent the palette with: " + inspiration.modifiers.palette.join("; "));
+  }
+
+  // Text/logo control (an engraving is the one exception to "no readable text")
+  if (!wantsBrandsOrLogos && engraved) {
+    negative("text.no-brands-or-logos", PRIORITY.HARD, "no logos", "no brand names", "no readable labels", "no other readable text", "no other typography");
+  } else if (!wantsBrandsOrLogos) {
+    negative("text.no-brands-or-logos", PRIORITY.HARD, "no logos", "no brand names", "no readable labels", "no readable text", "no typography");
   } else {
-    MUST_INCLUDE.push(
+    must(
+      "brand.logos-permitted",
+      PRIORITY.HIGH,
       "include visible brand logos and specific branded items ONLY if explicitly requested and permitted",
-      "avoid random extra brands not requested",
-      "no invented brands"
+      "avoid random extra brands not requested"
     );
-    NEGATIVE.push("no watermarks", "no UI elements", "no extra brand logos");
+    negative("brand.logos-permitted", PRIORITY.HIGH, "no invented brands");
+    negative("text.logos-permitted", PRIORITY.HIGH, "no watermarks", "no UI elements", "no extra brand logos");
+  }
+
+  for (const d of brandScan.decisions) {
+    const on = d.items ? d.items.map((k) => catalog.includeLabel[k] || k).join("; ") : null;
+    if (d.status === "permitted" && on) must("brand.categories", PRIORITY.HIGH, d.label + " branding only on: " + on);
+    if (d.status === "inspired") {
+      must("brand.inspired", PRIORITY.MEDIUM, "unbranded styling cue: " + d.style + (on ? " (on: " + on + ")" : ""));
+      negative("brand.inspired", PRIORITY.HARD, "no " + d.label + " logo", "no " + d.label + " brand name");
+    }
+    // a category refusal keeps the item the shopper asked for, just unbranded
+    if (d.status === "replaced" && d.reason !== "category") {
+      must("brand.replaced", PRIORITY.MEDIUM, "generic equivalent instead of the requested brand: " + d.generic + " (unbranded)");
+    }
   }
 
   if (blockedBrands.length) {
-    NEGATIVE.push("no " + blockedBrands.join(" brand, no ") + " brand");
-    NEGATIVE.push("no luxury designer branding unless explicitly permitted");
+    negative("brand.blocked", PRIORITY.HARD, "no " + blockedBrands.join(" brand, no ") + " brand");
+    negative("brand.blocked", PRIORITY.HIGH, "no luxury designer branding unless explicitly permitted");
   }
 
   // Global hard negatives
-  NEGATIVE.push(
+  negative(
+    "global.hard-negatives",
+    PRIORITY.MEDIUM,
     "no pillows",
     "no cushions",
     "no pillow-shaped items",
@@ -441,214 +505,714 @@ function buildPrompt(opts) {
     "no decorative padding"
   );
 
-  MUST_INCLUDE.push(
+  must(
+    "global.structured-volume",
+    PRIORITY.MEDIUM,
     "volume must come from structured items (rigid boxes, hard cases, ceramic/metal objects), not pillow-like textiles"
   );
 
-  MUST_INCLUDE.push(
+  must(
+    "guidance.textiles",
+    PRIORITY.LOW,
     "throws or blankets allowed only if folded/draped as a thin premium textile accent, not dominant and not pillow-like"
   );
 
   // Tier blueprint
-  if (isSignature) {
-    MUST_INCLUDE.push(
-      "show a nested 3-tier gift box presentation: top box open, middle box partially visible, bottom box hinted",
-      "clearly show multiple boxes and layered depth (not a single box only)",
-      "include ONE dominant modern sculptural lifestyle object as the hero (ceramic, stone, resin, metal, or leather)",
-      "hero object must feel trend-forward and expensive",
-      "all other items must be secondary and smaller"
-    );
-    NEGATIVE.push(
-      "no single-box-only composition",
-      "no consumable item as hero",
-      "no candle, skincare, fragrance, journal, or self-care item as the primary object",
-      "no spa-kit look",
-      "no cluttered assortment of small consumables"
-    );
-  } else {
-    MUST_INCLUDE.push("show one premium gift box open with contents clearly visible; 3–6 items max; strong negative space");
-    NEGATIVE.push("no cluttered overflowing box");
+  const tierRule = "tier." + blueprint.tier;
+  must(
+    tierRule,
+    PRIORITY.HIGH,
+    ...blueprint.layout,
+    blueprint.items.min + "–" + blueprint.items.max + " items in the open box",
+    ...blueprint.hero
+  );
+  negative(tierRule, PRIORITY.HIGH, ...blueprint.negatives);
+  if (blueprint.bannedHeroes.length) {
+    negative(tierRule, PRIORITY.HIGH, "no " + blueprint.bannedHeroes.join(", ") + " as the hero or primary object");
   }
 
+  // Placement framing (banner => box to one side, empty space for headline text)
+  must("placement." + placement.placement, PRIORITY.MEDIUM, ...placement.composition);
+
   // Allowed guidance (overridden by avoids)
-  MUST_INCLUDE.push(
+  must(
+    "guidance.accents",
+    PRIORITY.LOW,
     "gift shop trinkets are allowed if premium-looking; limit to ONE small accent item; avoid cheap plastic",
     "bath bombs or lip balm allowed only as a single small secondary accent when appropriate; must not dominate",
     "soft cosmetic bags allowed only if OPEN with contents visible (no closed or zipped bags)"
   );
-  NEGATIVE.push("no closed cosmetic bags", "no zipped cosmetic pouches");
+  negative("guidance.accents", PRIORITY.LOW, "no closed cosmetic bags", "no zipped cosmetic pouches");
 
   // Candles conditional
   if (!avoidSet.has("candles")) {
-    MUST_INCLUDE.push(
+    must(
+      "guidance.candles-allowed",
+      PRIORITY.LOW,
       "candle sets are allowed; maximum two candles; substantial vessels; premium materials; not tea lights or votives"
     );
   } else {
-    NEGATIVE.push("no candles", "no candle-like objects", "no wax items");
+    negative("avoid.candles", PRIORITY.HARD, "no candles", "no candle-like objects", "no wax items");
   }
 
   // Canonical avoid expansions
-  if (avoidSet.has("skincare")) NEGATIVE.push("no skincare", "no lotions", "no creams", "no serums", "no masks");
-  if (avoidSet.has("fragrance")) NEGATIVE.push("no fragrance", "no perfume", "no cologne");
-  if (avoidSet.has("socks")) NEGATIVE.push("no socks");
-  if (avoidSet.has("hats")) NEGATIVE.push("no hats", "no caps", "no beanies");
-  if (avoidSet.has("plush")) NEGATIVE.push("no plush", "no stuffed animals");
-  if (avoidSet.has("pillow")) NEGATIVE.push("no pillows", "no cushions");
-  if (avoidSet.has("blanket")) NEGATIVE.push("no blankets", "no throws");
-  if (avoidSet.has("paper")) NEGATIVE.push("no greeting cards", "no paper inserts", "no posters", "no prints");
-  if (avoidSet.has("alcohol")) NEGATIVE.push("no alcohol", "no wine", "no spirits");
-  if (avoidSet.has("food")) NEGATIVE.push("no food", "no snacks", "no candy", "no chocolate");
-  if (avoidSet.has("clutter")) NEGATIVE.push("no cheap plastic", "no novelty items", "no gag gifts");
+  const avoidNegative = (key, ...texts) => negative("avoid." + key, PRIORITY.HARD, ...texts);
+  if (avoidSet.has("skincare")) avoidNegative("skincare", "no skincare", "no lotions", "no creams", "no serums", "no masks");
+  if (avoidSet.has("fragrance")) avoidNegative("fragrance", "no fragrance", "no perfume", "no cologne");
+  if (avoidSet.has("socks")) avoidNegative("socks", "no socks");
+  if (avoidSet.has("hats")) avoidNegative("hats", "no hats", "no caps", "no beanies");
+  if (avoidSet.has("watches")) avoidNegative("watches", "no watches", "no wristwatches");
+  if (avoidSet.has("plush")) avoidNegative("plush", "no plush", "no stuffed animals");
+  if (avoidSet.has("pillow")) avoidNegative("pillow", "no pillows", "no cushions");
+  if (avoidSet.has("blanket")) avoidNegative("blanket", "no blankets", "no throws");
+  if (avoidSet.has("paper")) avoidNegative("paper", "no greeting cards", "no paper inserts", "no posters", "no prints");
+  if (avoidSet.has("alcohol")) avoidNegative("alcohol", "no alcohol", "no wine", "no spirits");
+  if (avoidSet.has("food")) avoidNegative("food", "no food", "no snacks", "no candy", "no chocolate");
+  if (avoidSet.has("clutter")) avoidNegative("clutter", "no cheap plastic", "no novelty items", "no gag gifts");
 
   // Watch logic
-  const wantsWatch = notesTextLower.includes("watch") || notesTextLower.includes("timepiece") || !!requestedTime;
+  // canonical include (not a raw substring), so "no watch" no longer asks for one
+  const wantsWatch = !avoidSet.has("watches") && (canonical.includes.includes("watch") || !!requestedTime);
   if (wantsWatch) {
-    MUST_INCLUDE.push(
+    must(
+      "focus.watch",
+      PRIORITY.HIGH,
       "include a premium wristwatch/timepiece as a visible item",
       "watch should be shown in an open presentation case or tray",
       "avoid smartwatch appearance unless explicitly requested"
     );
-    NEGATIVE.push("no smartwatches unless requested");
+    negative("focus.watch", PRIORITY.MEDIUM, "no smartwatches unless requested");
 
     if (requestedTime) {
-      MUST_INCLUDE.push("watch must show the exact time " + requestedTime, "make the watch face large and clearly readable");
+      must("focus.requested-time", PRIORITY.HARD, "watch must show the exact time " + requestedTime, "make the watch face large and clearly readable");
     }
   }
 
   // Focus Mode
   if (hasUserSpecificFocus) {
-    const focusItems = canonical.includes.map((k) => INCLUDE_LABEL[k] || k);
-    MUST_INCLUDE.push(
-      "PRIMARY FOCUS ITEMS (from Notes): " + focusItems.join("; "),
+    const focusItems = canonical.includes.map((k) => catalog.includeLabel[k] || k);
+    must("focus.notes-items", PRIORITY.HARD, "PRIMARY FOCUS ITEMS (from Notes): " + focusItems.join("; "));
+    must(
+      "focus.notes-items",
+      PRIORITY.HIGH,
       "center the composition around these items",
       "any non-requested items must be minimal, generic, and secondary",
       "avoid filler items that dilute the requested focus"
     );
-    NEGATIVE.push("no random extra categories not requested", "no unrelated novelty items");
+    negative("focus.notes-items", PRIORITY.MEDIUM, "no random extra categories not requested", "no unrelated novelty items");
 
     if (wantsBrandsOrLogos) {
-      MUST_INCLUDE.push("if a brand is explicitly requested in Notes and permitted, show only that brand (no extra brands)");
-      NEGATIVE.push("no additional brands beyond the requested/permitted set");
+      must("brand.focus-only-requested", PRIORITY.HIGH, "if a brand is explicitly requested in Notes and permitted, show only that brand (no extra brands)");
+      negative("brand.focus-only-requested", PRIORITY.HIGH, "no additional brands beyond the requested/permitted set");
     }
   }
 
   if (permittedBrands.length) {
-    MUST_INCLUDE.push("permitted brand requests: " + permittedBrands.join(", ") + " (include ONLY these, if shown)");
+    must("brand.permitted", PRIORITY.HIGH, "permitted brand requests: " + permittedBrands.join(", ") + " (include ONLY these, if shown)");
   }
-  if (blockedBrands.length) {
-    MUST_INCLUDE.push("blocked brand requests detected (DO NOT include): " + blockedBrands.join(", "));
+  if (engraved) {
+    const onItem = engraved.item === "box" ? null : catalog.includeLabel[engraved.item] || engraved.item;
+    must(
+      "engraving.text",
+      PRIORITY.HARD,
+      "personalized engraving: the exact text \"" + engraved.text + "\" " + engraved.surface + ", spelled exactly as given, crisp and legible"
+    );
+    must("engraving.once", PRIORITY.HIGH, "the engraving appears once, only on that surface");
+    if (onItem && !canonical.includes.includes(engraved.item)) must("engraving.item", PRIORITY.HIGH, "include " + onItem + " (it carries the engraving)");
+    negative("text.no-readable-text", PRIORITY.HARD, "no readable text anywhere except the engraving", "no engraving or monogram on any other item");
+  } else {
+    negative("text.no-readable-text", PRIORITY.HARD, "no readable text anywhere unless explicitly requested");
   }
 
-  MUST_INCLUDE.push("no readable text anywhere unless explicitly requested");
-
-  const lines = [];
-  lines.push("High-end photorealistic studio product photography of a premium AI-curated gift box experience with contents clearly visible.");
-  lines.push("");
-  lines.push("Tier: " + tier);
-  lines.push("Recipient: " + (inputs.recipient || ""));
-  lines.push("Occasion: " + (inputs.occasion || ""));
-  lines.push("Vibe: " + (inputs.vibe || "Refined"));
-  lines.push("");
-  lines.push("STYLE:");
-  lines.push("- modern premium lifestyle aesthetic");
-  lines.push("- editorial product photography");
-  lines.push("- intentional composition with negative space");
-  lines.push("- realistic materials and textures");
-  lines.push("- avoid random clutter");
-  lines.push("");
-  lines.push("MUST INCLUDE:");
-  lines.push("- " + MUST_INCLUDE.join("; "));
-  lines.push("");
-  lines.push("NEGATIVE CONSTRAINTS:");
-  lines.push("- " + NEGATIVE.join(", "));
-  lines.push("");
-  lines.push("Notes (user intent; canonical MUST INCLUDE becomes primary focus; explicit AVOID is strict):");
-  lines.push(inputs.notes || "None");
-
-  return lines.join("\n").trim();
+  addSection(ast, "context", null, [
+    "Tier: " + tier,
+    "Recipient: " + (inputs.recipient || ""),
+    "Occasion: " + (inputs.occasion || ""),
+    "Vibe: " + (inputs.vibe || styling.vibe.key || "Refined"),
+  ].concat(inspiration.styles.length ? ["Inspiration: " + inspiration.styles.map((st) => st.label).join(", ")] : []));
+  addSection(ast, "style", "STYLE", [
+    "- modern premium lifestyle aesthetic",
+    "- editorial product photography",
+    "- intentional composition with negative space",
+    "- realistic materials and textures",
+    "- avoid random clutter",
+  ]);
+  addSection(ast, "notes", "Notes (user intent; canonical MUST INCLUDE becomes primary focus; explicit AVOID is strict)", [
+    inputs.notes || "None",
+  ], { after: true });
+
+  ast.meta = {
+    catalogVersion: catalog.version,
+    locale: locale,
+    tier: tier,
+    blueprint: blueprint.tier,
+    recipientGroup: recipientGroup,
+    requestedTime: requestedTime,
+    canonical: canonical,
+    tierBlockedIncludes: tierBlockedIncludes,
+    notesSource: notesInfo.source,
+    notesConfidence: notesInfo.confidence,
+    recipientProfile: Object.assign({}, recipientProfile, { styling: styling }),
+    brandScan: brandScan,
+    wantsBrandsOrLogos: wantsBrandsOrLogos,
+    engraving: engraving,
+    focus: hasUserSpecificFocus,
+    safetyFlags: (opts && opts.safetyFlags) || [],
+    inspiration: inspiration,
+    reference: reference ? { kind: reference.kind, previewId: reference.previewId || null, strength: reference.strength } : null,
+    output: outputProfile(placement),
+  };
+
+  return ast;
+}
+
+// ================= OUTPUT =================
+/**
+ * Provider output settings for a catalog placement: { placement, aspectRatio, format, quality }
+ * (recorded on every preview so regenerate replays the same shape).
+ */
+function outputProfile(placement) {
+  return {
+    placement: placement.placement,
+    aspectRatio: placement.aspectRatio,
+    format: placement.format,
+    quality: placement.quality,
+  };
+}
+
+// ================= DRY RUN =================
+/**
+ * Explains every constraint decision without calling the model.
+ * The prompt is rendered for the first provider/model in the tier's engine chain that can
+ * produce the requested placement.
+ */
+function dryRunReport(inputs, tier, notesInfo, ast) {
+  const outputSteps = engine.outputChainFor(tier, ast.meta.output);
+  const step = outputSteps[0] || engine.chainFor(tier)[0];
+  const provider = engine.providers[step.provider];
+  const rendered = renderPrompt(ast, { renderer: provider ? provider.renderer(step.model) : "flux" });
+  const meta = ast.meta;
+
+  return {
+    ok: true,
+    dryRun: true,
+    catalogVersion: meta.catalogVersion,
+    locale: meta.locale,
+    tier: tier,
+    inputs: inputs,
+    notes: {
+      source: notesInfo.source,
+      fallbackReason: notesInfo.fallbackReason || null,
+      confidence: notesInfo.confidence,
+      includes: meta.canonical.includes,
+      avoids: meta.canonical.avoids,
+      conflicts: notesInfo.conflicts || [],
+      tierBlockedIncludes: meta.tierBlockedIncludes,
+    },
+    recipientGroup: meta.recipientGroup,
+    recipientProfile: meta.recipientProfile,
+    requestedTime: meta.requestedTime,
+    brandScan: meta.brandScan,
+    wantsBrandsOrLogos: meta.wantsBrandsOrLogos,
+    engraving: meta.engraving,
+    strictBrandMode: CONSTRAINTS.STRICT_BRAND_MODE,
+    focusMode: meta.focus,
+    safetyFlags: meta.safetyFlags,
+    inspiration: meta.inspiration,
+    reference: meta.reference,
+    output: Object.assign({}, meta.output, { models: outputSteps.map((s) => s.provider + ":" + s.model) }),
+    verification: {
+      checker: verifier ? verifier.checker.name : null,
+      constraints: checkableConstraints(ast).map((c) => ({ kind: c.kind, rule: c.rule, text: c.text, priority: c.priority })),
+    },
+    prompt: {
+      provider: step.provider,
+      model: step.model,
+      renderer: rendered.renderer,
+      fields: rendered.fields,
+      tokens: rendered.tokens,
+      overBudget: rendered.overBudget,
+      dropped: rendered.dropped.map((c) => c.rule + ": " + c.text),
+    },
+    trace: ast.constraints.map((c) => ({
+      kind: c.kind,
+      text: c.text,
+      rule: c.rule,
+      rules: c.rules,
+      priority: c.priority,
+    })),
+  };
+}
+
+// ================= PREVIEW RECORDS =================
+/**
+ * Token + line-item property the theme attaches to the cart line (null token = secret not set).
+ */
+function previewHandle(previewId) {
+  const token = signPreviewToken(previewId);
+  return {
+    previewId: previewId,
+    previewToken: token,
+    lineItemProperty: token ? { name: LINE_ITEM_PROPERTY, value: token } : null,
+  };
+}
+
+// ================= AUDIT =================
+/**
+ * What one generation was asked for and which rules shaped it, for the audit log line.
+ * Shopper text (notes, recipient, social) is hashed by the logger; catalog keys are kept.
+ */
+function auditFields(ast, inputs) {
+  const meta = ast.meta;
+  return {
+    tier: meta.tier,
+    locale: meta.locale,
+    placement: meta.output.placement,
+    catalogVersion: meta.catalogVersion,
+    notes: inputs.notes,
+    recipient: inputs.recipient,
+    social: inputs.social,
+    notesSource: meta.notesSource,
+    includes: meta.canonical.includes,
+    avoids: meta.canonical.avoids,
+    brandsBlocked: meta.brandScan.blocked || [],
+    engravedItem: meta.engraving && meta.engraving.text ? meta.engraving.item : null,
+    focus: meta.focus,
+    rules: Array.from(new Set(ast.constraints.map((c) => c.rule))),
+  };
+}
+
+// Guard / validation rejection, with Retry-After when the client should come back later
+function sendRejection(res, r) {
+  if (r.retryAfterSec) res.setHeader("Retry-After", String(r.retryAfterSec));
+  return res.status(r.status).json(rejectionBody(r));
 }
 
 // ================= HANDLER (Improved Errors) =================
 module.exports = async (req, res) => {
-  setCors(res);
+  const log = instrument(req, res, { route: "generate-preview" });
+  setCors(res, null, req);
 
   if (req.method === "OPTIONS") return res.status(200).end();
   if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
+    return res.status(405).json({ error: "Method not allowed", code: "METHOD_NOT_ALLOWED" });
   }
+  if (!guard.originAllowed(req)) {
+    return res.status(403).json({ error: "Origin not allowed", code: "ORIGIN_NOT_ALLOWED" });
+  }
+
+  let reservation = null;
+  let spendReservation = null;
+  let meteredTier = null; // set once a generation is attempted (counted as a failure if it throws)
 
   try {
-    if (!process.env.REPLICATE_API_TOKEN) {
-      return res.status(500).json({ error: "Missing REPLICATE_API_TOKEN in environment" });
+    const body = req.body || {};
+    const isDryRun = body.dryRun === true;
+
+    // Dry run (admin only): coerce + build + render, no quota and no model call
+    if (isDryRun && !isAdminRequest(req)) {
+      return res.status(403).json({ error: "Dry run requires a valid admin secret", code: "ADMIN_REQUIRED" });
     }
 
-    const body = req.body || {};
-    const rawInputs = body.inputs;
-    const sessionId = body.sessionId;
-    const tier = body.tier || "Curated";
+    // Kill switch, signed requests and the per-IP bucket run before validation: scripted
+    // traffic is throttled even when it sends garbage
+    let admitted = { ok: true, signed: null };
+    if (!isDryRun) {
+      admitted = await guard.admit(req, { ip: clientIp(req) });
+      if (!admitted.ok) return sendRejection(res, admitted);
+    }
 
-    if (!rawInputs || !sessionId) {
-      return res.status(400).json({ error: "Missing inputs or sessionId" });
+    // Validation runs before the quota is touched: rejected requests never cost a generation
+    const request = validateRequest(body, {
+      tiers: catalog.tiers,
+      locales: catalog.locales,
+      placements: catalog.placements,
+      requireSession: !isDryRun,
+    });
+    if (!request.ok) return res.status(request.status).json(rejectionBody(request));
+    const locale = request.locale || preferredLocale(req, catalog.locales) || catalog.defaultLocale;
+    const placement = catalog.placement(request.placement);
+    const output = outputProfile(placement);
+
+    const endCoerce = log.time("coerce");
+    const rawCheck = validateRawInputs(body.inputs);
+    if (!rawCheck.ok) return res.status(rawCheck.status).json(rejectionBody(rawCheck));
+
+    const validated = validateInputs(coerceInputs(body.inputs, locale));
+    endCoerce();
+    if (!validated.ok) return res.status(validated.status).json(rejectionBody(validated));
+
+    const inputs = validated.inputs;
+    const tier = request.tier;
+    const sessionId = request.sessionId;
+
+    const engravingCheck = detectEngraving(inputs, tierKey(tier), locale);
+    if (!engravingCheck.ok) return res.status(engravingCheck.status).json(rejectionBody(engravingCheck));
+    const engraving = engravingCheck.engraving;
+
+    const refCheck = validateReference(body.reference);
+    if (!refCheck.ok) return res.status(refCheck.status).json(rejectionBody(refCheck));
+
+    const isAsync = body.async === true || body.mode === "async";
+    const variantCheck = validateVariants(body.variants, { limit: variantLimit(tier) });
+    if (!variantCheck.ok) return res.status(variantCheck.status).json(rejectionBody(variantCheck));
+    if (isAsync && variantCheck.count > 1) {
+      return res.status(400).json({ error: "Variants are not available in async mode", code: "VARIANTS_ASYNC_UNSUPPORTED" });
     }
 
-    const used = generationCount.get(sessionId) || 0;
-    if (used >= MAX_GENERATIONS) {
-      return res.status(429).json({ error: "Generation limit reached" });
+    if (isDryRun) {
+      const notesInfo = await understandNotes(inputs.notes, { locale });
+      const inspiration = await understandSocial(inputs.social, { locale });
+      const ast = buildPrompt({
+        inputs,
+        tier,
+        locale,
+        notesInfo,
+        inspiration,
+        placement,
+        engraving,
+        reference: refCheck.reference,
+        safetyFlags: validated.flags,
+      });
+      return res.status(200).json(dryRunReport(inputs, tier, notesInfo, ast));
     }
 
-    const inputs = coerceInputs(rawInputs);
-    const prompt = buildPrompt({ inputs, tier });
+    // Reference mode only runs on img2img-capable steps; every step must support the placement
+    const baseChain = refCheck.reference ? engine.referenceChainFor(tier) : engine.chainFor(tier);
+    if (!baseChain.length) {
+      return res.status(400).json({ error: "Reference images are not available right now", code: "REFERENCE_UNSUPPORTED" });
+    }
+    const chain = engine.outputChainFor(tier, output, { reference: !!refCheck.reference });
+    if (!chain.length) {
+      return res.status(400).json({
+        error: "This image format is not available right now",
+        code: "PLACEMENT_UNSUPPORTED",
+        field: "placement",
+        details: placement.label + " (" + output.aspectRatio + ", " + output.format + ")",
+      });
+    }
+    const missing = chain.map((step) => missingEnv(step));
+    if (missing.every(Boolean)) {
+      return res.status(500).json({ error: "Missing " + missing[0] + " in environment", code: "MISSING_ENV" });
+    }
 
-    const model = process.env.REPLICATE_MODEL || "black-forest-labs/flux-dev";
+    let reference = null;
+    if (refCheck.reference) {
+      const resolved = await resolveReference(refCheck.reference, { previews, storage, sessionId });
+      if (!resolved.ok) return res.status(resolved.status).json(rejectionBody(resolved));
+      reference = resolved.reference;
+    }
+    const referenceInfo = reference
+      ? { kind: reference.source.kind, previewId: reference.source.previewId, strength: reference.strength }
+      : null;
+
+    // Daily spend cap: reserve the estimated cost before the quota (released on any failure)
+    const spend = await guard.reserveSpend(variantCheck.count * guard.costOf(chain[0].provider, chain[0].model));
+    if (!spend.ok) return sendRejection(res, spend);
+    spendReservation = spend.reservation;
+
+    reservation = await quota.consume({
+      tier,
+      sessionId,
+      ip: clientIp(req),
+      // an app proxy signature vouches for the logged-in customer; the body's id is only a hint
+      customerId: admitted.signed ? admitted.signed.customerId : request.customerId,
+    });
+    if (!reservation.allowed) {
+      await guard.releaseSpend(spendReservation);
+      return res.status(429).json({ error: "Generation limit reached", code: "QUOTA_EXCEEDED", scope: reservation.scope });
+    }
+    meteredTier = tier;
+
+    const endUnderstand = log.time("understand");
+    const notesInfo = await understandNotes(inputs.notes, { locale });
+    const inspiration = await understandSocial(inputs.social, { locale });
+    endUnderstand();
+    const endPrompt = log.time("prompt_build");
+    const promptAst = buildPrompt({
+      inputs,
+      tier,
+      locale,
+      notesInfo,
+      inspiration,
+      placement,
+      engraving,
+      reference: referenceInfo,
+      safetyFlags: validated.flags,
+    });
+    endPrompt();
+    const audit = auditFields(promptAst, inputs);
+    if (audit.brandsBlocked.length) METRICS.brandBlocked.inc({ tier: tierKey(tier) });
+
+    // Async mode: create a Replicate prediction and return right away
+    if (isAsync) {
+      const step = chain.find((s) => s.provider === "replicate");
+      if (!step) {
+        await quota.release(reservation);
+        await guard.releaseSpend(spendReservation);
+        return res.status(400).json({ error: "Async mode requires a Replicate model for this tier", code: "ASYNC_UNSUPPORTED" });
+      }
+
+      const model = step.model;
+      const rendered = renderPrompt(promptAst, model);
+      const seed = newSeeds(1)[0];
+      const modelInput = buildInput(model, rendered.fields, output, reference, seed);
+
+      const jobId = newJobId();
+      const previewId = newPreviewId();
+      const now = new Date().toISOString();
+      await previews.put(
+        buildPreviewRecord({
+          id: previewId,
+          status: "pending",
+          sessionId,
+          tier,
+          catalogVersion: catalog.version,
+          jobId,
+          provider: "replicate",
+          model,
+          prompt: rendered.fields,
+          canonical: promptAst.meta.canonical,
+          brands: promptAst.meta.brandScan.requested,
+          reference: reference ? Object.assign({ strength: reference.strength }, reference.source) : null,
+          inputs,
+          output,
+          seed,
+        })
+      );
+      await jobs.put({
+        id: jobId,
+        status: "queued",
+        predictionId: null,
+        previewId: previewId,
+        sessionId: String(sessionId),
+        tier: tier,
+        model: model,
+        catalogVersion: catalog.version,
+        reservation: reservation,
+        imageUrl: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      let prediction;
+      try {
+        const hook = webhookUrl(jobId);
+        const createOpts = { model: model, input: modelInput };
+        if (hook) {
+          createOpts.webhook = hook;
+          createOpts.webhook_events_filter = ["start", "completed"];
+        }
+        const endProvider = log.time("provider");
+        prediction = await replicate.predictions.create(createOpts);
+        endProvider();
+      } catch (e) {
+        log.error("replicate.create_failed", e, { model });
+        recordPreview(tier, "failure");
+        await jobs.update(jobId, { status: "failed", error: "Replicate request failed" });
+        await previews.update(previewId, { status: "failed" });
+        await quota.release(reservation);
+        await guard.releaseSpend(spendReservation);
+        return res.status(502).json({
+          error: "Replicate request failed",
+          code: "PROVIDER_FAILED",
+          details: (e && e.message) ? e.message : String(e),
+        });
+      }
+
+      await jobs.update(jobId, { predictionId: prediction.id });
+      await previews.update(previewId, { predictionId: prediction.id });
+      await guard.settleSpend(spendReservation, guard.costOf("replicate", model));
+      recordPreview(tier, "queued");
+      log.info("preview.queued", Object.assign({ jobId, previewId, provider: "replicate", model, seed, timings: log.timings() }, audit));
+
+      return res.status(202).json(
+        Object.assign(
+          {
+            ok: true,
+            async: true,
+            jobId: jobId,
+            status: "queued",
+            tier: tier,
+            locale: locale,
+            catalogVersion: catalog.version,
+            used: reservation.used,
+            statusUrl: "/api/preview-status?id=" + encodeURIComponent(jobId) + "&sessionId=" + encodeURIComponent(sessionId),
+            reference: referenceInfo,
+            output,
+            seed: seed,
+            brandNotices: promptAst.meta.brandScan.notices,
+            engraving: engraving,
+          },
+          previewHandle(previewId)
+        )
+      );
+    }
 
-    let output;
+    let generated;
+    const endProvider = log.time("provider");
     try {
-      output = await replicate.run(model, {
-        input: {
-          prompt: prompt,
-          aspect_ratio: "1:1",
-          output_format: "webp",
-          quality: 90,
-        },
-      });
+      generated = await engine.generateVariants({ tier, ast: promptAst, output, reference, seeds: newSeeds(variantCheck.count), log });
     } catch (e) {
-      console.error("Replicate.run error:", e);
+      endProvider();
+      recordAttempts(e && e.attempts);
+      recordPreview(tier, "failure");
+      log.error("preview.failed", e, Object.assign({ stage: "provider", attempts: e && e.attempts, timings: log.timings() }, audit));
+      await quota.release(reservation);
+      await guard.releaseSpend(spendReservation);
       return res.status(502).json({
-        error: "Replicate request failed",
+        error: "Image generation failed",
+        code: "PROVIDER_FAILED",
         details: (e && e.message) ? e.message : String(e),
+        attempts: e && e.attempts,
       });
     }
+    endProvider();
+    recordAttempts(generated.variants.reduce((all, v) => all.concat(v.attempts), []));
+    recordAttempts(generated.failures.reduce((all, f) => all.concat(f.attempts), []));
+
+    // Verification retries happen inside this request: they never consume quota
+    const candidates = await Promise.all(
+      generated.variants.map(async (generatedVariant) => {
+        let v = Object.assign({}, generatedVariant, { verification: skippedVerdict("disabled") });
+        if (verifier) {
+          const endVerify = log.time("verify");
+          const checked = await verifier.verifyWithRetry({
+            engine,
+            request: { tier, ast: promptAst, output, reference, seed: generatedVariant.seed, log },
+            result: generatedVariant,
+          });
+          endVerify();
+          v = Object.assign({ index: generatedVariant.index }, checked.result, { verification: checked.verdict });
+          for (const violation of checked.verdict.violations || []) METRICS.violations.inc({ rule: violation.rule });
+        }
+        const endStorage = log.time("storage");
+        const stored = await rehostImage(storage, v.imageUrl);
+        endStorage();
+        return Object.assign({}, v, {
+          imageUrl: stored.imageUrl,
+          stored: stored.stored,
+          contentHash: stored.contentHash,
+          contentType: stored.contentType,
+          bytes: stored.bytes,
+          images: { renditions: stored.renditions, thumbnails: stored.thumbnails },
+        });
+      })
+    );
+    const ranked = await ranker.rank(candidates);
 
-    let imageUrl = null;
-    if (typeof output === "string") imageUrl = output;
-    else if (Array.isArray(output) && output.length) imageUrl = output[0];
-    else if (output && typeof output === "object") {
-      if (Array.isArray(output.output) && output.output.length) imageUrl = output.output[0];
-      if (!imageUrl && Array.isArray(output.images) && output.images.length) imageUrl = output.images[0];
-      if (!imageUrl && typeof output.url === "string") imageUrl = output.url;
-    }
+    // Settle the spend to what actually ran (verification retries are extra model calls)
+    await guard.settleSpend(
+      spendReservation,
+      candidates.reduce((sum, v) => sum + guard.costOf(v.provider, v.model) * (1 + (v.verification.retries || 0)), 0)
+    );
 
-    if (!imageUrl || typeof imageUrl !== "string") {
-      console.error("No imageUrl in replicate output:", output);
-      return res.status(502).json({
-        error: "No image returned from model",
-        details: "Replicate returned an unexpected/empty output",
+    const variants = [];
+    for (const v of ranked) {
+      const preview = buildPreviewRecord({
+        sessionId,
+        tier,
+        catalogVersion: catalog.version,
+        imageUrl: v.imageUrl,
+        contentHash: v.contentHash,
+        images: v.images,
+        provider: v.provider,
+        model: v.model,
+        prompt: v.prompt,
+        canonical: promptAst.meta.canonical,
+        brands: promptAst.meta.brandScan.requested,
+        reference: reference ? Object.assign({ strength: reference.strength }, reference.source) : null,
+        inputs,
+        output: v.output,
+        seed: v.seed,
+        predictionId: v.predictionId,
+        verification: v.verification,
+        variant: { index: v.index, count: variantCheck.count, rank: v.rank, score: v.score },
       });
+      await previews.put(preview);
+
+      variants.push(
+        Object.assign(
+          {
+            rank: v.rank,
+            seed: v.seed,
+            score: v.score,
+            scores: v.scores,
+            imageUrl: v.imageUrl,
+            images: v.images,
+            contentHash: v.contentHash,
+            provider: v.provider,
+            model: v.model,
+            verification: v.verification,
+          },
+          previewHandle(preview.id)
+        )
+      );
     }
 
-    generationCount.set(sessionId, used + 1);
-
-    return res.status(200).json({
-      ok: true,
-      tier: tier,
-      used: used + 1,
-      imageUrl: imageUrl,
-    });
+    const best = variants[0];
+    recordPreview(tier, "success");
+    log.info(
+      "preview.generated",
+      Object.assign(
+        {
+          previewIds: variants.map((v) => v.previewId),
+          variants: ranked.map((v) => ({
+            provider: v.provider,
+            model: v.model,
+            seed: v.seed,
+            verification: v.verification.status,
+            violations: (v.verification.violations || []).map((x) => x.rule),
+          })),
+          failedVariants: generated.failures.length,
+          timings: log.timings(),
+        },
+        audit
+      )
+    );
+    return res.status(200).json(
+      Object.assign(
+        {
+          ok: true,
+          tier: tier,
+          locale: locale,
+          catalogVersion: catalog.version,
+          used: reservation.used,
+          imageUrl: best.imageUrl,
+          images: best.images,
+          contentHash: best.contentHash,
+          provider: best.provider,
+          model: best.model,
+          seed: best.seed,
+          verification: best.verification,
+          reference: referenceInfo,
+          output,
+          variants: variants,
+          failedVariants: generated.failures.map((f) => ({ seed: f.seed, error: f.error })),
+          brandNotices: promptAst.meta.brandScan.notices,
+          engraving: engraving,
+        },
+        previewHandle(best.previewId)
+      )
+    );
   } catch (err) {
-    console.error("Preview generation failed:", err);
+    log.error("preview.failed", err, { timings: log.timings() });
+    if (meteredTier) recordPreview(meteredTier, "failure");
+    await quota.release(reservation).catch(() => {});
+    await guard.releaseSpend(spendReservation).catch(() => {});
     return res.status(500).json({
       error: "Generation failed",
+      code: "GENERATION_FAILED",
       details: (err && err.message) ? err.message : String(err),
     });
   }
 };
+
+// Pure pieces of the pipeline (no quota, provider or storage calls): used by the golden-prompt
+// suite (scripts/golden-prompts.js) and the tests
+module.exports.coerceInputs = coerceInputs;
+module.exports.extractCanonicalTags = extractCanonicalTags;
+module.exports.detectBrands = detectBrands;
+module.exports.inferRecipientGroup = inferRecipientGroup;
+module.exports.buildPrompt = buildPrompt;
@@ -0,0 +1,37 @@
+// /api/metrics.js
+// Meaningfull(TM) AI Preview — Prometheus scrape endpoint
+//
+// GET /api/metrics
+// Header: Authorization: Bearer <MEANINGFULL_METRICS_TOKEN> (or x-meaningfull-admin-secret)
+// => text/plain exposition of the lib/telemetry counters and latency histograms
+//
+// Scrapes are not instrumented themselves, so they don't show up in the request counters.
+//
+// Env:
+// - MEANINGFULL_METRICS_TOKEN
+// - MEANINGFULL_METRICS_STORE="redis" in production: every /api route is its own function and
+//   only a shared store lets this one see the others' counters (see lib/telemetry/metrics)
+
+const { registry, metricsAuthorized, logger } = require("../lib/telemetry");
+const { isAdminRequest } = require("../lib/http");
+
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed", code: "METHOD_NOT_ALLOWED" });
+  }
+  if (!metricsAuthorized(req) && !isAdminRequest(req)) {
+    return res.status(403).json({ error: "Metrics token required", code: "METRICS_TOKEN_REQUIRED" });
+  }
+
+  try {
+    await registry.flush();
+    const text = await registry.render();
+    res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200);
+    return res.end(text);
+  } catch (err) {
+    logger.error("metrics.render_failed", err);
+    return res.status(503).json({ error: "Metrics unavailable", code: "METRICS_UNAVAILABLE" });
+  }
+};
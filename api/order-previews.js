@@ -0,0 +1,47 @@
+// /api/order-previews.js
+// Meaningfull(TM) AI Preview — fulfillment lookup (admin)
+//
+// GET /api/order-previews?orderId=<shopify order id>
+// Header: x-meaningfull-admin-secret (= MEANINGFULL_ADMIN_SECRET)
+// => the record stored by /api/shopify-orders-webhook (per line item: preview image, prompt, tags)
+// Errors: { error, code }: METHOD_NOT_ALLOWED (405), ADMIN_REQUIRED (403), ORDER_ID_REQUIRED (400),
+// ORDER_NOT_FOUND (404), LOOKUP_FAILED (500)
+
+const { createRecordStore } = require("../lib/store");
+const { queryParam, isAdminRequest, errorMessage } = require("../lib/http");
+const { instrument } = require("../lib/telemetry");
+
+const orders = createRecordStore("orders", {
+  kind: process.env.MEANINGFULL_ORDER_STORE,
+  dir: process.env.MEANINGFULL_ORDER_DIR,
+});
+
+module.exports = async (req, res) => {
+  const log = instrument(req, res, { route: "order-previews" });
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed", code: "METHOD_NOT_ALLOWED" });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: "Admin secret required", code: "ADMIN_REQUIRED" });
+  }
+
+  try {
+    const orderId = queryParam(req, "orderId");
+    if (!orderId) {
+      return res.status(400).json({ error: "Missing orderId", code: "ORDER_ID_REQUIRED" });
+    }
+
+    const record = await orders.get("order_" + orderId);
+    if (!record) {
+      return res.status(404).json({ error: "No previews recorded for this order", code: "ORDER_NOT_FOUND" });
+    }
+    return res.status(200).json(Object.assign({ ok: true }, record));
+  } catch (err) {
+    log.error("order_previews.failed", err);
+    return res.status(500).json({
+      error: "Lookup failed",
+      code: "LOOKUP_FAILED",
+      details: errorMessage(err),
+    });
+  }
+};
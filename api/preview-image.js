@@ -0,0 +1,51 @@
+// /api/preview-image.js
+// Meaningfull(TM) AI Preview — serves images stored by the filesystem backend
+//
+// GET /api/preview-image?key=previews/<hash>.webp
+// Keys are content hashes, so responses are cached as immutable.
+// Only used with MEANINGFULL_IMAGE_STORE="fs" (local dev / a single host) and no
+// MEANINGFULL_IMAGE_PUBLIC_URL CDN; the default is S3 or no storage at all.
+
+const { imageStorageFromEnv, isSafeKey } = require("../lib/storage");
+const { queryParam, errorMessage } = require("../lib/http");
+const { instrument } = require("../lib/telemetry");
+
+const storage = imageStorageFromEnv();
+
+module.exports = async (req, res) => {
+  const log = instrument(req, res, { route: "preview-image" });
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const key = queryParam(req, "key");
+    if (!isSafeKey(key)) {
+      return res.status(400).json({ error: "Invalid image key" });
+    }
+    if (!storage || typeof storage.backend.get !== "function") {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    const obj = await storage.backend.get(key);
+    if (!obj) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    res.setHeader("Content-Type", obj.contentType);
+    res.setHeader("Content-Length", String(obj.body.length));
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    // stored SVGs must never run script on this origin
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    res.status(200);
+    return res.end(req.method === "HEAD" ? undefined : obj.body);
+  } catch (err) {
+    log.error("preview_image.failed", err);
+    return res.status(500).json({
+      error: "Image read failed",
+      details: errorMessage(err),
+    });
+  }
+};
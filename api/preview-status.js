@@ -0,0 +1,71 @@
+// /api/preview-status.js
+// Meaningfull(TM) AI Preview — async job status
+//
+// GET /api/preview-status?id=<jobId>&sessionId=<sessionId>
+// => { ok, jobId, status: queued|processing|succeeded|failed, imageUrl, error }
+// The sessionId must be the one the job was queued with (the statusUrl from /api/generate-preview
+// carries it): a job id alone never reveals another shopper's preview.
+// Errors: { error, code }: METHOD_NOT_ALLOWED (405), JOB_ID_REQUIRED (400), JOB_NOT_FOUND (404),
+// STATUS_FAILED (500)
+//
+// If the job is still running, Replicate is polled once so previews resolve even
+// when webhooks are not configured (local dev, preview deployments).
+
+const { createQuota } = require("../lib/quota");
+const { createReplicateClient } = require("../lib/replicate");
+const { createPreviewStore } = require("../lib/previews");
+const { imageStorageFromEnv } = require("../lib/storage");
+const { createJobStore, isTerminal, syncJobFromPrediction, publicJob } = require("../lib/jobs");
+const { setCors, queryParam, errorMessage } = require("../lib/http");
+const { instrument, recordPreview } = require("../lib/telemetry");
+
+const replicate = createReplicateClient();
+const quota = createQuota();
+const jobs = createJobStore();
+const previews = createPreviewStore();
+const storage = imageStorageFromEnv();
+
+module.exports = async (req, res) => {
+  const log = instrument(req, res, { route: "preview-status" });
+  setCors(res, "GET, OPTIONS", req);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed", code: "METHOD_NOT_ALLOWED" });
+  }
+
+  try {
+    const id = queryParam(req, "id") || queryParam(req, "jobId");
+    if (!id) {
+      return res.status(400).json({ error: "Missing job id", code: "JOB_ID_REQUIRED" });
+    }
+
+    let job = await jobs.get(id);
+    const sessionId = queryParam(req, "sessionId");
+    // another session's job is indistinguishable from a missing one
+    if (!job || ((job.sessionId || sessionId) && job.sessionId !== sessionId)) {
+      return res.status(404).json({ error: "Job not found", code: "JOB_NOT_FOUND" });
+    }
+
+    if (!isTerminal(job.status) && job.predictionId) {
+      try {
+        const prediction = await replicate.predictions.get(job.predictionId);
+        const next = await syncJobFromPrediction({ jobs, quota, previews, storage }, job, prediction);
+        if (next !== job && isTerminal(next.status)) recordPreview(job.tier, next.status === "succeeded" ? "success" : "failure");
+        job = next;
+      } catch (e) {
+        // Keep the last known status; the webhook or the next poll will catch up
+        log.error("replicate.get_failed", e);
+      }
+    }
+
+    return res.status(200).json(publicJob(job));
+  } catch (err) {
+    log.error("preview_status.failed", err);
+    return res.status(500).json({
+      error: "Status lookup failed",
+      code: "STATUS_FAILED",
+      details: errorMessage(err),
+    });
+  }
+};
@@ -0,0 +1,73 @@
+// /api/regenerate-preview.js
+// Meaningfull(TM) AI Preview — reproduce a preview (admin / support)
+//
+// POST /api/regenerate-preview { previewId }
+// Header: x-meaningfull-admin-secret (= MEANINGFULL_ADMIN_SECRET)
+// => reruns the recorded prompt + seed on the recorded model and returns the new image next to
+//    the original (no quota, the original record is left untouched; see lib/previews/regenerate)
+//
+// The original was recorded by /api/generate-preview, another function: it is read from the shared
+// redis preview store (lib/store), and its reference image from S3 / CDN URLs. A reference kept by
+// the fs image backend only reruns on the host that stored it (PREVIEW_NOT_REPRODUCIBLE elsewhere).
+//
+// Errors: { error, code }: METHOD_NOT_ALLOWED (405), ADMIN_REQUIRED (403), PREVIEW_ID_REQUIRED (400),
+// PREVIEW_NOT_FOUND (404), PREVIEW_NOT_REPRODUCIBLE (409), REGENERATION_FAILED (502)
+
+const { createImageEngine } = require("../lib/providers");
+const { createPreviewStore } = require("../lib/previews");
+const { regeneratePreview } = require("../lib/previews/regenerate");
+const { imageStorageFromEnv } = require("../lib/storage");
+const { rejectionBody } = require("../lib/validation");
+const { isAdminRequest, errorMessage } = require("../lib/http");
+const { instrument } = require("../lib/telemetry");
+
+const engine = createImageEngine();
+const previews = createPreviewStore();
+const storage = imageStorageFromEnv();
+
+module.exports = async (req, res) => {
+  const log = instrument(req, res, { route: "regenerate-preview" });
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed", code: "METHOD_NOT_ALLOWED" });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: "Admin secret required", code: "ADMIN_REQUIRED" });
+  }
+
+  try {
+    const previewId = String((req.body || {}).previewId || "");
+    if (!previewId) {
+      return res.status(400).json({ error: "Missing previewId", code: "PREVIEW_ID_REQUIRED" });
+    }
+
+    const r = await regeneratePreview(previewId, { previews, engine, storage });
+    if (!r.ok) return res.status(r.status).json(rejectionBody(r));
+
+    return res.status(200).json({
+      ok: true,
+      previewId: r.preview.id,
+      regeneratedFrom: r.original.id,
+      exact: r.exact,
+      identical: r.identical,
+      provider: r.preview.provider,
+      model: r.preview.model,
+      seed: r.preview.seed,
+      predictionId: r.preview.predictionId,
+      imageUrl: r.preview.imageUrl,
+      contentHash: r.preview.contentHash,
+      original: {
+        imageUrl: r.original.imageUrl,
+        contentHash: r.original.contentHash,
+        predictionId: r.original.predictionId || null,
+        createdAt: r.original.createdAt,
+      },
+    });
+  } catch (err) {
+    log.error("regenerate_preview.failed", err);
+    return res.status(502).json({
+      error: "Regeneration failed",
+      code: "REGENERATION_FAILED",
+      details: errorMessage(err),
+    });
+  }
+};
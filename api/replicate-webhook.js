@@ -0,0 +1,86 @@
+// /api/replicate-webhook.js
+// Meaningfull(TM) AI Preview — Replicate prediction webhook receiver
+//
+// Replicate POSTs the prediction to /api/replicate-webhook?job=<jobId> (see lib/jobs webhookUrl).
+// The signature headers (webhook-id / webhook-timestamp / webhook-signature) are verified
+// against the raw body before the job record is touched.
+//
+// Errors: { error, code }: METHOD_NOT_ALLOWED (405), SIGNATURE_INVALID (401), BODY_INVALID (400),
+// JOB_NOT_FOUND (404), PREDICTION_MISMATCH (409; the delivery is for another prediction),
+// MISSING_ENV / WEBHOOK_FAILED (500)
+//
+// Env:
+// - REPLICATE_WEBHOOK_SIGNING_SECRET (whsec_...; from GET /v1/webhooks/default/secret)
+
+const { createQuota } = require("../lib/quota");
+const { validateWebhook } = require("../lib/replicate");
+const { createPreviewStore } = require("../lib/previews");
+const { imageStorageFromEnv } = require("../lib/storage");
+const { createJobStore, isTerminal, syncJobFromPrediction } = require("../lib/jobs");
+const { readRawBody, queryParam, errorMessage } = require("../lib/http");
+const { instrument, recordPreview } = require("../lib/telemetry");
+
+const quota = createQuota();
+const jobs = createJobStore();
+const previews = createPreviewStore();
+const storage = imageStorageFromEnv();
+
+module.exports = async (req, res) => {
+  const log = instrument(req, res, { route: "replicate-webhook" });
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed", code: "METHOD_NOT_ALLOWED" });
+  }
+
+  try {
+    const secret = process.env.REPLICATE_WEBHOOK_SIGNING_SECRET;
+    if (!secret) {
+      return res.status(500).json({ error: "Missing REPLICATE_WEBHOOK_SIGNING_SECRET in environment", code: "MISSING_ENV" });
+    }
+
+    const raw = await readRawBody(req);
+    const headers = req.headers || {};
+
+    let valid = false;
+    try {
+      valid = await validateWebhook({
+        id: headers["webhook-id"],
+        timestamp: headers["webhook-timestamp"],
+        signature: headers["webhook-signature"],
+        body: raw,
+        secret: secret,
+      });
+    } catch (e) {
+      valid = false;
+    }
+    if (!valid) {
+      return res.status(401).json({ error: "Invalid webhook signature", code: "SIGNATURE_INVALID" });
+    }
+
+    let prediction;
+    try {
+      prediction = JSON.parse(raw);
+    } catch (e) {
+      return res.status(400).json({ error: "Invalid JSON body", code: "BODY_INVALID" });
+    }
+
+    const jobId = queryParam(req, "job");
+    const job = jobId ? await jobs.get(jobId) : null;
+    if (!job) {
+      return res.status(404).json({ error: "Job not found", code: "JOB_NOT_FOUND" });
+    }
+    if (job.predictionId && prediction && prediction.id !== job.predictionId) {
+      return res.status(409).json({ error: "Prediction does not match job", code: "PREDICTION_MISMATCH" });
+    }
+
+    const next = await syncJobFromPrediction({ jobs, quota, previews, storage }, job, prediction);
+    if (next !== job && isTerminal(next.status)) recordPreview(job.tier, next.status === "succeeded" ? "success" : "failure");
+    return res.status(200).json({ ok: true, jobId: next.id, status: next.status });
+  } catch (err) {
+    log.error("replicate_webhook.failed", err);
+    return res.status(500).json({
+      error: "Webhook processing failed",
+      code: "WEBHOOK_FAILED",
+      details: errorMessage(err),
+    });
+  }
+};
@@ -0,0 +1,89 @@
+// /api/shopify-orders-webhook.js
+// Meaningfull(TM) AI Preview — Shopify orders/create webhook receiver
+//
+// Verifies X-Shopify-Hmac-Sha256 against the raw body, resolves each line item's
+// `_meaningfull_preview` token to its preview record (image, prompt, canonical tags) and
+// stores the result per order, so fulfillment sees exactly what the customer was shown.
+// Read it back with GET /api/order-previews?orderId=<id> (admin).
+//
+// Previews are written by /api/generate-preview and orders read by /api/order-previews, each its
+// own function: in production both stores must be the shared redis record store (lib/store).
+//
+// Errors: { error, code }: METHOD_NOT_ALLOWED (405), SIGNATURE_INVALID (401), BODY_INVALID /
+// ORDER_ID_REQUIRED (400), MISSING_ENV / WEBHOOK_FAILED (500)
+//
+// Env:
+// - SHOPIFY_WEBHOOK_SECRET (app client secret used to sign webhooks)
+// - MEANINGFULL_PREVIEW_TOKEN_SECRET (same secret that signed the preview tokens)
+// - MEANINGFULL_ORDER_STORE / MEANINGFULL_ORDER_DIR (default: MEANINGFULL_RECORD_STORE, see lib/store)
+
+const { createRecordStore } = require("../lib/store");
+const { createPreviewStore } = require("../lib/previews");
+const { verifyShopifyHmac, buildOrderPreviewRecord } = require("../lib/shopify");
+const { readRawBody, errorMessage } = require("../lib/http");
+const { instrument } = require("../lib/telemetry");
+
+const previews = createPreviewStore();
+const orders = createRecordStore("orders", {
+  kind: process.env.MEANINGFULL_ORDER_STORE,
+  dir: process.env.MEANINGFULL_ORDER_DIR,
+});
+
+module.exports = async (req, res) => {
+  const log = instrument(req, res, { route: "shopify-orders-webhook" });
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed", code: "METHOD_NOT_ALLOWED" });
+  }
+
+  try {
+    const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(500).json({ error: "Missing SHOPIFY_WEBHOOK_SECRET in environment", code: "MISSING_ENV" });
+    }
+
+    const headers = req.headers || {};
+    const raw = await readRawBody(req);
+    if (!verifyShopifyHmac(raw, headers["x-shopify-hmac-sha256"], secret)) {
+      return res.status(401).json({ error: "Invalid webhook signature", code: "SIGNATURE_INVALID" });
+    }
+
+    // Only orders/create is handled; acknowledge anything else so Shopify stops retrying
+    const topic = String(headers["x-shopify-topic"] || "");
+    if (topic && topic !== "orders/create") {
+      return res.status(200).json({ ok: true, ignored: topic });
+    }
+
+    let order;
+    try {
+      order = JSON.parse(raw);
+    } catch (e) {
+      return res.status(400).json({ error: "Invalid JSON body", code: "BODY_INVALID" });
+    }
+    if (!order || order.id === undefined || order.id === null) {
+      return res.status(400).json({ error: "Missing order id", code: "ORDER_ID_REQUIRED" });
+    }
+
+    // Shopify retries deliver the same X-Shopify-Webhook-Id; don't rewrite the record
+    const webhookId = headers["x-shopify-webhook-id"] ? String(headers["x-shopify-webhook-id"]) : null;
+    const existing = await orders.get("order_" + String(order.id));
+    if (existing && webhookId && existing.webhookId === webhookId) {
+      return res.status(200).json({ ok: true, duplicate: true, orderId: order.id });
+    }
+
+    const record = await buildOrderPreviewRecord(order, { previews, webhookId });
+    await orders.put(record);
+
+    return res.status(200).json({
+      ok: true,
+      orderId: order.id,
+      attached: record.lineItems.filter((li) => li.previewStatus === "attached").length,
+    });
+  } catch (err) {
+    log.error("shopify_orders_webhook.failed", err);
+    return res.status(500).json({
+      error: "Webhook processing failed",
+      code: "WEBHOOK_FAILED",
+      details: errorMessage(err),
+    });
+  }
+};
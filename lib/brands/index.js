@@ -0,0 +1,116 @@
+// /lib/brands/index.js
+// Brand policy engine: what a requested brand may look like in a preview, from the catalog's
+// per-brand policies (see config/catalog.json "brands").
+//
+// Each brand the shopper names (./match) gets one decision, first rule wins:
+// - "replaced" / disallowed: listed in MEANINGFULL_DISALLOWED_BRANDS
+// - "replaced" / not_allowed: MEANINGFULL_ALLOWED_BRANDS is set and doesn't list it
+// - "replaced" / unlicensed: license "none" (no rights to show it at all)
+// - "replaced" / tier: the brand's tiers don't include this box
+// - "replaced" / category: the shopper asked for items and none is one of the brand's categories
+//   (Nike is licensed for sneakers and hoodies, not watches)
+// - "inspired": license "inspired" — the brand's look (catalog style), never its logo or name
+// - "permitted": license "logo" — logo allowed, only on the brand's categories
+//
+// A replaced brand becomes its catalog generic equivalent; replaced and inspired brands carry a
+// customer-facing explanation (catalog brandMessages, per locale).
+//
+// The env lists stay as an operator override on top of the catalog (e.g. a license lapses
+// before the next catalog release).
+
+const { matchBrands } = require("./match");
+
+const MESSAGE_FOR_REASON = {
+  disallowed: "unavailable",
+  not_allowed: "unavailable",
+  unlicensed: "unavailable",
+  tier: "tier",
+  category: "category",
+};
+
+function parseBrandList(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Env lists may use any alias ("yves saint laurent" == ysl)
+function toBrandIds(names, policies) {
+  return names.map((n) => Object.keys(policies).find((b) => b === n || policies[b].aliases.includes(n)) || n);
+}
+
+/**
+ * decideBrand(policy, { tier, includes, allowed: Set, disallowed: Set })
+ * => { brand, label, status: "permitted" | "inspired" | "replaced", reason, items, generic, style }
+ * items: the include keys the brand may appear on (null = any)
+ */
+function decideBrand(policy, ctx) {
+  const base = { brand: policy.brand, label: policy.label, generic: policy.generic, style: policy.style };
+  const replaced = (reason) => Object.assign(base, { status: "replaced", reason, items: [] });
+
+  if (ctx.disallowed.has(policy.brand)) return replaced("disallowed");
+  if (ctx.allowed.size > 0 && !ctx.allowed.has(policy.brand)) return replaced("not_allowed");
+  if (policy.license === "none") return replaced("unlicensed");
+  if (policy.tiers && !policy.tiers.includes(ctx.tier)) return replaced("tier");
+
+  let items = null;
+  if (policy.categories) {
+    const asked = ctx.includes.filter((k) => policy.categories.includes(k));
+    if (ctx.includes.length && !asked.length) return replaced("category");
+    items = asked.length ? asked : policy.categories.slice();
+  }
+  return Object.assign(base, { status: policy.license === "logo" ? "permitted" : "inspired", reason: null, items });
+}
+
+/**
+ * The shopper-facing line for a decision (null for permitted brands).
+ * templates = catalog.brandMessages(locale); tierLabel e.g. "Mini"
+ */
+function explainDecision(decision, templates, tierLabel) {
+  const key = decision.status === "inspired" ? "inspired" : MESSAGE_FOR_REASON[decision.reason];
+  if (!key || !templates[key]) return null;
+  return templates[key].replace(/\{brand\}/g, decision.label).replace(/\{tier\}/g, tierLabel || "");
+}
+
+/**
+ * resolveBrands(text, { policies, tier, includes, locale?, messages?, tierLabel?, allowed?, disallowed?, hints? })
+ * policies = catalog.brandPolicies; tier = tier key; includes = the canonical include keys;
+ * messages = catalog.brandMessages(locale); allowed / disallowed = brand names (env lists);
+ * hints = brand names the notes LLM extracted (catalog brands only, never one the text negates)
+ * => { requested, permitted, inspired, blocked, negated, decisions, notices: [{ brand, status, reason, message }] }
+ */
+function resolveBrands(text, opts) {
+  const policies = opts.policies;
+  const matched = matchBrands(text, policies, opts.locale);
+  for (const hint of toBrandIds(parseBrandList((opts.hints || []).join(",")), policies)) {
+    const known = policies[hint] && !matched.negated.includes(hint);
+    if (known && !matched.requested.some((m) => m.brand === hint)) matched.requested.push({ brand: hint, term: hint, via: "llm" });
+  }
+  const ctx = {
+    tier: opts.tier,
+    includes: opts.includes || [],
+    allowed: new Set(toBrandIds(opts.allowed || [], policies)),
+    disallowed: new Set(toBrandIds(opts.disallowed || [], policies)),
+  };
+
+  const decisions = matched.requested.map((m) => Object.assign(decideBrand(policies[m.brand], ctx), { matched: m.term, via: m.via }));
+  const withStatus = (status) => decisions.filter((d) => d.status === status).map((d) => d.brand);
+  const notices = [];
+  for (const d of decisions) {
+    const message = opts.messages ? explainDecision(d, opts.messages, opts.tierLabel) : null;
+    if (message) notices.push({ brand: d.brand, status: d.status, reason: d.reason, message });
+  }
+
+  return {
+    requested: decisions.map((d) => d.brand),
+    permitted: withStatus("permitted"),
+    inspired: withStatus("inspired"),
+    blocked: withStatus("replaced"),
+    negated: matched.negated,
+    decisions,
+    notices,
+  };
+}
+
+module.exports = { resolveBrands, decideBrand, explainDecision, matchBrands, parseBrandList };
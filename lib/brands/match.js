@@ -0,0 +1,127 @@
+// /lib/brands/match.js
+// Finds the brands a shopper names in Notes: catalog aliases and listed misspellings through the
+// notes matcher (whole words, plurals, accents, negation scopes), then a one-edit fuzzy pass for
+// typos nobody listed ("addidas", "lululemmon").
+//
+// - fuzzy matching only considers aliases of 6+ letters whose first letter matches; brands whose
+//   near-misses are everyday words opt out with "fuzzy": false (chanel/channel, cartier/carter)
+// - "no nike" is not a request: negated mentions are reported separately and never requested
+// - brands whose alias is an everyday word list "context" terms: the alias only counts in a clause
+//   that also names one ("an apple watch", "apple airpods"), never in "loves apple pie"
+
+const { matchNotes, findTerms, hasTerm, tokenize, negationMask } = require("../notes/matcher");
+
+const FUZZY_MIN_LENGTH = 6;
+
+/**
+ * Optimal string alignment distance (insert / delete / substitute / swap adjacent letters),
+ * capped: anything above max returns max + 1.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, rows[i - 2][j - 2] + 1);
+      rows[i].push(d);
+    }
+    if (i > 0 && Math.min.apply(null, rows[i]) > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+// Word runs between punctuation: [{ words: [..], negated: [..] }]
+function wordRuns(text, locale) {
+  const tokens = tokenize(text, locale);
+  const mask = negationMask(tokens, locale);
+  const runs = [{ words: [], negated: [] }];
+  tokens.forEach((t, i) => {
+    if (t.punct) runs.push({ words: [], negated: [] });
+    else {
+      runs[runs.length - 1].words.push(t.word);
+      runs[runs.length - 1].negated.push(mask[i]);
+    }
+  });
+  return runs;
+}
+
+// The clauses of a note that name one of a brand's context terms, as one text to match in
+function contextClauses(runs, context, locale) {
+  return runs
+    .map((run) => run.words.join(" "))
+    .filter((clause) => hasTerm(clause, context, locale))
+    .join(". ");
+}
+
+function fuzzyHit(runs, alias, locale) {
+  const target = tokenize(alias, locale).filter((t) => t.word).map((t) => t.word);
+  const joined = target.join(" ");
+  if (joined.replace(/ /g, "").length < FUZZY_MIN_LENGTH) return null;
+
+  for (const run of runs) {
+    for (let i = 0; i + target.length <= run.words.length; i++) {
+      const candidate = run.words.slice(i, i + target.length).join(" ");
+      if (candidate === joined || candidate[0] !== joined[0]) continue;
+      if (editDistance(candidate, joined, 1) <= 1) {
+        return { term: candidate, negated: run.negated.slice(i, i + target.length).some(Boolean) };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * matchBrands(text, policies, locale?) => { requested: [{ brand, term, via }], negated: [brand] }
+ * policies = catalog.brandPolicies; via: "alias" | "misspelling" | "fuzzy"
+ */
+function matchBrands(text, policies, locale) {
+  const runs = wordRuns(text, locale);
+  const include = {};
+  const plain = {};
+  const scoped = {}; // brands with context terms: key -> the only clauses they can be named in
+  for (const key of Object.keys(policies)) {
+    include[key] = policies[key].aliases.concat(policies[key].misspellings);
+    if (policies[key].context) scoped[key] = contextClauses(runs, policies[key].context, locale);
+    else plain[key] = include[key];
+  }
+  const textFor = (key) => (key in scoped ? scoped[key] : text);
+
+  const includes = matchNotes(text, { include: plain, avoid: {} }, locale).includes;
+  for (const key of Object.keys(scoped)) {
+    const only = {};
+    only[key] = include[key];
+    if (matchNotes(scoped[key], { include: only, avoid: {} }, locale).includes.length) includes.push(key);
+  }
+
+  const requested = includes.map((key) => {
+    const alias = findTerms(textFor(key), policies[key].aliases, locale)[0];
+    return alias
+      ? { brand: key, term: alias, via: "alias" }
+      : { brand: key, term: findTerms(textFor(key), policies[key].misspellings, locale)[0] || null, via: "misspelling" };
+  });
+  // mentioned but never outside a negation scope ("no rolex")
+  const negated = Object.keys(include).filter((key) => !includes.includes(key) && findTerms(textFor(key), include[key], locale).length > 0);
+
+  for (const key of Object.keys(policies)) {
+    const policy = policies[key];
+    if (!policy.fuzzy || includes.includes(key) || negated.includes(key)) continue;
+    for (const alias of policy.aliases) {
+      const hit = fuzzyHit(key in scoped ? wordRuns(scoped[key], locale) : runs, alias, locale);
+      if (!hit) continue;
+      if (hit.negated) negated.push(key);
+      else requested.push({ brand: key, term: hit.term, via: "fuzzy" });
+      break;
+    }
+  }
+
+  return { requested, negated };
+}
+
+module.exports = { matchBrands, editDistance };
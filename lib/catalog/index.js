@@ -0,0 +1,279 @@
+// /lib/catalog/index.js
+// Versioned merchandising catalog: tier blueprints (box layout, item count, hero rules), item
+// taxonomy (labels, per-locale synonyms, allowed tiers), avoid categories, brand policies (aliases,
+// license, allowed items/tiers, generic equivalent) + their customer-facing explanations, recipient
+// keywords, the recipient profile vocabulary + rule table (palettes, materials, props), inspiration
+// styles/platforms, output placements (aspect ratio, format, composition guidance per storefront
+// slot), engraving mode (keywords, text length cap, engravable items) and the storefront's
+// option-set field labels per locale.
+//
+// Loaded once at startup and validated; an invalid catalog fails fast instead of silently
+// producing different prompts. Every preview response records catalog.version.
+//
+// Env (optional):
+// - MEANINGFULL_CATALOG_PATH (JSON file; default config/catalog.json)
+
+const fs = require("fs");
+const { validateCatalog } = require("./validate");
+
+function readCatalogFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (e) {
+    throw new Error("Catalog not readable: " + filePath + " (" + ((e && e.message) || String(e)) + ")");
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error("Catalog is not valid JSON: " + filePath + " (" + ((e && e.message) || String(e)) + ")");
+  }
+}
+
+// Merges default-locale synonyms with the requested locale's (locale-specific first)
+function localized(map, locale, defaultLocale) {
+  const base = (map && map[defaultLocale]) || [];
+  if (!locale || locale === defaultLocale || !map || !map[locale]) return base.slice();
+  return Array.from(new Set(map[locale].concat(base)));
+}
+
+/**
+ * createCatalog(data) => validated, query-friendly catalog.
+ * Throws with every schema error listed.
+ */
+function createCatalog(data) {
+  const errors = validateCatalog(data);
+  if (errors.length) {
+    throw new Error("Invalid catalog: " + errors.join("; "));
+  }
+
+  const defaultLocale = data.defaultLocale;
+  const locales = Array.isArray(data.locales) ? data.locales.slice() : [defaultLocale];
+  const includeLabel = {};
+  for (const key of Object.keys(data.include)) includeLabel[key] = data.include[key].label;
+
+  const brandAliases = {};
+  const brandPolicies = {};
+  for (const key of Object.keys(data.brands)) {
+    const b = data.brands[key];
+    brandAliases[key] = b.aliases.slice();
+    brandPolicies[key] = {
+      brand: key,
+      label: b.label,
+      aliases: b.aliases.slice(),
+      misspellings: (b.misspellings || []).slice(),
+      fuzzy: b.fuzzy !== false,
+      context: b.context ? b.context.slice() : null,
+      license: b.license,
+      style: b.style || null,
+      categories: b.categories ? b.categories.slice() : null,
+      tiers: b.tiers ? b.tiers.slice() : null,
+      generic: b.generic,
+    };
+  }
+
+  const cache = new Map();
+
+  /**
+   * Taxonomy for the matcher: { include: { key: [synonyms] }, avoid: { key: [synonyms] } }
+   */
+  function taxonomy(locale) {
+    const loc = locale || defaultLocale;
+    if (cache.has(loc)) return cache.get(loc);
+
+    const include = {};
+    for (const key of Object.keys(data.include)) include[key] = localized(data.include[key].synonyms, loc, defaultLocale);
+    const avoid = {};
+    for (const key of Object.keys(data.avoid)) avoid[key] = localized(data.avoid[key].synonyms, loc, defaultLocale);
+
+    const t = { include, avoid };
+    cache.set(loc, t);
+    return t;
+  }
+
+  function recipientTerms(locale) {
+    return {
+      female: localized(data.recipientGroups.female, locale, defaultLocale),
+      male: localized(data.recipientGroups.male, locale, defaultLocale),
+    };
+  }
+
+  /**
+   * Recipient profile vocabulary (synonyms localized) + the ordered rule table:
+   * { locale, relationships: { key: [terms] }, ageBands: { key: { min, max, synonyms } },
+   *   interests: { key: { synonyms, props } }, vibes: { key: { synonyms, palette, materials, props } },
+   *   rules: [{ id, when, palette?, materials?, props?, vibe? }] }
+   */
+  function profiles(locale) {
+    const src = data.profiles;
+    const loc = locale || defaultLocale;
+    const withSynonyms = (section, fields) => {
+      const out = {};
+      for (const key of Object.keys(section)) {
+        const entry = { synonyms: localized(section[key].synonyms, loc, defaultLocale) };
+        for (const f of fields) entry[f] = section[key][f];
+        out[key] = entry;
+      }
+      return out;
+    };
+
+    const relationships = {};
+    for (const key of Object.keys(src.relationships)) relationships[key] = localized(src.relationships[key], loc, defaultLocale);
+
+    return {
+      locale: loc,
+      relationships,
+      ageBands: withSynonyms(src.ageBands, ["min", "max"]),
+      interests: withSynonyms(src.interests, ["props"]),
+      vibes: withSynonyms(src.vibes, ["palette", "materials", "props"]),
+      rules: src.rules.map((r) => Object.assign({}, r)),
+    };
+  }
+
+  /**
+   * Option-set labels per input field: { recipient: [labels], vibe, occasion, notes, social,
+   * engraving, engravingItem }
+   * (localized; fields missing from the catalog get [])
+   */
+  function fieldLabels(locale) {
+    const src = data.fieldLabels || {};
+    const out = {};
+    for (const field of ["recipient", "vibe", "occasion", "notes", "social", "engraving", "engravingItem"]) {
+      out[field] = src[field] ? localized(src[field], locale, defaultLocale) : [];
+    }
+    return out;
+  }
+
+  /**
+   * Brand explanation templates for a locale ({ unavailable, tier, category, inspired }; missing
+   * translations use the default locale). Placeholders: {brand}, {tier}.
+   */
+  function brandMessages(locale) {
+    const out = {};
+    for (const reason of Object.keys(data.brandMessages)) {
+      const byLocale = data.brandMessages[reason];
+      out[reason] = byLocale[locale] || byLocale[defaultLocale];
+    }
+    return out;
+  }
+
+  /**
+   * Inspiration vocabulary: { locale, platforms: { key: { label, domains } },
+   *   styles: { key: { label, synonyms, vibe, palette, domains } } } (synonyms localized)
+   */
+  function inspiration(locale) {
+    const src = data.inspiration || {};
+    const platforms = {};
+    for (const key of Object.keys(src.platforms || {})) {
+      platforms[key] = { label: src.platforms[key].label, domains: src.platforms[key].domains.slice() };
+    }
+    const styles = {};
+    for (const key of Object.keys(src.styles || {})) {
+      const st = src.styles[key];
+      styles[key] = {
+        label: st.label,
+        synonyms: localized(st.synonyms, locale || defaultLocale, defaultLocale),
+        vibe: st.vibe,
+        palette: st.palette,
+        domains: (st.domains || []).slice(),
+      };
+    }
+    return { locale: locale || defaultLocale, platforms, styles };
+  }
+
+  /**
+   * Engraving vocabulary (null when the catalog has no engraving section):
+   * { locale, maxLength, keywords: [terms], surfaces: { includeKey | "box": "where the text goes" }, defaultSurface }
+   */
+  function engraving(locale) {
+    const src = data.engraving;
+    if (!src) return null;
+    return {
+      locale: locale || defaultLocale,
+      maxLength: src.maxLength,
+      keywords: localized(src.keywords, locale || defaultLocale, defaultLocale),
+      surfaces: Object.assign({}, src.surfaces),
+      defaultSurface: src.defaultSurface,
+    };
+  }
+
+  /**
+   * Tier blueprint (tierName is a tier key such as "mini"); null for undeclared tiers:
+   * { tier, label, layout: [lines], items: { min, max }, hero: [lines], bannedHeroes: [...], negatives: [lines] }
+   */
+  function blueprint(tierName) {
+    const bp = data.blueprints[tierName];
+    if (!bp) return null;
+    return {
+      tier: tierName,
+      label: bp.label,
+      layout: bp.layout.slice(),
+      items: { min: bp.items.min, max: bp.items.max },
+      hero: (bp.hero || []).slice(),
+      bannedHeroes: (bp.bannedHeroes || []).slice(),
+      negatives: (bp.negatives || []).slice(),
+    };
+  }
+
+  /**
+   * Output profile for a storefront placement (unknown/missing key => defaultPlacement):
+   * { placement, label, aspectRatio, format, quality, composition: [lines] }
+   */
+  function placement(key) {
+    const k = key && data.placements[key] ? key : data.defaultPlacement;
+    const pl = data.placements[k];
+    return {
+      placement: k,
+      label: pl.label,
+      aspectRatio: pl.aspectRatio,
+      format: pl.format,
+      quality: pl.quality,
+      composition: pl.composition.slice(),
+    };
+  }
+
+  // Category -> allowed-tier rule (tierName is a tier key such as "curated")
+  function tierAllows(includeKey, tierName) {
+    const item = data.include[includeKey];
+    return !!item && item.tiers.includes(tierName);
+  }
+
+  return {
+    version: data.version,
+    defaultLocale,
+    locales,
+    tiers: data.tiers.slice(),
+    placements: Object.keys(data.placements),
+    defaultPlacement: data.defaultPlacement,
+    includeLabel,
+    brandAliases,
+    brandPolicies,
+    brandMessages,
+    taxonomy,
+    recipientTerms,
+    profiles,
+    fieldLabels,
+    inspiration,
+    engraving,
+    placement,
+    blueprint,
+    tierAllows,
+  };
+}
+
+function loadCatalog(filePath) {
+  const p = filePath || process.env.MEANINGFULL_CATALOG_PATH;
+  return createCatalog(p ? readCatalogFile(p) : require("../../config/catalog.json"));
+}
+
+let active = null;
+
+/**
+ * The process-wide catalog (loaded + validated on first use).
+ */
+function getCatalog() {
+  if (!active) active = loadCatalog();
+  return active;
+}
+
+module.exports = { getCatalog, loadCatalog, createCatalog, validateCatalog };
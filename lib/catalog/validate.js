@@ -0,0 +1,379 @@
+// /lib/catalog/validate.js
+// Schema validation for the merchandising catalog (config/catalog.json).
+// Returns a list of human-readable errors ("include.watch.synonyms.en: expected non-empty array of strings").
+
+const GROUPS = ["female", "male", "neutral"];
+const LABEL_FIELDS = ["recipient", "vibe", "occasion", "notes", "social", "engraving", "engravingItem"];
+const ENGRAVING_MAX_LENGTH = 60;
+const OUTPUT_FORMATS = ["webp", "jpg", "png"];
+const BRAND_LICENSES = ["logo", "inspired", "none"];
+const BRAND_MESSAGES = ["unavailable", "tier", "category", "inspired"];
+
+function isObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function isStringList(v) {
+  return Array.isArray(v) && v.length > 0 && v.every((s) => typeof s === "string" && s.trim() !== "");
+}
+
+// locales: the catalog's declared locales (null = any locale key is accepted)
+function checkLocaleMap(errors, path, value, defaultLocale, locales) {
+  if (!isObject(value)) {
+    errors.push(path + ": expected an object of locale => synonyms");
+    return;
+  }
+  if (!value[defaultLocale]) errors.push(path + ": missing default locale \"" + defaultLocale + "\"");
+  for (const locale of Object.keys(value)) {
+    if (!isStringList(value[locale])) errors.push(path + "." + locale + ": expected non-empty array of strings");
+    else if (locales && !locales.has(locale)) errors.push(path + "." + locale + ": locale not listed in locales");
+  }
+}
+
+function isDomainList(v) {
+  return Array.isArray(v) && v.every((d) => typeof d === "string" && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(d));
+}
+
+// Optional section: inspiration platforms + styles (social/links field)
+function checkInspiration(errors, inspiration, locale, locales) {
+  if (!isObject(inspiration)) {
+    errors.push("inspiration: expected an object");
+    return;
+  }
+  const platforms = inspiration.platforms || {};
+  const styles = inspiration.styles || {};
+  if (!isObject(platforms)) errors.push("inspiration.platforms: expected an object");
+  else {
+    for (const key of Object.keys(platforms)) {
+      const p = platforms[key];
+      const path = "inspiration.platforms." + key;
+      if (!isObject(p) || typeof p.label !== "string" || !p.label.trim()) errors.push(path + ".label: expected a non-empty string");
+      else if (!isDomainList(p.domains) || !p.domains.length) errors.push(path + ".domains: expected non-empty array of lowercase domains");
+    }
+  }
+  if (!isObject(styles)) errors.push("inspiration.styles: expected an object");
+  else {
+    for (const key of Object.keys(styles)) {
+      const st = styles[key];
+      const path = "inspiration.styles." + key;
+      if (!isObject(st)) {
+        errors.push(path + ": expected an object");
+        continue;
+      }
+      if (typeof st.label !== "string" || !st.label.trim()) errors.push(path + ".label: expected a non-empty string");
+      checkLocaleMap(errors, path + ".synonyms", st.synonyms, locale, locales);
+      for (const f of ["vibe", "palette"]) {
+        if (typeof st[f] !== "string" || !st[f].trim()) errors.push(path + "." + f + ": expected a non-empty string");
+      }
+      if (st.domains !== undefined && !isDomainList(st.domains)) errors.push(path + ".domains: expected an array of lowercase domains");
+    }
+  }
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim() !== "";
+}
+
+// Recipient profile vocabulary + rule table (lib/recipient)
+function checkProfiles(errors, profiles, locale, locales) {
+  if (!isObject(profiles)) {
+    errors.push("profiles: expected an object");
+    return;
+  }
+  const sections = {};
+  for (const name of ["relationships", "ageBands", "interests", "vibes"]) {
+    sections[name] = isObject(profiles[name]) ? profiles[name] : {};
+    if (!isObject(profiles[name])) errors.push("profiles." + name + ": expected an object");
+  }
+
+  for (const key of Object.keys(sections.relationships)) {
+    checkLocaleMap(errors, "profiles.relationships." + key, sections.relationships[key], locale, locales);
+  }
+  for (const key of Object.keys(sections.ageBands)) {
+    const band = sections.ageBands[key];
+    const path = "profiles.ageBands." + key;
+    if (!isObject(band) || !Number.isInteger(band.min) || !Number.isInteger(band.max) || band.min > band.max) {
+      errors.push(path + ": expected integer min <= max");
+      continue;
+    }
+    if (band.synonyms !== undefined) checkLocaleMap(errors, path + ".synonyms", band.synonyms, locale, locales);
+  }
+  for (const key of Object.keys(sections.interests)) {
+    const item = sections.interests[key];
+    const path = "profiles.interests." + key;
+    if (!isObject(item)) {
+      errors.push(path + ": expected an object");
+      continue;
+    }
+    checkLocaleMap(errors, path + ".synonyms", item.synonyms, locale, locales);
+    if (!isStringList(item.props)) errors.push(path + ".props: expected non-empty array of strings");
+  }
+  for (const key of Object.keys(sections.vibes)) {
+    const vibe = sections.vibes[key];
+    const path = "profiles.vibes." + key;
+    if (!isObject(vibe)) {
+      errors.push(path + ": expected an object");
+      continue;
+    }
+    checkLocaleMap(errors, path + ".synonyms", vibe.synonyms, locale, locales);
+    if (!isNonEmptyString(vibe.palette)) errors.push(path + ".palette: expected a non-empty string");
+    for (const f of ["materials", "props"]) {
+      if (!isStringList(vibe[f])) errors.push(path + "." + f + ": expected non-empty array of strings");
+    }
+  }
+
+  if (!Array.isArray(profiles.rules) || !profiles.rules.length) {
+    errors.push("profiles.rules: expected a non-empty array");
+    return;
+  }
+  const known = {
+    group: GROUPS,
+    ageBand: Object.keys(sections.ageBands),
+    relationship: Object.keys(sections.relationships),
+    interest: Object.keys(sections.interests),
+  };
+  const ids = new Set();
+  profiles.rules.forEach((rule, i) => {
+    const path = "profiles.rules[" + i + "]";
+    if (!isObject(rule) || !isNonEmptyString(rule.id)) {
+      errors.push(path + ".id: expected a non-empty string");
+      return;
+    }
+    if (ids.has(rule.id)) errors.push(path + ".id: duplicate \"" + rule.id + "\"");
+    ids.add(rule.id);
+    if (!isObject(rule.when)) errors.push(path + ".when: expected an object");
+    else {
+      for (const cond of Object.keys(rule.when)) {
+        if (!known[cond]) errors.push(path + ".when." + cond + ": unknown condition");
+        else if (!known[cond].includes(rule.when[cond])) errors.push(path + ".when." + cond + ": unknown value \"" + rule.when[cond] + "\"");
+      }
+    }
+    if (rule.palette !== undefined && !isNonEmptyString(rule.palette)) errors.push(path + ".palette: expected a non-empty string");
+    for (const f of ["materials", "props"]) {
+      if (rule[f] !== undefined && !isStringList(rule[f])) errors.push(path + "." + f + ": expected non-empty array of strings");
+    }
+    if (rule.vibe !== undefined && !sections.vibes[rule.vibe]) errors.push(path + ".vibe: unknown vibe \"" + rule.vibe + "\"");
+  });
+  // the first rule is the fallback: it must always match and always set a palette
+  const first = profiles.rules[0];
+  if (isObject(first) && (!isObject(first.when) || Object.keys(first.when).length || !isNonEmptyString(first.palette))) {
+    errors.push("profiles.rules[0]: expected the default rule (empty when, with a palette)");
+  }
+}
+
+// Tier blueprints: { tier: { label, layout: [lines], items: { min, max }, hero?, bannedHeroes?, negatives? } };
+// every declared tier needs one, and only declared tiers may have one
+function checkBlueprints(errors, blueprints, tiers) {
+  if (!isObject(blueprints)) {
+    errors.push("blueprints: expected an object");
+    return;
+  }
+  for (const t of tiers) if (!blueprints[t]) errors.push("blueprints." + t + ": missing blueprint for tier");
+  for (const key of Object.keys(blueprints)) {
+    const path = "blueprints." + key;
+    const bp = blueprints[key];
+    if (!tiers.has(key)) errors.push(path + ": tier not listed in tiers");
+    if (!isObject(bp)) {
+      errors.push(path + ": expected an object");
+      continue;
+    }
+    if (!isNonEmptyString(bp.label)) errors.push(path + ".label: expected a non-empty string");
+    if (!isStringList(bp.layout)) errors.push(path + ".layout: expected non-empty array of strings");
+    const items = bp.items;
+    if (!isObject(items) || !Number.isInteger(items.min) || !Number.isInteger(items.max) || items.min < 1 || items.min > items.max) {
+      errors.push(path + ".items: expected integer 1 <= min <= max");
+    }
+    for (const f of ["hero", "bannedHeroes", "negatives"]) {
+      if (bp[f] !== undefined && !isStringList(bp[f])) errors.push(path + "." + f + ": expected non-empty array of strings");
+    }
+  }
+}
+
+// Output placements: { key: { label, aspectRatio "w:h", format, quality 1-100, composition: [lines] } }
+function checkPlacements(errors, placements, defaultPlacement) {
+  if (!isObject(placements) || !Object.keys(placements).length) {
+    errors.push("placements: expected a non-empty object");
+    return;
+  }
+  for (const key of Object.keys(placements)) {
+    const path = "placements." + key;
+    const pl = placements[key];
+    if (!isObject(pl)) {
+      errors.push(path + ": expected an object");
+      continue;
+    }
+    if (!isNonEmptyString(pl.label)) errors.push(path + ".label: expected a non-empty string");
+    if (typeof pl.aspectRatio !== "string" || !/^[1-9]\d*:[1-9]\d*$/.test(pl.aspectRatio)) {
+      errors.push(path + ".aspectRatio: expected \"width:height\" (e.g. \"4:5\")");
+    }
+    if (!OUTPUT_FORMATS.includes(pl.format)) errors.push(path + ".format: expected one of " + OUTPUT_FORMATS.join(", "));
+    if (!Number.isInteger(pl.quality) || pl.quality < 1 || pl.quality > 100) errors.push(path + ".quality: expected an integer 1-100");
+    if (!isStringList(pl.composition)) errors.push(path + ".composition: expected non-empty array of strings");
+  }
+  if (!placements[defaultPlacement]) errors.push("defaultPlacement: unknown placement \"" + defaultPlacement + "\"");
+}
+
+// Brand policies: aliases + misspellings (+ context terms for everyday-word aliases), license
+// (logo / inspired-by styling / none), the items and tiers a licensed brand may appear on, and
+// the generic equivalent used when it can't
+function checkBrands(errors, brands, includeKeys, tiers) {
+  if (!isObject(brands)) {
+    errors.push("brands: expected an object");
+    return;
+  }
+  for (const key of Object.keys(brands)) {
+    const brand = brands[key];
+    const path = "brands." + key;
+    if (!isObject(brand)) {
+      errors.push(path + ": expected an object");
+      continue;
+    }
+    if (!isNonEmptyString(brand.label)) errors.push(path + ".label: expected a non-empty string");
+    if (!isStringList(brand.aliases)) errors.push(path + ".aliases: expected non-empty array of strings");
+    if (brand.misspellings !== undefined && !isStringList(brand.misspellings)) {
+      errors.push(path + ".misspellings: expected non-empty array of strings");
+    }
+    if (brand.fuzzy !== undefined && typeof brand.fuzzy !== "boolean") errors.push(path + ".fuzzy: expected true or false");
+    if (brand.context !== undefined && !isStringList(brand.context)) errors.push(path + ".context: expected non-empty array of strings");
+    if (!BRAND_LICENSES.includes(brand.license)) errors.push(path + ".license: expected one of " + BRAND_LICENSES.join(", "));
+    if (brand.license === "inspired" && !isNonEmptyString(brand.style)) {
+      errors.push(path + ".style: expected a non-empty string (inspired-by styling)");
+    }
+    if (!isNonEmptyString(brand.generic)) errors.push(path + ".generic: expected a non-empty string");
+    if (brand.categories !== undefined) {
+      if (!isStringList(brand.categories)) errors.push(path + ".categories: expected non-empty array of strings");
+      else for (const c of brand.categories) if (!includeKeys.has(c)) errors.push(path + ".categories: unknown include key \"" + c + "\"");
+    }
+    if (brand.tiers !== undefined) {
+      if (!isStringList(brand.tiers)) errors.push(path + ".tiers: expected non-empty array of strings");
+      else for (const t of brand.tiers) if (!tiers.has(t)) errors.push(path + ".tiers: unknown tier \"" + t + "\"");
+    }
+  }
+}
+
+// Customer-facing brand explanations: { reason: { locale: "template with {brand} / {tier}" } }
+function checkBrandMessages(errors, messages, defaultLocale, locales) {
+  if (!isObject(messages)) {
+    errors.push("brandMessages: expected an object");
+    return;
+  }
+  for (const reason of BRAND_MESSAGES) {
+    const path = "brandMessages." + reason;
+    const byLocale = messages[reason];
+    if (!isObject(byLocale)) {
+      errors.push(path + ": expected an object of locale => message");
+      continue;
+    }
+    if (!byLocale[defaultLocale]) errors.push(path + ": missing default locale \"" + defaultLocale + "\"");
+    for (const locale of Object.keys(byLocale)) {
+      if (!isNonEmptyString(byLocale[locale])) errors.push(path + "." + locale + ": expected a non-empty string");
+      else if (locales && !locales.has(locale)) errors.push(path + "." + locale + ": locale not listed in locales");
+    }
+  }
+}
+
+// Optional section: engraving mode (notes keywords, text length cap, where text may go per item)
+function checkEngraving(errors, engraving, includeKeys, locale, locales) {
+  if (!isObject(engraving)) {
+    errors.push("engraving: expected an object");
+    return;
+  }
+  const max = engraving.maxLength;
+  if (!Number.isInteger(max) || max < 1 || max > ENGRAVING_MAX_LENGTH) {
+    errors.push("engraving.maxLength: expected an integer 1-" + ENGRAVING_MAX_LENGTH);
+  }
+  checkLocaleMap(errors, "engraving.keywords", engraving.keywords, locale, locales);
+  if (!isObject(engraving.surfaces) || !Object.keys(engraving.surfaces).length) {
+    errors.push("engraving.surfaces: expected a non-empty object");
+    return;
+  }
+  for (const key of Object.keys(engraving.surfaces)) {
+    const path = "engraving.surfaces." + key;
+    if (key !== "box" && !includeKeys.has(key)) errors.push(path + ": unknown include key");
+    else if (!isNonEmptyString(engraving.surfaces[key])) errors.push(path + ": expected a non-empty string");
+  }
+  if (!engraving.surfaces[engraving.defaultSurface]) {
+    errors.push("engraving.defaultSurface: unknown surface \"" + engraving.defaultSurface + "\"");
+  }
+}
+
+function validateCatalog(catalog) {
+  const errors = [];
+  if (!isObject(catalog)) return ["catalog: expected an object"];
+
+  if (typeof catalog.version !== "string" || !catalog.version.trim()) errors.push("version: expected a non-empty string");
+  if (typeof catalog.defaultLocale !== "string" || !catalog.defaultLocale) {
+    errors.push("defaultLocale: expected a locale code");
+  }
+  if (!isStringList(catalog.tiers)) errors.push("tiers: expected non-empty array of strings");
+
+  const locale = catalog.defaultLocale || "en";
+  let locales = null;
+  if (catalog.locales !== undefined) {
+    if (!isStringList(catalog.locales)) errors.push("locales: expected non-empty array of locale codes");
+    else {
+      locales = new Set(catalog.locales);
+      if (!locales.has(locale)) errors.push("locales: must include defaultLocale \"" + locale + "\"");
+    }
+  }
+  const tiers = new Set(Array.isArray(catalog.tiers) ? catalog.tiers : []);
+
+  if (!isObject(catalog.include)) errors.push("include: expected an object");
+  else {
+    for (const key of Object.keys(catalog.include)) {
+      const item = catalog.include[key];
+      const path = "include." + key;
+      if (!isObject(item)) {
+        errors.push(path + ": expected an object");
+        continue;
+      }
+      if (typeof item.label !== "string" || !item.label.trim()) errors.push(path + ".label: expected a non-empty string");
+      checkLocaleMap(errors, path + ".synonyms", item.synonyms, locale, locales);
+      if (!isStringList(item.tiers)) errors.push(path + ".tiers: expected non-empty array of strings");
+      else {
+        for (const t of item.tiers) if (!tiers.has(t)) errors.push(path + ".tiers: unknown tier \"" + t + "\"");
+      }
+    }
+  }
+
+  if (!isObject(catalog.avoid)) errors.push("avoid: expected an object");
+  else {
+    for (const key of Object.keys(catalog.avoid)) {
+      const item = catalog.avoid[key];
+      if (!isObject(item)) errors.push("avoid." + key + ": expected an object");
+      else checkLocaleMap(errors, "avoid." + key + ".synonyms", item.synonyms, locale, locales);
+    }
+  }
+
+  checkBrands(errors, catalog.brands, new Set(isObject(catalog.include) ? Object.keys(catalog.include) : []), tiers);
+  checkBrandMessages(errors, catalog.brandMessages, locale, locales);
+
+  if (!isObject(catalog.recipientGroups)) errors.push("recipientGroups: expected an object");
+  else {
+    for (const g of ["female", "male"]) checkLocaleMap(errors, "recipientGroups." + g, catalog.recipientGroups[g], locale, locales);
+  }
+
+  checkBlueprints(errors, catalog.blueprints, tiers);
+  checkProfiles(errors, catalog.profiles, locale, locales);
+  checkPlacements(errors, catalog.placements, catalog.defaultPlacement);
+
+  if (catalog.inspiration !== undefined) checkInspiration(errors, catalog.inspiration, locale, locales);
+  if (catalog.engraving !== undefined) {
+    checkEngraving(errors, catalog.engraving, new Set(isObject(catalog.include) ? Object.keys(catalog.include) : []), locale, locales);
+  }
+
+  // Optional: storefront option-set labels per field and locale ("¿Para quién es este regalo?")
+  if (catalog.fieldLabels !== undefined) {
+    if (!isObject(catalog.fieldLabels)) errors.push("fieldLabels: expected an object");
+    else {
+      for (const field of Object.keys(catalog.fieldLabels)) {
+        if (!LABEL_FIELDS.includes(field)) errors.push("fieldLabels." + field + ": unknown field");
+        else checkLocaleMap(errors, "fieldLabels." + field, catalog.fieldLabels[field], locale, locales);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateCatalog };
@@ -0,0 +1,180 @@
+// /lib/engraving/index.js
+// Engraving / monogram mode: one short personalization string on one item.
+//
+// Where the text comes from:
+// - the engraving field (option set "Engraving" / "Monogram")
+// - else Notes: a quoted string ("engrave 'Happy 40th' on the wallet", « Joyeux 40 ans ») or
+//   capital initials ("her initials J.M. on the wallet") near an engraving keyword (catalog,
+//   per locale). Initials must share a clause with the keyword ("engrave J.M. on it", not
+//   "engrave the box, loves USA trips"), and a negated keyword ("no engraving", "she doesn't
+//   want a monogram") never counts
+//
+// Where it goes: the engravingItem field ("Engrave on"), else the first item the notes name after
+// the text, else the nearest engravable one before it
+// - no target named: the first engravable item the notes ask for, else the catalog default
+//   surface (the gift box lid)
+//
+// The text is validated like an input field: length (catalog maxLength), a plain charset
+// (letters, digits, space and . , ' & ! ? - + # / :) and the profanity list (./profanity).
+// Notes that ask for engraving without saying what to engrave give { text: null } — the
+// no-text rule then stays as it is.
+//
+// Codes (HTTP status): ENGRAVING_TOO_LONG (400, see `limit`), ENGRAVING_CHARSET (400),
+// ENGRAVING_UNSAFE (422), ENGRAVING_ITEM_UNSUPPORTED (400, see `allowed`)
+
+const { matchNotes, findTerms } = require("../notes/matcher");
+const { findProfanity } = require("./profanity");
+
+const CHARSET = /^[\p{Script=Latin}\p{N} .,'&!?+#\/:-]+$/u;
+const WINDOW_BEFORE = 80;
+const WINDOW_AFTER = 60;
+// "..." “...” «...» „...“, or '...' / ‘...’ standing alone (never an apostrophe inside a word)
+const QUOTED = /["“”«»„]\s*([^"“”«»„\n]{1,80}?)\s*["“”«»]|(?:^|[\s(:])['‘’]([^'‘’\n]{1,80}?)['‘’](?=$|[\s.,!?;:)])/gu;
+const INITIALS = /(?:^|[\s(:])((?:\p{Lu}\.\s?){2,3}|\p{Lu}{2,3})(?=$|[\s,;!?)]|\.(?:\s|$))/gu;
+// Clause ends: , ; ! ? newline, or a full stop after anything but a capital ("J.M." stays whole)
+const CLAUSE_BREAK = /[,;!?\n]|[^\p{Lu}\s]\.(?=\s|$)/gu;
+
+function reject(status, code, error, extra) {
+  return Object.assign({ ok: false, status, code, error }, extra || {});
+}
+
+function cleanText(value) {
+  return String(value || "")
+    .trim()
+    .replace(/^["“”«»„'‘’]+|["“”«»„'‘’]+$/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// A keyword mention outside every negation scope (lib/notes/matcher)
+function asksForEngraving(text, vocabulary, locale) {
+  return matchNotes(text, { include: { engraving: vocabulary.keywords }, avoid: {} }, locale).includes.length > 0;
+}
+
+// The clause of text that holds [start, end)
+function clauseAround(text, start, end) {
+  let from = 0;
+  let to = text.length;
+  CLAUSE_BREAK.lastIndex = 0;
+  let m;
+  while ((m = CLAUSE_BREAK.exec(text)) !== null) {
+    const stop = m.index + m[0].length;
+    if (stop <= start) from = stop;
+    else if (m.index >= end) {
+      to = stop - 1; // the break itself (or the full stop) is not part of the clause
+      break;
+    }
+  }
+  return text.slice(from, to);
+}
+
+function includesIn(text, taxonomy, locale) {
+  return matchNotes(text, { include: taxonomy.include, avoid: {} }, locale).includes;
+}
+
+/**
+ * The personalization string + where it sits in the notes (null when the notes don't ask).
+ * => { text, before, after } | { text: null } (keyword but nothing to engrave) | null
+ */
+function findInNotes(notes, vocabulary, locale) {
+  const text = String(notes || "");
+  if (!findTerms(text, vocabulary.keywords, locale).length) return null;
+  if (!asksForEngraving(text, vocabulary, locale)) return null;
+
+  const near = (start, end) => ({
+    before: text.slice(Math.max(0, start - WINDOW_BEFORE), start),
+    after: text.slice(end, end + WINDOW_AFTER),
+  });
+  for (const pattern of [QUOTED, INITIALS]) {
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+      const value = m[1] || m[2];
+      const start = m.index + m[0].indexOf(value);
+      const w = near(start, start + value.length);
+      const context = pattern === INITIALS ? clauseAround(text, start, start + value.length) : w.before + " . " + w.after;
+      if (asksForEngraving(context, vocabulary, locale)) return Object.assign({ text: value }, w);
+    }
+  }
+  return { text: null };
+}
+
+/**
+ * validateEngravingText(text, { maxLength, field }) => { ok: true, text } | rejection
+ */
+function validateEngravingText(raw, opts) {
+  const text = cleanText(raw);
+  const field = opts.field;
+  if (text.length > opts.maxLength) {
+    return reject(400, "ENGRAVING_TOO_LONG", "Engraving text is too long", { field, limit: opts.maxLength });
+  }
+  if (!CHARSET.test(text) || !/[\p{L}\p{N}]/u.test(text)) {
+    return reject(400, "ENGRAVING_CHARSET", "Engraving can use letters, numbers, spaces and . , ' & ! ? - + # / :", { field });
+  }
+  if (findProfanity(text).length) {
+    return reject(422, "ENGRAVING_UNSAFE", "This engraving includes words we can't engrave", { field });
+  }
+  return { ok: true, text };
+}
+
+/**
+ * resolveEngraving({ engraving?, engravingItem?, notes? }, { vocabulary, taxonomy, locale?, tierAllows? })
+ * vocabulary = catalog.engraving(locale); taxonomy = catalog.taxonomy(locale);
+ * tierAllows(includeKey) => bool (the tier's item rules)
+ * => { ok: true, engraving: null | { text, item, surface, source: "field" | "notes" } } | rejection
+ */
+function resolveEngraving(inputs, opts) {
+  const vocabulary = opts.vocabulary;
+  const i = inputs || {};
+  if (!vocabulary) return { ok: true, engraving: null };
+
+  const locale = opts.locale || vocabulary.locale;
+  const tierAllows = opts.tierAllows || (() => true);
+  const surfaces = vocabulary.surfaces;
+  const engravable = (key) => !!surfaces[key] && (key === "box" || tierAllows(key));
+
+  let raw;
+  let source;
+  let target = null;
+  let targetField = null;
+
+  // The item field wins over anything the notes say
+  if (cleanText(i.engravingItem)) {
+    target = includesIn(i.engravingItem, opts.taxonomy, locale)[0] || "unknown";
+    targetField = "engravingItem";
+  }
+
+  if (cleanText(i.engraving)) {
+    raw = i.engraving;
+    source = "field";
+  } else {
+    const found = findInNotes(i.notes, vocabulary, locale);
+    if (!found) return { ok: true, engraving: null };
+    if (!found.text) return { ok: true, engraving: { text: null, item: null, surface: null, source: "notes" } };
+    raw = found.text;
+    source = "notes";
+    if (!target) {
+      const after = includesIn(found.after, opts.taxonomy, locale);
+      const before = includesIn(found.before, opts.taxonomy, locale).reverse();
+      target = after[0] || before.find(engravable) || null;
+      if (target) targetField = "notes";
+    }
+  }
+
+  const checked = validateEngravingText(raw, { maxLength: vocabulary.maxLength, field: source === "field" ? "engraving" : "notes" });
+  if (!checked.ok) return checked;
+
+  if (target && !engravable(target)) {
+    return reject(400, "ENGRAVING_ITEM_UNSUPPORTED", "We can't engrave that item", {
+      field: targetField,
+      allowed: Object.keys(surfaces).filter(engravable),
+    });
+  }
+  if (!target) {
+    target = includesIn(i.notes || "", opts.taxonomy, locale).find(engravable) || vocabulary.defaultSurface;
+  }
+
+  return { ok: true, engraving: { text: checked.text, item: target, surface: surfaces[target], source } };
+}
+
+module.exports = { resolveEngraving, validateEngravingText, findInNotes };
@@ -0,0 +1,62 @@
+// /lib/engraving/profanity.js
+// Words we never engrave, in every storefront language (an engraving's language need not match
+// the storefront's). Checked per word after undoing common letter swaps ("sh1t", "@ss") and on
+// spelled-out letters ("F.U.C.K", "a s s"), so initials can't smuggle a word in either.
+//
+// Env (optional):
+// - MEANINGFULL_ENGRAVING_BLOCKLIST="word,word" (extra words, e.g. competitor or staff names)
+
+const { findTerms } = require("../notes/matcher");
+
+const WORDS = [
+  // en
+  "fuck", "fucking", "fucker", "motherfucker", "shit", "bullshit", "bitch", "bastard", "asshole", "ass", "arse",
+  "dick", "cock", "cunt", "pussy", "slut", "whore", "twat", "wanker", "prick", "piss", "bollocks", "retard", "fag", "faggot",
+  // es
+  "puta", "puto", "mierda", "joder", "coño", "cabrón", "pendejo", "verga", "culo", "zorra", "gilipollas", "chingar", "chinga",
+  // fr
+  "merde", "putain", "pute", "salope", "connard", "connasse", "enculé", "couille", "couilles", "bordel",
+];
+
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s" };
+
+function blocklist() {
+  const extra = String(process.env.MEANINGFULL_ENGRAVING_BLOCKLIST || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return WORDS.concat(extra);
+}
+
+// "sh1t" => "shit"; only inside words that also have letters ("40th" stays a number)
+function undoLeet(text) {
+  return String(text || "").replace(/[\p{L}\p{N}@$]+/gu, (word) =>
+    /\p{L}/u.test(word) ? word.replace(/[013457@$]/g, (ch) => LEET[ch]) : word
+  );
+}
+
+// Runs of single letters ("F.U.C.K", "a s s") joined back into words
+function spelledOut(text) {
+  const runs = [];
+  let run = "";
+  for (const token of String(text || "").split(/[\s.\-_*]+/)) {
+    if (/^\p{L}$/u.test(token)) run += token;
+    else {
+      if (run.length > 1) runs.push(run);
+      run = "";
+    }
+  }
+  if (run.length > 1) runs.push(run);
+  return runs.join(" ");
+}
+
+/**
+ * The blocked words found in text ([] when clean).
+ */
+function findProfanity(text) {
+  const words = blocklist();
+  const plain = undoLeet(text);
+  return Array.from(new Set(findTerms(plain, words, "en").concat(findTerms(spelledOut(plain), words, "en"))));
+}
+
+module.exports = { findProfanity, WORDS };
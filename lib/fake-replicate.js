@@ -0,0 +1,81 @@
+// /lib/fake-replicate.js
+// Offline stand-in for the Replicate client (run + predictions.create/get).
+//
+// Prediction state is derived from the prediction id itself (creation time + outcome),
+// so separate serverless functions see the same prediction without sharing memory:
+// starting -> processing (after durationMs / 2) -> succeeded or failed (after durationMs).
+// Pass { fail: true } to simulate model failures (or { failModels: ["owner/model"] } for just
+// those models, e.g. to exercise a fallback chain), { durationMs: 0 } to finish immediately.
+
+const crypto = require("crypto");
+
+const PLACEHOLDER_URL = "https://placehold.co/1024x1024/webp?text=Meaningfull+Preview";
+
+function parseFakeId(id) {
+  const m = String(id || "").match(/^fake-([0-9]+)-([0-9]+)-([sf])-[0-9a-f]+$/);
+  if (!m) return null;
+  return { createdAt: Number(m[1]), durationMs: Number(m[2]), fail: m[3] === "f" };
+}
+
+function createFakeReplicate(opts) {
+  const failModels = (opts && opts.failModels) || [];
+  const fails = (model) => !!(opts && opts.fail) || failModels.includes(model);
+  const outputUrl = (opts && opts.outputUrl) || PLACEHOLDER_URL;
+  const durationMs = opts && opts.durationMs !== undefined ? Number(opts.durationMs) : 2000;
+  const calls = [];
+
+  function newId(ms, failed) {
+    return "fake-" + Date.now() + "-" + ms + "-" + (failed ? "f" : "s") + "-" + crypto.randomBytes(4).toString("hex");
+  }
+
+  function snapshot(id) {
+    const info = parseFakeId(id);
+    if (!info) throw new Error("Prediction not found: " + id);
+
+    const elapsed = Date.now() - info.createdAt;
+    const p = { id, status: "starting", output: null, error: null };
+    if (elapsed >= info.durationMs) {
+      if (info.fail) {
+        p.status = "failed";
+        p.error = "Fake prediction failed";
+      } else {
+        p.status = "succeeded";
+        p.output = [outputUrl];
+      }
+    } else if (elapsed >= info.durationMs / 2) {
+      p.status = "processing";
+    }
+    return p;
+  }
+
+  return {
+    calls,
+
+    // progress(prediction) mirrors the real client (called with the finished prediction)
+    async run(model, options, progress) {
+      calls.push({ method: "run", model, input: options && options.input });
+      if (fails(model)) throw new Error("Fake Replicate run failed");
+      if (typeof progress === "function") progress(snapshot(newId(0, false)));
+      return [outputUrl];
+    },
+
+    predictions: {
+      async create(options) {
+        calls.push({ method: "predictions.create", model: options && options.model, input: options && options.input });
+        const id = newId(durationMs, fails(options && options.model));
+        return Object.assign(snapshot(id), {
+          model: options && options.model,
+          input: options && options.input,
+          webhook: (options && options.webhook) || null,
+        });
+      },
+
+      async get(id) {
+        calls.push({ method: "predictions.get", id });
+        return snapshot(id);
+      },
+    },
+  };
+}
+
+module.exports = { createFakeReplicate, PLACEHOLDER_URL };
@@ -0,0 +1,198 @@
+// /lib/guard/index.js
+// Abuse protection for /api/generate-preview, checked before validation and the quota:
+//
+// - origin allowlist (our Shopify domains); CORS echoes only allowed origins
+// - kill switch: every generation refused with a friendly "temporarily unavailable"
+// - signed requests (optional): only calls forwarded by our Shopify app proxy are accepted
+// - per-IP token bucket: bursts from one address are throttled (429 + Retry-After)
+// - daily global spend cap (./spend): generations stop once today's estimated cost would
+//   pass the cap, same friendly error until the next UTC day
+//
+// Rejections: { ok: false, status, code, error, retryAfterSec? }
+// - ORIGIN_NOT_ALLOWED (403), SIGNATURE_INVALID (401), RATE_LIMITED (429),
+//   PREVIEWS_UNAVAILABLE (503; kill switch or spend cap)
+//
+// Env (optional):
+// - MEANINGFULL_ALLOWED_ORIGINS="https://meaningfull.com,https://*.myshopify.com" (default: any)
+// - MEANINGFULL_PREVIEWS_DISABLED="true" (kill switch)
+// - MEANINGFULL_REQUIRE_SIGNED_REQUESTS="true" + MEANINGFULL_APP_PROXY_SECRET (Shopify app secret)
+// - MEANINGFULL_RATE_LIMIT_BURST (default 5) / MEANINGFULL_RATE_LIMIT_PER_MINUTE (default 6; 0 = off)
+// - MEANINGFULL_RATE_LIMIT_STORE="memory" | "redis" (default redis when a quota Redis URL is set)
+// - MEANINGFULL_DAILY_SPEND_CAP_USD (default: no cap)
+// - MEANINGFULL_GENERATION_COSTS='{"openai":0.04,"black-forest-labs/flux-dev":0.025}' (USD per image)
+// - MEANINGFULL_SPEND_STORE="memory" | "file" | "redis" (default like the quota store) / MEANINGFULL_SPEND_FILE
+
+const { parseOriginList, originAllowed } = require("./origin");
+const { createTokenBucket, createMemoryBucketStore, createRedisBucketStore } = require("./token-bucket");
+const {
+  createSpendBudget,
+  createMemorySpendStore,
+  createFileSpendStore,
+  createRedisSpendStore,
+  msUntilReset,
+  DEFAULT_COSTS,
+} = require("./spend");
+const { verifyAppProxySignature } = require("../shopify");
+const { logger } = require("../telemetry/logger");
+
+const DEFAULT_BURST = 5;
+const DEFAULT_PER_MINUTE = 6;
+const UNAVAILABLE_MESSAGE = "Previews are temporarily unavailable. Please try again later.";
+
+function reject(status, code, error, extra) {
+  return Object.assign({ ok: false, status, code, error }, extra || {});
+}
+
+function unavailable(retryAfterMs) {
+  return reject(503, "PREVIEWS_UNAVAILABLE", UNAVAILABLE_MESSAGE, retryAfterMs ? { retryAfterSec: Math.ceil(retryAfterMs / 1000) } : null);
+}
+
+function isTrue(v) {
+  return String(v || "").toLowerCase() === "true";
+}
+
+function redisClient() {
+  const url = process.env.MEANINGFULL_QUOTA_REDIS_URL || process.env.REDIS_URL || "";
+  if (!url) return null;
+  let Redis;
+  try {
+    Redis = require("ioredis");
+  } catch (e) {
+    throw new Error("Redis guard stores need the ioredis package installed");
+  }
+  return new Redis(url);
+}
+
+/**
+ * createGuard({ allowedOrigins?, disabled?, signing?: { required, secret }, bucket?, budget? })
+ * - originAllowed(req) => boolean
+ * - admit(req, { ip }) => { ok: true, signed: { shop, customerId } | null } | rejection
+ * - reserveSpend(usd) => { ok: true, reservation } | rejection; settleSpend / releaseSpend
+ */
+function createGuard(opts) {
+  const o = opts || {};
+  const allowlist = o.allowedOrigins || [];
+  const signing = o.signing || { required: false, secret: "" };
+  const bucket = o.bucket || null;
+  const budget = o.budget || createSpendBudget();
+
+  function isOriginAllowed(req) {
+    return originAllowed(((req && req.headers) || {}).origin, allowlist);
+  }
+
+  async function admit(req, ctx) {
+    if (!isOriginAllowed(req)) return reject(403, "ORIGIN_NOT_ALLOWED", "Origin not allowed");
+    if (o.disabled) return unavailable(null);
+
+    let signed = null;
+    if (signing.required) {
+      const verdict = verifyAppProxySignature(req, signing.secret);
+      if (!verdict.ok) return reject(401, "SIGNATURE_INVALID", "Request signature is missing or invalid");
+      signed = { shop: verdict.shop, customerId: verdict.customerId };
+    }
+
+    const ip = (ctx && ctx.ip) || "";
+    if (bucket && ip) {
+      const taken = await bucket.take("ip:" + ip);
+      if (!taken.allowed) {
+        return reject(429, "RATE_LIMITED", "Too many requests, slow down", { retryAfterSec: Math.ceil(taken.retryAfterMs / 1000) });
+      }
+    }
+
+    return { ok: true, signed };
+  }
+
+  async function reserveSpend(usd) {
+    const r = await budget.reserve(usd);
+    if (!r.allowed) {
+      logger.warn("guard.spend_cap_reached", { spentUsd: r.spentUsd, capUsd: budget.capUsd, note: "previews paused" });
+      return unavailable(msUntilReset());
+    }
+    return { ok: true, reservation: r.reservation };
+  }
+
+  return {
+    originAllowed: isOriginAllowed,
+    allowlist,
+    admit,
+    reserveSpend,
+    settleSpend: budget.settle,
+    releaseSpend: budget.release,
+    costOf: budget.costOf,
+    budget,
+  };
+}
+
+function bucketFromEnv() {
+  const burst = Number(process.env.MEANINGFULL_RATE_LIMIT_BURST || DEFAULT_BURST);
+  const perMinute = Number(process.env.MEANINGFULL_RATE_LIMIT_PER_MINUTE === undefined ? DEFAULT_PER_MINUTE : process.env.MEANINGFULL_RATE_LIMIT_PER_MINUTE);
+  if (!(burst > 0) || !(perMinute > 0)) return null;
+
+  const hasRedis = !!(process.env.MEANINGFULL_QUOTA_REDIS_URL || process.env.REDIS_URL);
+  const kind = String(process.env.MEANINGFULL_RATE_LIMIT_STORE || (hasRedis ? "redis" : "memory")).toLowerCase();
+  let store;
+  if (kind === "memory") store = createMemoryBucketStore();
+  else if (kind === "redis") {
+    const client = redisClient();
+    if (!client) throw new Error("MEANINGFULL_RATE_LIMIT_STORE=redis needs MEANINGFULL_QUOTA_REDIS_URL or REDIS_URL");
+    store = createRedisBucketStore({ client });
+  } else throw new Error("Unknown MEANINGFULL_RATE_LIMIT_STORE: " + kind);
+
+  return createTokenBucket({ capacity: burst, refillPerMinute: perMinute, store });
+}
+
+function budgetFromEnv() {
+  let costs = null;
+  if (process.env.MEANINGFULL_GENERATION_COSTS) {
+    try {
+      costs = JSON.parse(process.env.MEANINGFULL_GENERATION_COSTS);
+    } catch (e) {
+      throw new Error("MEANINGFULL_GENERATION_COSTS is not valid JSON");
+    }
+  }
+  const rawCap = process.env.MEANINGFULL_DAILY_SPEND_CAP_USD;
+  const capUsd = rawCap === undefined || rawCap === "" ? null : Number(rawCap);
+  if (capUsd !== null && !(capUsd >= 0)) throw new Error("MEANINGFULL_DAILY_SPEND_CAP_USD must be a number >= 0");
+
+  const hasRedis = !!(process.env.MEANINGFULL_QUOTA_REDIS_URL || process.env.REDIS_URL);
+  const kind = String(process.env.MEANINGFULL_SPEND_STORE || process.env.MEANINGFULL_QUOTA_STORE || (hasRedis ? "redis" : "file")).toLowerCase();
+  let store;
+  if (kind === "memory") store = createMemorySpendStore();
+  else if (kind === "file") store = createFileSpendStore({ filePath: process.env.MEANINGFULL_SPEND_FILE });
+  else if (kind === "redis") {
+    const client = redisClient();
+    if (!client) throw new Error("MEANINGFULL_SPEND_STORE=redis needs MEANINGFULL_QUOTA_REDIS_URL or REDIS_URL");
+    store = createRedisSpendStore({ client });
+  } else throw new Error("Unknown MEANINGFULL_SPEND_STORE: " + kind);
+
+  return createSpendBudget({ capUsd, costs, store });
+}
+
+function guardFromEnv() {
+  const required = isTrue(process.env.MEANINGFULL_REQUIRE_SIGNED_REQUESTS);
+  const secret = process.env.MEANINGFULL_APP_PROXY_SECRET || "";
+  if (required && !secret) throw new Error("MEANINGFULL_REQUIRE_SIGNED_REQUESTS needs MEANINGFULL_APP_PROXY_SECRET");
+
+  return createGuard({
+    allowedOrigins: parseOriginList(process.env.MEANINGFULL_ALLOWED_ORIGINS),
+    disabled: isTrue(process.env.MEANINGFULL_PREVIEWS_DISABLED),
+    signing: { required, secret },
+    bucket: bucketFromEnv(),
+    budget: budgetFromEnv(),
+  });
+}
+
+module.exports = {
+  createGuard,
+  guardFromEnv,
+  createTokenBucket,
+  createMemoryBucketStore,
+  createRedisBucketStore,
+  createSpendBudget,
+  createMemorySpendStore,
+  createFileSpendStore,
+  createRedisSpendStore,
+  parseOriginList,
+  originAllowed,
+  DEFAULT_COSTS,
+};
@@ -0,0 +1,35 @@
+// /lib/guard/origin.js
+// Origin allowlist for the browser-facing routes.
+//
+// Entries are exact origins ("https://meaningfull.com") or one wildcard subdomain level
+// ("https://*.myshopify.com"). An empty list keeps the old behavior: any origin ("*").
+
+function parseOriginList(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+function originMatches(origin, entry) {
+  if (entry === "*") return true;
+  if (!entry.includes("*.")) return origin === entry;
+  const [scheme, host] = entry.split("*.");
+  if (!origin.startsWith(scheme)) return false;
+  const rest = origin.slice(scheme.length);
+  // exactly one label before the allowed host ("shop.myshopify.com", not "a.b.myshopify.com")
+  return rest.endsWith("." + host) && /^[a-z0-9-]+$/.test(rest.slice(0, -(host.length + 1)));
+}
+
+/**
+ * originAllowed(origin, allowlist) — no allowlist => every origin; no Origin header => allowed
+ * (server-to-server calls and same-origin app proxy requests; use signed requests to lock those down).
+ */
+function originAllowed(origin, allowlist) {
+  if (!allowlist || !allowlist.length) return true;
+  const o = String(origin || "").trim().toLowerCase();
+  if (!o) return true;
+  return allowlist.some((entry) => originMatches(o, entry));
+}
+
+module.exports = { parseOriginList, originAllowed };
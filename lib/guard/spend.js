@@ -0,0 +1,166 @@
+// /lib/guard/spend.js
+// Daily global spend budget for model calls.
+//
+// Every generation reserves its estimated cost (per provider / model, in USD) against today's
+// (UTC) budget before the model is called; the request is refused once the cap would be
+// exceeded. After the call the reservation is settled to what actually ran (verification
+// retries included) or released when nothing was generated.
+//
+// Amounts are kept as integer micro-dollars so concurrent updates never drift.
+//
+// Stores:
+// - memory: per instance (tests, local dev)
+// - file: JSON on disk behind the quota lock (default; same host/volume)
+// - redis: INCRBY per day key; over-cap reservations are rolled back (never over-granted)
+
+const { createLockedJsonFile } = require("../quota/file-store");
+
+const KEY_PREFIX = "meaningfull:spend:";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MICROS = 1000000;
+
+// Rough list prices per image; override with MEANINGFULL_GENERATION_COSTS
+const DEFAULT_COSTS = {
+  replicate: 0.03,
+  openai: 0.04,
+  mock: 0,
+};
+
+function dayKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function toMicros(usd) {
+  return Math.round(Number(usd) * MICROS);
+}
+
+function reserveIn(data, day, amount, cap) {
+  const spent = Number(data[day]) || 0;
+  if (cap !== null && spent + amount > cap) return { allowed: false, spent };
+  data[day] = spent + amount;
+  return { allowed: true, spent: spent + amount };
+}
+
+function addIn(data, day, amount) {
+  data[day] = Math.max(0, (Number(data[day]) || 0) + amount);
+  return data[day];
+}
+
+function createMemorySpendStore() {
+  const data = {};
+  return {
+    kind: "memory",
+    async reserve(day, amount, cap) {
+      return reserveIn(data, day, amount, cap);
+    },
+    async add(day, amount) {
+      return addIn(data, day, amount);
+    },
+  };
+}
+
+function createFileSpendStore(opts) {
+  const { withData } = createLockedJsonFile((opts && opts.filePath) || "/tmp/meaningfull-spend.json");
+  const prune = (data, day) => {
+    for (const k of Object.keys(data)) if (k < dayKey(Date.parse(day) - DAY_MS)) delete data[k];
+  };
+  return {
+    kind: "file",
+    async reserve(day, amount, cap) {
+      return withData((data) => {
+        prune(data, day);
+        return reserveIn(data, day, amount, cap);
+      });
+    },
+    async add(day, amount) {
+      return withData((data) => addIn(data, day, amount));
+    },
+  };
+}
+
+function createRedisSpendStore(opts) {
+  const client = opts && opts.client;
+  if (!client || typeof client.incrby !== "function") {
+    throw new Error("Redis spend store requires an ioredis-compatible client");
+  }
+  const prefix = (opts && opts.prefix) || KEY_PREFIX;
+
+  async function add(day, amount) {
+    const total = Number(await client.incrby(prefix + day, amount));
+    await client.pexpire(prefix + day, 2 * DAY_MS);
+    return total;
+  }
+
+  return {
+    kind: "redis",
+    async reserve(day, amount, cap) {
+      const total = await add(day, amount);
+      if (cap !== null && total > cap) {
+        await client.incrby(prefix + day, -amount);
+        return { allowed: false, spent: total - amount };
+      }
+      return { allowed: true, spent: total };
+    },
+    add,
+  };
+}
+
+/**
+ * createSpendBudget({ capUsd?, costs?, store? }) — capUsd null/undefined = no cap (spend is still tracked)
+ * - costOf(provider, model) => USD per image (model key beats provider key)
+ * - reserve(usd) => { allowed, reservation }
+ * - settle(reservation, actualUsd) / release(reservation)
+ */
+function createSpendBudget(opts) {
+  const o = opts || {};
+  const cap = o.capUsd === undefined || o.capUsd === null ? null : toMicros(o.capUsd);
+  const costs = Object.assign({}, DEFAULT_COSTS, o.costs || {});
+  const store = o.store || createMemorySpendStore();
+
+  function costOf(provider, model) {
+    if (model && costs[model] !== undefined) return Number(costs[model]);
+    if (provider && costs[provider] !== undefined) return Number(costs[provider]);
+    return 0;
+  }
+
+  async function reserve(usd) {
+    const day = dayKey(Date.now());
+    const amount = toMicros(usd);
+    const r = await store.reserve(day, amount, cap);
+    return {
+      allowed: r.allowed,
+      reservation: r.allowed ? { day, amount } : null,
+      spentUsd: r.spent / MICROS,
+    };
+  }
+
+  async function settle(reservation, actualUsd) {
+    if (!reservation) return;
+    const delta = toMicros(actualUsd) - reservation.amount;
+    if (delta) await store.add(reservation.day, delta);
+  }
+
+  async function release(reservation) {
+    if (!reservation || !reservation.amount) return;
+    await store.add(reservation.day, -reservation.amount);
+  }
+
+  return { reserve, settle, release, costOf, capUsd: cap === null ? null : cap / MICROS, store };
+}
+
+/**
+ * Milliseconds until the budget resets (next UTC midnight).
+ */
+function msUntilReset(now) {
+  const t = now || Date.now();
+  return DAY_MS - (t % DAY_MS);
+}
+
+module.exports = {
+  createSpendBudget,
+  createMemorySpendStore,
+  createFileSpendStore,
+  createRedisSpendStore,
+  msUntilReset,
+  DEFAULT_COSTS,
+};
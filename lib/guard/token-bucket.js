@@ -0,0 +1,96 @@
+// /lib/guard/token-bucket.js
+// Per-key token bucket (per-IP burst protection in front of the generation quota).
+//
+// A bucket holds up to `capacity` tokens and refills continuously at `refillPerMinute`;
+// each request takes one. Unlike the rolling-window quota this smooths bursts: a script can
+// fire `capacity` requests at once, then only one every 60 / refillPerMinute seconds.
+//
+// Stores:
+// - memory: per instance (default)
+// - redis: shared across instances; one Lua script per take (ioredis-compatible client with eval)
+
+const KEY_PREFIX = "meaningfull:bucket:";
+const MAX_MEMORY_KEYS = 10000;
+
+function refill(state, now, capacity, perMs) {
+  if (!state) return capacity;
+  return Math.min(capacity, state.tokens + Math.max(0, now - state.updatedAt) * perMs);
+}
+
+function createMemoryBucketStore() {
+  const buckets = new Map();
+
+  return {
+    kind: "memory",
+
+    async take(key, cost, now, capacity, perMs) {
+      // drop buckets that are full again so one-off IPs don't pile up
+      if (buckets.size > MAX_MEMORY_KEYS) {
+        for (const [k, st] of buckets) if (refill(st, now, capacity, perMs) >= capacity) buckets.delete(k);
+      }
+      const tokens = refill(buckets.get(key), now, capacity, perMs);
+      const allowed = tokens >= cost;
+      const left = allowed ? tokens - cost : tokens;
+      buckets.set(key, { tokens: left, updatedAt: now });
+      return { allowed, tokens: left };
+    },
+  };
+}
+
+// KEYS[1] bucket; ARGV: cost, now, capacity, tokens per ms, ttl ms
+const TAKE_SCRIPT = [
+  "local b = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')",
+  "local cost, now, cap, perMs = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3]), tonumber(ARGV[4])",
+  "local tokens = cap",
+  "if b[1] then tokens = math.min(cap, tonumber(b[1]) + math.max(0, now - tonumber(b[2])) * perMs) end",
+  "local allowed = 0",
+  "if tokens >= cost then tokens = tokens - cost; allowed = 1 end",
+  "redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))",
+  "redis.call('PEXPIRE', KEYS[1], ARGV[5])",
+  "return { allowed, tostring(tokens) }",
+].join("\n");
+
+function createRedisBucketStore(opts) {
+  const client = opts && opts.client;
+  if (!client || typeof client.eval !== "function") {
+    throw new Error("Redis bucket store requires an ioredis-compatible client");
+  }
+  const prefix = (opts && opts.prefix) || KEY_PREFIX;
+
+  return {
+    kind: "redis",
+
+    async take(key, cost, now, capacity, perMs) {
+      // a bucket that has been idle long enough to be full again can simply expire
+      const ttl = Math.ceil(capacity / perMs) + 1000;
+      const reply = await client.eval(TAKE_SCRIPT, 1, prefix + key, cost, now, capacity, perMs, ttl);
+      return { allowed: Number(reply[0]) === 1, tokens: Number(reply[1]) };
+    },
+  };
+}
+
+/**
+ * createTokenBucket({ capacity, refillPerMinute, store? })
+ * - take(key, cost?) => { allowed, remaining, retryAfterMs }
+ */
+function createTokenBucket(opts) {
+  const capacity = Number(opts && opts.capacity);
+  const refillPerMinute = Number(opts && opts.refillPerMinute);
+  if (!(capacity > 0) || !(refillPerMinute > 0)) throw new Error("Token bucket needs a positive capacity and refill rate");
+  const perMs = refillPerMinute / 60000;
+  const store = (opts && opts.store) || createMemoryBucketStore();
+
+  async function take(key, cost) {
+    const n = cost || 1;
+    const r = await store.take(String(key), n, Date.now(), capacity, perMs);
+    return {
+      allowed: r.allowed,
+      remaining: Math.floor(r.tokens),
+      retryAfterMs: r.allowed ? 0 : Math.ceil((n - r.tokens) / perMs),
+    };
+  }
+
+  return { take, capacity, refillPerMinute, store };
+}
+
+module.exports = { createTokenBucket, createMemoryBucketStore, createRedisBucketStore };
@@ -0,0 +1,133 @@
+// /lib/http.js
+// Shared request/response helpers for the /api routes.
+
+const crypto = require("crypto");
+const { parseOriginList, originAllowed } = require("./guard/origin");
+
+/**
+ * CORS headers. With MEANINGFULL_ALLOWED_ORIGINS set only allowed origins are echoed back;
+ * otherwise any origin ("*").
+ */
+function setCors(res, methods, req) {
+  const allowlist = parseOriginList(process.env.MEANINGFULL_ALLOWED_ORIGINS);
+  const origin = String(((req && req.headers) || {}).origin || "");
+  if (!allowlist.length) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+  } else {
+    res.setHeader("Vary", "Origin");
+    if (origin && originAllowed(origin, allowlist)) res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+  res.setHeader("Access-Control-Allow-Methods", methods || "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+/**
+ * The address that reached our edge, for per-IP limits. Clients can send any X-Forwarded-For, so
+ * its leftmost entries are never trusted: the platform's own header (x-vercel-forwarded-for,
+ * x-real-ip) wins, else the rightmost X-Forwarded-For hop, the one our proxy appended.
+ */
+function clientIp(req) {
+  const headers = (req && req.headers) || {};
+  for (const name of ["x-vercel-forwarded-for", "x-real-ip"]) {
+    const ip = String(headers[name] || "").split(",")[0].trim();
+    if (ip) return ip;
+  }
+  const hops = String(headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (hops.length) return hops[hops.length - 1];
+  return (req && req.socket && req.socket.remoteAddress) || "";
+}
+
+/**
+ * Raw request body as a string (needed for signature checks).
+ * Uses req.rawBody / string / Buffer bodies when present, else reads the stream.
+ */
+async function readRawBody(req) {
+  if (!req) return "";
+  if (typeof req.rawBody === "string") return req.rawBody;
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody.toString("utf8");
+  if (typeof req.on !== "function") {
+    if (typeof req.body === "string") return req.body;
+    if (Buffer.isBuffer(req.body)) return req.body.toString("utf8");
+    return req.body ? JSON.stringify(req.body) : "";
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(Buffer.isBuffer(c) ? c : Buffer.from(c)));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function queryParam(req, name) {
+  if (req && req.query && req.query[name] !== undefined) {
+    const v = req.query[name];
+    return String(Array.isArray(v) ? v[0] : v);
+  }
+  try {
+    const u = new URL((req && req.url) || "/", "http://localhost");
+    return u.searchParams.get(name) || "";
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * Admin-only requests (dry runs, debugging): header x-meaningfull-admin-secret must match
+ * MEANINGFULL_ADMIN_SECRET. Always false when no secret is configured.
+ */
+function isAdminRequest(req) {
+  const secret = process.env.MEANINGFULL_ADMIN_SECRET || "";
+  const given = String(((req && req.headers) || {})["x-meaningfull-admin-secret"] || "");
+  if (!secret || !given) return false;
+  const a = Buffer.from(secret);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Public base URL of this deployment (MEANINGFULL_PUBLIC_URL, else https://$VERCEL_URL), or "".
+ */
+function publicBaseUrl() {
+  const base =
+    process.env.MEANINGFULL_PUBLIC_URL ||
+    (process.env.VERCEL_URL ? "https://" + process.env.VERCEL_URL : "");
+  return base.replace(/\/+$/, "");
+}
+
+/**
+ * Best Accept-Language match among supported locale codes ("es-MX,es;q=0.9,en;q=0.8" => "es"),
+ * compared on the primary subtag. null when the header is missing or nothing matches.
+ */
+function preferredLocale(req, supported) {
+  const header = String(((req && req.headers) || {})["accept-language"] || "");
+  const wanted = header
+    .split(",")
+    .map((part, order) => {
+      const bits = part.trim().split(";");
+      const q = /^q=([0-9.]+)$/.exec((bits[1] || "").trim());
+      return { lang: bits[0].trim().toLowerCase().split(/[-_]/)[0], q: q ? Number(q[1]) : 1, order };
+    })
+    .filter((w) => w.lang && w.lang !== "*" && w.q > 0)
+    .sort((a, b) => b.q - a.q || a.order - b.order);
+  const hit = wanted.find((w) => (supported || []).includes(w.lang));
+  return hit ? hit.lang : null;
+}
+
+function errorMessage(e) {
+  return (e && e.message) ? e.message : String(e);
+}
+
+module.exports = {
+  setCors,
+  clientIp,
+  readRawBody,
+  queryParam,
+  isAdminRequest,
+  publicBaseUrl,
+  preferredLocale,
+  errorMessage,
+};
@@ -0,0 +1,111 @@
+// /lib/inspiration/fetcher.js
+// Optional link fetching for inspiration URLs (page title / description only).
+//
+// Off by default. When enabled, only https URLs whose host is on the allowlist are fetched
+// (no IP literals, no ports, no credentials), with a short timeout and a byte cap. Fetched
+// text is only matched against catalog style synonyms; it never reaches the prompt verbatim.
+
+const { normalizeHost, domainMatches } = require("./parse");
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const DEFAULT_MAX_BYTES = 256 * 1024;
+
+function decodeEntities(s) {
+  return String(s || "")
+    .replace(/&amp;/g, "&")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">");
+}
+
+function metaContent(html, attr, name) {
+  const re = new RegExp("<meta[^>]+" + attr + "=[\"']" + name + "[\"'][^>]*>", "i");
+  const tag = re.exec(html);
+  if (!tag) return "";
+  const m = /content=["']([^"']*)["']/i.exec(tag[0]);
+  return m ? decodeEntities(m[1]).trim() : "";
+}
+
+/**
+ * Title + description from an HTML document (og: tags first).
+ */
+function extractPageText(html) {
+  const title = metaContent(html, "property", "og:title") || decodeEntities(((/<title[^>]*>([^<]*)<\/title>/i.exec(html) || [])[1] || "").trim());
+  const description = metaContent(html, "property", "og:description") || metaContent(html, "name", "description");
+  return { title: title.slice(0, 200), description: description.slice(0, 300) };
+}
+
+/**
+ * createLinkFetcher({ allowHosts, fetch?, timeoutMs?, maxBytes? })
+ * - canFetch(url) => boolean
+ * - fetchPage(url) => { title, description }
+ */
+function createLinkFetcher(opts) {
+  const o = opts || {};
+  const allowHosts = (o.allowHosts || []).map((h) => String(h).toLowerCase()).filter(Boolean);
+  const doFetch = o.fetch || fetch;
+  const timeoutMs = Number(o.timeoutMs) || DEFAULT_TIMEOUT_MS;
+  const maxBytes = Number(o.maxBytes) || DEFAULT_MAX_BYTES;
+
+  function canFetch(url) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch (e) {
+      return false;
+    }
+    if (u.protocol !== "https:" || u.port || u.username || u.password) return false;
+    if (/^[\d.]+$/.test(u.hostname) || u.hostname.includes(":")) return false;
+    const host = normalizeHost(u.hostname);
+    return allowHosts.some((d) => domainMatches(host, d));
+  }
+
+  async function fetchPage(url) {
+    if (!canFetch(url)) throw new Error("Inspiration URL not allowed: " + url);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      // redirects are followed by hand so every hop is re-checked against the allowlist
+      let target = url;
+      for (let hop = 0; hop < 3; hop++) {
+        const resp = await doFetch(target, { signal: controller.signal, redirect: "manual", headers: { Accept: "text/html" } });
+        const location = resp.headers && resp.headers.get && resp.headers.get("location");
+        if (resp.status >= 300 && resp.status < 400 && location) {
+          target = new URL(location, target).toString();
+          if (!canFetch(target)) throw new Error("Inspiration redirect not allowed: " + target);
+          continue;
+        }
+        if (!resp.ok) throw new Error("Inspiration fetch failed: HTTP " + resp.status);
+        const html = (await resp.text()).slice(0, maxBytes);
+        return extractPageText(html);
+      }
+      throw new Error("Too many redirects");
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { canFetch, fetchPage };
+}
+
+/**
+ * Test/dev stand-in: pages = { url: { title, description } }. Honors the same allowlist.
+ */
+function createStubLinkFetcher(pages, opts) {
+  const real = createLinkFetcher(opts);
+  const calls = [];
+  return {
+    calls,
+    canFetch: real.canFetch,
+    async fetchPage(url) {
+      if (!real.canFetch(url)) throw new Error("Inspiration URL not allowed: " + url);
+      calls.push(url);
+      const page = (pages || {})[url];
+      if (!page) throw new Error("Inspiration fetch failed: HTTP 404");
+      return { title: page.title || "", description: page.description || "" };
+    },
+  };
+}
+
+module.exports = { createLinkFetcher, createStubLinkFetcher, extractPageText };
@@ -0,0 +1,122 @@
+// /lib/inspiration/index.js
+// "Optional inspiration (links, profiles, or references)" => style modifiers for the prompt.
+//
+// Keywords ("coastal", "mid century"), URL path words (Pinterest board slugs) and domain
+// hints (rei.com => outdoors) are matched against the catalog's inspiration styles; the top
+// styles contribute their catalog-authored vibe and palette strings. Shopper text never
+// reaches the prompt through this module — only catalog strings do.
+//
+// Env (optional):
+// - MEANINGFULL_INSPIRATION_FETCH="true" (fetch page titles/descriptions; default off)
+// - MEANINGFULL_INSPIRATION_FETCH_HOSTS="pinterest.com,etsy.com" (allowlist; default: catalog platform domains)
+
+const { parseInspiration, classifyHost, domainMatches } = require("./parse");
+const { createLinkFetcher, createStubLinkFetcher, extractPageText } = require("./fetcher");
+const { findTerms } = require("../notes/matcher");
+
+const MAX_STYLES = 2;
+const MAX_FETCHES = 3;
+
+function emptyResult() {
+  return { platforms: [], hosts: [], handles: [], keywords: [], styles: [], modifiers: { vibe: [], palette: [] }, fetched: [] };
+}
+
+/**
+ * Scores catalog styles against the parsed field (+ optional fetched page text).
+ */
+function scoreStyles(parsed, vocabulary, pageTexts) {
+  const styles = vocabulary.styles || {};
+  const locale = vocabulary.locale;
+  const pathText = parsed.urls.map((u) => u.pathWords.join(" ")).join(" | ");
+  const scored = [];
+
+  Object.keys(styles).forEach((key, order) => {
+    const st = styles[key];
+    const evidence = [];
+    findTerms(parsed.plainText, st.synonyms, locale).forEach((t) => evidence.push("keyword:" + t));
+    findTerms(pathText, st.synonyms, locale).forEach((t) => evidence.push("link:" + t));
+    for (const u of parsed.urls) {
+      if (st.domains.some((d) => domainMatches(u.host, d))) evidence.push("domain:" + u.host);
+    }
+    for (const text of pageTexts || []) {
+      findTerms(text, st.synonyms, locale).forEach((t) => evidence.push("page:" + t));
+    }
+    if (evidence.length) scored.push({ key, label: st.label, evidence, order });
+  });
+
+  scored.sort((a, b) => b.evidence.length - a.evidence.length || a.order - b.order);
+  return scored.slice(0, MAX_STYLES).map((s) => ({ key: s.key, label: s.label, evidence: s.evidence }));
+}
+
+function buildResult(parsed, vocabulary, styles, fetched) {
+  const out = emptyResult();
+  out.platforms = Array.from(new Set(parsed.urls.map((u) => u.platform).concat(parsed.handles.map((h) => h.platform)).filter(Boolean)));
+  out.hosts = Array.from(new Set(parsed.urls.map((u) => u.host)));
+  out.handles = parsed.handles;
+  out.keywords = parsed.keywords;
+  out.styles = styles;
+  out.modifiers = {
+    vibe: styles.map((s) => vocabulary.styles[s.key].vibe),
+    palette: styles.map((s) => vocabulary.styles[s.key].palette),
+  };
+  out.fetched = fetched || [];
+  return out;
+}
+
+/**
+ * Sync interpretation (no fetching). vocabulary = catalog.inspiration(locale).
+ */
+function interpretInspiration(text, vocabulary) {
+  if (!String(text || "").trim()) return emptyResult();
+  const parsed = parseInspiration(text, { platforms: vocabulary.platforms });
+  return buildResult(parsed, vocabulary, scoreStyles(parsed, vocabulary), []);
+}
+
+function fetcherFromEnv(vocabulary) {
+  if (String(process.env.MEANINGFULL_INSPIRATION_FETCH || "").toLowerCase() !== "true") return null;
+  const hosts = String(process.env.MEANINGFULL_INSPIRATION_FETCH_HOSTS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const platformDomains = [];
+  for (const key of Object.keys(vocabulary.platforms || {})) platformDomains.push(...vocabulary.platforms[key].domains);
+  return createLinkFetcher({ allowHosts: hosts.length ? hosts : platformDomains });
+}
+
+/**
+ * understandInspiration(text, { vocabulary, fetcher? }) — async; fetches allowlisted links
+ * when a fetcher is configured (opts.fetcher, else env). Fetch errors are recorded, never thrown.
+ */
+async function understandInspiration(text, opts) {
+  const vocabulary = opts.vocabulary;
+  if (!String(text || "").trim()) return emptyResult();
+
+  const parsed = parseInspiration(text, { platforms: vocabulary.platforms });
+  const fetcher = opts.fetcher !== undefined ? opts.fetcher : fetcherFromEnv(vocabulary);
+
+  const fetched = [];
+  const pageTexts = [];
+  if (fetcher) {
+    for (const u of parsed.urls.filter((x) => fetcher.canFetch(x.url)).slice(0, MAX_FETCHES)) {
+      try {
+        const page = await fetcher.fetchPage(u.url);
+        pageTexts.push(page.title + " | " + page.description);
+        fetched.push({ url: u.url, ok: true });
+      } catch (e) {
+        fetched.push({ url: u.url, ok: false, error: (e && e.message) ? e.message : String(e) });
+      }
+    }
+  }
+
+  return buildResult(parsed, vocabulary, scoreStyles(parsed, vocabulary, pageTexts), fetched);
+}
+
+module.exports = {
+  parseInspiration,
+  classifyHost,
+  interpretInspiration,
+  understandInspiration,
+  createLinkFetcher,
+  createStubLinkFetcher,
+  extractPageText,
+};
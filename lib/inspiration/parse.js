@@ -0,0 +1,139 @@
+// /lib/inspiration/parse.js
+// Splits the "Optional inspiration" field into URLs, @handles and plain keywords, and
+// classifies known platforms by domain. Pure string work: nothing is fetched here.
+//
+// "pinterest.com/jane/coastal-living @jane.doe on insta, minimalist"
+// => urls:     [{ url, host: "pinterest.com", platform: "pinterest", pathWords: ["coastal", "living"] }]
+//    handles:  [{ handle: "jane.doe", platform: "instagram" }]
+//    keywords: ["minimalist"]
+
+// Bare domains ("etsy.com/shop/x") only count as links with one of these TLDs
+const BARE_TLDS = new Set(["com", "net", "org", "co", "io", "me", "it", "uk", "ca", "us", "app", "shop", "store", "art", "design"]);
+
+// Words that carry no style signal (in keywords or URL paths)
+const STOPWORDS = new Set([
+  "a", "an", "and", "or", "the", "of", "on", "in", "at", "to", "for", "with", "by", "from", "my", "his", "her", "their",
+  "is", "are", "she", "he", "they", "likes", "like", "loves", "love", "see", "check", "profile", "page", "account",
+  "board", "boards", "pin", "pins", "reel", "reels", "video", "videos", "status", "user", "users", "www", "http", "https",
+  "html", "htm", "php", "share", "shared", "link", "links", "also", "her", "him",
+]);
+
+// Words near a handle that say which platform it belongs to
+const PLATFORM_WORDS = {
+  instagram: ["ig", "insta", "instagram"],
+  tiktok: ["tiktok", "tt"],
+  pinterest: ["pinterest", "pins"],
+};
+
+function normalizeHost(host) {
+  return String(host || "").toLowerCase().replace(/^(www|m|mobile|vm)\./, "");
+}
+
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith("." + domain);
+}
+
+/**
+ * Platform key for a host, using catalog platforms { key: { domains } }.
+ */
+function classifyHost(host, platforms) {
+  const h = normalizeHost(host);
+  for (const key of Object.keys(platforms || {})) {
+    if ((platforms[key].domains || []).some((d) => domainMatches(h, d))) return key;
+  }
+  return null;
+}
+
+function words(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}][\p{L}\p{N}]*/gu) || []).filter(
+    (w) => w.length >= 3 && !STOPWORDS.has(w)
+  );
+}
+
+// Percent-decoded path segment; a malformed escape ("%E0%A4%A") keeps the raw segment
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+}
+
+function toUrl(token) {
+  const t = token.replace(/[)\].,!?'"]+$/, "");
+  const hasScheme = /^https?:\/\//i.test(t);
+  if (!hasScheme && !/^([a-z0-9-]+\.)+[a-z]{2,}(\/|$)/i.test(t)) return null;
+  if (!hasScheme) {
+    const host = t.split("/")[0].toLowerCase();
+    const tld = host.split(".").pop();
+    if (!/^www\./.test(host) && !BARE_TLDS.has(tld)) return null;
+  }
+  try {
+    const u = new URL(hasScheme ? t : "https://" + t);
+    if (u.protocol !== "https:" && u.protocol !== "http:") return null;
+    if (u.username || u.password) return null;
+    return u;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * parseInspiration(text, { platforms }) => { urls, handles, keywords, plainText }
+ */
+function parseInspiration(text, opts) {
+  const platforms = (opts && opts.platforms) || {};
+  const tokens = String(text || "").split(/[\s,;|]+/).filter(Boolean);
+  const lowerTokens = tokens.map((t) => t.toLowerCase().replace(/[^a-z0-9]/g, ""));
+
+  const urls = [];
+  const handles = [];
+  const keywords = [];
+  const plain = [];
+
+  const nearbyPlatform = (i) => {
+    for (let j = Math.max(0, i - 3); j <= Math.min(tokens.length - 1, i + 3); j++) {
+      for (const key of Object.keys(PLATFORM_WORDS)) {
+        if (PLATFORM_WORDS[key].includes(lowerTokens[j])) return key;
+      }
+    }
+    return null;
+  };
+
+  tokens.forEach((token, i) => {
+    const handle = /^@([A-Za-z0-9._]{2,30})$/.exec(token.replace(/[.,!?]+$/, ""));
+    if (handle) {
+      handles.push({ handle: handle[1].toLowerCase(), platform: nearbyPlatform(i) });
+      return;
+    }
+
+    const u = toUrl(token);
+    if (u) {
+      const host = normalizeHost(u.hostname);
+      const platform = classifyHost(host, platforms);
+      const segments = u.pathname.split("/").filter(Boolean).map(decodeSegment);
+
+      // instagram.com/<handle>, tiktok.com/@<handle>
+      if ((platform === "instagram" || platform === "tiktok") && segments[0] && !/^(p|reel|reels|video|explore|tv)$/i.test(segments[0])) {
+        handles.push({ handle: segments[0].replace(/^@/, "").toLowerCase(), platform });
+      }
+      urls.push({
+        url: u.toString(),
+        host,
+        platform,
+        pathWords: platform === "instagram" || platform === "tiktok" ? [] : words(segments.join(" ").replace(/[-_+.]/g, " ")),
+      });
+      return;
+    }
+
+    plain.push(token);
+    for (const w of words(token)) {
+      if (!Object.values(PLATFORM_WORDS).some((list) => list.includes(w)) && !keywords.includes(w)) keywords.push(w);
+    }
+  });
+
+  // plainText keeps word order (and punctuation) for multi-word style phrases
+  return { urls, handles, keywords, plainText: plain.join(" ") };
+}
+
+module.exports = { parseInspiration, classifyHost, normalizeHost, domainMatches };
@@ -0,0 +1,129 @@
+// /lib/jobs/index.js
+// Async preview jobs: a job wraps one Replicate prediction and is updated either by
+// the Replicate webhook (/api/replicate-webhook) or by polling (/api/preview-status).
+//
+// Job statuses: queued | processing | succeeded | failed
+//
+// Env (optional):
+// - MEANINGFULL_JOB_STORE="memory" | "file" | "redis" (default: MEANINGFULL_RECORD_STORE, see lib/store;
+//   status polls and webhooks run in other functions, so production needs redis)
+// - MEANINGFULL_JOB_DIR (default /tmp/meaningfull/jobs)
+// - MEANINGFULL_PUBLIC_URL (base URL for Replicate webhooks; falls back to https://$VERCEL_URL)
+
+const crypto = require("crypto");
+const { createRecordStore } = require("../store");
+const { normalizeOutput } = require("../providers/output");
+const { signPreviewToken } = require("../previews");
+const { publicBaseUrl } = require("../http");
+const { rehostImage } = require("../storage");
+
+const TERMINAL = new Set(["succeeded", "failed"]);
+
+function createJobStore() {
+  return createRecordStore("jobs", {
+    kind: process.env.MEANINGFULL_JOB_STORE,
+    dir: process.env.MEANINGFULL_JOB_DIR,
+  });
+}
+
+function newJobId() {
+  return "job_" + crypto.randomBytes(12).toString("hex");
+}
+
+function isTerminal(status) {
+  return TERMINAL.has(status);
+}
+
+function webhookUrl(jobId) {
+  const base = publicBaseUrl();
+  if (!base) return null;
+  return base + "/api/replicate-webhook?job=" + encodeURIComponent(jobId);
+}
+
+/**
+ * Map a Replicate prediction onto a job patch.
+ * Replicate: starting | processing | succeeded | failed | canceled
+ */
+function patchFromPrediction(prediction) {
+  const p = prediction || {};
+  const status = String(p.status || "");
+
+  if (status === "starting") return { status: "queued" };
+  if (status === "processing") return { status: "processing" };
+
+  if (status === "succeeded") {
+    const imageUrl = normalizeOutput(p.output).imageUrl;
+    if (!imageUrl) {
+      return { status: "failed", error: "No image returned from model" };
+    }
+    return { status: "succeeded", imageUrl };
+  }
+
+  if (status === "failed" || status === "canceled") {
+    return { status: "failed", error: p.error ? String(p.error) : "Prediction " + status };
+  }
+
+  return {};
+}
+
+/**
+ * Apply a prediction to its job. A job that ends in "failed" gets its quota refunded.
+ * Terminal jobs are never moved again (late/duplicate webhooks are ignored).
+ * ctx: { jobs, quota?, previews?, storage? } — the job's preview record follows its terminal status.
+ */
+async function syncJobFromPrediction(ctx, job, prediction) {
+  if (!job || isTerminal(job.status)) return job;
+
+  const patch = patchFromPrediction(prediction);
+  if (!patch.status || patch.status === job.status) return job;
+
+  // Replicate delivery URLs expire: re-host before the URL is recorded anywhere
+  if (patch.status === "succeeded" && ctx.storage) {
+    const stored = await rehostImage(ctx.storage, patch.imageUrl);
+    patch.imageUrl = stored.imageUrl;
+    patch.contentHash = stored.contentHash;
+    patch.images = { renditions: stored.renditions, thumbnails: stored.thumbnails };
+  }
+
+  const next = await ctx.jobs.update(job.id, patch);
+
+  if (patch.status === "failed" && ctx.quota && job.reservation) {
+    await ctx.quota.release(job.reservation);
+  }
+  if (isTerminal(patch.status) && ctx.previews && job.previewId) {
+    await ctx.previews.update(job.previewId, {
+      status: patch.status,
+      imageUrl: patch.imageUrl || null,
+      contentHash: patch.contentHash || null,
+      images: patch.images || { renditions: {}, thumbnails: {} },
+    });
+  }
+  return next;
+}
+
+function publicJob(job) {
+  return {
+    ok: job.status !== "failed",
+    jobId: job.id,
+    status: job.status,
+    tier: job.tier,
+    catalogVersion: job.catalogVersion || null,
+    imageUrl: job.imageUrl || null,
+    images: job.images || null,
+    previewId: job.previewId || null,
+    previewToken: job.previewId ? signPreviewToken(job.previewId) : null,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+module.exports = {
+  createJobStore,
+  newJobId,
+  isTerminal,
+  webhookUrl,
+  patchFromPrediction,
+  syncJobFromPrediction,
+  publicJob,
+};
@@ -0,0 +1,197 @@
+// /lib/notes/grammar.js
+// Per-locale grammar for the notes matcher: negation words, scope enders, inclusion cues and a
+// light plural stemmer. Synonyms live in the catalog; this file only knows how each language
+// says "no" and "but".
+//
+// - negators open a negation scope ("no", "sin", "sans", "ne ... pas")
+// - scopeBreakers end it outright ("but", "pero", "mais")
+// - a conjunction ends it when a new clause starts: followed by a subject/possessive
+//   (clauseStarters) or an inclusion cue ("and loves", "y le encantan", "et adore")
+// - ... or a new noun phrase: followed by an article or a common adjective (phraseStarters:
+//   "and a watch", "y un reloj", "et une jolie montre"); a bare noun continues the list
+//   ("no food and alcohol")
+// - elision: French "n'aime", "l'eau" split at the apostrophe instead of gluing the words
+//
+// Words are compared after normalization (lowercase, no diacritics), so lists are unaccented.
+
+const GRAMMARS = {
+  en: {
+    negators: [
+      "no",
+      "not",
+      "without",
+      "dont",
+      "doesnt",
+      "isnt",
+      "never",
+      "nothing",
+      "exclude",
+      "excluding",
+      "except",
+      "avoid",
+      "skip",
+      "hate",
+      "hates",
+      "dislike",
+      "dislikes",
+      "allergic",
+    ],
+    scopeBreakers: ["but", "though", "although", "however", "yet", "while", "whereas", "instead", "so", "because", "since", "plus"],
+    conjunctions: ["and"],
+    clauseStarters: ["he", "she", "they", "i", "we", "you", "his", "her", "their", "my", "our", "it"],
+    phraseStarters: [
+      "a",
+      "an",
+      "the",
+      "some",
+      "one",
+      "nice",
+      "new",
+      "good",
+      "great",
+      "cute",
+      "cool",
+      "fancy",
+      "pretty",
+      "lovely",
+      "beautiful",
+      "elegant",
+      "classic",
+      "little",
+      "small",
+      "big",
+    ],
+    includeCues: ["love", "loves", "like", "likes", "want", "wants", "need", "needs", "enjoy", "enjoys", "adore", "adores", "include"],
+    elision: false,
+    stem: stemEnglish,
+  },
+
+  es: {
+    negators: [
+      "no",
+      "sin",
+      "nada",
+      "nunca",
+      "jamas",
+      "ningun",
+      "ninguna",
+      "ninguno",
+      "ni",
+      "tampoco",
+      "evita",
+      "evitar",
+      "excepto",
+      "salvo",
+      "menos",
+      "odia",
+      "detesta",
+      "alergico",
+      "alergica",
+    ],
+    scopeBreakers: ["pero", "aunque", "sino", "mientras", "porque", "pues", "ademas", "asi"],
+    conjunctions: ["y", "e"],
+    clauseStarters: ["ella", "ellos", "ellas", "yo", "nosotros", "usted", "le", "les", "su", "sus", "mi", "mis"],
+    phraseStarters: ["un", "una", "unos", "unas", "el", "la", "los", "las", "algun", "alguna", "buen", "buena", "lindo", "linda", "bonito", "bonita"],
+    includeCues: ["encanta", "encantan", "gusta", "gustan", "quiere", "quiero", "ama", "adora", "incluye", "incluir", "incluya"],
+    elision: false,
+    stem: stemSpanish,
+  },
+
+  fr: {
+    negators: [
+      "ne",
+      "n",
+      "pas",
+      "sans",
+      "aucun",
+      "aucune",
+      "jamais",
+      "rien",
+      "ni",
+      "non",
+      "evite",
+      "eviter",
+      "exclure",
+      "sauf",
+      "deteste",
+      "allergique",
+    ],
+    scopeBreakers: ["mais", "cependant", "pourtant", "toutefois", "car", "puisque", "donc", "plutot", "alors"],
+    conjunctions: ["et"],
+    clauseStarters: ["il", "elle", "ils", "elles", "je", "j", "nous", "vous", "on", "son", "sa", "ses", "leur", "leurs", "mon", "ma", "mes"],
+    phraseStarters: ["un", "une", "des", "du", "le", "la", "les", "l", "joli", "jolie", "beau", "belle", "bon", "bonne", "petit", "petite"],
+    includeCues: ["aime", "adore", "veut", "voudrait", "prefere", "inclure", "inclus", "incluez"],
+    elision: true,
+    stem: stemFrench,
+  },
+};
+
+const DEFAULT_LOCALE = "en";
+
+/**
+ * Crude, deterministic English plural stemmer. Applied identically to notes and synonyms,
+ * so it only has to be consistent, not linguistically perfect.
+ */
+function stemEnglish(word) {
+  const w = String(word || "");
+  if (w.length <= 3) return w;
+  if (/ies$/.test(w)) return w.slice(0, -3) + "y";
+  if (/(ches|shes|sses|xes)$/.test(w)) return w.slice(0, -2);
+  if (/(ss|us|is)$/.test(w)) return w;
+  if (/s$/.test(w)) return w.slice(0, -1);
+  return w;
+}
+
+// velas => vela, relojes => reloj, luces => luz; a final -e is dropped so peluche == peluches
+function stemSpanish(word) {
+  let w = String(word || "");
+  if (w.length <= 3) return w;
+  if (/ces$/.test(w)) return w.slice(0, -3) + "z";
+  if (/[^aeiou]es$/.test(w)) w = w.slice(0, -2);
+  else if (/s$/.test(w)) w = w.slice(0, -1);
+  if (w.length > 3 && /e$/.test(w)) w = w.slice(0, -1);
+  return w;
+}
+
+// bougies => bougie, bijoux => bijou, chapeaux => chapeau, journaux => journal
+function stemFrench(word) {
+  const w = String(word || "");
+  if (w.length <= 3) return w;
+  if (/eaux$/.test(w)) return w.slice(0, -1);
+  if (/aux$/.test(w)) return w.slice(0, -3) + "al";
+  if (/[sx]$/.test(w)) return w.slice(0, -1);
+  return w;
+}
+
+const compiled = new Map();
+
+/**
+ * grammarFor(locale) => grammar with Set lookups ("es-MX" => es; unknown => en).
+ */
+function grammarFor(locale) {
+  const key = String(locale || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+  const lang = GRAMMARS[key] ? key : DEFAULT_LOCALE;
+  if (!compiled.has(lang)) {
+    const g = GRAMMARS[lang];
+    compiled.set(lang, {
+      locale: lang,
+      negators: new Set(g.negators),
+      scopeBreakers: new Set(g.scopeBreakers),
+      conjunctions: new Set(g.conjunctions),
+      clauseStarters: new Set(g.clauseStarters),
+      phraseStarters: new Set(g.phraseStarters),
+      includeCues: new Set(g.includeCues),
+      elision: g.elision,
+      stem: g.stem,
+    });
+  }
+  return compiled.get(lang);
+}
+
+module.exports = {
+  grammarFor,
+  stemEnglish,
+  stemSpanish,
+  stemFrench,
+  GRAMMAR_LOCALES: Object.keys(GRAMMARS),
+};
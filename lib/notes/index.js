@@ -0,0 +1,9 @@
+// /lib/notes/index.js
+// Notes ("Anything you'd like us to know?") understanding.
+
+const interpret = require("./interpret");
+const matcher = require("./matcher");
+const { grammarFor, GRAMMAR_LOCALES } = require("./grammar");
+const { createStubNotesClient } = require("./stub-client");
+
+module.exports = Object.assign({}, interpret, matcher, { createStubNotesClient, grammarFor, GRAMMAR_LOCALES });
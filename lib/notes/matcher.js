@@ -0,0 +1,248 @@
+// /lib/notes/matcher.js
+// Lexical matcher for Notes: tokenization, word boundaries, plural stemming,
+// multi-word synonyms and negation scopes. Every entry point takes an optional locale
+// (en, es, fr; see ./grammar) — the examples below are English.
+//
+// - "ring" never matches inside "bring"/"spring"; "card" never matches inside "cardholder"
+// - "caps" / "watches" / "accessories" match "cap" / "watch" / "accessory"
+// - a negation ("no", "without", "don't", "not", "hate"...) scopes over the following words
+//   until punctuation, a contrastive conjunction ("but", "though"...) or "and" + a new subject,
+//   inclusion cue or noun phrase ("no candles and he loves his cap", "no skincare and a watch"
+//   => the first item avoided, the second included); "no food and alcohol" avoids both
+// - accents are ignored on both sides ("bebe" matches "bébé")
+// - conflicts are explicit: when a concept is both included and avoided, AVOID wins and the
+//   pair is reported in `conflicts`
+
+const { grammarFor } = require("./grammar");
+
+const MAX_SCOPE_TOKENS = 10;
+
+function normalizeText(text, grammar) {
+  const t = String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[’‘]/g, "'");
+  // French elision ("n'aime", "l'eau") separates words; English drops possessives / contractions
+  if (grammar.elision) return t.replace(/'/g, " ");
+  return t.replace(/'s\b/g, "").replace(/'/g, "");
+}
+
+/**
+ * Locale-aware plural stemmer (see ./grammar). Applied identically to notes and synonyms.
+ */
+function stem(word, locale) {
+  return grammarFor(locale).stem(word);
+}
+
+/**
+ * tokenize(text, locale?) => [{ word, stem } | { punct }]
+ */
+function tokenize(text, locale) {
+  const grammar = grammarFor(locale);
+  const out = [];
+  const re = /([\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*)|([.,;:!?|\n()\/¡¿]+)/gu;
+  const t = normalizeText(text, grammar);
+  let m;
+  while ((m = re.exec(t)) !== null) {
+    if (m[1]) {
+      // hyphenated words count as separate words ("gag-gift" == "gag gift")
+      for (const part of m[1].split("-")) out.push({ word: part, stem: grammar.stem(part) });
+    } else {
+      out.push({ punct: m[2] });
+    }
+  }
+  return out;
+}
+
+function phraseStems(phrase, locale) {
+  return tokenize(phrase, locale)
+    .filter((t) => t.word)
+    .map((t) => t.stem);
+}
+
+/**
+ * Marks each token as negated or not (see header for the scope rules).
+ */
+function negationMask(tokens, locale) {
+  const grammar = grammarFor(locale);
+  const mask = new Array(tokens.length).fill(false);
+  let remaining = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.punct) {
+      remaining = 0;
+      continue;
+    }
+    if (grammar.scopeBreakers.has(t.word)) {
+      remaining = 0;
+      continue;
+    }
+    if (grammar.conjunctions.has(t.word)) {
+      const next = tokens[i + 1];
+      if (
+        next &&
+        next.word &&
+        (grammar.clauseStarters.has(next.word) || grammar.includeCues.has(next.word) || grammar.phraseStarters.has(next.word))
+      ) {
+        remaining = 0;
+      }
+      continue;
+    }
+    if (grammar.negators.has(t.word)) {
+      remaining = MAX_SCOPE_TOKENS;
+      continue;
+    }
+    if (remaining > 0) {
+      mask[i] = true;
+      remaining--;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Builds a phrase index from { key: [synonyms] } maps, tagged by kind.
+ * Longer phrases first so "card holder" wins over "card".
+ */
+function buildIndex(taxonomy, locale) {
+  const entries = [];
+  const add = (kind, map) => {
+    for (const key of Object.keys(map || {})) {
+      for (const syn of map[key] || []) {
+        const stems = phraseStems(syn, locale);
+        if (!stems.length) continue;
+        let e = entries.find((x) => x.stems.join(" ") === stems.join(" "));
+        if (!e) {
+          e = { stems, include: [], avoid: [] };
+          entries.push(e);
+        }
+        if (!e[kind].includes(key)) e[kind].push(key);
+      }
+    }
+  };
+  add("include", taxonomy.include);
+  add("avoid", taxonomy.avoid);
+  entries.sort((a, b) => b.stems.length - a.stems.length);
+  return entries;
+}
+
+/**
+ * Greedy longest-match scan. Returns [{ entry, start, end, negated }] (end exclusive).
+ */
+function scan(tokens, entries, locale) {
+  const mask = negationMask(tokens, locale);
+  const hits = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    if (!tokens[i].word) {
+      i++;
+      continue;
+    }
+    let matched = null;
+    for (const e of entries) {
+      const n = e.stems.length;
+      let ok = i + n <= tokens.length;
+      for (let j = 0; ok && j < n; j++) ok = tokens[i + j].stem === e.stems[j];
+      if (ok) {
+        matched = e;
+        break;
+      }
+    }
+    if (matched) {
+      const end = i + matched.stems.length;
+      hits.push({ entry: matched, start: i, end, negated: mask.slice(i, end).some(Boolean) });
+      i = end;
+    } else {
+      i++;
+    }
+  }
+  return hits;
+}
+
+function pushUnique(list, v) {
+  if (!list.includes(v)) list.push(v);
+}
+
+// Include keys whose synonyms overlap an avoid key's synonyms ("hat" <-> "hats")
+function overlaps(includeKey, avoidKey, taxonomy, locale) {
+  const a = new Set(((taxonomy.avoid || {})[avoidKey] || []).map((s) => phraseStems(s, locale).join(" ")));
+  return ((taxonomy.include || {})[includeKey] || []).some((s) => a.has(phraseStems(s, locale).join(" ")));
+}
+
+/**
+ * Explicit conflict resolution: an include that names the same thing as an avoid
+ * (or was itself negated) is dropped. AVOID always wins.
+ */
+function resolveConflicts(includes, avoids, taxonomy, negatedIncludes, locale) {
+  const conflicts = [];
+  const negated = new Set(negatedIncludes || []);
+  const kept = [];
+
+  for (const inc of includes) {
+    const against = avoids.filter((av) => overlaps(inc, av, taxonomy, locale));
+    if (against.length) {
+      conflicts.push({ include: inc, avoid: against[0], resolution: "avoid" });
+    } else if (negated.has(inc)) {
+      conflicts.push({ include: inc, avoid: null, resolution: "avoid" });
+    } else {
+      kept.push(inc);
+    }
+  }
+  return { includes: kept, avoids: avoids.slice(), conflicts };
+}
+
+/**
+ * matchNotes(text, { include, avoid }, locale?) => { includes, avoids, conflicts }
+ * - mention outside a negation scope => include key(s)
+ * - mention inside a negation scope => avoid key(s); a negated include-only term
+ *   ("no card holder") is never included
+ */
+function matchNotes(text, taxonomy, locale) {
+  const tokens = tokenize(text, locale);
+  const hits = scan(tokens, buildIndex(taxonomy, locale), locale);
+
+  const includes = [];
+  const avoids = [];
+  const negatedIncludes = [];
+
+  for (const h of hits) {
+    if (h.negated) {
+      h.entry.avoid.forEach((k) => pushUnique(avoids, k));
+      h.entry.include.forEach((k) => pushUnique(negatedIncludes, k));
+    } else {
+      h.entry.include.forEach((k) => pushUnique(includes, k));
+    }
+  }
+
+  return resolveConflicts(includes, avoids, taxonomy, negatedIncludes, locale);
+}
+
+/**
+ * Whole-word / whole-phrase lookup. Returns the terms (as given) found in text.
+ */
+function findTerms(text, terms, locale) {
+  // punctuation stays as a separator so phrases never match across "new, balance"
+  const stems = tokenize(text, locale).map((t) => (t.word ? t.stem : "|"));
+  const hay = " " + stems.join(" ") + " ";
+  return (terms || []).filter((term) => {
+    const s = phraseStems(term, locale);
+    return s.length > 0 && hay.includes(" " + s.join(" ") + " ");
+  });
+}
+
+function hasTerm(text, terms, locale) {
+  return findTerms(text, terms, locale).length > 0;
+}
+
+module.exports = {
+  tokenize,
+  stem,
+  negationMask,
+  matchNotes,
+  resolveConflicts,
+  findTerms,
+  hasTerm,
+};
@@ -0,0 +1,45 @@
+// /lib/notes/stub-client.js
+// Offline stand-in for the OpenAI client's chat.completions.create (notes interpretation).
+//
+// createStubNotesClient(answer)
+// - answer: object (returned as JSON content), string (returned verbatim),
+//   function(notes) => object|string, or an Error (thrown)
+// - { delayMs } simulates a slow model (for timeout tests)
+
+function createStubNotesClient(answer, opts) {
+  const delayMs = (opts && opts.delayMs) || 0;
+  const calls = [];
+
+  return {
+    calls,
+    chat: {
+      completions: {
+        async create(params, requestOpts) {
+          calls.push(params);
+          if (delayMs) {
+            await new Promise((resolve, reject) => {
+              const t = setTimeout(resolve, delayMs);
+              const signal = requestOpts && requestOpts.signal;
+              if (signal) {
+                signal.addEventListener("abort", () => {
+                  clearTimeout(t);
+                  reject(new Error("Request aborted"));
+                });
+              }
+            });
+          }
+
+          const userMsg = (params.messages || []).find((m) => m.role === "user");
+          const value = typeof answer === "function" ? answer(userMsg ? userMsg.content : "") : answer;
+          if (value instanceof Error) throw value;
+
+          return {
+            choices: [{ message: { role: "assistant", content: typeof value === "string" ? value : JSON.stringify(value) } }],
+          };
+        },
+      },
+    },
+  };
+}
+
+module.exports = { createStubNotesClient };
@@ -0,0 +1,113 @@
+// /lib/previews/index.js
+// Preview records + signed preview tokens.
+//
+// Every generated preview gets a record (inputs, canonical tags, final prompt, model, seed,
+// provider prediction id, image, catalog version) and a signed token. The record holds everything
+// needed to rerun the exact call (see ./regenerate). The storefront theme attaches the token to
+// the cart line item as the `_meaningfull_preview` property, so the orders/create webhook can
+// find what the shopper saw.
+//
+// Token format: mfp1.<previewId>.<base64url HMAC-SHA256(secret, "mfp1." + previewId)>
+//
+// Env:
+// - MEANINGFULL_PREVIEW_TOKEN_SECRET (required to issue/verify tokens)
+// - MEANINGFULL_PREVIEW_STORE / MEANINGFULL_PREVIEW_DIR (default: MEANINGFULL_RECORD_STORE, see lib/store)
+
+const crypto = require("crypto");
+const { createRecordStore } = require("../store");
+const { resolveReference } = require("./reference");
+
+const TOKEN_PREFIX = "mfp1";
+const LINE_ITEM_PROPERTY = "_meaningfull_preview";
+
+function createPreviewStore() {
+  return createRecordStore("previews", {
+    kind: process.env.MEANINGFULL_PREVIEW_STORE,
+    dir: process.env.MEANINGFULL_PREVIEW_DIR,
+  });
+}
+
+function newPreviewId() {
+  return "pv_" + crypto.randomBytes(12).toString("hex");
+}
+
+function tokenSecret(secret) {
+  return secret || process.env.MEANINGFULL_PREVIEW_TOKEN_SECRET || "";
+}
+
+function sign(previewId, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(TOKEN_PREFIX + "." + previewId)
+    .digest("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * signPreviewToken(previewId, secret?) => token, or null when no secret is configured.
+ */
+function signPreviewToken(previewId, secret) {
+  const key = tokenSecret(secret);
+  if (!key) return null;
+  return TOKEN_PREFIX + "." + previewId + "." + sign(previewId, key);
+}
+
+/**
+ * verifyPreviewToken(token, secret?) => previewId, or null if malformed / forged.
+ */
+function verifyPreviewToken(token, secret) {
+  const key = tokenSecret(secret);
+  const parts = String(token || "").trim().split(".");
+  if (!key || parts.length !== 3 || parts[0] !== TOKEN_PREFIX) return null;
+
+  const expected = Buffer.from(sign(parts[1], key));
+  const given = Buffer.from(parts[2]);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return parts[1];
+}
+
+/**
+ * Canonical preview record (what fulfillment sees for an ordered line item).
+ */
+function buildPreviewRecord(fields) {
+  const f = fields || {};
+  const now = new Date().toISOString();
+  return {
+    id: f.id || newPreviewId(),
+    status: f.status || "succeeded",
+    sessionId: f.sessionId ? String(f.sessionId) : null,
+    tier: f.tier || null,
+    catalogVersion: f.catalogVersion || null,
+    imageUrl: f.imageUrl || null,
+    contentHash: f.contentHash || null,
+    images: f.images || { renditions: {}, thumbnails: {} },
+    jobId: f.jobId || null,
+    provider: f.provider || null,
+    model: f.model || null,
+    prompt: f.prompt || null,
+    canonical: f.canonical || { includes: [], avoids: [] },
+    brands: f.brands || [],
+    reference: f.reference || null,
+    inputs: f.inputs || null,
+    output: f.output || null,
+    seed: Number.isInteger(f.seed) ? f.seed : null,
+    predictionId: f.predictionId || null,
+    verification: f.verification || null,
+    variant: f.variant || null,
+    regeneratedFrom: f.regeneratedFrom || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+module.exports = {
+  createPreviewStore,
+  resolveReference,
+  newPreviewId,
+  signPreviewToken,
+  verifyPreviewToken,
+  buildPreviewRecord,
+  LINE_ITEM_PROPERTY,
+};
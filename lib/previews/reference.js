@@ -0,0 +1,82 @@
+// /lib/previews/reference.js
+// Resolves a validated reference (lib/validation validateReference) into model input:
+// - upload:  the shopper's image (Buffer), re-hosted so the preview record can point at it
+// - preview: one of the SAME session's earlier previews ("same box, but swap the candle")
+//
+// Shopper-supplied URLs never get here; the only URLs passed on are our own stored previews.
+//
+// The earlier preview was recorded by another invocation (often another instance), so it is read
+// from the shared preview store (lib/store: redis in production) and its image from an https
+// (S3 / CDN / provider) URL. An image kept by the fs backend is only readable on the host that
+// stored it; anywhere else the reference is REFERENCE_NOT_FOUND.
+
+const { rehostImage } = require("../storage");
+const { queryParam } = require("../http");
+
+function notFound() {
+  return { ok: false, status: 404, code: "REFERENCE_NOT_FOUND", error: "Reference preview not found", field: "reference.previewId" };
+}
+
+function dataUrl(body, contentType) {
+  return "data:" + contentType + ";base64," + body.toString("base64");
+}
+
+// Stored preview URL => something a provider can read
+async function loadPreviewImage(imageUrl, storage) {
+  const url = String(imageUrl || "");
+  if (/^data:/i.test(url)) {
+    const m = /^data:[^;,]*;base64,(.*)$/s.exec(url);
+    return m ? Buffer.from(m[1], "base64") : null;
+  }
+  if (/^https:\/\//i.test(url)) return url;
+
+  // fs backend URLs (/api/preview-image?key=...) are read straight from storage
+  const key = queryParam({ url }, "key");
+  if (key && storage && typeof storage.backend.get === "function") {
+    const obj = await storage.backend.get(key);
+    return obj ? obj.body : null;
+  }
+  return null;
+}
+
+/**
+ * resolveReference(ref, { previews, storage, sessionId })
+ * => { ok: true, reference: { image, strength, source } } | rejection (REFERENCE_NOT_FOUND)
+ */
+async function resolveReference(ref, ctx) {
+  if (ref.kind === "upload") {
+    const stored = await rehostImage(ctx.storage, dataUrl(ref.body, ref.contentType));
+    return {
+      ok: true,
+      reference: {
+        image: ref.body,
+        strength: ref.strength,
+        source: {
+          kind: "upload",
+          previewId: null,
+          contentHash: stored.contentHash,
+          imageUrl: stored.stored ? stored.imageUrl : null,
+        },
+      },
+    };
+  }
+
+  const record = await ctx.previews.get(ref.previewId);
+  // another session's preview is indistinguishable from a missing one
+  if (!record || record.sessionId !== ctx.sessionId || record.status !== "succeeded" || !record.imageUrl) {
+    return notFound();
+  }
+  const image = await loadPreviewImage(record.imageUrl, ctx.storage);
+  if (!image) return notFound();
+
+  return {
+    ok: true,
+    reference: {
+      image,
+      strength: ref.strength,
+      source: { kind: "preview", previewId: record.id, contentHash: record.contentHash || null, imageUrl: record.imageUrl },
+    },
+  };
+}
+
+module.exports = { resolveReference, loadPreviewImage };
@@ -0,0 +1,76 @@
+// /lib/previews/regenerate.js
+// Support tool: rerun a recorded preview with the exact same provider/model, rendered prompt,
+// output settings, seed and reference image (e.g. when a customer disputes an order).
+//
+// The rerun never costs the shopper a generation and never overwrites the original: it is
+// stored as a new record with regeneratedFrom = original id and no sessionId, so it cannot be
+// used as a reference or picked into a cart by the shopper.
+
+const { rehostImage } = require("../storage");
+const { buildPreviewRecord } = require("./index");
+const { loadPreviewImage } = require("./reference");
+
+function notReproducible(error) {
+  return { ok: false, status: 409, code: "PREVIEW_NOT_REPRODUCIBLE", error };
+}
+
+/**
+ * regeneratePreview(previewId, { previews, engine, storage })
+ * => { ok: true, preview, original, exact, identical } | rejection (PREVIEW_NOT_FOUND / PREVIEW_NOT_REPRODUCIBLE)
+ * - exact: the original was seeded (models without seed support only reproduce the prompt)
+ * - identical: the rerun produced byte-identical image content
+ */
+async function regeneratePreview(previewId, ctx) {
+  const original = await ctx.previews.get(String(previewId || ""));
+  if (!original) return { ok: false, status: 404, code: "PREVIEW_NOT_FOUND", error: "Preview not found" };
+  if (original.status !== "succeeded" || !original.provider || !original.model || !original.prompt) {
+    return notReproducible("Preview has no recorded generation to rerun");
+  }
+
+  let reference = null;
+  if (original.reference) {
+    const image = original.reference.imageUrl ? await loadPreviewImage(original.reference.imageUrl, ctx.storage) : null;
+    if (!image) return notReproducible("The reference image of this preview was not kept");
+    reference = { image, strength: original.reference.strength };
+  }
+
+  const result = await ctx.engine.replay({
+    provider: original.provider,
+    model: original.model,
+    fields: original.prompt,
+    output: original.output,
+    seed: original.seed,
+    reference,
+  });
+  const stored = await rehostImage(ctx.storage, result.imageUrl);
+
+  const preview = buildPreviewRecord({
+    tier: original.tier,
+    catalogVersion: original.catalogVersion,
+    imageUrl: stored.imageUrl,
+    contentHash: stored.contentHash,
+    images: { renditions: stored.renditions, thumbnails: stored.thumbnails },
+    provider: result.provider,
+    model: result.model,
+    prompt: result.prompt,
+    canonical: original.canonical,
+    brands: original.brands,
+    reference: original.reference,
+    inputs: original.inputs,
+    output: result.output,
+    seed: result.seed,
+    predictionId: result.predictionId,
+    regeneratedFrom: original.id,
+  });
+  await ctx.previews.put(preview);
+
+  return {
+    ok: true,
+    preview,
+    original,
+    exact: original.seed !== null && original.seed !== undefined,
+    identical: !!(stored.contentHash && stored.contentHash === original.contentHash),
+  };
+}
+
+module.exports = { regeneratePreview };
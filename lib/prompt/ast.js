@@ -0,0 +1,97 @@
+// /lib/prompt/ast.js
+// Structured prompt representation produced by buildPrompt and consumed by the renderers.
+//
+// {
+//   version, header,
+//   sections:    [{ id, title, lines, after }],   (after: render after the constraint blocks)
+//   constraints: [{ kind: "include" | "negative", text, source, rule, rules, priority }],
+//   meta:        { ...what buildPrompt detected (tier, recipient group, tags, brands) }
+// }
+
+const AST_VERSION = 1;
+
+// Higher = more important. HARD constraints are never trimmed for token budget.
+const PRIORITY = {
+  HARD: 100,
+  HIGH: 75,
+  MEDIUM: 50,
+  LOW: 25,
+};
+
+const SOURCES = [
+  "profile", // recipient profile: palette, materials, props
+  "tier", // tier blueprint (box layout, hero rules)
+  "placement", // framing for the output placement (square gallery, 16:9 banner, ...)
+  "avoid", // explicit AVOID items from Notes
+  "brand", // brand/logo permissions
+  "focus", // Focus Mode (MUST INCLUDE items from Notes) + watch/time requests
+  "text", // readable text / typography control
+  "engraving", // the one personalization string allowed on one item
+  "global", // always-on hard negatives and composition rules
+  "guidance", // soft allowances (candle sets, trinkets, cosmetic bags)
+  "inspiration", // style modifiers from the optional inspiration links/keywords
+  "reference", // how to use a reference image (refine a preview / follow an upload)
+  "verify", // strict exclusions added when a retry follows a failed verification
+];
+
+function createPromptAst(header) {
+  return {
+    version: AST_VERSION,
+    header: String(header || ""),
+    sections: [],
+    constraints: [],
+    meta: {},
+  };
+}
+
+function addSection(ast, id, title, lines, opts) {
+  ast.sections.push({
+    id: String(id),
+    title: title ? String(title) : null,
+    lines: (Array.isArray(lines) ? lines : [lines]).map((l) => String(l)),
+    after: !!(opts && opts.after),
+  });
+}
+
+/**
+ * Adds a constraint. `rule` is "<source>.<rule-name>" (e.g. "avoid.candles") or a bare source.
+ * Duplicates (same kind + text) keep the higher priority (and its rule); every rule that
+ * asked for the line is kept in `rules` for dry-run traces.
+ */
+function addConstraint(ast, kind, rule, priority, text) {
+  if (kind !== "include" && kind !== "negative") throw new Error("Unknown constraint kind: " + kind);
+  const source = String(rule || "").split(".")[0];
+  if (!SOURCES.includes(source)) throw new Error("Unknown constraint source: " + source);
+
+  const t = String(text || "").trim();
+  if (!t) return;
+
+  const existing = ast.constraints.find((c) => c.kind === kind && c.text.toLowerCase() === t.toLowerCase());
+  if (existing) {
+    if (!existing.rules.includes(rule)) existing.rules.push(rule);
+    if (priority > existing.priority) {
+      existing.priority = priority;
+      existing.source = source;
+      existing.rule = rule;
+    }
+    return;
+  }
+  ast.constraints.push({ kind, text: t, source, rule, rules: [rule], priority });
+}
+
+/**
+ * Negative constraints are authored as "no X"; models with a negative prompt field want just "X".
+ */
+function negativeTerm(text) {
+  return String(text || "").replace(/^no\s+/i, "").trim();
+}
+
+module.exports = {
+  AST_VERSION,
+  PRIORITY,
+  SOURCES,
+  createPromptAst,
+  addSection,
+  addConstraint,
+  negativeTerm,
+};
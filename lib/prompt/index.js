@@ -0,0 +1,7 @@
+// /lib/prompt/index.js
+// Prompt AST + per-model renderers.
+
+const ast = require("./ast");
+const render = require("./render");
+
+module.exports = Object.assign({}, ast, render);
@@ -0,0 +1,142 @@
+// /lib/prompt/render.js
+// Per-model prompt renderers: turn a prompt AST into the input fields each model accepts.
+//
+// - flux: single `prompt`; negatives become a short exclusion clause (Flux has no negative prompt)
+// - sdxl: `prompt` + a real `negative_prompt` (SDXL / Stable Diffusion style models)
+// - openai: single `prompt` for OpenAI Images (dall-e-3 caps prompts at 4000 characters)
+//
+// Each renderer has a token budget. When over budget, the lowest-priority constraints are
+// dropped first (latest-added first on ties). HARD constraints are never dropped.
+
+const { PRIORITY, negativeTerm } = require("./ast");
+
+const RENDERERS = {
+  flux: {
+    name: "flux",
+    negativeField: null,
+    skipSections: [],
+    budgets: { prompt: 512 },
+  },
+  sdxl: {
+    name: "sdxl",
+    negativeField: "negative_prompt",
+    // raw Notes repeat the avoided words ("no candles"), which pulls them INTO an SDXL image
+    skipSections: ["notes"],
+    budgets: { prompt: 225, negative: 225 },
+  },
+  openai: {
+    name: "openai",
+    negativeField: null,
+    skipSections: [],
+    budgets: { prompt: 700 },
+  },
+};
+
+const MODEL_RENDERERS = [
+  { test: /sdxl|stable-diffusion|playground|realvis|juggernaut/i, renderer: "sdxl" },
+  { test: /flux/i, renderer: "flux" },
+];
+
+function rendererFor(model) {
+  const m = String(model || "");
+  const hit = MODEL_RENDERERS.find((r) => r.test.test(m));
+  return RENDERERS[hit ? hit.renderer : "flux"];
+}
+
+// Rough token estimate (~1.3 tokens per word for CLIP/T5-style tokenizers)
+function estimateTokens(text) {
+  const words = String(text || "").trim().split(/\s+/).filter(Boolean).length;
+  return Math.ceil(words * 1.3);
+}
+
+function emit(ast, active, spec) {
+  const includes = active.filter((c) => c.kind === "include").map((c) => c.text);
+  const negatives = active.filter((c) => c.kind === "negative").map((c) => negativeTerm(c.text));
+
+  const lines = [];
+  const pushSections = (after) => {
+    for (const section of ast.sections) {
+      if (section.after !== after || spec.skipSections.includes(section.id)) continue;
+      lines.push("");
+      if (section.title) lines.push(section.title + ":");
+      lines.push(...section.lines);
+    }
+  };
+
+  lines.push(ast.header);
+  pushSections(false);
+
+  if (includes.length) {
+    lines.push("");
+    lines.push("MUST INCLUDE:");
+    lines.push("- " + includes.join("; "));
+  }
+
+  if (!spec.negativeField && negatives.length) {
+    lines.push("");
+    lines.push("KEEP OUT OF FRAME:");
+    lines.push("- " + negatives.join(", "));
+  }
+
+  pushSections(true);
+
+  const fields = { prompt: lines.join("\n").trim() };
+  if (spec.negativeField) fields[spec.negativeField] = negatives.join(", ");
+  return fields;
+}
+
+function tokenCounts(fields, spec) {
+  return {
+    prompt: estimateTokens(fields.prompt),
+    negative: spec.negativeField ? estimateTokens(fields[spec.negativeField]) : 0,
+  };
+}
+
+function overBudget(tokens, spec) {
+  if (tokens.prompt > spec.budgets.prompt) return "prompt";
+  if (spec.negativeField && tokens.negative > spec.budgets.negative) return "negative";
+  return null;
+}
+
+function pickVictim(active, over, spec) {
+  let victim = -1;
+  for (let i = 0; i < active.length; i++) {
+    const c = active[i];
+    if (c.priority >= PRIORITY.HARD) continue;
+    if (spec.negativeField) {
+      if (over === "prompt" && c.kind !== "include") continue;
+      if (over === "negative" && c.kind !== "negative") continue;
+    }
+    if (victim < 0 || c.priority <= active[victim].priority) victim = i;
+  }
+  return victim;
+}
+
+/**
+ * renderPrompt(ast, model | { renderer })
+ * => { renderer, fields: { prompt, negative_prompt? }, tokens, dropped, overBudget }
+ */
+function renderPrompt(ast, target) {
+  const spec =
+    target && typeof target === "object" && target.renderer
+      ? RENDERERS[target.renderer] || rendererFor("")
+      : rendererFor(target);
+
+  const active = ast.constraints.slice();
+  const dropped = [];
+
+  for (;;) {
+    const fields = emit(ast, active, spec);
+    const tokens = tokenCounts(fields, spec);
+    const over = overBudget(tokens, spec);
+    const victim = over ? pickVictim(active, over, spec) : -1;
+
+    if (!over || victim < 0) {
+      return { renderer: spec.name, fields, tokens, dropped, overBudget: !!over };
+    }
+    dropped.push(active[victim]);
+    active.splice(victim, 1);
+  }
+}
+
+module.exports = { RENDERERS, rendererFor, renderPrompt, estimateTokens };
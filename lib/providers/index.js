@@ -0,0 +1,312 @@
+// /lib/providers/index.js
+// Image engine: ordered provider/model chain per tier with fallback on error or timeout.
+//
+// Providers share one interface:
+//   { name, renderer(model) => renderer name, referenceInput(model) => { image, strength } | null,
+//     supportsSeed(model) => boolean, outputSupport(model) => { aspectRatios, formats | null },
+//     generate({ model, fields, output, reference?, seed?, signal }) => { imageUrl, imageUrls, predictionId? } }
+//
+// Env (optional):
+// - MEANINGFULL_IMAGE_PROVIDER="mock" (every tier uses the local mock provider; offline dev)
+// - MEANINGFULL_ENGINE_CHAIN='{"curated":["replicate:black-forest-labs/flux-schnell","openai:dall-e-3"],"signature":["replicate:black-forest-labs/flux-dev"]}'
+//   (default: REPLICATE_MODEL for every tier, then openai:dall-e-3 when OPENAI_API_KEY is set)
+// - MEANINGFULL_PROVIDER_TIMEOUT_MS (per attempt, default 55000)
+// - MEANINGFULL_REFERENCE_MODEL (img2img fallback when no chain step accepts a reference;
+//   default replicate:black-forest-labs/flux-dev)
+
+const { replicateModel } = require("../replicate");
+const { renderPrompt } = require("../prompt");
+const { tierKey } = require("../quota");
+const { createReplicateProvider } = require("./replicate");
+const { createOpenAIProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+const { normalizeOutput, supportsOutput } = require("./output");
+const { logger } = require("../telemetry/logger");
+
+const DEFAULT_TIMEOUT_MS = 55000;
+const DEFAULT_REFERENCE_STEP = "replicate:black-forest-labs/flux-dev";
+
+// Fallback when the caller passes no output (the preview route always sends a catalog placement)
+const DEFAULT_OUTPUT = {
+  aspectRatio: "1:1",
+  format: "webp",
+  quality: 90,
+};
+
+function parseStep(step) {
+  const s = String(step || "").trim();
+  const idx = s.indexOf(":");
+  if (idx <= 0) throw new Error("Invalid engine step (expected provider:model): " + s);
+  return { provider: s.slice(0, idx), model: s.slice(idx + 1) };
+}
+
+function chainsFromEnv() {
+  if (String(process.env.MEANINGFULL_IMAGE_PROVIDER || "").toLowerCase() === "mock") {
+    return { curated: [parseStep("mock:placeholder")], signature: [parseStep("mock:placeholder")] };
+  }
+
+  const raw = process.env.MEANINGFULL_ENGINE_CHAIN;
+  if (raw) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      throw new Error("MEANINGFULL_ENGINE_CHAIN is not valid JSON");
+    }
+    const chains = {};
+    for (const t of Object.keys(parsed || {})) {
+      chains[t] = (Array.isArray(parsed[t]) ? parsed[t] : [parsed[t]]).map(parseStep);
+    }
+    return chains;
+  }
+
+  const steps = ["replicate:" + replicateModel()];
+  if (process.env.OPENAI_API_KEY) steps.push("openai:dall-e-3");
+  return { curated: steps.map(parseStep), signature: steps.map(parseStep) };
+}
+
+// Env var a step needs before it can run (null = nothing required); env defaults to process.env
+function missingEnv(step, env) {
+  const e = env || process.env;
+  if (step.provider === "replicate") {
+    if (String(e.MEANINGFULL_FAKE_REPLICATE || "").toLowerCase() === "true") return null;
+    return e.REPLICATE_API_TOKEN ? null : "REPLICATE_API_TOKEN";
+  }
+  if (step.provider === "openai") return e.OPENAI_API_KEY ? null : "OPENAI_API_KEY";
+  return null;
+}
+
+function providersFromEnv() {
+  return {
+    replicate: createReplicateProvider(),
+    openai: createOpenAIProvider(),
+    mock: createMockProvider(),
+  };
+}
+
+async function withTimeout(fn, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      // Reject first: an SDK that throws on abort must not replace the timeout as the attempt's error
+      reject(new Error("Timed out after " + timeoutMs + "ms"));
+      controller.abort();
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * createImageEngine({ providers?, chains?, timeoutMs?, env? })
+ * - env: checked for the keys each step needs (default process.env), injected providers included
+ * - chainFor(tier) => [{ provider, model }]
+ * - referenceChainFor(tier) => the steps that accept a reference image (img2img)
+ * - outputChainFor(tier, output, { reference? }) => the steps that can produce this output
+ *   (aspect ratio / format); generate skips the others
+ * - generate({ tier, ast, output?, reference?, seed? })
+ *   => { imageUrl, imageUrls, predictionId, provider, model, renderer, prompt, output, seed, attempts }
+ *   Throws an Error with .attempts when every step fails. seed is null when the model ignores it.
+ * - generateVariants({ tier, ast, output?, reference?, seeds }) runs one generate per seed in
+ *   parallel => { variants, failures }. Throws (with .attempts) only when every variant fails.
+ * - replay({ provider, model, fields, output, seed?, reference? }) reruns one recorded call
+ *   as-is: same model, same rendered prompt, no fallback. Same result shape as generate.
+ */
+function createImageEngine(opts) {
+  const providers = (opts && opts.providers) || providersFromEnv();
+  const chains = (opts && opts.chains) || chainsFromEnv();
+  const timeoutMs =
+    (opts && opts.timeoutMs) || Number(process.env.MEANINGFULL_PROVIDER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  function chainFor(tier) {
+    const chain = chains[tierKey(tier)] || chains.curated || [];
+    if (!chain.length) throw new Error("No image providers configured for tier " + tier);
+    return chain;
+  }
+
+  function honoursSeed(step) {
+    const provider = providers[step.provider];
+    return !!(provider && typeof provider.supportsSeed === "function" && provider.supportsSeed(step.model));
+  }
+
+  function acceptsReference(step) {
+    const provider = providers[step.provider];
+    return !!(provider && typeof provider.referenceInput === "function" && provider.referenceInput(step.model));
+  }
+
+  // Providers without outputSupport (test doubles) accept any output
+  function canProduce(step, output) {
+    const provider = providers[step.provider];
+    if (!provider || typeof provider.outputSupport !== "function") return true;
+    return supportsOutput(provider.outputSupport(step.model), output);
+  }
+
+  function referenceChainFor(tier) {
+    const capable = chainFor(tier).filter(acceptsReference);
+    if (capable.length) return capable;
+    const fallback = parseStep(process.env.MEANINGFULL_REFERENCE_MODEL || DEFAULT_REFERENCE_STEP);
+    return acceptsReference(fallback) ? [fallback] : [];
+  }
+
+  function outputChainFor(tier, output, opts) {
+    const out = Object.assign({}, DEFAULT_OUTPUT, output || {});
+    const steps = opts && opts.reference ? referenceChainFor(tier) : chainFor(tier);
+    return steps.filter((step) => canProduce(step, out));
+  }
+
+  async function generate(req) {
+    const output = Object.assign({}, DEFAULT_OUTPUT, req.output || {});
+    const attempts = [];
+
+    const steps = req.reference ? referenceChainFor(req.tier) : chainFor(req.tier);
+    if (!steps.length) throw new Error("No image model accepts a reference image");
+
+    for (const step of steps) {
+      const provider = providers[step.provider];
+      if (!provider) {
+        attempts.push({ provider: step.provider, model: step.model, error: "Unknown provider" });
+        continue;
+      }
+      if (!canProduce(step, output)) {
+        attempts.push({ provider: step.provider, model: step.model, error: "Unsupported output " + output.aspectRatio + " " + output.format });
+        continue;
+      }
+      const missing = missingEnv(step, opts && opts.env);
+      if (missing) {
+        attempts.push({ provider: step.provider, model: step.model, error: "Missing " + missing + " in environment" });
+        continue;
+      }
+
+      const rendered = renderPrompt(req.ast, { renderer: provider.renderer(step.model) });
+      const started = Date.now();
+      try {
+        const result = await withTimeout(
+          (signal) =>
+            provider.generate({
+              model: step.model,
+              fields: rendered.fields,
+              output,
+              reference: req.reference,
+              seed: req.seed,
+              signal,
+            }),
+          timeoutMs
+        );
+        if (!result || !result.imageUrl) throw new Error("No image returned from model");
+
+        attempts.push({ provider: step.provider, model: step.model, ok: true, ms: Date.now() - started });
+        return {
+          imageUrl: result.imageUrl,
+          imageUrls: result.imageUrls,
+          predictionId: result.predictionId || null,
+          provider: step.provider,
+          model: step.model,
+          renderer: rendered.renderer,
+          prompt: rendered.fields,
+          output,
+          seed: Number.isInteger(req.seed) && honoursSeed(step) ? req.seed : null,
+          attempts,
+        };
+      } catch (e) {
+        (req.log || logger).error("provider.attempt_failed", e, {
+          provider: step.provider,
+          model: step.model,
+          ms: Date.now() - started,
+        });
+        attempts.push({
+          provider: step.provider,
+          model: step.model,
+          error: (e && e.message) ? e.message : String(e),
+          ms: Date.now() - started,
+        });
+      }
+    }
+
+    const err = new Error("All image providers failed");
+    err.attempts = attempts;
+    throw err;
+  }
+
+  async function generateVariants(req) {
+    const seeds = req.seeds && req.seeds.length ? req.seeds : [undefined];
+    const settled = await Promise.allSettled(
+      seeds.map((seed) => generate(Object.assign({}, req, { seed })))
+    );
+
+    const variants = [];
+    const failures = [];
+    settled.forEach((s, i) => {
+      if (s.status === "fulfilled") {
+        variants.push(Object.assign({ index: i }, s.value));
+      } else {
+        failures.push({
+          index: i,
+          seed: Number.isInteger(seeds[i]) ? seeds[i] : null,
+          error: (s.reason && s.reason.message) ? s.reason.message : String(s.reason),
+          attempts: (s.reason && s.reason.attempts) || [],
+        });
+      }
+    });
+
+    if (!variants.length) {
+      const err = new Error(seeds.length > 1 ? "All image variants failed" : "All image providers failed");
+      err.attempts = failures.reduce((all, f) => all.concat(f.attempts), []);
+      throw err;
+    }
+    return { variants, failures };
+  }
+
+  async function replay(req) {
+    const step = { provider: req.provider, model: req.model };
+    const provider = providers[step.provider];
+    if (!provider) throw new Error("Unknown provider: " + step.provider);
+    const missing = missingEnv(step, opts && opts.env);
+    if (missing) throw new Error("Missing " + missing + " in environment");
+
+    const output = Object.assign({}, DEFAULT_OUTPUT, req.output || {});
+    const started = Date.now();
+    const result = await withTimeout(
+      (signal) =>
+        provider.generate({
+          model: step.model,
+          fields: req.fields,
+          output,
+          reference: req.reference,
+          seed: req.seed,
+          signal,
+        }),
+      timeoutMs
+    );
+    if (!result || !result.imageUrl) throw new Error("No image returned from model");
+
+    return {
+      imageUrl: result.imageUrl,
+      imageUrls: result.imageUrls,
+      predictionId: result.predictionId || null,
+      provider: step.provider,
+      model: step.model,
+      renderer: provider.renderer(step.model),
+      prompt: req.fields,
+      output,
+      seed: Number.isInteger(req.seed) && honoursSeed(step) ? req.seed : null,
+      attempts: [{ provider: step.provider, model: step.model, ok: true, ms: Date.now() - started }],
+    };
+  }
+
+  return { chainFor, referenceChainFor, outputChainFor, generate, generateVariants, replay, providers, chains, timeoutMs };
+}
+
+module.exports = {
+  createImageEngine,
+  createReplicateProvider,
+  createOpenAIProvider,
+  createMockProvider,
+  normalizeOutput,
+  parseStep,
+  missingEnv,
+  DEFAULT_OUTPUT,
+};
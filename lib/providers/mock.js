@@ -0,0 +1,76 @@
+// /lib/providers/mock.js
+// Deterministic local mock provider for offline dev and tests.
+// Returns an SVG placeholder (data: URL) whose colour is derived from the prompt hash,
+// so the same prompt (and seed) always yields the same "image". Accepts reference images
+// (img2img) and every aspect ratio (the placeholder takes the requested shape).
+
+const crypto = require("crypto");
+const { normalizeOutput } = require("./output");
+
+const ASPECT_RATIOS = ["1:1", "16:9", "21:9", "3:2", "2:3", "4:5", "5:4", "3:4", "4:3", "9:16", "9:21"];
+
+// Width 1024, height from "w:h" (square when missing)
+function placeholderSize(aspectRatio) {
+  const m = /^(\d+):(\d+)$/.exec(String(aspectRatio || ""));
+  return { width: 1024, height: m ? Math.round((1024 * Number(m[2])) / Number(m[1])) : 1024 };
+}
+
+function placeholderSvg(hash, label, aspectRatio) {
+  const color = "#" + hash.slice(0, 6);
+  const { width, height } = placeholderSize(aspectRatio);
+  const svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + " " + height + '">' +
+    '<rect width="' + width + '" height="' + height + '" fill="' + color + '"/>' +
+    '<rect x="262" y="' + (height / 2 - 200) + '" width="500" height="400" rx="12" fill="#f5f1ea" opacity="0.9"/>' +
+    '<text x="512" y="' + (height / 2 + 18) + '" font-family="sans-serif" font-size="36" text-anchor="middle" fill="#333">' +
+    label +
+    "</text></svg>";
+  return "data:image/svg+xml;base64," + Buffer.from(svg).toString("base64");
+}
+
+function createMockProvider(opts) {
+  const failModels = new Set((opts && opts.failModels) || []);
+  const calls = [];
+
+  return {
+    name: "mock",
+    calls,
+
+    renderer() {
+      return "flux";
+    },
+
+    referenceInput() {
+      return { image: "image", strength: "strength" };
+    },
+
+    outputSupport() {
+      return { aspectRatios: ASPECT_RATIOS.slice(), formats: null };
+    },
+
+    supportsSeed() {
+      return true;
+    },
+
+    async generate(req) {
+      calls.push({
+        model: req.model,
+        fields: req.fields,
+        output: req.output,
+        reference: req.reference || null,
+        seed: Number.isInteger(req.seed) ? req.seed : null,
+      });
+      if (failModels.has(req.model)) throw new Error("Mock provider failure for model " + req.model);
+
+      const hash = crypto
+        .createHash("sha256")
+        .update(String(req.fields.prompt || ""))
+        .update(req.reference ? "|ref:" + req.reference.strength + ":" + String(req.reference.image).length : "")
+        .update(Number.isInteger(req.seed) ? "|seed:" + req.seed : "")
+        .digest("hex");
+      return normalizeOutput(placeholderSvg(hash, "Meaningfull preview " + hash.slice(0, 8), req.output && req.output.aspectRatio));
+    },
+  };
+}
+
+module.exports = { createMockProvider };
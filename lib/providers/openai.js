@@ -0,0 +1,96 @@
+// /lib/providers/openai.js
+// OpenAI Images provider (dall-e-3, gpt-image-1).
+// The Images API takes fixed sizes, not aspect ratios: each model family lists the ratios it can
+// serve (dall-e-3's 1792x1024 is 7:4, close enough for a 16:9 banner crop).
+//
+// Env:
+// - OPENAI_API_KEY
+
+const { normalizeOutput, mimeTypeFor } = require("./output");
+
+const SIZES = {
+  dalle: {
+    "1:1": "1024x1024",
+    "16:9": "1792x1024",
+    "9:16": "1024x1792",
+  },
+  gptImage: {
+    "1:1": "1024x1024",
+    "3:2": "1536x1024",
+    "2:3": "1024x1536",
+  },
+};
+
+function isGptImageModel(model) {
+  return /^gpt-image/i.test(String(model || ""));
+}
+
+function sizesFor(model) {
+  return isGptImageModel(model) ? SIZES.gptImage : SIZES.dalle;
+}
+
+// dall-e-* always returns PNG; gpt-image-* takes output_format
+function outputSupport(model) {
+  return {
+    aspectRatios: Object.keys(sizesFor(model)),
+    formats: isGptImageModel(model) ? ["webp", "jpg", "png"] : null,
+  };
+}
+
+function createOpenAIProvider(opts) {
+  let client = opts && opts.client;
+
+  function getClient() {
+    if (!client) {
+      const OpenAI = require("openai");
+      client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return client;
+  }
+
+  return {
+    name: "openai",
+
+    renderer() {
+      return "openai";
+    },
+
+    // no img2img support: steps on this provider are skipped for reference requests
+    referenceInput() {
+      return null;
+    },
+
+    outputSupport,
+
+    // the Images API takes no seed: results are not reproducible and report seed null
+    supportsSeed() {
+      return false;
+    },
+
+    async generate(req) {
+      const isGptImage = isGptImageModel(req.model);
+      const size = sizesFor(req.model)[req.output.aspectRatio];
+      if (!size) throw new Error("Aspect ratio " + req.output.aspectRatio + " is not available on " + req.model);
+      const params = {
+        model: req.model,
+        prompt: req.fields.prompt,
+        n: 1,
+        size,
+      };
+
+      // gpt-image-* always returns b64 and takes output_format; dall-e-* can return hosted URLs
+      if (isGptImage) {
+        params.output_format = req.output.format === "jpg" ? "jpeg" : req.output.format;
+        params.quality = "high";
+      } else {
+        params.response_format = "url";
+        params.quality = "hd";
+      }
+
+      const result = await getClient().images.generate(params, { signal: req.signal });
+      return normalizeOutput(result, { mimeType: isGptImage ? mimeTypeFor(req.output.format) : "image/png" });
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider, outputSupport };
@@ -0,0 +1,70 @@
+// /lib/providers/output.js
+// Normalized image output parsing for every provider.
+//
+// Accepts whatever a provider returns and yields { imageUrl, imageUrls }:
+// - "https://..." / ["https://...", ...]
+// - Replicate FileOutput objects (url() / toString())
+// - { output: [...] } / { images: [...] } / { url }
+// - OpenAI Images: { data: [{ url } | { b64_json }] } (b64 becomes a data: URL)
+//
+// Output settings ({ aspectRatio, format, quality }) are checked against what a model supports:
+// providers report { aspectRatios: [...], formats: [...] | null } per model (null = the model
+// returns its own format; storage renditions convert it).
+
+function urlFromItem(item, mimeType) {
+  if (!item) return null;
+  if (typeof item === "string") return item;
+  if (typeof item === "object") {
+    if (typeof item.url === "string") return item.url;
+    if (typeof item.url === "function") {
+      const u = item.url();
+      return u ? String(u) : null;
+    }
+    if (typeof item.b64_json === "string" && item.b64_json) {
+      return "data:" + (mimeType || "image/png") + ";base64," + item.b64_json;
+    }
+  }
+  return null;
+}
+
+function collectItems(output) {
+  if (!output) return [];
+  if (typeof output === "string") return [output];
+  if (Array.isArray(output)) return output;
+  if (typeof output === "object") {
+    if (Array.isArray(output.output)) return output.output;
+    if (typeof output.output === "string") return [output.output];
+    if (Array.isArray(output.images)) return output.images;
+    if (Array.isArray(output.data)) return output.data;
+    return [output];
+  }
+  return [];
+}
+
+function normalizeOutput(output, opts) {
+  const mimeType = opts && opts.mimeType;
+  const imageUrls = collectItems(output)
+    .map((item) => urlFromItem(item, mimeType))
+    .filter((u) => typeof u === "string" && u.length > 0);
+
+  return {
+    imageUrl: imageUrls.length ? imageUrls[0] : null,
+    imageUrls,
+  };
+}
+
+// "jpg" is the catalog/Replicate spelling; MIME types and OpenAI want "jpeg"
+function mimeTypeFor(format) {
+  return "image/" + (format === "jpg" ? "jpeg" : format);
+}
+
+/**
+ * supportsOutput({ aspectRatios, formats }, output) => boolean
+ */
+function supportsOutput(support, output) {
+  if (!support) return false;
+  if (!support.aspectRatios.includes(output.aspectRatio)) return false;
+  return !support.formats || support.formats.includes(output.format);
+}
+
+module.exports = { normalizeOutput, mimeTypeFor, supportsOutput };
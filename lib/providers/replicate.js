@@ -0,0 +1,89 @@
+// /lib/providers/replicate.js
+// Replicate image provider (Flux, SDXL-style models, ...).
+// Reference images (img2img) go to models listed in REFERENCE_INPUTS; the Replicate client
+// uploads Buffer inputs itself. Seeds are passed through as `seed` (Flux/SDXL honour it).
+// Aspect ratios / formats per model family are listed in OUTPUT_SUPPORT; unknown models are
+// treated as square-only.
+
+const { createReplicateClient } = require("../replicate");
+const { rendererFor } = require("../prompt");
+const { normalizeOutput, mimeTypeFor } = require("./output");
+
+const FLUX_ASPECT_RATIOS = ["1:1", "16:9", "21:9", "3:2", "2:3", "4:5", "5:4", "3:4", "4:3", "9:16", "9:21"];
+
+// aspect_ratio / output_format support per model family (first match wins)
+const OUTPUT_SUPPORT = [
+  { test: /flux/i, aspectRatios: FLUX_ASPECT_RATIOS, formats: ["webp", "jpg", "png"] },
+  { test: /.*/, aspectRatios: ["1:1"], formats: null },
+];
+
+function outputSupport(model) {
+  const hit = OUTPUT_SUPPORT.find((r) => r.test.test(String(model || "")));
+  return { aspectRatios: hit.aspectRatios.slice(), formats: hit.formats ? hit.formats.slice() : null };
+}
+
+// Input field names for img2img-capable models (first match wins)
+const REFERENCE_INPUTS = [
+  { test: /flux-dev|flux-kontext|flux-1\.1-pro/i, image: "image", strength: "prompt_strength" },
+  { test: /sdxl|stable-diffusion|realvis|juggernaut/i, image: "image", strength: "prompt_strength" },
+];
+
+function referenceInput(model) {
+  const hit = REFERENCE_INPUTS.find((r) => r.test.test(String(model || "")));
+  return hit ? { image: hit.image, strength: hit.strength } : null;
+}
+
+/**
+ * Model input for one call: rendered fields + output settings (+ reference image, seed).
+ */
+function buildInput(model, fields, output, reference, seed) {
+  const input = Object.assign({}, fields, {
+    aspect_ratio: output.aspectRatio,
+    output_format: output.format,
+    quality: output.quality,
+  });
+  if (Number.isInteger(seed)) input.seed = seed;
+  const spec = reference ? referenceInput(model) : null;
+  if (spec) {
+    input[spec.image] = reference.image;
+    input[spec.strength] = reference.strength;
+  }
+  return input;
+}
+
+function createReplicateProvider(opts) {
+  const client = (opts && opts.client) || createReplicateClient();
+
+  return {
+    name: "replicate",
+    client,
+
+    renderer(model) {
+      return rendererFor(model).name;
+    },
+
+    referenceInput,
+    outputSupport,
+
+    supportsSeed() {
+      return true;
+    },
+
+    async generate(req) {
+      let predictionId = null;
+      const output = await client.run(
+        req.model,
+        {
+          input: buildInput(req.model, req.fields, req.output, req.reference, req.seed),
+          signal: req.signal,
+        },
+        (prediction) => {
+          if (prediction && prediction.id) predictionId = prediction.id;
+        }
+      );
+      return Object.assign(normalizeOutput(output, { mimeType: mimeTypeFor(req.output.format) }), { predictionId });
+    },
+  };
+}
+
+module.exports = { createReplicateProvider, referenceInput, outputSupport, buildInput };
@@ -0,0 +1,117 @@
+// /lib/quota/file-store.js
+// File-backed quota store (JSON on disk, guarded by an exclusive lock file).
+// Survives cold starts on the same host/volume. For many concurrent instances use the redis store.
+
+const fs = require("fs");
+const path = require("path");
+const { consumeWindows, releaseWindows } = require("./rolling-window");
+
+const LOCK_RETRY_MS = 15;
+const LOCK_TIMEOUT_MS = 3000;
+const LOCK_STALE_MS = 10000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function readData(filePath) {
+  try {
+    const raw = fs.readFileSync(filePath, "utf8");
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (e) {
+    if (e && e.code === "ENOENT") return {};
+    throw new Error("Counter file unreadable: " + filePath + " (" + ((e && e.message) || String(e)) + ")");
+  }
+}
+
+function writeData(filePath, data) {
+  const tmp = filePath + "." + process.pid + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, filePath);
+}
+
+async function acquireLock(lockPath) {
+  const started = Date.now();
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      fs.closeSync(fd);
+      return;
+    } catch (e) {
+      if (!e || e.code !== "EEXIST") throw e;
+    }
+
+    // Break locks left behind by a crashed instance
+    try {
+      const st = fs.statSync(lockPath);
+      if (Date.now() - st.mtimeMs > LOCK_STALE_MS) {
+        fs.unlinkSync(lockPath);
+        continue;
+      }
+    } catch (e) {
+      continue;
+    }
+
+    if (Date.now() - started > LOCK_TIMEOUT_MS) {
+      throw new Error("Timed out waiting for counter lock: " + lockPath);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+function releaseLock(lockPath) {
+  try {
+    fs.unlinkSync(lockPath);
+  } catch (e) {
+    // already gone
+  }
+}
+
+/**
+ * Locked read-modify-write access to a JSON file: withData(fn) runs fn(data) under the lock
+ * and writes data back. Shared with the other per-host counters (see lib/guard).
+ */
+function createLockedJsonFile(filePath) {
+  const lockPath = filePath + ".lock";
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  async function withData(fn) {
+    await acquireLock(lockPath);
+    try {
+      const data = readData(filePath);
+      const result = fn(data);
+      writeData(filePath, data);
+      return result;
+    } finally {
+      releaseLock(lockPath);
+    }
+  }
+
+  return { withData };
+}
+
+function createFileStore(opts) {
+  const filePath = (opts && opts.filePath) || "/tmp/meaningfull-quota.json";
+  const { withData } = createLockedJsonFile(filePath);
+
+  return {
+    kind: "file",
+
+    async consume(checks, member, now) {
+      return withData((data) => consumeWindows(data, checks, member, now));
+    },
+
+    async release(keys, member) {
+      await withData((data) => releaseWindows(data, keys, member));
+    },
+
+    async reset() {
+      await withData((data) => {
+        for (const k of Object.keys(data)) delete data[k];
+      });
+    },
+  };
+}
+
+module.exports = { createFileStore, createLockedJsonFile };
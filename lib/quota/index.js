@@ -0,0 +1,195 @@
+// /lib/quota/index.js
+// Generation quota — atomic check-and-increment over rolling windows.
+// Scopes: per-session, per-IP and per-Shopify-customer. Limits are set per tier.
+//
+// Env (optional):
+// - MEANINGFULL_QUOTA_STORE="memory" | "file" | "redis" (default: redis if a URL is set, else file)
+//   The file store is per instance: on Vercel / NODE_ENV=production falling back to it without
+//   MEANINGFULL_QUOTA_STORE set logs quota.store_not_shared at cold start (set "file" to accept it).
+// - MEANINGFULL_QUOTA_FILE (default /tmp/meaningfull-quota.json)
+// - MEANINGFULL_QUOTA_REDIS_URL or REDIS_URL (redis store; needs ioredis, an optionalDependency)
+// - MEANINGFULL_QUOTA_LIMITS='{"signature":{"session":{"limit":3}}}' (merged over defaults)
+
+const crypto = require("crypto");
+const { createMemoryStore } = require("./memory-store");
+const { createFileStore } = require("./file-store");
+const { createRedisStore } = require("./redis-store");
+const { logger } = require("../telemetry/logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ================= TIER LIMITS =================
+// session limit 2 == the original MAX_GENERATIONS. Catalog tiers missing here use curated's limits.
+const DEFAULT_TIER_LIMITS = {
+  mini: {
+    session: { limit: 2, windowMs: 7 * DAY_MS },
+    ip: { limit: 8, windowMs: DAY_MS },
+    customer: { limit: 4, windowMs: DAY_MS },
+  },
+  curated: {
+    session: { limit: 2, windowMs: 7 * DAY_MS },
+    ip: { limit: 8, windowMs: DAY_MS },
+    customer: { limit: 4, windowMs: DAY_MS },
+  },
+  signature: {
+    session: { limit: 2, windowMs: 7 * DAY_MS },
+    ip: { limit: 8, windowMs: DAY_MS },
+    customer: { limit: 4, windowMs: DAY_MS },
+  },
+  // bulk orders: buyers try several looks for one team, often from one office IP
+  corporate: {
+    session: { limit: 4, windowMs: 7 * DAY_MS },
+    ip: { limit: 16, windowMs: DAY_MS },
+    customer: { limit: 8, windowMs: DAY_MS },
+  },
+  subscription: {
+    session: { limit: 2, windowMs: 7 * DAY_MS },
+    ip: { limit: 8, windowMs: DAY_MS },
+    customer: { limit: 4, windowMs: DAY_MS },
+  },
+};
+
+const SCOPES = ["session", "ip", "customer"];
+
+// Tier label => catalog tier key ("Signature" => "signature"); missing => "curated"
+function tierKey(tier) {
+  return String(tier || "").trim().toLowerCase() || "curated";
+}
+
+function mergeLimits(base, override) {
+  const out = {};
+  for (const t of Object.keys(base)) {
+    out[t] = {};
+    for (const s of SCOPES) out[t][s] = Object.assign({}, base[t][s]);
+  }
+  if (!override || typeof override !== "object") return out;
+
+  for (const t of Object.keys(override)) {
+    if (!out[t]) out[t] = {};
+    const scopes = override[t] || {};
+    for (const s of SCOPES) {
+      if (scopes[s] === null) delete out[t][s];
+      else if (scopes[s] && typeof scopes[s] === "object") out[t][s] = Object.assign({}, out[t][s], scopes[s]);
+    }
+  }
+  return out;
+}
+
+function limitsFromEnv() {
+  const raw = process.env.MEANINGFULL_QUOTA_LIMITS;
+  if (!raw) return mergeLimits(DEFAULT_TIER_LIMITS, null);
+  try {
+    return mergeLimits(DEFAULT_TIER_LIMITS, JSON.parse(raw));
+  } catch (e) {
+    throw new Error("MEANINGFULL_QUOTA_LIMITS is not valid JSON");
+  }
+}
+
+// ================= STORE SELECTION =================
+function isProduction() {
+  return Boolean(process.env.VERCEL) || process.env.NODE_ENV === "production";
+}
+
+function storeFromEnv() {
+  const redisUrl = process.env.MEANINGFULL_QUOTA_REDIS_URL || process.env.REDIS_URL || "";
+  const kind = String(process.env.MEANINGFULL_QUOTA_STORE || (redisUrl ? "redis" : "file")).toLowerCase();
+
+  if (kind === "memory") return createMemoryStore();
+  if (kind === "file") {
+    const filePath = process.env.MEANINGFULL_QUOTA_FILE || "/tmp/meaningfull-quota.json";
+    const store = createFileStore({ filePath });
+    // Every serverless instance gets its own /tmp: limits multiply with the instance count
+    if (!process.env.MEANINGFULL_QUOTA_STORE && isProduction()) {
+      logger.error("quota.store_not_shared", null, {
+        store: "file",
+        filePath,
+        note: "quota counters are per instance; set MEANINGFULL_QUOTA_REDIS_URL (or MEANINGFULL_QUOTA_STORE=file to accept this)",
+      });
+    }
+    return store;
+  }
+  if (kind === "redis") {
+    if (!redisUrl) throw new Error("MEANINGFULL_QUOTA_STORE=redis needs MEANINGFULL_QUOTA_REDIS_URL or REDIS_URL");
+    let Redis;
+    try {
+      Redis = require("ioredis");
+    } catch (e) {
+      throw new Error("MEANINGFULL_QUOTA_STORE=redis needs the ioredis package installed");
+    }
+    return createRedisStore({ client: new Redis(redisUrl) });
+  }
+  throw new Error("Unknown MEANINGFULL_QUOTA_STORE: " + kind);
+}
+
+// ================= QUOTA =================
+/**
+ * createQuota({ store?, limits? })
+ * - consume({ tier, sessionId, ip, customerId }) => reservation (allowed/used/limit/scope)
+ * - release(reservation) refunds a reservation (e.g. the model call failed)
+ */
+function createQuota(opts) {
+  const store = (opts && opts.store) || storeFromEnv();
+  const limits = (opts && opts.limits) ? mergeLimits(DEFAULT_TIER_LIMITS, opts.limits) : limitsFromEnv();
+
+  function buildChecks(tier, ids) {
+    const tierLimits = limits[tierKey(tier)] || limits.curated || {};
+    const checks = [];
+    for (const scope of SCOPES) {
+      const id = String((ids && ids[scope]) || "").trim();
+      const rule = tierLimits[scope];
+      if (!id || !rule) continue;
+      checks.push({
+        scope,
+        key: scope + ":" + id,
+        limit: Number(rule.limit),
+        windowMs: Number(rule.windowMs) || DAY_MS,
+      });
+    }
+    return checks;
+  }
+
+  async function consume(req) {
+    const r = req || {};
+    const checks = buildChecks(r.tier, { session: r.sessionId, ip: r.ip, customer: r.customerId });
+    const now = Date.now();
+    const member = now + "-" + crypto.randomBytes(6).toString("hex");
+
+    const result = await store.consume(checks, member, now);
+    const sessionIdx = checks.findIndex((c) => c.scope === "session");
+
+    if (!result.allowed) {
+      const blocked = checks[result.blockedIndex] || {};
+      return {
+        allowed: false,
+        scope: blocked.scope || null,
+        limit: blocked.limit,
+        used: result.counts[result.blockedIndex],
+      };
+    }
+
+    return {
+      allowed: true,
+      member,
+      keys: checks.map((c) => c.key),
+      used: sessionIdx >= 0 ? result.counts[sessionIdx] : null,
+      limit: sessionIdx >= 0 ? checks[sessionIdx].limit : null,
+    };
+  }
+
+  async function release(reservation) {
+    if (!reservation || !reservation.allowed || !reservation.member) return;
+    await store.release(reservation.keys, reservation.member);
+  }
+
+  return { consume, release, store, limits };
+}
+
+module.exports = {
+  createQuota,
+  tierKey,
+  DEFAULT_TIER_LIMITS,
+  createMemoryStore,
+  createFileStore,
+  createRedisStore,
+};
@@ -0,0 +1,26 @@
+// /lib/quota/memory-store.js
+// In-memory quota store. Per-instance only — use for tests and local dev.
+
+const { consumeWindows, releaseWindows } = require("./rolling-window");
+
+function createMemoryStore() {
+  const data = {};
+
+  return {
+    kind: "memory",
+
+    async consume(checks, member, now) {
+      return consumeWindows(data, checks, member, now);
+    },
+
+    async release(keys, member) {
+      releaseWindows(data, keys, member);
+    },
+
+    async reset() {
+      for (const k of Object.keys(data)) delete data[k];
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,117 @@
+// /lib/quota/redis-standin.js
+// Minimal in-process stand-in for the ioredis commands used by the redis quota, spend, metrics
+// and record stores.
+// Lets the redis adapter run locally and in tests without a Redis server.
+
+function createRedisStandIn() {
+  const zsets = new Map(); // key -> Map(member -> score)
+  const expiries = new Map(); // key -> expireAtMs
+  const counters = new Map(); // key -> integer
+  const hashes = new Map(); // key -> Map(field -> number)
+  const strings = new Map(); // key -> string
+
+  function zset(key) {
+    const exp = expiries.get(key);
+    if (exp !== undefined && exp <= Date.now()) {
+      zsets.delete(key);
+      expiries.delete(key);
+    }
+    if (!zsets.has(key)) zsets.set(key, new Map());
+    return zsets.get(key);
+  }
+
+  const commands = {
+    zremrangebyscore(key, min, max) {
+      const z = zset(key);
+      let removed = 0;
+      for (const [member, score] of z) {
+        if (score >= Number(min) && score <= Number(max)) {
+          z.delete(member);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    zadd(key, score, member) {
+      const z = zset(key);
+      const isNew = !z.has(member);
+      z.set(member, Number(score));
+      return isNew ? 1 : 0;
+    },
+    zcard(key) {
+      return zset(key).size;
+    },
+    zrem(key, member) {
+      return zset(key).delete(member) ? 1 : 0;
+    },
+    incrby(key, n) {
+      const exp = expiries.get(key);
+      if (exp !== undefined && exp <= Date.now()) {
+        counters.delete(key);
+        expiries.delete(key);
+      }
+      const next = (counters.get(key) || 0) + Number(n);
+      counters.set(key, next);
+      return next;
+    },
+    get(key) {
+      const exp = expiries.get(key);
+      if (exp !== undefined && exp <= Date.now()) {
+        strings.delete(key);
+        expiries.delete(key);
+      }
+      return strings.has(key) ? strings.get(key) : null;
+    },
+    // set(key, value) or set(key, value, "PX", ms)
+    set(key, value, mode, ms) {
+      strings.set(key, String(value));
+      if (String(mode || "").toUpperCase() === "PX") expiries.set(key, Date.now() + Number(ms));
+      else expiries.delete(key);
+      return "OK";
+    },
+    hincrbyfloat(key, field, n) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      const h = hashes.get(key);
+      const next = (h.get(field) || 0) + Number(n);
+      h.set(field, next);
+      return String(next);
+    },
+    hgetall(key) {
+      const out = {};
+      for (const [field, v] of hashes.get(key) || []) out[field] = String(v);
+      return out;
+    },
+    del(key) {
+      const existed = zsets.delete(key) || counters.delete(key) || hashes.delete(key) || strings.delete(key);
+      expiries.delete(key);
+      return existed ? 1 : 0;
+    },
+    pexpire(key, ms) {
+      expiries.set(key, Date.now() + Number(ms));
+      return 1;
+    },
+  };
+
+  // MULTI queues commands and runs them back-to-back (no interleaving in-process)
+  function multi() {
+    const queue = [];
+    const chain = {
+      exec: async () => queue.map((fn) => [null, fn()]),
+    };
+    for (const name of Object.keys(commands)) {
+      chain[name] = (...args) => {
+        queue.push(() => commands[name](...args));
+        return chain;
+      };
+    }
+    return chain;
+  }
+
+  const client = { multi };
+  for (const name of Object.keys(commands)) {
+    client[name] = async (...args) => commands[name](...args);
+  }
+  return client;
+}
+
+module.exports = { createRedisStandIn };
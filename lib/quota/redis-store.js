@@ -0,0 +1,69 @@
+// /lib/quota/redis-store.js
+// Redis quota store (sorted set per scope key, score = timestamp).
+//
+// Expects an ioredis-compatible client: multi().zremrangebyscore/zadd/zcard/pexpire().exec()
+// returning [[err, reply], ...], plus zrem(). Works against ./redis-standin for local dev.
+//
+// Each scope key is reserved inside its own MULTI; if any key is over its limit the
+// reservations already made for this member are rolled back. Concurrent requests can
+// therefore only be over-counted (and rejected), never over-granted.
+
+const KEY_PREFIX = "meaningfull:quota:";
+
+function replyAt(replies, i) {
+  const r = Array.isArray(replies) ? replies[i] : undefined;
+  if (!Array.isArray(r)) return r;
+  if (r[0]) throw r[0];
+  return r[1];
+}
+
+function createRedisStore(opts) {
+  const client = opts && opts.client;
+  if (!client || typeof client.multi !== "function") {
+    throw new Error("Redis quota store requires an ioredis-compatible client");
+  }
+  const prefix = (opts && opts.prefix) || KEY_PREFIX;
+
+  async function release(keys, member) {
+    for (const key of keys) {
+      await client.zrem(prefix + key, member);
+    }
+  }
+
+  return {
+    kind: "redis",
+
+    async consume(checks, member, now) {
+      const counts = [];
+      const reserved = [];
+
+      for (let i = 0; i < checks.length; i++) {
+        const c = checks[i];
+        const key = prefix + c.key;
+
+        const replies = await client
+          .multi()
+          .zremrangebyscore(key, 0, now - c.windowMs)
+          .zadd(key, now, member)
+          .zcard(key)
+          .pexpire(key, c.windowMs)
+          .exec();
+
+        reserved.push(c.key);
+        const count = Number(replyAt(replies, 2)) || 0;
+
+        if (count > c.limit) {
+          await release(reserved, member);
+          return { allowed: false, blockedIndex: i, counts: counts.concat(count - 1) };
+        }
+        counts.push(count);
+      }
+
+      return { allowed: true, blockedIndex: -1, counts };
+    },
+
+    release,
+  };
+}
+
+module.exports = { createRedisStore, KEY_PREFIX };
@@ -0,0 +1,50 @@
+// /lib/quota/rolling-window.js
+// Shared rolling-window bookkeeping for the in-process quota stores (memory + file).
+//
+// Data shape: { [key]: [[timestampMs, member], ...] }
+// Each entry is one reserved generation; entries older than the window are pruned.
+
+function pruneWindow(data, key, now, windowMs) {
+  const list = Array.isArray(data[key]) ? data[key] : [];
+  const fresh = list.filter((entry) => Number(entry[0]) > now - windowMs);
+  if (fresh.length) data[key] = fresh;
+  else delete data[key];
+  return fresh;
+}
+
+/**
+ * Atomic check-and-increment across every check (all pass or nothing is recorded).
+ * Caller guarantees exclusive access to `data` for the duration of the call.
+ */
+function consumeWindows(data, checks, member, now) {
+  const counts = [];
+
+  for (let i = 0; i < checks.length; i++) {
+    const c = checks[i];
+    const fresh = pruneWindow(data, c.key, now, c.windowMs);
+    if (fresh.length >= c.limit) {
+      return { allowed: false, blockedIndex: i, counts: counts.concat(fresh.length) };
+    }
+    counts.push(fresh.length);
+  }
+
+  for (let i = 0; i < checks.length; i++) {
+    const key = checks[i].key;
+    if (!Array.isArray(data[key])) data[key] = [];
+    data[key].push([now, member]);
+    counts[i] += 1;
+  }
+
+  return { allowed: true, blockedIndex: -1, counts };
+}
+
+function releaseWindows(data, keys, member) {
+  for (const key of keys) {
+    if (!Array.isArray(data[key])) continue;
+    const kept = data[key].filter((entry) => entry[1] !== member);
+    if (kept.length) data[key] = kept;
+    else delete data[key];
+  }
+}
+
+module.exports = { consumeWindows, releaseWindows, pruneWindow };
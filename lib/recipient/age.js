@@ -0,0 +1,51 @@
+// /lib/recipient/age.js
+// Age mentions in the recipient / notes fields ("14 years old", "my 14-year-old", "turning 30",
+// "cumple 15", "14 años", "a 14 ans"). Times ("10:10") and prices never match: every pattern
+// needs an age word next to the number.
+//
+// Patterns run on normalized text (lowercase, no diacritics); the default locale's patterns
+// always run too, like the catalog synonyms.
+
+const AGE_PATTERNS = {
+  en: [
+    /\b(\d{1,3})\s*-?\s*(?:years?|yrs?|yo|y\/o)\b/,
+    /\b(?:turning|turns|aged?|age)\s+(\d{1,3})\b/,
+  ],
+  es: [
+    /\b(\d{1,3})\s*anos\b/,
+    /\b(?:cumple|cumplira|edad de)\s+(\d{1,3})\b/,
+  ],
+  fr: [
+    /\b(\d{1,3})\s*ans\b/,
+    /\b(?:age de|fete ses)\s+(\d{1,3})\b/,
+  ],
+};
+
+const DEFAULT_LOCALE = "en";
+const MAX_AGE = 119;
+
+function normalize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+}
+
+/**
+ * extractAge(text, locale?) => integer age (1..119) or null
+ */
+function extractAge(text, locale) {
+  const t = normalize(text);
+  const lang = String(locale || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+  const patterns = (AGE_PATTERNS[lang] || []).concat(lang === DEFAULT_LOCALE ? [] : AGE_PATTERNS[DEFAULT_LOCALE]);
+
+  for (const re of patterns) {
+    const m = re.exec(t);
+    if (!m) continue;
+    const age = Number(m[1]);
+    if (age > 0 && age <= MAX_AGE) return age;
+  }
+  return null;
+}
+
+module.exports = { extractAge };
@@ -0,0 +1,148 @@
+// /lib/recipient/index.js
+// Recipient profile: who the gift is for (relationship, age band, interests, the shopper's vibe)
+// and the styling it implies (palette, materials, props), from the catalog's profile rule table.
+//
+// - relationship / age / interests come from the recipient, vibe and notes fields (or the
+//   notes LLM's recipient answer when it has one); negated interests ("no golf stuff") are ignored
+// - rules are evaluated in catalog order; every matching rule overrides the fields it sets, so
+//   the default rule goes first and the most specific rules last
+// - a rule may infer a vibe ("teen" => bold); the vibe's palette/materials/props then replace
+//   the rule-table ones. The vibe the shopper typed in the vibe field always beats an inferred one
+// - props that name something the shopper asked to avoid are dropped
+//
+// Shopper text never reaches the prompt through this module — only catalog strings do.
+
+const { findTerms, matchNotes } = require("../notes/matcher");
+const { extractAge } = require("./age");
+
+const MAX_INTERESTS = 3;
+const MAX_PROPS = 3;
+
+// First catalog key whose terms appear in text; termsOf(entry) defaults to the entry itself
+function firstKey(text, entries, locale, termsOf) {
+  const terms = termsOf || ((entry) => entry);
+  return Object.keys(entries).find((key) => findTerms(text, terms(entries[key]), locale).length > 0) || null;
+}
+
+/**
+ * female / male / neutral from the catalog's recipient terms (both or neither => neutral).
+ */
+function inferGroup(text, groupTerms, locale) {
+  const isFemale = findTerms(text, groupTerms.female, locale).length > 0;
+  const isMale = findTerms(text, groupTerms.male, locale).length > 0;
+  if (isFemale && !isMale) return "female";
+  if (isMale && !isFemale) return "male";
+  return "neutral";
+}
+
+function ageBandFor(age, ageBands) {
+  return Object.keys(ageBands).find((key) => age >= ageBands[key].min && age <= ageBands[key].max) || null;
+}
+
+/**
+ * buildRecipientProfile({ recipient, vibe, notes }, { vocabulary, groupTerms, locale?, hint? })
+ * vocabulary = catalog.profiles(locale); groupTerms = catalog.recipientTerms(locale);
+ * hint = the notes LLM's { relationship, gender, age } (optional)
+ * => { relationship, group, age, ageBand, interests, vibe: { key, source: "explicit" | null } }
+ */
+function buildRecipientProfile(inputs, opts) {
+  const i = inputs || {};
+  const vocabulary = opts.vocabulary;
+  const locale = opts.locale || vocabulary.locale;
+  const hint = opts.hint || null;
+  const recipient = String(i.recipient || "");
+  const notes = String(i.notes || "");
+  const about = recipient + ". " + notes;
+
+  // the recipient field names the relationship more reliably than the notes
+  const relationship =
+    (hint && hint.relationship ? firstKey(hint.relationship, vocabulary.relationships, locale) : null) ||
+    firstKey(recipient, vocabulary.relationships, locale) ||
+    firstKey(notes, vocabulary.relationships, locale);
+
+  const group = hint && hint.gender ? hint.gender : inferGroup(about, opts.groupTerms, locale);
+
+  const age = (hint && hint.age) || extractAge(about, locale);
+  const ageBand =
+    age !== null && age !== undefined
+      ? ageBandFor(age, vocabulary.ageBands)
+      : firstKey(about, vocabulary.ageBands, locale, (band) => band.synonyms);
+
+  const interestTaxonomy = { include: {}, avoid: {} };
+  for (const key of Object.keys(vocabulary.interests)) interestTaxonomy.include[key] = vocabulary.interests[key].synonyms;
+  const interests = matchNotes([recipient, i.vibe || "", notes].join(". "), interestTaxonomy, locale).includes.slice(0, MAX_INTERESTS);
+
+  const explicitVibe = firstKey(String(i.vibe || ""), vocabulary.vibes, locale, (v) => v.synonyms);
+
+  return {
+    relationship,
+    group,
+    age: age || null,
+    ageBand,
+    interests,
+    vibe: { key: explicitVibe, source: explicitVibe ? "explicit" : null },
+  };
+}
+
+function ruleMatches(when, profile) {
+  return Object.keys(when || {}).every((cond) => {
+    if (cond === "interest") return profile.interests.includes(when.interest);
+    return profile[cond] === when[cond];
+  });
+}
+
+/**
+ * resolveStyling(profile, vocabulary, { avoidTerms? })
+ * avoidTerms: synonyms of the shopper's avoid keys (props naming them are dropped)
+ * => { vibe: { key, source: "explicit" | "inferred" | null }, palette, materials, props,
+ *      sources: { palette, materials, props, vibe }, rules: [matched rule ids] }
+ */
+function resolveStyling(profile, vocabulary, opts) {
+  const avoidTerms = (opts && opts.avoidTerms) || [];
+  const out = { palette: null, materials: [], props: [] };
+  const sources = { palette: null, materials: null, props: null, vibe: null };
+  const matched = [];
+  let inferredVibe = null;
+
+  for (const rule of vocabulary.rules) {
+    if (!ruleMatches(rule.when, profile)) continue;
+    matched.push(rule.id);
+    for (const f of ["palette", "materials", "props"]) {
+      if (rule[f] === undefined) continue;
+      out[f] = rule[f];
+      sources[f] = "rule." + rule.id;
+    }
+    if (rule.vibe) {
+      inferredVibe = rule.vibe;
+      sources.vibe = "rule." + rule.id;
+    }
+  }
+
+  // explicit vibe field > inferred vibe > rule table
+  const vibeKey = profile.vibe.key || inferredVibe;
+  const vibeSource = profile.vibe.key ? "explicit" : inferredVibe ? "inferred" : null;
+  if (profile.vibe.key) sources.vibe = "field.vibe";
+  const vibe = vibeKey ? vocabulary.vibes[vibeKey] : null;
+  if (vibe) {
+    out.palette = vibe.palette;
+    out.materials = vibe.materials;
+    out.props = vibe.props.concat(out.props);
+    sources.palette = sources.materials = sources.props = "vibe." + vibeKey;
+  }
+
+  const interestProps = profile.interests.map((key) => vocabulary.interests[key].props[0]);
+  const props = Array.from(new Set(out.props.concat(interestProps)))
+    .filter((p) => findTerms(p, avoidTerms).length === 0)
+    .slice(0, MAX_PROPS);
+
+  return {
+    vibe: { key: vibeKey, source: vibeSource },
+    palette: out.palette,
+    materials: out.materials.slice(),
+    props,
+    sources,
+    rules: matched,
+  };
+}
+
+module.exports = { buildRecipientProfile, resolveStyling, inferGroup, extractAge };
@@ -0,0 +1,42 @@
+// /lib/replicate.js
+// Replicate client shared by the image provider, async jobs, status and webhook routes.
+//
+// Env (optional):
+// - REPLICATE_API_TOKEN
+// - REPLICATE_MODEL (default: black-forest-labs/flux-dev)
+// - MEANINGFULL_FAKE_REPLICATE="true" (use the local fake client; no network, no token needed)
+// - MEANINGFULL_FAKE_REPLICATE_FAIL_MODELS="owner/model,..." (fake client: these models always fail)
+
+const Replicate = require("replicate");
+const { createFakeReplicate } = require("./fake-replicate");
+
+const DEFAULT_MODEL = "black-forest-labs/flux-dev";
+
+function useFakeReplicate() {
+  return String(process.env.MEANINGFULL_FAKE_REPLICATE || "").toLowerCase() === "true";
+}
+
+function createReplicateClient() {
+  if (useFakeReplicate()) {
+    const failModels = String(process.env.MEANINGFULL_FAKE_REPLICATE_FAIL_MODELS || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    return createFakeReplicate({ failModels });
+  }
+  return new Replicate({
+    auth: process.env.REPLICATE_API_TOKEN,
+  });
+}
+
+function replicateModel() {
+  return process.env.REPLICATE_MODEL || DEFAULT_MODEL;
+}
+
+module.exports = {
+  createReplicateClient,
+  replicateModel,
+  useFakeReplicate,
+  validateWebhook: Replicate.validateWebhook,
+  DEFAULT_MODEL,
+};
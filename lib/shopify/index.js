@@ -0,0 +1,151 @@
+// /lib/shopify/index.js
+// Shopify helpers: webhook HMAC verification, app proxy request signatures and preview lookup
+// for order line items.
+
+const crypto = require("crypto");
+const { verifyPreviewToken, LINE_ITEM_PROPERTY } = require("../previews");
+
+// Property names the theme may use for the preview token (first match wins)
+const PREVIEW_PROPERTY_NAMES = [LINE_ITEM_PROPERTY, "Meaningfull Preview", "meaningfull_preview"];
+
+/**
+ * X-Shopify-Hmac-Sha256 = base64(HMAC-SHA256(app secret, raw body)).
+ */
+function verifyShopifyHmac(rawBody, hmacHeader, secret) {
+  if (!secret || !hmacHeader) return false;
+  const expected = Buffer.from(crypto.createHmac("sha256", secret).update(rawBody || "", "utf8").digest("base64"));
+  const given = Buffer.from(String(hmacHeader).trim());
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+const APP_PROXY_MAX_AGE_SEC = 300;
+
+function queryPairs(req) {
+  try {
+    const u = new URL((req && req.url) || "/", "http://localhost");
+    if (u.search) {
+      const out = {};
+      for (const key of new Set(u.searchParams.keys())) out[key] = u.searchParams.getAll(key);
+      return out;
+    }
+  } catch (e) {
+    // fall through to req.query
+  }
+  const out = {};
+  const q = (req && req.query) || {};
+  for (const key of Object.keys(q)) out[key] = [].concat(q[key]).map(String);
+  return out;
+}
+
+/**
+ * Shopify app proxy signature (the theme calls /apps/<prefix>/... and Shopify forwards it):
+ * signature = hex(HMAC-SHA256(app secret, sorted "key=value" pairs joined without separators)),
+ * multi-valued params joined with ",". Requests older than maxAgeSec are refused (replays).
+ * => { ok: true, shop, customerId } | { ok: false, reason }
+ */
+function verifyAppProxySignature(req, secret, opts) {
+  if (!secret) return { ok: false, reason: "no secret configured" };
+  const params = queryPairs(req);
+  const given = String((params.signature || [])[0] || "");
+  if (!given) return { ok: false, reason: "missing signature" };
+
+  const message = Object.keys(params)
+    .filter((k) => k !== "signature")
+    .map((k) => k + "=" + params[k].join(","))
+    .sort()
+    .join("");
+  const expected = Buffer.from(crypto.createHmac("sha256", secret).update(message, "utf8").digest("hex"));
+  const actual = Buffer.from(given);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: "bad signature" };
+  }
+
+  const maxAge = (opts && opts.maxAgeSec) || APP_PROXY_MAX_AGE_SEC;
+  const ts = Number((params.timestamp || [])[0]);
+  const now = ((opts && opts.now) || Date.now()) / 1000;
+  if (!Number.isFinite(ts) || Math.abs(now - ts) > maxAge) return { ok: false, reason: "stale timestamp" };
+
+  return {
+    ok: true,
+    shop: String((params.shop || [])[0] || "") || null,
+    customerId: String((params.logged_in_customer_id || [])[0] || "") || null,
+  };
+}
+
+/**
+ * Line item properties arrive as [{ name, value }] (REST webhooks) or { name: value }.
+ */
+function previewTokenFromLineItem(lineItem) {
+  const props = (lineItem && lineItem.properties) || [];
+  const pairs = Array.isArray(props)
+    ? props.map((p) => [String((p && p.name) || ""), p && p.value])
+    : Object.entries(props);
+
+  for (const name of PREVIEW_PROPERTY_NAMES) {
+    const hit = pairs.find((p) => p[0] === name && p[1]);
+    if (hit) return String(hit[1]);
+  }
+  return null;
+}
+
+function previewSnapshot(preview) {
+  return {
+    id: preview.id,
+    tier: preview.tier,
+    imageUrl: preview.imageUrl,
+    contentHash: preview.contentHash || null,
+    images: preview.images || null,
+    prompt: preview.prompt,
+    canonical: preview.canonical,
+    brands: preview.brands,
+    catalogVersion: preview.catalogVersion,
+    createdAt: preview.createdAt,
+  };
+}
+
+/**
+ * Resolves every line item's preview token against the preview store.
+ * Line items without a token are kept (fulfillment sees the full order), with preview: null.
+ */
+async function buildOrderPreviewRecord(order, ctx) {
+  const lineItems = [];
+
+  for (const li of (order && order.line_items) || []) {
+    const token = previewTokenFromLineItem(li);
+    const previewId = token ? verifyPreviewToken(token) : null;
+    const preview = previewId ? await ctx.previews.get(previewId) : null;
+
+    let status = "none";
+    if (token && !previewId) status = "invalid_token";
+    else if (previewId && !preview) status = "preview_not_found";
+    else if (preview) status = "attached";
+
+    lineItems.push({
+      lineItemId: li.id,
+      productId: li.product_id || null,
+      variantId: li.variant_id || null,
+      title: li.title || li.name || "",
+      quantity: li.quantity || 1,
+      previewStatus: status,
+      preview: preview ? previewSnapshot(preview) : null,
+    });
+  }
+
+  return {
+    id: "order_" + String(order.id),
+    orderId: order.id,
+    orderName: order.name || null,
+    customerId: (order.customer && order.customer.id) || null,
+    webhookId: ctx.webhookId || null,
+    receivedAt: new Date().toISOString(),
+    lineItems,
+  };
+}
+
+module.exports = {
+  verifyShopifyHmac,
+  verifyAppProxySignature,
+  previewTokenFromLineItem,
+  buildOrderPreviewRecord,
+  PREVIEW_PROPERTY_NAMES,
+};
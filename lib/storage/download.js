@@ -0,0 +1,76 @@
+// /lib/storage/download.js
+// Fetches a generated image into memory: https:// URLs (Replicate/OpenAI delivery) and
+// data: URLs (b64 providers, mock). Content type is sniffed from the bytes, not trusted.
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_BYTES = 15 * 1024 * 1024;
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/svg+xml": "svg",
+};
+
+/**
+ * Magic-byte sniffing for the formats providers actually return.
+ */
+function sniffContentType(buf) {
+  if (!buf || buf.length < 4) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf[0] === 0x89 && buf.toString("latin1", 1, 4) === "PNG") return "image/png";
+  if (buf.length >= 12 && buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  if (buf.toString("latin1", 0, 4) === "GIF8") return "image/gif";
+  const head = buf.toString("utf8", 0, Math.min(buf.length, 256)).trim();
+  if (/^(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(head)) return "image/svg+xml";
+  return null;
+}
+
+function extensionFor(contentType) {
+  return EXTENSIONS[contentType] || null;
+}
+
+function decodeDataUrl(url) {
+  const m = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(url);
+  if (!m) throw new Error("Malformed data: URL");
+  return m[2] ? Buffer.from(m[3], "base64") : Buffer.from(decodeURIComponent(m[3]), "utf8");
+}
+
+/**
+ * downloadImage(url, { timeoutMs?, maxBytes?, fetch? }) => { body: Buffer, contentType }
+ */
+async function downloadImage(url, opts) {
+  const o = opts || {};
+  const maxBytes = Number(o.maxBytes) || DEFAULT_MAX_BYTES;
+  const src = String(url || "");
+
+  let body;
+  if (/^data:/i.test(src)) {
+    body = decodeDataUrl(src);
+  } else if (/^https?:\/\//i.test(src)) {
+    const doFetch = o.fetch || fetch;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Number(o.timeoutMs) || DEFAULT_TIMEOUT_MS);
+    try {
+      const resp = await doFetch(src, { signal: controller.signal });
+      if (!resp.ok) throw new Error("Image download failed: HTTP " + resp.status);
+      const declared = Number(resp.headers && resp.headers.get && resp.headers.get("content-length"));
+      if (declared > maxBytes) throw new Error("Image too large: " + declared + " bytes");
+      body = Buffer.from(await resp.arrayBuffer());
+    } finally {
+      clearTimeout(timer);
+    }
+  } else {
+    throw new Error("Unsupported image URL scheme");
+  }
+
+  if (body.length > maxBytes) throw new Error("Image too large: " + body.length + " bytes");
+  const contentType = sniffContentType(body);
+  if (!contentType) throw new Error("Downloaded file is not a supported image");
+  return { body, contentType };
+}
+
+module.exports = { downloadImage, sniffContentType, extensionFor };
@@ -0,0 +1,74 @@
+// /lib/storage/fs-backend.js
+// Local filesystem blob backend. Objects are served by /api/preview-image?key=... unless
+// publicBaseUrl points at something that serves the directory directly.
+
+const fs = require("fs");
+const path = require("path");
+
+// "previews/ab12cd.jpg", "previews/ab12cd-320w.jpg" — no "..", no absolute paths
+const SAFE_KEY = /^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9_-]+)*\.[a-z0-9]{2,5}$/;
+
+const CONTENT_TYPES = {
+  jpg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+  svg: "image/svg+xml",
+};
+
+function isSafeKey(key) {
+  return SAFE_KEY.test(String(key || ""));
+}
+
+/**
+ * createFsBackend({ dir, publicBaseUrl? })
+ * - publicBaseUrl set  => <publicBaseUrl>/<key>
+ * - otherwise          => <routeBaseUrl>/api/preview-image?key=<key>
+ */
+function createFsBackend(opts) {
+  if (!opts || !opts.dir) throw new Error("Filesystem image backend requires a dir");
+  const dir = opts.dir;
+  fs.mkdirSync(dir, { recursive: true });
+
+  function objectPath(key) {
+    if (!isSafeKey(key)) return null;
+    return path.join(dir, key);
+  }
+
+  function url(key) {
+    if (opts.publicBaseUrl) return opts.publicBaseUrl.replace(/\/+$/, "") + "/" + key;
+    return (opts.routeBaseUrl || "") + "/api/preview-image?key=" + encodeURIComponent(key);
+  }
+
+  return {
+    kind: "fs",
+    url,
+
+    async put(key, body) {
+      const p = objectPath(key);
+      if (!p) throw new Error("Invalid object key: " + key);
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      // content-addressed keys: an existing object already has these bytes
+      if (!fs.existsSync(p)) {
+        const tmp = p + "." + process.pid + ".tmp";
+        fs.writeFileSync(tmp, body);
+        fs.renameSync(tmp, p);
+      }
+      return { key, url: url(key) };
+    },
+
+    async get(key) {
+      const p = objectPath(key);
+      if (!p) return null;
+      try {
+        const ext = path.extname(p).slice(1);
+        return { body: fs.readFileSync(p), contentType: CONTENT_TYPES[ext] || "application/octet-stream" };
+      } catch (e) {
+        if (e && e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+  };
+}
+
+module.exports = { createFsBackend, isSafeKey };
@@ -0,0 +1,159 @@
+// /lib/storage/index.js
+// Durable image storage: provider delivery URLs expire, so every generated image is
+// downloaded, optionally converted / thumbnailed, and written to a blob backend under a
+// content-hash key. The returned URLs are stable and safe to cache forever.
+//
+// Keys: <prefix>/<sha256[:32]>.<ext>, renditions <hash>.<ext>, thumbnails <hash>-<width>w.<ext>
+//
+// Env (optional):
+// - MEANINGFULL_IMAGE_STORE="fs" | "s3" | "none" (default s3 when MEANINGFULL_S3_BUCKET is set, else
+//   none: provider URLs are kept as-is). The fs backend writes to this instance's /tmp and serves
+//   relative /api/preview-image URLs, so it is for local dev / a single host only
+// - MEANINGFULL_IMAGE_DIR (fs backend, default /tmp/meaningfull/images)
+// - MEANINGFULL_IMAGE_PUBLIC_URL (CDN/base URL that serves stored objects by key)
+// - MEANINGFULL_IMAGE_FORMATS="jpeg,png" (extra renditions, e.g. webp -> jpeg for email clients)
+// - MEANINGFULL_IMAGE_THUMBNAILS="320,640" (thumbnail widths; MEANINGFULL_IMAGE_THUMBNAIL_FORMAT default jpeg)
+//   (formats/thumbnails require the sharp package)
+// - MEANINGFULL_S3_BUCKET, MEANINGFULL_S3_REGION, MEANINGFULL_S3_ENDPOINT (MinIO/R2/stand-in),
+//   MEANINGFULL_S3_ACCESS_KEY_ID / MEANINGFULL_S3_SECRET_ACCESS_KEY (fall back to AWS_*)
+
+const crypto = require("crypto");
+const path = require("path");
+const { downloadImage, sniffContentType, extensionFor } = require("./download");
+const { createTransformer, FORMATS } = require("./transform");
+const { createFsBackend, isSafeKey } = require("./fs-backend");
+const { createS3Backend, IMMUTABLE } = require("./s3-backend");
+const { publicBaseUrl } = require("../http");
+const { logger } = require("../telemetry/logger");
+
+const DEFAULT_PREFIX = "previews";
+
+function parseList(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * createImageStorage({ backend, formats?, thumbnails?, thumbnailFormat?, transformer?, prefix?, download? })
+ * - persist(sourceUrl) => { imageUrl, contentHash, contentType, bytes, renditions, thumbnails }
+ */
+function createImageStorage(opts) {
+  const o = opts || {};
+  if (!o.backend) throw new Error("Image storage requires a backend");
+  const backend = o.backend;
+  const prefix = o.prefix || DEFAULT_PREFIX;
+  const formats = (o.formats || []).map(String);
+  const thumbnails = (o.thumbnails || []).map(Number).filter((w) => w > 0);
+  const thumbnailFormat = o.thumbnailFormat || "jpeg";
+
+  for (const f of formats.concat(thumbnails.length ? [thumbnailFormat] : [])) {
+    if (!FORMATS[f]) throw new Error("Unsupported image format: " + f);
+  }
+  // Fail at cold start (not per preview) when conversions are configured without sharp
+  const transformer = o.transformer || (formats.length || thumbnails.length ? createTransformer() : null);
+
+  async function write(key, file) {
+    return backend.put(key, file.body, { contentType: file.contentType, cacheControl: IMMUTABLE });
+  }
+
+  async function persist(sourceUrl) {
+    const original = await downloadImage(sourceUrl, o.download);
+    const hash = crypto.createHash("sha256").update(original.body).digest("hex");
+    const base = prefix + "/" + hash.slice(0, 32);
+
+    const stored = await write(base + "." + extensionFor(original.contentType), original);
+    const out = {
+      imageUrl: stored.url,
+      contentHash: "sha256:" + hash,
+      contentType: original.contentType,
+      bytes: original.body.length,
+      renditions: {},
+      thumbnails: {},
+    };
+
+    for (const format of formats) {
+      if (FORMATS[format].contentType === original.contentType) {
+        out.renditions[format] = stored.url;
+        continue;
+      }
+      const file = await transformer.convert(original.body, format);
+      out.renditions[format] = (await write(base + "." + extensionFor(file.contentType), file)).url;
+    }
+
+    for (const width of thumbnails) {
+      const file = await transformer.thumbnail(original.body, width, thumbnailFormat);
+      out.thumbnails[String(width)] = (await write(base + "-" + width + "w." + extensionFor(file.contentType), file)).url;
+    }
+
+    return out;
+  }
+
+  return { backend, persist };
+}
+
+function backendFromEnv() {
+  const env = process.env;
+  const kind = String(env.MEANINGFULL_IMAGE_STORE || (env.MEANINGFULL_S3_BUCKET ? "s3" : "none")).toLowerCase();
+
+  if (kind === "none") return null;
+  if (kind === "fs") {
+    return createFsBackend({
+      dir: env.MEANINGFULL_IMAGE_DIR || path.join(env.MEANINGFULL_RECORD_DIR || "/tmp/meaningfull", "images"),
+      publicBaseUrl: env.MEANINGFULL_IMAGE_PUBLIC_URL,
+      routeBaseUrl: publicBaseUrl(),
+    });
+  }
+  if (kind === "s3") {
+    return createS3Backend({
+      bucket: env.MEANINGFULL_S3_BUCKET,
+      region: env.MEANINGFULL_S3_REGION || env.AWS_REGION,
+      endpoint: env.MEANINGFULL_S3_ENDPOINT,
+      accessKeyId: env.MEANINGFULL_S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.MEANINGFULL_S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+      publicBaseUrl: env.MEANINGFULL_IMAGE_PUBLIC_URL,
+    });
+  }
+  throw new Error("Unknown MEANINGFULL_IMAGE_STORE: " + kind);
+}
+
+/**
+ * Storage configured from env, or null when MEANINGFULL_IMAGE_STORE="none" (the default without S3).
+ */
+function imageStorageFromEnv() {
+  const backend = backendFromEnv();
+  if (!backend) return null;
+  return createImageStorage({
+    backend,
+    formats: parseList(process.env.MEANINGFULL_IMAGE_FORMATS),
+    thumbnails: parseList(process.env.MEANINGFULL_IMAGE_THUMBNAILS),
+    thumbnailFormat: String(process.env.MEANINGFULL_IMAGE_THUMBNAIL_FORMAT || "jpeg").toLowerCase(),
+  });
+}
+
+/**
+ * Re-host a provider image; never throws. If storage is off or fails, the provider URL is
+ * kept (stored: false) so the shopper still sees the preview.
+ */
+async function rehostImage(storage, sourceUrl) {
+  const passThrough = { imageUrl: sourceUrl, stored: false, contentHash: null, renditions: {}, thumbnails: {} };
+  if (!storage || !sourceUrl) return passThrough;
+  try {
+    return Object.assign({ stored: true }, await storage.persist(sourceUrl));
+  } catch (e) {
+    logger.error("storage.persist_failed", e, { note: "keeping provider URL" });
+    return Object.assign(passThrough, { storageError: (e && e.message) ? e.message : String(e) });
+  }
+}
+
+module.exports = {
+  createImageStorage,
+  imageStorageFromEnv,
+  rehostImage,
+  createFsBackend,
+  createS3Backend,
+  downloadImage,
+  sniffContentType,
+  isSafeKey,
+};
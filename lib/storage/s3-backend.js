@@ -0,0 +1,123 @@
+// /lib/storage/s3-backend.js
+// S3-compatible blob backend (AWS S3, Cloudflare R2, MinIO, ./s3-standin) over plain fetch
+// with AWS Signature V4 — no SDK dependency.
+//
+// - endpoint set   => path-style requests: <endpoint>/<bucket>/<key> (MinIO, R2, stand-in)
+// - endpoint unset => AWS virtual-hosted style: https://<bucket>.s3.<region>.amazonaws.com/<key>
+
+const crypto = require("crypto");
+
+const IMMUTABLE = "public, max-age=31536000, immutable";
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data, "utf8").digest();
+}
+
+// RFC 3986 encoding per path segment; "/" separators stay as-is
+function encodeKey(key) {
+  return String(key)
+    .split("/")
+    .map((seg) => encodeURIComponent(seg).replace(/[!'()*]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()))
+    .join("/");
+}
+
+/**
+ * SigV4 headers for a single-chunk request (payload hash signed, no query string).
+ */
+function signRequest(req, creds) {
+  const amzDate = (req.now || new Date()).toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const day = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(req.body || "");
+
+  const headers = Object.assign({}, req.headers || {}, {
+    host: req.url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  });
+  const names = Object.keys(headers)
+    .map((h) => h.toLowerCase())
+    .sort();
+  const lower = {};
+  for (const h of Object.keys(headers)) lower[h.toLowerCase()] = String(headers[h]).trim().replace(/\s+/g, " ");
+
+  const canonicalRequest = [
+    req.method,
+    req.url.pathname,
+    "",
+    names.map((h) => h + ":" + lower[h]).join("\n") + "\n",
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = day + "/" + creds.region + "/s3/aws4_request";
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+  const kDate = hmac("AWS4" + creds.secretAccessKey, day);
+  const kSigning = hmac(hmac(hmac(kDate, creds.region), "s3"), "aws4_request");
+  const signature = crypto.createHmac("sha256", kSigning).update(stringToSign, "utf8").digest("hex");
+
+  delete lower.host; // fetch sets Host itself
+  lower.authorization =
+    "AWS4-HMAC-SHA256 Credential=" + creds.accessKeyId + "/" + scope +
+    ", SignedHeaders=" + names.join(";") +
+    ", Signature=" + signature;
+  return lower;
+}
+
+/**
+ * createS3Backend({ bucket, region?, endpoint?, accessKeyId, secretAccessKey, publicBaseUrl?, fetch? })
+ */
+function createS3Backend(opts) {
+  const o = opts || {};
+  if (!o.bucket) throw new Error("S3 image backend requires a bucket");
+  if (!o.accessKeyId || !o.secretAccessKey) throw new Error("S3 image backend requires access key credentials");
+
+  const region = o.region || "us-east-1";
+  const endpoint = o.endpoint ? String(o.endpoint).replace(/\/+$/, "") : "";
+  const doFetch = o.fetch || fetch;
+  const creds = { region, accessKeyId: o.accessKeyId, secretAccessKey: o.secretAccessKey };
+
+  function objectUrl(key) {
+    if (endpoint) return endpoint + "/" + encodeURIComponent(o.bucket) + "/" + encodeKey(key);
+    return "https://" + o.bucket + ".s3." + region + ".amazonaws.com/" + encodeKey(key);
+  }
+
+  function url(key) {
+    if (o.publicBaseUrl) return String(o.publicBaseUrl).replace(/\/+$/, "") + "/" + encodeKey(key);
+    return objectUrl(key);
+  }
+
+  return {
+    kind: "s3",
+    url,
+
+    async put(key, body, meta) {
+      const target = new URL(objectUrl(key));
+      const headers = signRequest(
+        {
+          method: "PUT",
+          url: target,
+          body,
+          headers: {
+            "content-type": (meta && meta.contentType) || "application/octet-stream",
+            "cache-control": (meta && meta.cacheControl) || IMMUTABLE,
+          },
+        },
+        creds
+      );
+
+      const resp = await doFetch(target.toString(), { method: "PUT", headers, body });
+      if (!resp.ok) {
+        const text = await resp.text().catch(() => "");
+        throw new Error("S3 PUT " + key + " failed: HTTP " + resp.status + (text ? " " + text.slice(0, 200) : ""));
+      }
+      return { key, url: url(key) };
+    },
+  };
+}
+
+module.exports = { createS3Backend, signRequest, IMMUTABLE };
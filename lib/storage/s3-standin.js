@@ -0,0 +1,122 @@
+// /lib/storage/s3-standin.js
+// Minimal MinIO-style stand-in: path-style PUT/GET/HEAD object over HTTP, SigV4-checked.
+// Lets the S3 backend run locally and in tests without MinIO or AWS.
+//
+//   node lib/storage/s3-standin.js [port]   (bucket + credentials below, objects kept in memory)
+
+const http = require("http");
+const crypto = require("crypto");
+const { signRequest } = require("./s3-backend");
+
+const DEFAULTS = {
+  accessKeyId: "meaningfull-local",
+  secretAccessKey: "meaningfull-local-secret",
+  region: "us-east-1",
+  bucket: "meaningfull-previews",
+};
+
+function parseAuth(value) {
+  const m = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/.exec(
+    String(value || "")
+  );
+  if (!m) return null;
+  return { accessKeyId: m[1], region: m[3], signedHeaders: m[4].split(";"), signature: m[5] };
+}
+
+function fromAmzDate(s) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(String(s || ""));
+  return m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6])) : null;
+}
+
+/**
+ * createS3StandIn({ accessKeyId?, secretAccessKey?, region?, bucket? })
+ * => { listen(port?) => Promise<endpoint>, close(), objects: Map("bucket/key" -> { body, contentType, cacheControl }) }
+ */
+function createS3StandIn(opts) {
+  const cfg = Object.assign({}, DEFAULTS, opts || {});
+  const objects = new Map();
+
+  function verify(req, body) {
+    const auth = parseAuth(req.headers.authorization);
+    if (!auth || auth.accessKeyId !== cfg.accessKeyId) return "InvalidAccessKeyId";
+    if (req.headers["x-amz-content-sha256"] !== crypto.createHash("sha256").update(body).digest("hex")) {
+      return "XAmzContentSHA256Mismatch";
+    }
+
+    const signed = {};
+    for (const h of auth.signedHeaders) {
+      if (h !== "host" && h !== "x-amz-date" && h !== "x-amz-content-sha256") signed[h] = req.headers[h];
+    }
+    const expected = signRequest(
+      {
+        method: req.method,
+        url: new URL(req.url, "http://" + req.headers.host),
+        body,
+        headers: signed,
+        now: fromAmzDate(req.headers["x-amz-date"]),
+      },
+      { region: auth.region, accessKeyId: cfg.accessKeyId, secretAccessKey: cfg.secretAccessKey }
+    );
+    return expected.authorization === req.headers.authorization ? null : "SignatureDoesNotMatch";
+  }
+
+  function reply(res, status, code) {
+    res.writeHead(status, { "Content-Type": "application/xml" });
+    res.end(code ? "<Error><Code>" + code + "</Code></Error>" : "");
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks);
+      const pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname).replace(/^\/+/, "");
+      const bucket = pathname.split("/")[0];
+      if (bucket !== cfg.bucket) return reply(res, 404, "NoSuchBucket");
+
+      if (req.method === "PUT") {
+        const err = verify(req, body);
+        if (err) return reply(res, 403, err);
+        objects.set(pathname, {
+          body,
+          contentType: req.headers["content-type"] || "application/octet-stream",
+          cacheControl: req.headers["cache-control"] || null,
+        });
+        return reply(res, 200);
+      }
+
+      if (req.method === "GET" || req.method === "HEAD") {
+        const obj = objects.get(pathname);
+        if (!obj) return reply(res, 404, "NoSuchKey");
+        const headers = { "Content-Type": obj.contentType, "Content-Length": obj.body.length };
+        if (obj.cacheControl) headers["Cache-Control"] = obj.cacheControl;
+        res.writeHead(200, headers);
+        return res.end(req.method === "GET" ? obj.body : undefined);
+      }
+
+      return reply(res, 405, "MethodNotAllowed");
+    });
+  });
+
+  return {
+    config: cfg,
+    objects,
+    listen(port) {
+      return new Promise((resolve) => {
+        server.listen(port || 0, "127.0.0.1", () => resolve("http://127.0.0.1:" + server.address().port));
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createS3StandIn };
+
+if (require.main === module) {
+  const standIn = createS3StandIn();
+  standIn.listen(Number(process.argv[2]) || 9000).then((endpoint) => {
+    console.log("S3 stand-in on " + endpoint + " (bucket " + standIn.config.bucket + ")");
+  });
+}
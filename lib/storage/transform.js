@@ -0,0 +1,43 @@
+// /lib/storage/transform.js
+// Format conversion + thumbnails via the optional `sharp` package.
+// Only loaded when conversions or thumbnails are configured (see lib/storage).
+
+const FORMATS = {
+  jpeg: { contentType: "image/jpeg", apply: (img, q) => img.flatten({ background: "#ffffff" }).jpeg({ quality: q, mozjpeg: true }) },
+  png: { contentType: "image/png", apply: (img) => img.png({ compressionLevel: 9 }) },
+  webp: { contentType: "image/webp", apply: (img, q) => img.webp({ quality: q }) },
+};
+
+function loadSharp() {
+  try {
+    return require("sharp");
+  } catch (e) {
+    throw new Error("Image conversion/thumbnails need the sharp package installed");
+  }
+}
+
+/**
+ * createTransformer({ quality? }) => { convert(buf, format), thumbnail(buf, width, format) }
+ * Both resolve to { body, contentType }.
+ */
+function createTransformer(opts) {
+  const sharp = loadSharp();
+  const quality = Number(opts && opts.quality) || 85;
+
+  function encode(img, format) {
+    const f = FORMATS[format];
+    if (!f) throw new Error("Unsupported output format: " + format);
+    return f.apply(img, quality).toBuffer().then((body) => ({ body, contentType: f.contentType }));
+  }
+
+  return {
+    convert(buf, format) {
+      return encode(sharp(buf), format);
+    },
+    thumbnail(buf, width, format) {
+      return encode(sharp(buf).resize({ width: Number(width), withoutEnlargement: true }), format);
+    },
+  };
+}
+
+module.exports = { createTransformer, FORMATS };
@@ -0,0 +1,60 @@
+// /lib/store/file-store.js
+// File-backed record store: one JSON file per record, written atomically (tmp + rename).
+
+const fs = require("fs");
+const path = require("path");
+
+const SAFE_ID = /^[a-zA-Z0-9_-]{1,80}$/;
+
+function createFileRecordStore(opts) {
+  if (!opts || !opts.dir) throw new Error("File record store requires a dir");
+  const dir = opts.dir;
+  fs.mkdirSync(dir, { recursive: true });
+
+  function recordPath(id) {
+    if (!SAFE_ID.test(String(id))) return null;
+    return path.join(dir, String(id) + ".json");
+  }
+
+  function read(id) {
+    const p = recordPath(id);
+    if (!p) return null;
+    try {
+      return JSON.parse(fs.readFileSync(p, "utf8"));
+    } catch (e) {
+      if (e && e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  function write(record) {
+    const p = recordPath(record.id);
+    if (!p) throw new Error("Invalid record id: " + record.id);
+    const tmp = p + "." + process.pid + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(record));
+    fs.renameSync(tmp, p);
+  }
+
+  return {
+    kind: "file",
+
+    async get(id) {
+      return read(id);
+    },
+
+    async put(record) {
+      write(record);
+      return Object.assign({}, record);
+    },
+
+    async update(id, patch) {
+      const record = read(id);
+      if (!record) return null;
+      const next = Object.assign({}, record, patch, { updatedAt: new Date().toISOString() });
+      write(next);
+      return next;
+    },
+  };
+}
+
+module.exports = { createFileRecordStore };
@@ -0,0 +1,82 @@
+// /lib/store/index.js
+// Keyed JSON record stores (jobs, previews, order attachments): get / put / update by id.
+//
+// Every /api route is its own serverless function with its own /tmp, so jobs, previews and
+// orders only travel between routes through the redis store. The file store is for one host
+// (local dev, a single long-running server); on Vercel / NODE_ENV=production falling back to it
+// without MEANINGFULL_RECORD_STORE set logs store.not_shared at cold start.
+//
+// Env (optional):
+// - MEANINGFULL_RECORD_STORE="memory" | "file" | "redis" (default: redis if a URL is set, else file)
+// - MEANINGFULL_RECORD_DIR (default /tmp/meaningfull; one sub-directory per record type)
+// - MEANINGFULL_QUOTA_REDIS_URL or REDIS_URL (redis store; needs ioredis, an optionalDependency)
+// - MEANINGFULL_RECORD_TTL_DAYS (redis store, default 180; orders are looked up long after checkout)
+
+const path = require("path");
+const { createMemoryRecordStore } = require("./memory-store");
+const { createFileRecordStore } = require("./file-store");
+const { createRedisRecordStore } = require("./redis-store");
+const { logger } = require("../telemetry/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TTL_DAYS = 180;
+
+// One connection per URL for all the record stores of a function
+const clients = new Map();
+
+function redisUrl() {
+  return process.env.MEANINGFULL_QUOTA_REDIS_URL || process.env.REDIS_URL || "";
+}
+
+function redisClient(url) {
+  if (!clients.has(url)) {
+    let Redis;
+    try {
+      Redis = require("ioredis");
+    } catch (e) {
+      throw new Error("MEANINGFULL_RECORD_STORE=redis needs the ioredis package installed");
+    }
+    clients.set(url, new Redis(url));
+  }
+  return clients.get(url);
+}
+
+function isProduction() {
+  return Boolean(process.env.VERCEL) || process.env.NODE_ENV === "production";
+}
+
+/**
+ * createRecordStore(name, { kind?, dir?, client? }) — explicit options win over the env defaults.
+ * client: an ioredis-compatible client for the redis store (default: one from the env URL).
+ */
+function createRecordStore(name, opts) {
+  const o = opts || {};
+  const explicit = o.kind || process.env.MEANINGFULL_RECORD_STORE;
+  const kind = String(explicit || (o.client || redisUrl() ? "redis" : "file")).toLowerCase();
+
+  if (kind === "memory") return createMemoryRecordStore();
+  if (kind === "file") {
+    const dir = o.dir || path.join(process.env.MEANINGFULL_RECORD_DIR || "/tmp/meaningfull", name);
+    if (!explicit && isProduction()) {
+      logger.error("store.not_shared", null, {
+        store: "file",
+        records: name,
+        dir,
+        note: "other functions can't read these records; set MEANINGFULL_QUOTA_REDIS_URL (or MEANINGFULL_RECORD_STORE=file to accept this)",
+      });
+    }
+    return createFileRecordStore({ dir });
+  }
+  if (kind === "redis") {
+    let client = o.client;
+    if (!client) {
+      if (!redisUrl()) throw new Error("MEANINGFULL_RECORD_STORE=redis needs MEANINGFULL_QUOTA_REDIS_URL or REDIS_URL");
+      client = redisClient(redisUrl());
+    }
+    const days = process.env.MEANINGFULL_RECORD_TTL_DAYS ? Number(process.env.MEANINGFULL_RECORD_TTL_DAYS) : DEFAULT_TTL_DAYS;
+    return createRedisRecordStore({ client, name, ttlMs: days > 0 ? days * DAY_MS : 0 });
+  }
+  throw new Error("Unknown record store for " + name + ": " + kind);
+}
+
+module.exports = { createRecordStore, createMemoryRecordStore, createFileRecordStore, createRedisRecordStore };
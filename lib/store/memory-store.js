@@ -0,0 +1,30 @@
+// /lib/store/memory-store.js
+// In-memory record store. Per-instance only — use for tests and local dev.
+
+function createMemoryRecordStore() {
+  const records = new Map();
+
+  return {
+    kind: "memory",
+
+    async get(id) {
+      const record = records.get(String(id));
+      return record ? Object.assign({}, record) : null;
+    },
+
+    async put(record) {
+      records.set(String(record.id), Object.assign({}, record));
+      return Object.assign({}, record);
+    },
+
+    async update(id, patch) {
+      const record = records.get(String(id));
+      if (!record) return null;
+      const next = Object.assign({}, record, patch, { updatedAt: new Date().toISOString() });
+      records.set(String(id), next);
+      return Object.assign({}, next);
+    },
+  };
+}
+
+module.exports = { createMemoryRecordStore };
@@ -0,0 +1,62 @@
+// /lib/store/redis-store.js
+// Redis record store: one JSON string per record under meaningfull:records:<name>:<id>.
+// Shared by every serverless function, so a job written by /api/generate-preview is visible to
+// /api/preview-status and /api/replicate-webhook, and a preview to the orders webhook.
+//
+// Expects an ioredis-compatible client with get / set(key, value, "PX", ms). Works against
+// lib/quota/redis-standin for local dev and tests. update() is read-modify-write (last write
+// wins), the same as the file store.
+
+const KEY_PREFIX = "meaningfull:records:";
+const SAFE_ID = /^[a-zA-Z0-9_-]{1,80}$/;
+
+function createRedisRecordStore(opts) {
+  const client = opts && opts.client;
+  if (!client || typeof client.get !== "function" || typeof client.set !== "function") {
+    throw new Error("Redis record store requires an ioredis-compatible client");
+  }
+  if (!opts.name) throw new Error("Redis record store requires a name");
+  const prefix = (opts.prefix || KEY_PREFIX) + opts.name + ":";
+  const ttlMs = Number(opts.ttlMs) || 0;
+
+  function key(id) {
+    return SAFE_ID.test(String(id)) ? prefix + String(id) : null;
+  }
+
+  async function read(id) {
+    const k = key(id);
+    if (!k) return null;
+    const raw = await client.get(k);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async function write(record) {
+    const k = key(record.id);
+    if (!k) throw new Error("Invalid record id: " + record.id);
+    if (ttlMs) await client.set(k, JSON.stringify(record), "PX", ttlMs);
+    else await client.set(k, JSON.stringify(record));
+  }
+
+  return {
+    kind: "redis",
+
+    async get(id) {
+      return read(id);
+    },
+
+    async put(record) {
+      await write(record);
+      return Object.assign({}, record);
+    },
+
+    async update(id, patch) {
+      const record = await read(id);
+      if (!record) return null;
+      const next = Object.assign({}, record, patch, { updatedAt: new Date().toISOString() });
+      await write(next);
+      return next;
+    },
+  };
+}
+
+module.exports = { createRedisRecordStore, KEY_PREFIX };
@@ -0,0 +1,179 @@
+// /lib/telemetry/index.js
+// Observability for the /api routes: request-scoped structured logs with a correlation id,
+// per-stage latency and Prometheus-style counters (served by /api/metrics).
+//
+// instrument(req, res, { route }) at the top of a route:
+// - takes the caller's X-Request-Id (or mints "req_<hex>") and echoes it as a response header
+// - adds `requestId` to every JSON object response
+// - counts the response (route, status), its latency and any error `code` once it is sent
+// - returns the request logger (log.info / log.error / log.time(stage))
+//
+// Metrics (see METRICS): previews by outcome, limit hits, brand blocks, rejections by code,
+// provider attempts, verification violations by constraint rule, stage + request latency.
+//
+// Env (optional):
+// - MEANINGFULL_METRICS_STORE="memory" | "redis" (default redis when a quota Redis URL is set)
+// - MEANINGFULL_METRICS_TOKEN (bearer token for /api/metrics; unset = route closed)
+// - MEANINGFULL_LOG_LEVEL / MEANINGFULL_LOG_HASH_SALT (see ./logger, ./redact)
+
+const crypto = require("crypto");
+const { createLogger, logger } = require("./logger");
+const { redactFields, hashValue, serializeError } = require("./redact");
+const { createRegistry, createMemoryMetricsStore, createRedisMetricsStore } = require("./metrics");
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,80}$/;
+
+function metricsStoreFromEnv() {
+  const redisUrl = process.env.MEANINGFULL_QUOTA_REDIS_URL || process.env.REDIS_URL || "";
+  const kind = String(process.env.MEANINGFULL_METRICS_STORE || (redisUrl ? "redis" : "memory")).toLowerCase();
+  if (kind === "memory") return createMemoryMetricsStore();
+  if (kind === "redis") {
+    if (!redisUrl) throw new Error("MEANINGFULL_METRICS_STORE=redis needs MEANINGFULL_QUOTA_REDIS_URL or REDIS_URL");
+    let Redis;
+    try {
+      Redis = require("ioredis");
+    } catch (e) {
+      throw new Error("MEANINGFULL_METRICS_STORE=redis needs the ioredis package installed");
+    }
+    return createRedisMetricsStore({ client: new Redis(redisUrl) });
+  }
+  throw new Error("Unknown MEANINGFULL_METRICS_STORE: " + kind);
+}
+
+const registry = createRegistry({ store: metricsStoreFromEnv() });
+
+const METRICS = {
+  requests: registry.counter("meaningfull_http_responses_total", "Responses by route and HTTP status", ["route", "status"]),
+  requestSeconds: registry.histogram("meaningfull_http_request_duration_seconds", "Request latency by route", ["route"]),
+  stageSeconds: registry.histogram(
+    "meaningfull_stage_duration_seconds",
+    "Preview pipeline stage latency (coerce, understand, prompt_build, provider, verify, storage)",
+    ["stage"]
+  ),
+  previews: registry.counter("meaningfull_previews_total", "Preview generations by tier and outcome (success, failure, queued)", ["tier", "outcome"]),
+  limitHits: registry.counter("meaningfull_limit_hits_total", "Requests refused by a limit (quota, rate, spend, disabled)", ["limit"]),
+  brandBlocked: registry.counter("meaningfull_brand_blocked_total", "Generations that asked for a blocked brand", ["tier"]),
+  rejections: registry.counter("meaningfull_rejections_total", "Rejected requests by error code", ["code"]),
+  providerAttempts: registry.counter(
+    "meaningfull_provider_attempts_total",
+    "Image model attempts by provider, model and outcome (ok, error)",
+    ["provider", "model", "outcome"]
+  ),
+  violations: registry.counter("meaningfull_verification_violations_total", "Verification violations by constraint rule", ["rule"]),
+};
+
+function newRequestId() {
+  return "req_" + crypto.randomBytes(8).toString("hex");
+}
+
+/**
+ * The caller's x-request-id when it looks like an id (never echo arbitrary header content).
+ */
+function incomingRequestId(req) {
+  const given = String(((req && req.headers) || {})["x-request-id"] || "").trim();
+  return REQUEST_ID_PATTERN.test(given) ? given : null;
+}
+
+/**
+ * Wraps res so every JSON object response carries requestId; records the response once sent.
+ * => request logger (log.requestId)
+ */
+function instrument(req, res, opts) {
+  const route = (opts && opts.route) || "unknown";
+  const requestId = incomingRequestId(req) || newRequestId();
+  const log = createLogger({
+    requestId,
+    route,
+    onTiming: (stage, ms) => METRICS.stageSeconds.observe({ stage }, ms / 1000),
+  });
+  const started = Date.now();
+  if (typeof res.setHeader === "function") res.setHeader("X-Request-Id", requestId);
+
+  let finished = false;
+  function finish(body) {
+    if (finished) return;
+    finished = true;
+    const status = res.statusCode || 200;
+    const ms = Date.now() - started;
+    METRICS.requests.inc({ route, status });
+    if (status >= 400 && body && body.code) recordRejection(body);
+    METRICS.requestSeconds.observe({ route }, ms / 1000);
+    log.info("request.completed", { method: req && req.method, status, ms });
+  }
+
+  const json = res.json;
+  if (typeof json === "function") {
+    res.json = (body) => {
+      const withId = body && typeof body === "object" && !Array.isArray(body) ? Object.assign({ requestId }, body) : body;
+      finish(body);
+      return json.call(res, withId);
+    };
+  }
+  const end = res.end;
+  if (typeof end === "function") {
+    res.end = (...args) => {
+      finish();
+      return end.apply(res, args);
+    };
+  }
+  return log;
+}
+
+/**
+ * Counts a rejection body ({ code, retryAfterSec? }) and maps limit codes onto
+ * meaningfull_limit_hits_total (PREVIEWS_UNAVAILABLE: spend cap when it says when to retry,
+ * else the kill switch). Called for every 4xx/5xx JSON response with a code.
+ */
+function recordRejection(body) {
+  METRICS.rejections.inc({ code: body.code });
+  let limit = null;
+  if (body.code === "QUOTA_EXCEEDED") limit = "quota";
+  else if (body.code === "RATE_LIMITED") limit = "rate";
+  else if (body.code === "PREVIEWS_UNAVAILABLE") limit = body.retryAfterSec ? "spend" : "disabled";
+  if (limit) METRICS.limitHits.inc({ limit });
+}
+
+/**
+ * Scrapers authenticate with "Authorization: Bearer <MEANINGFULL_METRICS_TOKEN>".
+ * Without a configured token the route is closed.
+ */
+function metricsAuthorized(req) {
+  const token = process.env.MEANINGFULL_METRICS_TOKEN || "";
+  const header = String(((req && req.headers) || {}).authorization || "");
+  const given = header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : "";
+  if (!token || !given) return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Counts a finished (or queued) preview generation; outcome: success | failure | queued.
+ */
+function recordPreview(tier, outcome) {
+  METRICS.previews.inc({ tier: String(tier || "").trim().toLowerCase() || "unknown", outcome });
+}
+
+/**
+ * Counts every provider attempt recorded by the engine ({ provider, model, ok?, error? }).
+ */
+function recordAttempts(attempts) {
+  for (const a of attempts || []) {
+    METRICS.providerAttempts.inc({ provider: a.provider, model: a.model, outcome: a.ok ? "ok" : "error" });
+  }
+}
+
+module.exports = {
+  instrument,
+  metricsAuthorized,
+  createLogger,
+  logger,
+  registry,
+  METRICS,
+  recordAttempts,
+  recordPreview,
+  newRequestId,
+  redactFields,
+  hashValue,
+  serializeError,
+};
@@ -0,0 +1,79 @@
+// /lib/telemetry/logger.js
+// Structured JSON logs, one line per event:
+// { ts, level, event, requestId?, route?, ...fields, err? }
+//
+// Fields pass through ./redact (shopper text hashed, SDK errors reduced to name/message/status).
+// Stage timers (log.time("provider")) add up per request and feed the stage latency histogram.
+//
+// Env (optional):
+// - MEANINGFULL_LOG_LEVEL="debug" | "info" | "warn" | "error" (default info)
+
+const { redactFields, serializeError } = require("./redact");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function defaultWrite(level, line) {
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+/**
+ * createLogger({ requestId?, route?, fields?, level?, write?, onTiming? })
+ * - debug / info / warn(event, fields?) ; error(event, err, fields?)
+ * - child(fields) => logger sharing the request id and timings
+ * - time(stage) => end() ; end() returns the stage's milliseconds
+ * - timings() => { stage: ms } (summed when a stage runs more than once, e.g. per variant)
+ */
+function createLogger(opts) {
+  const o = opts || {};
+  const base = Object.assign({}, o.fields || {});
+  if (o.requestId) base.requestId = o.requestId;
+  if (o.route) base.route = o.route;
+  const threshold = LEVELS[String(o.level || process.env.MEANINGFULL_LOG_LEVEL || "info").toLowerCase()] || LEVELS.info;
+  const write = o.write || defaultWrite;
+  const timings = o.timings || {};
+
+  function emit(level, event, fields, err) {
+    if (LEVELS[level] < threshold) return;
+    const entry = Object.assign({ ts: new Date().toISOString(), level, event }, base, redactFields(fields || {}));
+    if (err) entry.err = serializeError(err);
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (e) {
+      line = JSON.stringify({ ts: entry.ts, level, event, requestId: base.requestId, note: "unserializable fields" });
+    }
+    write(level, line);
+  }
+
+  function time(stage) {
+    const started = process.hrtime.bigint();
+    let done = false;
+    return () => {
+      const ms = Number(process.hrtime.bigint() - started) / 1e6;
+      if (!done) {
+        done = true;
+        timings[stage] = Math.round(((timings[stage] || 0) + ms) * 10) / 10;
+        if (typeof o.onTiming === "function") o.onTiming(stage, ms);
+      }
+      return ms;
+    };
+  }
+
+  return {
+    requestId: o.requestId || null,
+    debug: (event, fields) => emit("debug", event, fields),
+    info: (event, fields) => emit("info", event, fields),
+    warn: (event, fields) => emit("warn", event, fields),
+    error: (event, err, fields) => emit("error", event, fields, err),
+    child: (fields) => createLogger(Object.assign({}, o, { fields: Object.assign({}, o.fields || {}, fields), timings })),
+    time,
+    timings: () => Object.assign({}, timings),
+  };
+}
+
+// Process-wide logger for library code outside a request (lib/* imports this, not ./index,
+// so a library never pulls in the metrics store)
+const logger = createLogger();
+
+module.exports = { createLogger, logger, LEVELS };
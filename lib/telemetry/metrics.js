@@ -0,0 +1,167 @@
+// /lib/telemetry/metrics.js
+// Counters and histograms rendered in the Prometheus text format (/api/metrics).
+//
+// Every sample (counter value, histogram bucket / sum / count) is a number in a store:
+// - memory: per instance (local dev, tests)
+// - redis: one shared hash (HINCRBYFLOAT). On Vercel each /api route is its own function, so
+//   /api/metrics only sees the generate-preview counters through a shared store.
+// Updates are fire-and-forget: a metrics outage never fails a request.
+
+const { logger } = require("./logger");
+const { serializeError } = require("./redact");
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const DEFAULT_REDIS_KEY = "meaningfull:metrics";
+
+function createMemoryMetricsStore() {
+  const values = new Map();
+  return {
+    kind: "memory",
+    async add(field, n) {
+      values.set(field, (values.get(field) || 0) + n);
+    },
+    async entries() {
+      return Array.from(values);
+    },
+    async clear() {
+      values.clear();
+    },
+  };
+}
+
+function createRedisMetricsStore(opts) {
+  const client = opts && opts.client;
+  if (!client || typeof client.hincrbyfloat !== "function") {
+    throw new Error("Redis metrics store requires an ioredis-compatible client");
+  }
+  const key = (opts && opts.key) || DEFAULT_REDIS_KEY;
+  return {
+    kind: "redis",
+    add(field, n) {
+      return client.hincrbyfloat(key, field, n);
+    },
+    async entries() {
+      const all = (await client.hgetall(key)) || {};
+      return Object.keys(all).map((field) => [field, Number(all[field])]);
+    },
+    async clear() {
+      await client.del(key);
+    },
+  };
+}
+
+// Store field: sample name + "\t" + JSON label pairs (stable order)
+function fieldFor(sample, labelNames, labels, extra) {
+  const pairs = labelNames.map((n) => [n, String((labels && labels[n]) === undefined ? "" : labels[n])]);
+  if (extra) pairs.push(extra);
+  return sample + "\t" + JSON.stringify(pairs);
+}
+
+function labelPairs(field) {
+  return JSON.parse(field.slice(field.indexOf("\t") + 1));
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function sampleLine(field, value) {
+  const tab = field.indexOf("\t");
+  const pairs = labelPairs(field);
+  const labels = pairs.map((p) => p[0] + '="' + escapeLabel(p[1]) + '"').join(",");
+  return field.slice(0, tab) + (labels ? "{" + labels + "}" : "") + " " + Number(Number(value).toFixed(6));
+}
+
+// Histogram samples: per label set, buckets in ascending le (+Inf last), then _sum and _count
+function histogramRank(field) {
+  const sample = field.slice(0, field.indexOf("\t"));
+  if (sample.endsWith("_sum")) return 1e301;
+  if (sample.endsWith("_count")) return 1e302;
+  const le = labelPairs(field).find((p) => p[0] === "le");
+  return le[1] === "+Inf" ? 1e300 : Number(le[1]);
+}
+
+function histogramOrder(a, b) {
+  const series = (field) => JSON.stringify(labelPairs(field).filter((p) => p[0] !== "le"));
+  return series(a[0]).localeCompare(series(b[0])) || histogramRank(a[0]) - histogramRank(b[0]);
+}
+
+/**
+ * createRegistry({ store? })
+ * - counter(name, help, labelNames?) => { inc(labels?, n?) }
+ * - histogram(name, help, labelNames?, buckets?) => { observe(labels, seconds) }
+ * - render() => Promise<Prometheus exposition text>
+ * - reset() (tests)
+ */
+function createRegistry(opts) {
+  const store = (opts && opts.store) || createMemoryMetricsStore();
+  const metrics = new Map();
+  let warned = false;
+
+  function add(field, n) {
+    Promise.resolve()
+      .then(() => store.add(field, n))
+      .catch((e) => {
+        // never throw into the request path; the next scrape just misses this sample
+        if (!warned) logger.warn("metrics.store_failed", { err: serializeError(e), note: "further failures not logged" });
+        warned = true;
+      });
+  }
+
+  function register(name, metric) {
+    if (!metrics.has(name)) metrics.set(name, metric);
+    return metrics.get(name);
+  }
+
+  function counter(name, help, labelNames) {
+    const names = labelNames || [];
+    return register(name, {
+      type: "counter",
+      name,
+      help,
+      owns: (sample) => sample === name,
+      inc(labels, n) {
+        add(fieldFor(name, names, labels), n === undefined ? 1 : Number(n));
+      },
+    });
+  }
+
+  function histogram(name, help, labelNames, buckets) {
+    const names = labelNames || [];
+    const bounds = (buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    return register(name, {
+      type: "histogram",
+      name,
+      help,
+      owns: (sample) => sample === name + "_bucket" || sample === name + "_sum" || sample === name + "_count",
+      observe(labels, seconds) {
+        for (const b of bounds) if (seconds <= b) add(fieldFor(name + "_bucket", names, labels, ["le", String(b)]), 1);
+        add(fieldFor(name + "_bucket", names, labels, ["le", "+Inf"]), 1);
+        add(fieldFor(name + "_sum", names, labels), seconds);
+        add(fieldFor(name + "_count", names, labels), 1);
+      },
+    });
+  }
+
+  async function render() {
+    const entries = await store.entries();
+    const out = [];
+    for (const m of metrics.values()) {
+      out.push("# HELP " + m.name + " " + m.help);
+      out.push("# TYPE " + m.name + " " + m.type);
+      const mine = entries.filter((e) => m.owns(e[0].slice(0, e[0].indexOf("\t"))));
+      mine.sort(m.type === "histogram" ? histogramOrder : (a, b) => a[0].localeCompare(b[0]));
+      for (const [field, value] of mine) out.push(sampleLine(field, value));
+    }
+    return out.join("\n") + "\n";
+  }
+
+  // Lets callers (tests, the metrics route) wait for queued fire-and-forget updates
+  function flush() {
+    return new Promise((resolve) => setImmediate(resolve));
+  }
+
+  return { counter, histogram, render, flush, reset: () => store.clear(), store };
+}
+
+module.exports = { createRegistry, createMemoryMetricsStore, createRedisMetricsStore, DEFAULT_BUCKETS };
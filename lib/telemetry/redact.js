@@ -0,0 +1,85 @@
+// /lib/telemetry/redact.js
+// Privacy for log lines: shopper text never reaches the logs.
+//
+// Fields that carry what the shopper typed (notes, recipient, social links, rendered prompts, ...)
+// are replaced by a short salted hash + length, so the same notes can still be correlated across
+// failures without storing them. Errors are reduced to name / message / status: provider SDK
+// errors carry the raw request and response payloads, which are never logged.
+//
+// Env (optional):
+// - MEANINGFULL_LOG_HASH_SALT (salt for redacted-field hashes; set it so hashes can't be dictionary-matched)
+
+const crypto = require("crypto");
+
+const SENSITIVE_KEYS = new Set([
+  "notes",
+  "social",
+  "recipient",
+  "vibe",
+  "occasion",
+  "inputs",
+  "prompt",
+  "negative_prompt",
+  "fields",
+  "image",
+  "email",
+  "engraving",
+]);
+
+const MAX_MESSAGE = 300;
+
+/**
+ * "sha256:<12 hex>" of a value (salted), or null for empty values.
+ */
+function hashValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  if (!text) return null;
+  return (
+    "sha256:" +
+    crypto
+      .createHash("sha256")
+      .update(String(process.env.MEANINGFULL_LOG_HASH_SALT || ""))
+      .update(text)
+      .digest("hex")
+      .slice(0, 12)
+  );
+}
+
+function redactValue(value) {
+  if (value === undefined || value === null || value === "") return value;
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return { redacted: true, hash: hashValue(text), length: text.length };
+}
+
+/**
+ * Copy of fields with sensitive keys redacted (nested objects included).
+ */
+function redactFields(fields, depth) {
+  if (!fields || typeof fields !== "object") return fields;
+  if (Array.isArray(fields)) return fields.map((v) => redactFields(v, (depth || 0) + 1));
+  if ((depth || 0) > 4) return "[nested]";
+
+  const out = {};
+  for (const key of Object.keys(fields)) {
+    const v = fields[key];
+    if (SENSITIVE_KEYS.has(key)) out[key] = redactValue(v);
+    else if (v && typeof v === "object" && !(v instanceof Error)) out[key] = redactFields(v, (depth || 0) + 1);
+    else out[key] = v;
+  }
+  return out;
+}
+
+/**
+ * Loggable error: { name, message, status?, code? } — never the SDK's request/response payload.
+ */
+function serializeError(e) {
+  if (!e) return null;
+  if (typeof e !== "object") return { message: String(e).slice(0, MAX_MESSAGE) };
+  const out = { name: e.name || "Error", message: String(e.message || "").slice(0, MAX_MESSAGE) };
+  const status = e.status || (e.response && e.response.status);
+  if (status) out.status = status;
+  if (e.code) out.code = e.code;
+  return out;
+}
+
+module.exports = { redactFields, redactValue, hashValue, serializeError, SENSITIVE_KEYS };
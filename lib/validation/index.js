@@ -0,0 +1,284 @@
+// /lib/validation/index.js
+// Request validation for /api/generate-preview: declarative schema, sanitization and the
+// content-safety pass. Every rejection carries a stable `code` the storefront can localize.
+//
+// Codes (HTTP status):
+// - INPUTS_REQUIRED (400)      inputs missing or not an object
+// - INPUTS_TOO_LARGE (400)     too many input fields
+// - FIELD_INVALID (400)        a field is not text
+// - FIELD_TOO_LONG (400)       over the field's maxLength (see `limit`)
+// - SESSION_ID_REQUIRED (400) / SESSION_ID_INVALID (400)
+// - CUSTOMER_ID_INVALID (400)
+// - TIER_INVALID (400)         not one of the catalog tiers
+// - LOCALE_INVALID (400)       locale is not a language tag ("es", "fr-CA")
+// - PLACEMENT_INVALID (400)    not one of the catalog placements (see `allowed`)
+// - NOTES_INJECTION (422)      text tries to instruct the model
+// - CONTENT_UNSAFE (422)       text asks for content we never render
+// - REFERENCE_INVALID (400)    reference is neither an image upload nor a preview id
+// - REFERENCE_TOO_LARGE (400)  uploaded reference over the byte cap (see `limit`)
+// - STRENGTH_INVALID (400)     reference strength outside [min, max]
+// - VARIANTS_INVALID (400)     variants not a whole number in [1, tier limit] (see `limit`)
+//
+// Env (optional):
+// - MEANINGFULL_SAFETY_MODE="reject" | "flag" (default reject; flag drops offending sentences instead)
+
+const { sanitizeText } = require("./sanitize");
+const { checkText, stripUnsafeSentences } = require("./safety");
+const { sniffContentType } = require("../storage/download");
+
+// ================= SCHEMA =================
+const INPUT_SCHEMA = {
+  recipient: { maxLength: 80 },
+  vibe: { maxLength: 80 },
+  occasion: { maxLength: 80 },
+  notes: { maxLength: 600, safety: true },
+  social: { maxLength: 600 },
+  // engraving text is capped again (shorter) by the catalog; see lib/engraving
+  engraving: { maxLength: 60 },
+  engravingItem: { maxLength: 80 },
+};
+
+const REQUEST_SCHEMA = {
+  sessionId: { pattern: /^[A-Za-z0-9][A-Za-z0-9_.:-]{5,127}$/ },
+  customerId: { pattern: /^(gid:\/\/shopify\/Customer\/)?\d{1,20}$/ },
+  locale: { pattern: /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/ },
+  maxInputFields: 40,
+};
+
+// Reference image (img2img): an inline upload or one of the session's own previews
+const REFERENCE_SCHEMA = {
+  maxBytes: 3 * 1024 * 1024,
+  contentTypes: ["image/jpeg", "image/png", "image/webp"],
+  previewId: /^pv_[a-f0-9]{24}$/,
+  strength: { min: 0.1, max: 0.95, default: 0.6 },
+};
+
+// Free-text fields that are screened even though they are short
+const SCREENED_FIELDS = ["recipient", "vibe", "occasion", "engraving"];
+
+function reject(status, code, error, extra) {
+  return Object.assign({ ok: false, status, code, error }, extra || {});
+}
+
+function tierLabel(key) {
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Maps body.tier onto a catalog tier ("signature" / "Signature" => "Signature"). Missing => first tier.
+ */
+function resolveTier(raw, tiers) {
+  if (raw === undefined || raw === null || raw === "") return tierLabel(tiers[0]);
+  const key = String(raw).trim().toLowerCase();
+  return tiers.includes(key) ? tierLabel(key) : null;
+}
+
+/**
+ * validateRawInputs(rawInputs) — shape checks before label coercion.
+ */
+function validateRawInputs(rawInputs) {
+  if (!rawInputs || typeof rawInputs !== "object" || Array.isArray(rawInputs)) {
+    return reject(400, "INPUTS_REQUIRED", "Missing inputs");
+  }
+  const keys = Object.keys(rawInputs);
+  if (keys.length > REQUEST_SCHEMA.maxInputFields) {
+    return reject(400, "INPUTS_TOO_LARGE", "Too many input fields", { limit: REQUEST_SCHEMA.maxInputFields });
+  }
+  for (const k of keys) {
+    const v = rawInputs[k];
+    if (v !== null && v !== undefined && typeof v === "object") {
+      return reject(400, "FIELD_INVALID", "Input fields must be text", { field: k });
+    }
+  }
+  return { ok: true };
+}
+
+/**
+ * validateInputs(inputs, { mode? }) — canonical inputs (after coerceInputs).
+ * => { ok: true, inputs, flags } | rejection
+ */
+function validateInputs(inputs, opts) {
+  const mode = String((opts && opts.mode) || process.env.MEANINGFULL_SAFETY_MODE || "reject").toLowerCase();
+  const out = {};
+  const flags = [];
+
+  for (const field of Object.keys(INPUT_SCHEMA)) {
+    const rule = INPUT_SCHEMA[field];
+    const value = sanitizeText((inputs || {})[field]);
+
+    if (value.length > rule.maxLength) {
+      return reject(400, "FIELD_TOO_LONG", "Field is too long", { field, limit: rule.maxLength });
+    }
+
+    if (rule.safety || SCREENED_FIELDS.includes(field)) {
+      const verdict = checkText(value);
+      if (!verdict.ok) {
+        if (mode !== "flag") {
+          return reject(
+            422,
+            verdict.category === "injection" ? "NOTES_INJECTION" : "CONTENT_UNSAFE",
+            verdict.category === "injection"
+              ? "Please describe the gift instead of giving instructions"
+              : "This request includes content we can't show",
+            { field }
+          );
+        }
+        flags.push({ field, category: verdict.category, matches: verdict.matches });
+        out[field] = stripUnsafeSentences(value);
+        continue;
+      }
+    }
+    out[field] = value;
+  }
+
+  return { ok: true, inputs: out, flags };
+}
+
+/**
+ * validateRequest({ sessionId, customerId, tier, locale, placement }, { tiers, locales?, placements?, requireSession? })
+ * => { ok: true, sessionId, customerId, tier, locale, placement } | rejection
+ * locale is the supported language ("es-MX" => "es"), or null when absent or unsupported
+ * (the caller falls back to Accept-Language, then the catalog default).
+ * placement is a catalog placement key ("banner"), or null when absent (catalog default).
+ */
+function validateRequest(body, opts) {
+  const b = body || {};
+  const tiers = (opts && opts.tiers) || ["curated", "signature"];
+  const requireSession = !(opts && opts.requireSession === false);
+
+  const sessionId = b.sessionId === undefined || b.sessionId === null ? "" : String(b.sessionId).trim();
+  if (requireSession && !sessionId) {
+    return reject(400, "SESSION_ID_REQUIRED", "Missing sessionId");
+  }
+  if (sessionId && !REQUEST_SCHEMA.sessionId.pattern.test(sessionId)) {
+    return reject(400, "SESSION_ID_INVALID", "Invalid sessionId", { field: "sessionId" });
+  }
+
+  const customerId = b.customerId === undefined || b.customerId === null ? "" : String(b.customerId).trim();
+  if (customerId && !REQUEST_SCHEMA.customerId.pattern.test(customerId)) {
+    return reject(400, "CUSTOMER_ID_INVALID", "Invalid customerId", { field: "customerId" });
+  }
+
+  const tier = resolveTier(b.tier, tiers);
+  if (!tier) {
+    return reject(400, "TIER_INVALID", "Unknown tier", { field: "tier", allowed: tiers.map(tierLabel) });
+  }
+
+  const rawLocale = b.locale === undefined || b.locale === null ? "" : String(b.locale).trim();
+  if (rawLocale && !REQUEST_SCHEMA.locale.pattern.test(rawLocale)) {
+    return reject(400, "LOCALE_INVALID", "Invalid locale", { field: "locale" });
+  }
+  const lang = rawLocale.toLowerCase().split(/[-_]/)[0];
+  const locales = (opts && opts.locales) || [];
+  const locale = lang && locales.includes(lang) ? lang : null;
+
+  const placements = (opts && opts.placements) || [];
+  const rawPlacement = b.placement === undefined || b.placement === null ? "" : String(b.placement).trim().toLowerCase();
+  if (rawPlacement && !placements.includes(rawPlacement)) {
+    return reject(400, "PLACEMENT_INVALID", "Unknown placement", { field: "placement", allowed: placements });
+  }
+
+  return {
+    ok: true,
+    sessionId: sessionId || null,
+    customerId: customerId || null,
+    tier,
+    locale,
+    placement: rawPlacement || null,
+  };
+}
+
+/**
+ * validateReference(body.reference)
+ * - { previewId, strength? }                    refine an earlier preview
+ * - { image: "data:image/...;base64,...", strength? }  "something like this" upload
+ * => { ok: true, reference: null | { kind: "preview", previewId, strength } | { kind: "upload", body, contentType, strength } }
+ *    | rejection. Remote URLs are refused: the server never fetches shopper-supplied links.
+ */
+function validateReference(raw) {
+  if (raw === undefined || raw === null) return { ok: true, reference: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return reject(400, "REFERENCE_INVALID", "Invalid reference", { field: "reference" });
+  }
+
+  const rule = REFERENCE_SCHEMA.strength;
+  let strength = rule.default;
+  if (raw.strength !== undefined && raw.strength !== null) {
+    strength = Number(raw.strength);
+    if (!Number.isFinite(strength) || strength < rule.min || strength > rule.max) {
+      return reject(400, "STRENGTH_INVALID", "Reference strength out of range", {
+        field: "reference.strength",
+        allowed: [rule.min, rule.max],
+      });
+    }
+  }
+
+  if (raw.previewId !== undefined) {
+    const previewId = String(raw.previewId);
+    if (!REFERENCE_SCHEMA.previewId.test(previewId)) {
+      return reject(400, "REFERENCE_INVALID", "Invalid reference previewId", { field: "reference.previewId" });
+    }
+    return { ok: true, reference: { kind: "preview", previewId, strength } };
+  }
+
+  const m = /^data:(image\/[a-z+]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(raw.image || ""));
+  if (!m) {
+    return reject(400, "REFERENCE_INVALID", "Upload the reference image or use a previewId", { field: "reference.image" });
+  }
+  // base64 expands 4:3; check before decoding
+  if (m[2].length * 0.75 > REFERENCE_SCHEMA.maxBytes + 4) {
+    return reject(400, "REFERENCE_TOO_LARGE", "Reference image is too large", {
+      field: "reference.image",
+      limit: REFERENCE_SCHEMA.maxBytes,
+    });
+  }
+  const body = Buffer.from(m[2], "base64");
+  const contentType = sniffContentType(body);
+  if (!REFERENCE_SCHEMA.contentTypes.includes(contentType)) {
+    return reject(400, "REFERENCE_INVALID", "Reference must be a JPEG, PNG or WebP image", { field: "reference.image" });
+  }
+  return { ok: true, reference: { kind: "upload", body, contentType, strength } };
+}
+
+/**
+ * validateVariants(body.variants, { limit }) — how many images to generate (default 1).
+ * => { ok: true, count } | rejection
+ */
+function validateVariants(raw, opts) {
+  const limit = (opts && opts.limit) || 1;
+  if (raw === undefined || raw === null) return { ok: true, count: 1 };
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1 || n > limit) {
+    return reject(400, "VARIANTS_INVALID", "Variants must be a whole number from 1 to " + limit, {
+      field: "variants",
+      limit,
+    });
+  }
+  return { ok: true, count: n };
+}
+
+/**
+ * Client-facing rejection body: { error, code, field?, limit?, allowed? }
+ */
+function rejectionBody(r) {
+  const body = { error: r.error, code: r.code };
+  if (r.field) body.field = r.field;
+  if (r.limit) body.limit = r.limit;
+  if (r.allowed) body.allowed = r.allowed;
+  if (r.retryAfterSec) body.retryAfterSec = r.retryAfterSec;
+  return body;
+}
+
+module.exports = {
+  validateRawInputs,
+  validateInputs,
+  validateRequest,
+  validateReference,
+  validateVariants,
+  rejectionBody,
+  sanitizeText,
+  checkText,
+  INPUT_SCHEMA,
+  REQUEST_SCHEMA,
+  REFERENCE_SCHEMA,
+};
@@ -0,0 +1,68 @@
+// /lib/validation/safety.js
+// Content-safety pass for free-text fields (notes, recipient, vibe, occasion).
+//
+// - injection: attempts to talk to the model instead of describing the gift
+//   ("ignore all constraints", "new instructions:", "you are now..."). Only phrasing aimed at
+//   the model counts: "skip the candles" and "forget the usual rules of gifting" are gift notes
+// - unsafe: requests for content the storefront never renders (sexual, gore, hate, drugs).
+//   Uses the notes matcher, so a NEGATED mention ("no blood, please") is an avoid, not a request.
+//
+// Verdict: { ok, category, matches } — category is "injection" | "unsafe" | null.
+
+const { matchNotes } = require("../notes/matcher");
+
+const INJECTION_PATTERNS = [
+  // "ignore all / previous / the above / your instructions"
+  /\b(ignore|disregard|forget|override|bypass)\s+(?:(?:the|of|your|my)\s+)*(?:all|any|every|previous|prior|above|earlier|preceding|your|system|safety|original)\s+(?:(?:the|of|your|previous|prior|above|earlier|preceding|system|safety|original)\s+)*(instructions?|constraints?|rules?|guidelines?|prompts?|filters?|restrictions?|polic(y|ies))\b/i,
+  // "disregard the constraints above", "ignore the instructions you were given"
+  /\b(ignore|disregard|forget|override|bypass)\s+(?:the\s+|your\s+)?(instructions?|constraints?|rules?|guidelines?|prompts?|filters?|restrictions?)\s+(above|so\s+far|you\s+(were|have\s+been)\s+given)\b/i,
+  // "ignore instructions", "forget the prompt"
+  /\b(ignore|disregard|forget|override|bypass)\s+(?:the\s+|your\s+)?(instructions?|prompts?)\b/i,
+  /\b(system|developer|assistant)\s*(prompt|message|instructions?)\b/i,
+  /^\s*(system|assistant|developer|user)\s*:/im,
+  /\b(new|updated|real)\s+instructions?\s*:/i,
+  /\byou\s+are\s+(now|no\s+longer)\b/i,
+  /\b(act|behave|respond)\s+as\s+(if|an?|the)\b.{0,30}\b(ai|model|assistant|unfiltered|uncensored)\b/i,
+  /\b(jailbreak|dan\s+mode|developer\s+mode|uncensored|unfiltered)\b/i,
+  /\b(negative[_ ]prompt|guidance[_ ]scale|cfg[_ ]scale|--no\b|--ar\b)/i,
+  // chat-template tokens (the sanitizer has already removed their brackets)
+  /\b(im_start|im_end|endoftext)\b|\bINST\b/,
+];
+
+// Keys are reported categories; values are matcher synonyms (stemmed, word-bounded)
+const UNSAFE_TERMS = {
+  sexual: ["nude", "nudity", "naked", "nsfw", "porn", "porno", "pornographic", "topless", "sex", "sexual", "erotic", "fetish", "genitals"],
+  gore: ["gore", "gory", "bloodbath", "corpse", "dead body", "decapitated", "mutilated", "dismembered"],
+  hate: ["swastika", "nazi", "kkk", "white power", "racial slur"],
+  drugs: ["cocaine", "heroin", "meth", "methamphetamine", "crack pipe", "fentanyl"],
+  minors: ["child nudity", "underage", "loli"],
+};
+
+/**
+ * checkText(text) => { ok, category, matches }
+ */
+function checkText(text) {
+  const t = String(text || "");
+  if (!t) return { ok: true, category: null, matches: [] };
+
+  const injected = INJECTION_PATTERNS.map((re) => re.exec(t)).filter(Boolean).map((m) => m[0].trim());
+  if (injected.length) return { ok: false, category: "injection", matches: injected };
+
+  const unsafe = matchNotes(t, { include: UNSAFE_TERMS, avoid: {} }).includes;
+  if (unsafe.length) return { ok: false, category: "unsafe", matches: unsafe };
+
+  return { ok: true, category: null, matches: [] };
+}
+
+/**
+ * Drops the sentences that tripped checkText (used in "flag" mode instead of rejecting).
+ */
+function stripUnsafeSentences(text) {
+  return String(text || "")
+    .split(/(?<=[.!?;])\s+|\n+/)
+    .filter((sentence) => checkText(sentence).ok)
+    .join(" ")
+    .trim();
+}
+
+module.exports = { checkText, stripUnsafeSentences, UNSAFE_TERMS, INJECTION_PATTERNS };
@@ -0,0 +1,23 @@
+// /lib/validation/sanitize.js
+// Text sanitization for anything that reaches the prompt.
+//
+// - Unicode NFKC (fullwidth / compatibility forms fold to plain letters, so "ｉｇｎｏｒｅ" == "ignore")
+// - zero-width and bidi-control characters removed (they hide words from filters)
+// - control characters become spaces; whitespace collapsed
+// - prompt-structure markup (code fences, <tags>, {braces}, ### headers) removed
+
+const INVISIBLE = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+const CONTROL = /[\u0000-\u001F\u007F-\u009F]/g;
+const MARKUP = /\x60{3,}|<\/?[a-z|!][^>]{0,40}>|[<>{}\[\]\x60\\]|#{2,}/gi;
+
+function sanitizeText(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .normalize("NFKC")
+    .replace(INVISIBLE, "")
+    .replace(CONTROL, " ")
+    .replace(MARKUP, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+module.exports = { sanitizeText };
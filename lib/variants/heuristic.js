@@ -0,0 +1,59 @@
+// /lib/variants/heuristic.js
+// Heuristic variant scorer: cheap checks on what we already know about each generated image
+// (no model call). It cannot judge prompt adherence; it pushes obviously weak results down.
+//
+// - a variant that needed a fallback model ranks below one from the tier's primary model
+// - a variant whose image could not be re-hosted (temporary provider URL) ranks lower
+// - a tiny raster file is usually a flat / blank frame
+// - a variant that still shows a hard avoid after verification (lib/verify) ranks far lower
+
+const RASTER_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MIN_RASTER_BYTES = 12 * 1024;
+
+const PENALTIES = {
+  fallback: 0.25,
+  notStored: 0.1,
+  tiny: 0.4,
+  verifyFailed: 0.5,
+};
+
+/**
+ * score(candidate) => { score: 0..1, reasons: [string] }
+ * candidate: { attempts, stored, contentType, bytes, verification? }
+ */
+function scoreHeuristic(candidate) {
+  const c = candidate || {};
+  const reasons = [];
+  let score = 1;
+
+  if ((c.attempts || []).length > 1) {
+    score -= PENALTIES.fallback;
+    reasons.push("fallback model");
+  }
+  if (c.stored === false) {
+    score -= PENALTIES.notStored;
+    reasons.push("not re-hosted");
+  }
+  if (RASTER_TYPES.includes(c.contentType) && Number(c.bytes) > 0 && Number(c.bytes) < MIN_RASTER_BYTES) {
+    score -= PENALTIES.tiny;
+    reasons.push("possibly blank image");
+  }
+  if (c.verification && c.verification.status === "failed") {
+    score -= PENALTIES.verifyFailed;
+    reasons.push("failed verification");
+  }
+
+  return { score: Math.max(0, Math.round(score * 1000) / 1000), reasons };
+}
+
+function createHeuristicScorer(opts) {
+  return {
+    name: "heuristic",
+    weight: (opts && opts.weight) || 1,
+    async score(candidate) {
+      return scoreHeuristic(candidate);
+    },
+  };
+}
+
+module.exports = { createHeuristicScorer, scoreHeuristic, PENALTIES, MIN_RASTER_BYTES };
@@ -0,0 +1,132 @@
+// /lib/variants/index.js
+// Multiple variants per request: per-tier variant limits, seeds and server-side ranking.
+//
+// One request with `variants: N` runs N generations with different seeds in parallel and still
+// costs a single quota unit. Every variant is scored by the ranker's scorers (weighted mean of
+// 0..1 scores) and returned best-first with its seed, so a chosen image can be reproduced.
+//
+// Env (optional):
+// - MEANINGFULL_VARIANT_LIMITS='{"curated":2,"signature":4}' (max variants per request; merged over defaults)
+// - MEANINGFULL_VISION_SCORER_URL (adds the CLIP/vision scorer; MEANINGFULL_VISION_SCORER_TOKEN optional)
+
+const crypto = require("crypto");
+const { tierKey } = require("../quota");
+const { createHeuristicScorer, scoreHeuristic } = require("./heuristic");
+const { createVisionScorer, createHttpVisionClient, createStubVisionClient } = require("./vision");
+const { logger } = require("../telemetry/logger");
+
+// ================= LIMITS =================
+// tiers missing here (new catalog tiers) get 1
+const DEFAULT_VARIANT_LIMITS = {
+  mini: 1,
+  curated: 2,
+  signature: 4,
+  corporate: 2,
+  subscription: 2,
+};
+
+// Flux / SDXL seeds are unsigned 32-bit; stay in the signed range every model accepts
+const MAX_SEED = 2147483647;
+
+function variantLimitsFromEnv() {
+  const raw = process.env.MEANINGFULL_VARIANT_LIMITS;
+  if (!raw) return Object.assign({}, DEFAULT_VARIANT_LIMITS);
+  try {
+    return Object.assign({}, DEFAULT_VARIANT_LIMITS, JSON.parse(raw));
+  } catch (e) {
+    throw new Error("MEANINGFULL_VARIANT_LIMITS is not valid JSON");
+  }
+}
+
+/**
+ * Max variants one request may ask for on this tier (at least 1).
+ */
+function variantLimit(tier, limits) {
+  const l = limits || variantLimitsFromEnv();
+  return Math.max(1, Math.floor(Number(l[tierKey(tier)]) || 1));
+}
+
+/**
+ * n distinct random seeds.
+ */
+function newSeeds(n) {
+  const seeds = [];
+  while (seeds.length < n) {
+    const seed = crypto.randomInt(0, MAX_SEED);
+    if (!seeds.includes(seed)) seeds.push(seed);
+  }
+  return seeds;
+}
+
+// ================= RANKER =================
+/**
+ * createRanker({ scorers? }) — scorers default to [heuristic].
+ * - rank(candidates, context) => candidates best-first, each with
+ *   { rank, score, scores: { <scorer>: 0..1 }, reasons }
+ *   A scorer that throws is skipped for that candidate (logged); it never fails the request.
+ *   Ties keep generation order.
+ */
+function createRanker(opts) {
+  const scorers = (opts && opts.scorers) || [createHeuristicScorer()];
+
+  async function scoreOne(candidate, context) {
+    const scores = {};
+    const reasons = [];
+    let total = 0;
+    let weights = 0;
+
+    for (const scorer of scorers) {
+      try {
+        const out = await scorer.score(candidate, context);
+        scores[scorer.name] = out.score;
+        (out.reasons || []).forEach((r) => reasons.push(scorer.name + ": " + r));
+        total += out.score * scorer.weight;
+        weights += scorer.weight;
+      } catch (e) {
+        logger.error("variants.scorer_failed", e, { scorer: scorer.name });
+        scores[scorer.name] = null;
+      }
+    }
+
+    const score = weights ? Math.round((total / weights) * 1000) / 1000 : 0;
+    return Object.assign({}, candidate, { score, scores, reasons });
+  }
+
+  async function rank(candidates, context) {
+    const scored = await Promise.all((candidates || []).map((c) => scoreOne(c, context || {})));
+    return scored
+      .map((c, i) => ({ c, i }))
+      .sort((a, b) => b.c.score - a.c.score || a.i - b.i)
+      .map((x, i) => Object.assign(x.c, { rank: i + 1 }));
+  }
+
+  return { rank, scorers };
+}
+
+function rankerFromEnv() {
+  const scorers = [createHeuristicScorer()];
+  const url = process.env.MEANINGFULL_VISION_SCORER_URL;
+  if (url) {
+    scorers.push(
+      createVisionScorer({
+        client: createHttpVisionClient({ url, token: process.env.MEANINGFULL_VISION_SCORER_TOKEN }),
+      })
+    );
+  }
+  return createRanker({ scorers });
+}
+
+module.exports = {
+  variantLimit,
+  variantLimitsFromEnv,
+  newSeeds,
+  createRanker,
+  rankerFromEnv,
+  createHeuristicScorer,
+  scoreHeuristic,
+  createVisionScorer,
+  createHttpVisionClient,
+  createStubVisionClient,
+  DEFAULT_VARIANT_LIMITS,
+  MAX_SEED,
+};
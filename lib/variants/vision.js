@@ -0,0 +1,87 @@
+// /lib/variants/vision.js
+// CLIP / vision-model scorer interface for ranking variants by prompt adherence.
+//
+// No scoring model ships with the app. A scorer client is anything with
+//   score({ imageUrl, prompt, negativePrompt }) => { score: 0..1, reasons? }
+// createHttpVisionClient posts that JSON to an external service (e.g. a CLIP endpoint);
+// createStubVisionClient is the offline stand-in for tests and local dev.
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+function clampScore(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error("Vision scorer returned no numeric score");
+  return Math.min(1, Math.max(0, n));
+}
+
+/**
+ * createHttpVisionClient({ url, token?, timeoutMs?, fetch? })
+ */
+function createHttpVisionClient(opts) {
+  const o = opts || {};
+  if (!o.url) throw new Error("Vision scorer needs a url");
+  const doFetch = o.fetch || fetch;
+  const timeoutMs = Number(o.timeoutMs) || DEFAULT_TIMEOUT_MS;
+
+  return {
+    async score(req) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const headers = { "content-type": "application/json" };
+        if (o.token) headers.authorization = "Bearer " + o.token;
+        const res = await doFetch(o.url, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(req),
+          signal: controller.signal,
+        });
+        if (!res.ok) throw new Error("Vision scorer responded " + res.status);
+        return await res.json();
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+/**
+ * createStubVisionClient(answer)
+ * - answer: number, { score, reasons }, function(req) => number | object, or an Error (thrown)
+ */
+function createStubVisionClient(answer) {
+  const calls = [];
+  return {
+    calls,
+    async score(req) {
+      calls.push(req);
+      const value = typeof answer === "function" ? answer(req) : answer;
+      if (value instanceof Error) throw value;
+      return typeof value === "number" ? { score: value } : value;
+    },
+  };
+}
+
+/**
+ * createVisionScorer({ client, weight? }) — ranker scorer backed by a vision client.
+ */
+function createVisionScorer(opts) {
+  const client = opts && opts.client;
+  if (!client || typeof client.score !== "function") throw new Error("Vision scorer requires a client");
+
+  return {
+    name: "vision",
+    weight: (opts && opts.weight) || 2,
+    async score(candidate, context) {
+      const prompt = candidate.prompt || (context && context.prompt) || {};
+      const out = await client.score({
+        imageUrl: candidate.imageUrl,
+        prompt: prompt.prompt || "",
+        negativePrompt: prompt.negative_prompt || "",
+      });
+      return { score: clampScore(out && out.score), reasons: (out && out.reasons) || [] };
+    },
+  };
+}
+
+module.exports = { createVisionScorer, createHttpVisionClient, createStubVisionClient };
@@ -0,0 +1,170 @@
+// /lib/verify/index.js
+// Post-generation verification: checks the generated image against the prompt's structured
+// constraints with a pluggable vision checker, and reruns the generation with a tightened
+// prompt when a HARD avoid is visible.
+//
+// - only HIGH/HARD constraints are checked (the ones a shopper would notice), HARD first
+// - a visible HARD negative ("no candles", "no readable text") fails the check => retry with
+//   the same seed and a strict exclusion line; retries run inside the shopper's request and
+//   never consume quota
+// - unmet includes (e.g. the exact watch time) are reported as violations but do not retry
+// - a checker error never fails the preview: the verdict is { status: "error" }
+//
+// Verdict: { status: "passed" | "failed" | "skipped" | "error", checker, score, checked,
+//            violations: [{ rule, kind, text, priority, confidence }], hardViolations, retries }
+//
+// Env (optional):
+// - MEANINGFULL_VERIFY="off" | "openai" | "stub" (default off; openai needs OPENAI_API_KEY)
+// - MEANINGFULL_VERIFY_RETRIES (default 1)
+// - MEANINGFULL_VERIFY_MODEL / MEANINGFULL_VERIFY_TIMEOUT_MS (see ./openai-checker)
+
+const { PRIORITY, addConstraint, negativeTerm } = require("../prompt");
+const { createOpenAIChecker } = require("./openai-checker");
+const { createStubChecker } = require("./stub-checker");
+const { logger } = require("../telemetry/logger");
+
+const DEFAULT_MAX_RETRIES = 1;
+const MAX_CHECKS = 20;
+
+function skippedVerdict(reason) {
+  return { status: "skipped", reason: reason || null };
+}
+
+/**
+ * Constraints worth checking on the image: HIGH/HARD, highest priority first.
+ */
+function checkableConstraints(ast) {
+  return ast.constraints
+    .filter((c) => c.priority >= PRIORITY.HIGH)
+    .slice()
+    .sort((a, b) => b.priority - a.priority)
+    .slice(0, MAX_CHECKS)
+    .map((c, i) => ({ id: "c" + (i + 1), kind: c.kind, text: c.text, rule: c.rule, priority: c.priority }));
+}
+
+function isHardAvoid(v) {
+  return v.kind === "negative" && v.priority >= PRIORITY.HARD;
+}
+
+/**
+ * Copy of the prompt AST with a strict exclusion line for every violated hard avoid.
+ */
+function tightenPrompt(ast, violations) {
+  const next = JSON.parse(JSON.stringify(ast));
+  const terms = violations.filter(isHardAvoid).map((v) => negativeTerm(v.text));
+  if (terms.length) {
+    addConstraint(next, "include", "verify.retry", PRIORITY.HARD, "STRICT: none of these may appear anywhere in the image: " + terms.join(", "));
+  }
+  return next;
+}
+
+/**
+ * createVerifier({ checker, maxRetries? })
+ * - verify(imageUrl, ast) => verdict
+ * - verifyWithRetry({ engine, request, result }) => { result, verdict }
+ *   request: the engine.generate request that produced result ({ tier, ast, output?, reference?, seed? })
+ */
+function createVerifier(opts) {
+  const checker = opts && opts.checker;
+  if (!checker || typeof checker.check !== "function") throw new Error("Verifier requires a checker");
+  const maxRetries =
+    opts.maxRetries !== undefined
+      ? Number(opts.maxRetries)
+      : Number(process.env.MEANINGFULL_VERIFY_RETRIES || DEFAULT_MAX_RETRIES);
+
+  async function verify(imageUrl, ast) {
+    const constraints = checkableConstraints(ast);
+    if (!constraints.length) return skippedVerdict("nothing to check");
+
+    let answer;
+    try {
+      answer = await checker.check({
+        imageUrl,
+        constraints: constraints.map((c) => ({ id: c.id, kind: c.kind, text: c.text })),
+      });
+    } catch (e) {
+      logger.error("verify.check_failed", e, { checker: checker.name });
+      return { status: "error", checker: checker.name, error: (e && e.message) ? e.message : String(e) };
+    }
+
+    const byId = new Map();
+    for (const r of (answer && Array.isArray(answer.results) ? answer.results : [])) {
+      if (r && typeof r.satisfied === "boolean") byId.set(String(r.id), r);
+    }
+
+    const violations = [];
+    let checked = 0;
+    let weight = 0;
+    let satisfiedWeight = 0;
+    for (const c of constraints) {
+      const r = byId.get(c.id);
+      if (!r) continue;
+      checked++;
+      weight += c.priority;
+      if (r.satisfied) {
+        satisfiedWeight += c.priority;
+      } else {
+        const confidence = Number.isFinite(Number(r.confidence)) ? Number(r.confidence) : null;
+        violations.push({ rule: c.rule, kind: c.kind, text: c.text, priority: c.priority, confidence });
+      }
+    }
+    if (!checked) return { status: "error", checker: checker.name, error: "Checker returned no usable results" };
+
+    const hardViolations = violations.filter(isHardAvoid).length;
+    return {
+      status: hardViolations ? "failed" : "passed",
+      checker: checker.name,
+      score: Math.round((satisfiedWeight / weight) * 1000) / 1000,
+      checked,
+      violations,
+      hardViolations,
+    };
+  }
+
+  async function verifyWithRetry(ctx) {
+    let ast = ctx.request.ast;
+    let result = ctx.result;
+    let verdict = await verify(result.imageUrl, ast);
+    let retries = 0;
+
+    while (verdict.status === "failed" && retries < maxRetries) {
+      retries++;
+      ast = tightenPrompt(ast, verdict.violations);
+      try {
+        result = await ctx.engine.generate(Object.assign({}, ctx.request, { ast }));
+      } catch (e) {
+        ((ctx.request && ctx.request.log) || logger).error("verify.retry_failed", e, { retry: retries, note: "keeping the previous image" });
+        break;
+      }
+      verdict = await verify(result.imageUrl, ast);
+    }
+
+    return { result, verdict: Object.assign(verdict, { retries }) };
+  }
+
+  return { verify, verifyWithRetry, checker, maxRetries };
+}
+
+/**
+ * Verifier configured from env, or null when verification is off.
+ */
+function verifierFromEnv() {
+  const kind = String(process.env.MEANINGFULL_VERIFY || "off").toLowerCase();
+  if (kind === "off" || kind === "false" || kind === "") return null;
+  if (kind === "stub") return createVerifier({ checker: createStubChecker() });
+  if (kind === "openai") {
+    if (!process.env.OPENAI_API_KEY) throw new Error("MEANINGFULL_VERIFY=openai needs OPENAI_API_KEY");
+    return createVerifier({ checker: createOpenAIChecker() });
+  }
+  throw new Error("Unknown MEANINGFULL_VERIFY: " + kind);
+}
+
+module.exports = {
+  createVerifier,
+  verifierFromEnv,
+  checkableConstraints,
+  tightenPrompt,
+  skippedVerdict,
+  createOpenAIChecker,
+  createStubChecker,
+};
@@ -0,0 +1,108 @@
+// /lib/verify/openai-checker.js
+// OpenAI vision checker: asks a vision-capable chat model whether each constraint holds for
+// the generated image. Strict JSON schema answer; ids it does not know are ignored.
+//
+// Env (optional):
+// - MEANINGFULL_VERIFY_MODEL (default gpt-4o-mini)
+// - MEANINGFULL_VERIFY_TIMEOUT_MS (default 15000)
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_TIMEOUT_MS = 15000;
+
+const SYSTEM_PROMPT = [
+  "You check a generated product photo of a gift box against a list of constraints.",
+  "Each constraint has an id, a kind and a text.",
+  "kind include: satisfied is true only if the image clearly shows it.",
+  "kind negative: the text names something that must NOT appear; satisfied is false if it is visible.",
+  "Judge only what is visible in the image. confidence: 0..1.",
+].join("\n");
+
+const RESULT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["results"],
+  properties: {
+    results: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["id", "satisfied", "confidence"],
+        properties: {
+          id: { type: "string" },
+          satisfied: { type: "boolean" },
+          confidence: { type: "number" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * createOpenAIChecker({ client?, model?, timeoutMs? })
+ * - check({ imageUrl, constraints: [{ id, kind, text }] }) => { results: [{ id, satisfied, confidence }] }
+ */
+function createOpenAIChecker(opts) {
+  const o = opts || {};
+  let client = o.client;
+  const model = o.model || process.env.MEANINGFULL_VERIFY_MODEL || DEFAULT_MODEL;
+  const timeoutMs = o.timeoutMs || Number(process.env.MEANINGFULL_VERIFY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  function getClient() {
+    if (!client) {
+      const OpenAI = require("openai");
+      client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return client;
+  }
+
+  return {
+    name: "openai",
+
+    async check(req) {
+      const controller = new AbortController();
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error("Vision check timed out after " + timeoutMs + "ms"));
+        }, timeoutMs);
+      });
+
+      const call = getClient().chat.completions.create(
+        {
+          model,
+          temperature: 0,
+          messages: [
+            { role: "system", content: SYSTEM_PROMPT },
+            {
+              role: "user",
+              content: [
+                { type: "text", text: JSON.stringify({ constraints: req.constraints }) },
+                { type: "image_url", image_url: { url: req.imageUrl } },
+              ],
+            },
+          ],
+          response_format: {
+            type: "json_schema",
+            json_schema: { name: "constraint_check", strict: true, schema: RESULT_SCHEMA },
+          },
+        },
+        { signal: controller.signal }
+      );
+
+      try {
+        const completion = await Promise.race([call, timeout]);
+        const content =
+          completion && completion.choices && completion.choices[0] && completion.choices[0].message
+            ? completion.choices[0].message.content
+            : "";
+        return JSON.parse(String(content || ""));
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+module.exports = { createOpenAIChecker, RESULT_SCHEMA };
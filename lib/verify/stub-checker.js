@@ -0,0 +1,34 @@
+// /lib/verify/stub-checker.js
+// Offline stand-in for a vision checker (local dev and tests).
+//
+// createStubChecker(answer?)
+// - no answer: every constraint is satisfied
+// - answer: function({ imageUrl, constraints }) => { results } | [violated constraint texts],
+//   or an Error (thrown)
+
+function createStubChecker(answer) {
+  const calls = [];
+
+  return {
+    name: "stub",
+    calls,
+
+    async check(req) {
+      calls.push(req);
+      const value = typeof answer === "function" ? answer(req) : answer;
+      if (value instanceof Error) throw value;
+      if (value && !Array.isArray(value)) return value;
+
+      const violated = new Set((value || []).map((t) => String(t).toLowerCase()));
+      return {
+        results: req.constraints.map((c) => ({
+          id: c.id,
+          satisfied: !violated.has(c.text.toLowerCase()),
+          confidence: 1,
+        })),
+      };
+    },
+  };
+}
+
+module.exports = { createStubChecker };
@@ -0,0 +1,194 @@
+// /scripts/golden-prompts.js
+// Golden-prompt regression suite: real option-set payloads (test/fixtures/golden/<case>.json) in,
+// the prompts every renderer produces (<case>.prompt.txt next to them) out. A change to the
+// taxonomy, the negation grammar or a prompt rule shows up here as a snapshot diff.
+//
+//   node scripts/golden-prompts.js            diff every case against its snapshot (exit 1 on drift)
+//   node scripts/golden-prompts.js --update   rewrite the snapshots after an intentional change
+//   node scripts/golden-prompts.js <case> ... only these cases (either mode)
+//
+// test/golden-prompts.test.js runs the same cases. Snapshots use the shipped catalog and no
+// operator env (brand lists, notes LLM, engraving blocklist), so they only move when the code or
+// config/catalog.json does.
+
+const fs = require("fs");
+const path = require("path");
+
+// The route builds its stores at load time: keep them in memory and drop operator overrides
+for (const name of [
+  "MEANINGFULL_ALLOWED_BRANDS",
+  "MEANINGFULL_DISALLOWED_BRANDS",
+  "MEANINGFULL_STRICT_BRAND_MODE",
+  "MEANINGFULL_NOTES_LLM",
+  "MEANINGFULL_CATALOG_PATH",
+  "MEANINGFULL_SAFETY_MODE",
+  "MEANINGFULL_ENGRAVING_BLOCKLIST",
+]) {
+  delete process.env[name];
+}
+process.env.MEANINGFULL_QUOTA_STORE = "memory";
+process.env.MEANINGFULL_RECORD_STORE = "memory";
+process.env.MEANINGFULL_IMAGE_STORE = "none";
+
+const { coerceInputs, buildPrompt } = require("../api/generate-preview");
+const { getCatalog } = require("../lib/catalog");
+const { renderPrompt, RENDERERS } = require("../lib/prompt");
+const { validateRequest, validateInputs } = require("../lib/validation");
+
+const GOLDEN_DIR = path.join(__dirname, "..", "test", "fixtures", "golden");
+const SNAPSHOT_EXT = ".prompt.txt";
+
+const catalog = getCatalog();
+
+function listCases() {
+  return fs
+    .readdirSync(GOLDEN_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => path.basename(f, ".json"))
+    .sort();
+}
+
+function snapshotPath(name) {
+  return path.join(GOLDEN_DIR, name + SNAPSHOT_EXT);
+}
+
+function readSnapshot(name) {
+  const file = snapshotPath(name);
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+}
+
+function listOrDash(items) {
+  return items && items.length ? items.join(", ") : "-";
+}
+
+/**
+ * The request -> prompt path of the route without I/O: request + input validation, option-set
+ * coercion, regex notes understanding, buildPrompt, then every renderer.
+ */
+function renderCase(name) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, name + ".json"), "utf8"));
+  const body = fixture.request || {};
+
+  const request = validateRequest(body, {
+    tiers: catalog.tiers,
+    locales: catalog.locales,
+    placements: catalog.placements,
+    requireSession: false,
+  });
+  if (!request.ok) throw new Error(name + ": request rejected (" + request.code + ")");
+  const locale = request.locale || catalog.defaultLocale;
+  const validated = validateInputs(coerceInputs(body.inputs, locale));
+  if (!validated.ok) throw new Error(name + ": inputs rejected (" + validated.code + ")");
+
+  const ast = buildPrompt({
+    inputs: validated.inputs,
+    tier: request.tier,
+    locale,
+    placement: catalog.placement(request.placement),
+    safetyFlags: validated.flags,
+  });
+  const meta = ast.meta;
+  const engraved = meta.engraving && meta.engraving.text ? "\"" + meta.engraving.text + "\" on " + meta.engraving.item : "-";
+
+  const lines = [
+    "# " + (fixture.description || name),
+    "# tier: " + request.tier + " | locale: " + locale + " | placement: " + (request.placement || "default"),
+    "# includes: " + listOrDash(meta.canonical.includes) + " | avoids: " + listOrDash(meta.canonical.avoids),
+    "# recipient: " + meta.recipientGroup + " | brands permitted: " + listOrDash(meta.brandScan.permitted) +
+      " | replaced: " + listOrDash(meta.brandScan.blocked) + " | engraving: " + engraved,
+  ];
+
+  for (const renderer of Object.keys(RENDERERS)) {
+    const rendered = renderPrompt(ast, { renderer });
+    for (const field of Object.keys(rendered.fields)) {
+      lines.push("", "== " + renderer + " " + field + " ==", rendered.fields[field]);
+    }
+    if (rendered.dropped.length) {
+      lines.push("", "== " + renderer + " dropped ==");
+      for (const c of rendered.dropped) lines.push(c.rule + ": " + c.text);
+    }
+  }
+
+  lines.push("", "== constraints ==");
+  for (const c of ast.constraints) lines.push(c.kind + " " + c.priority + " " + c.rule + ": " + c.text);
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Line diff (longest common subsequence): ["  same", "- removed", "+ added"], changes only
+ * with `context` unchanged lines around them.
+ */
+function lineDiff(before, after, context) {
+  const a = String(before || "").split("\n");
+  const b = String(after || "").split("\n");
+  const keep = context === undefined ? 2 : context;
+
+  const lcs = [];
+  for (let i = a.length; i >= 0; i--) {
+    lcs[i] = [];
+    for (let j = b.length; j >= 0; j--) {
+      if (i === a.length || j === b.length) lcs[i][j] = 0;
+      else if (a[i] === b[j]) lcs[i][j] = lcs[i + 1][j + 1] + 1;
+      else lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push("  " + a[i]);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push("- " + a[i++]);
+    } else {
+      ops.push("+ " + b[j++]);
+    }
+  }
+
+  const changed = ops.map((op) => op[0] !== " ");
+  return ops.filter((op, n) => {
+    for (let k = Math.max(0, n - keep); k <= Math.min(ops.length - 1, n + keep); k++) if (changed[k]) return true;
+    return false;
+  });
+}
+
+function main(argv) {
+  const update = argv.includes("--update");
+  const names = argv.filter((a) => !a.startsWith("--"));
+  const known = listCases();
+  const unknown = names.filter((n) => !known.includes(n));
+  if (unknown.length) {
+    console.error("Unknown golden case(s): " + unknown.join(", "));
+    return 2;
+  }
+
+  let drift = 0;
+  for (const name of names.length ? names : known) {
+    const actual = renderCase(name);
+    const expected = readSnapshot(name);
+    if (actual === expected) continue;
+
+    if (update) {
+      fs.writeFileSync(snapshotPath(name), actual);
+      console.log((expected === null ? "created " : "updated ") + path.relative(process.cwd(), snapshotPath(name)));
+      continue;
+    }
+    drift++;
+    console.log("--- " + name + (expected === null ? " (no snapshot yet)" : ""));
+    for (const line of lineDiff(expected || "", actual)) console.log(line);
+  }
+
+  if (!update && drift) {
+    console.log("\n" + drift + " golden prompt(s) changed. If intended: node scripts/golden-prompts.js --update");
+    return 1;
+  }
+  if (!update) console.log("golden prompts match");
+  return 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { listCases, renderCase, readSnapshot, snapshotPath, lineDiff, GOLDEN_DIR };
@@ -0,0 +1,147 @@
+// Brand policies (lib/brands): alias / misspelling / typo matching, per-brand license, item and
+// tier rules, env overrides and the customer-facing explanations.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCatalog, validateCatalog } = require("../lib/catalog");
+const { resolveBrands, matchBrands, parseBrandList } = require("../lib/brands");
+const { editDistance } = require("../lib/brands/match");
+const data = require("../config/catalog.json");
+
+const catalog = createCatalog(data);
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+function resolve(notes, opts) {
+  const o = opts || {};
+  return resolveBrands(
+    notes,
+    Object.assign(
+      {
+        policies: catalog.brandPolicies,
+        tier: "signature",
+        tierLabel: "Signature",
+        includes: [],
+        messages: catalog.brandMessages(o.locale || "en"),
+      },
+      o
+    )
+  );
+}
+
+test("brands match by alias, listed misspelling and a single typo", () => {
+  const found = (notes) => matchBrands(notes, catalog.brandPolicies).requested.map((m) => m.brand + ":" + m.via);
+
+  assert.deepEqual(found("he only wears Nike"), ["nike:alias"]);
+  assert.deepEqual(found("loves his nikey hoodie"), ["nike:misspelling"]);
+  assert.deepEqual(found("Yves Saint Laurent bag"), ["ysl:alias"]);
+  assert.deepEqual(found("lululemmon leggings"), ["lululemon:fuzzy"]);
+  assert.deepEqual(found("new balanse runners"), ["new balance:fuzzy"]);
+  assert.equal(editDistance("reebok", "reebko", 1), 1);
+  assert.equal(editDistance("reebok", "rebbko", 1), 2);
+});
+
+test("typo matching skips short aliases and brands that opt out", () => {
+  const found = (notes) => matchBrands(notes, catalog.brandPolicies).requested.map((m) => m.brand);
+
+  assert.deepEqual(found("my friend Carter loves his YouTube channel"), []);
+  assert.deepEqual(found("apply for the pineapple festival"), []);
+  assert.deepEqual(found("a song he likes"), []);
+});
+
+test("an everyday-word alias needs a product word in the same clause", () => {
+  const found = (notes) => matchBrands(notes, catalog.brandPolicies);
+
+  assert.deepEqual(found("loves apple pie and oranges"), { requested: [], negated: [] });
+  assert.deepEqual(found("no apple pie, she wants headphones").negated, []);
+  assert.deepEqual(found("apple crumble, and a new phone case").requested, []);
+
+  assert.deepEqual(found("an Apple Watch for my husband").requested, [{ brand: "apple", term: "apple", via: "alias" }]);
+  assert.deepEqual(found("she loves apple pie and her airpods").requested.map((m) => m.brand), ["apple"]);
+  assert.deepEqual(found("no apple products please").negated, ["apple"]);
+  assert.deepEqual(found("no apple products, but she loves apple pie"), { requested: [], negated: ["apple"] });
+
+  const bad = clone(data);
+  bad.brands.apple.context = [];
+  assert.ok(validateCatalog(bad).includes("brands.apple.context: expected non-empty array of strings"));
+});
+
+test("negated brands are never requested", () => {
+  const r = resolve("a hoodie, no rolex please");
+  assert.deepEqual(r.requested, []);
+  assert.deepEqual(r.negated, ["rolex"]);
+
+  // the notes LLM can't bring back a brand the shopper ruled out
+  const hinted = resolve("no gucci", { hints: ["Gucci", "Sony", "Unknown Label"] });
+  assert.deepEqual(hinted.requested, ["sony"]);
+  assert.equal(hinted.decisions[0].via, "llm");
+});
+
+test("logo brands are limited to their licensed items and tiers", () => {
+  const onSneakers = resolve("Nike sneakers", { includes: ["sneakers"] });
+  assert.deepEqual(onSneakers.permitted, ["nike"]);
+  assert.deepEqual(onSneakers.decisions[0].items, ["sneakers"]);
+  assert.deepEqual(onSneakers.notices, []);
+
+  const unspecified = resolve("loves Nike");
+  assert.deepEqual(unspecified.decisions[0].items, ["sneakers", "hoodie"]);
+
+  const onWatch = resolve("a Nike watch", { includes: ["watch"] });
+  assert.deepEqual(onWatch.blocked, ["nike"]);
+  assert.equal(onWatch.decisions[0].reason, "category");
+
+  const mini = resolve("Nike sneakers", { tier: "mini", tierLabel: "Mini", includes: ["sneakers"] });
+  assert.equal(mini.decisions[0].reason, "tier");
+  assert.equal(mini.notices[0].message, "Nike isn't available in the Mini box, so your preview uses a similar unbranded item instead.");
+});
+
+test("inspired-by and unlicensed brands explain themselves to the shopper", () => {
+  const adidas = resolve("adidas hoodie", { includes: ["hoodie"] });
+  assert.deepEqual(adidas.inspired, ["adidas"]);
+  assert.equal(adidas.decisions[0].style, catalog.brandPolicies.adidas.style);
+  assert.equal(adidas.notices[0].status, "inspired");
+
+  const rolex = resolve("una Rolex para papá", { locale: "es" });
+  assert.deepEqual(rolex.blocked, ["rolex"]);
+  assert.equal(rolex.decisions[0].generic, catalog.brandPolicies.rolex.generic);
+  assert.equal(rolex.notices[0].reason, "unlicensed");
+  assert.equal(
+    rolex.notices[0].message,
+    "No podemos mostrar Rolex en las vistas previas, así que la tuya usa un artículo similar sin marca."
+  );
+});
+
+test("env lists override the catalog and accept any alias", () => {
+  const disallowed = resolve("Yves Saint Laurent and Bose", { disallowed: parseBrandList("ysl") });
+  assert.deepEqual(disallowed.blocked, ["ysl"]);
+  assert.deepEqual(disallowed.permitted, ["bose"]);
+  assert.equal(disallowed.decisions.find((d) => d.brand === "ysl").reason, "disallowed");
+
+  const allowed = resolve("Bose speaker and Sony headphones", {
+    includes: ["speaker", "headphones"],
+    allowed: parseBrandList(" Sony "),
+  });
+  assert.deepEqual(allowed.permitted, ["sony"]);
+  assert.equal(allowed.decisions.find((d) => d.brand === "bose").reason, "not_allowed");
+});
+
+test("brand policy schema errors are listed with their path", () => {
+  const bad = clone(data);
+  bad.brands.nike.license = "maybe";
+  bad.brands.adidas.style = "";
+  bad.brands.sony.categories = ["headphones", "vinyl"];
+  bad.brands.bose.tiers = ["platinum"];
+  delete bad.brands.rolex.generic;
+  delete bad.brandMessages.tier.en;
+
+  const errors = validateCatalog(bad);
+  assert.ok(errors.includes("brands.nike.license: expected one of logo, inspired, none"));
+  assert.ok(errors.includes("brands.adidas.style: expected a non-empty string (inspired-by styling)"));
+  assert.ok(errors.includes("brands.sony.categories: unknown include key \"vinyl\""));
+  assert.ok(errors.includes("brands.bose.tiers: unknown tier \"platinum\""));
+  assert.ok(errors.includes("brands.rolex.generic: expected a non-empty string"));
+  assert.ok(errors.includes("brandMessages.tier: missing default locale \"en\""));
+});
@@ -0,0 +1,86 @@
+// Catalog schema validation + locale/alias lookups (lib/catalog).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCatalog, validateCatalog } = require("../lib/catalog");
+const data = require("../config/catalog.json");
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+test("bundled catalog is valid and versioned", () => {
+  assert.deepEqual(validateCatalog(data), []);
+  assert.equal(createCatalog(data).version, data.version);
+});
+
+test("schema errors are listed with their path", () => {
+  const bad = clone(data);
+  delete bad.version;
+  bad.include.watch.synonyms = { fr: ["montre"] };
+  bad.include.wallet.tiers = ["platinum"];
+
+  const errors = validateCatalog(bad);
+  assert.ok(errors.includes("version: expected a non-empty string"));
+  assert.ok(errors.includes('include.watch.synonyms: missing default locale "en"'));
+  assert.ok(errors.includes('include.wallet.tiers: unknown tier "platinum"'));
+  assert.throws(() => createCatalog(bad), /Invalid catalog/);
+});
+
+test("locale synonyms extend the default locale", () => {
+  const withFr = clone(data);
+  withFr.include.watch.synonyms.fr = ["montre"];
+  const catalog = createCatalog(withFr);
+
+  assert.deepEqual(catalog.taxonomy("fr").include.watch, ["montre", "watch", "timepiece", "analog watch"]);
+  assert.deepEqual(catalog.taxonomy().include.watch, ["watch", "timepiece", "analog watch"]);
+});
+
+test("brand aliases and tier rules", () => {
+  const catalog = createCatalog(data);
+  assert.ok(catalog.brandAliases.ysl.includes("yves saint laurent"));
+  assert.ok(catalog.brandAliases["new balance"].includes("new-balance"));
+  assert.equal(catalog.tierAllows("watch", "signature"), true);
+  assert.equal(catalog.tierAllows("watch", "platinum"), false);
+});
+
+test("inspiration styles and platforms are validated", () => {
+  const bad = clone(data);
+  delete bad.inspiration.styles.coastal.palette;
+  bad.inspiration.platforms.pinterest.domains = ["Pinterest.com/boards"];
+
+  const errors = validateCatalog(bad);
+  assert.ok(errors.includes("inspiration.styles.coastal.palette: expected a non-empty string"));
+  assert.ok(errors.includes("inspiration.platforms.pinterest.domains: expected non-empty array of lowercase domains"));
+});
+
+test("locale maps and field labels stay within the declared locales", () => {
+  const bad = clone(data);
+  bad.include.watch.synonyms.de = ["uhr"];
+  bad.fieldLabels.recipient.es = [];
+  bad.fieldLabels.budget = { en: ["Budget"] };
+
+  const errors = validateCatalog(bad);
+  assert.ok(errors.includes("include.watch.synonyms.de: locale not listed in locales"));
+  assert.ok(errors.includes("fieldLabels.recipient.es: expected non-empty array of strings"));
+  assert.ok(errors.includes("fieldLabels.budget: unknown field"));
+
+  const noDefault = clone(data);
+  noDefault.locales = ["es", "fr"];
+  assert.ok(validateCatalog(noDefault).includes('locales: must include defaultLocale "en"'));
+});
+
+test("profile rules reference known vibes and conditions", () => {
+  const bad = clone(data);
+  bad.profiles.rules.push({ id: "teen", when: { ageBand: "toddler", zodiac: "leo" }, vibe: "grunge" });
+  bad.profiles.rules[0].when = { group: "female" };
+
+  const errors = validateCatalog(bad);
+  const i = bad.profiles.rules.length - 1;
+  assert.ok(errors.includes("profiles.rules[" + i + "].id: duplicate \"teen\""));
+  assert.ok(errors.includes("profiles.rules[" + i + "].when.ageBand: unknown value \"toddler\""));
+  assert.ok(errors.includes("profiles.rules[" + i + "].when.zodiac: unknown condition"));
+  assert.ok(errors.includes("profiles.rules[" + i + "].vibe: unknown vibe \"grunge\""));
+  assert.ok(errors.includes("profiles.rules[0]: expected the default rule (empty when, with a palette)"));
+});
@@ -0,0 +1,131 @@
+// Engraving mode (lib/engraving): where the personalization text and its item come from, the
+// length / charset / profanity checks and the catalog's engraving section.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCatalog, validateCatalog } = require("../lib/catalog");
+const { resolveEngraving, validateEngravingText, findInNotes } = require("../lib/engraving");
+const { findProfanity } = require("../lib/engraving/profanity");
+const data = require("../config/catalog.json");
+
+const catalog = createCatalog(data);
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+function resolve(inputs, opts) {
+  const o = opts || {};
+  const locale = o.locale || "en";
+  return resolveEngraving(inputs, {
+    vocabulary: catalog.engraving(locale),
+    taxonomy: catalog.taxonomy(locale),
+    locale,
+    tierAllows: (key) => catalog.tierAllows(key, o.tier || "signature"),
+  });
+}
+
+test("quoted text and initials near an engraving keyword come out of the notes", () => {
+  const wallet = resolve({ notes: "engrave his initials J.M. on the wallet" }).engraving;
+  assert.deepEqual(
+    { text: wallet.text, item: wallet.item, source: wallet.source },
+    { text: "J.M.", item: "wallet", source: "notes" }
+  );
+  assert.equal(wallet.surface, catalog.engraving("en").surfaces.wallet);
+
+  // nearest item before the text when nothing follows it
+  assert.equal(resolve({ notes: "a watch with 'Happy 40th' engraved" }).engraving.item, "watch");
+  assert.equal(resolve({ notes: "grabar «Te quiero» en la cartera" }, { locale: "es" }).engraving.text, "Te quiero");
+  assert.equal(resolve({ notes: "gravure « Joyeux 40 ans » sur la montre" }, { locale: "fr" }).engraving.item, "watch");
+
+  // no keyword: quotes are just quotes; a keyword without text keeps the no-text rule
+  assert.equal(resolve({ notes: "she says \"cozy\" a lot" }).engraving, null);
+  assert.deepEqual(findInNotes("engrave something nice", catalog.engraving("en"), "en"), { text: null });
+  assert.equal(resolve({ notes: "engrave something nice" }).engraving.text, null);
+});
+
+test("negated keywords and acronyms in another clause are not engravings", () => {
+  assert.equal(resolve({ notes: "she doesn't want an engraving, loves USA trips" }).engraving, null);
+  assert.equal(resolve({ notes: "no monogram, she says \"cozy\" a lot" }).engraving, null);
+  assert.equal(resolve({ notes: "sin grabado, le encanta la NBA" }, { locale: "es" }).engraving, null);
+
+  // a real request, but the acronym belongs to another clause / sentence
+  assert.equal(resolve({ notes: "engrave the box, loves USA trips" }).engraving.text, null);
+  assert.equal(resolve({ notes: "engrave the wallet. USA is her favorite" }).engraving.text, null);
+  assert.equal(resolve({ notes: "no candles. Engrave JM on the mug" }).engraving.text, "JM");
+});
+
+test("the engraving fields win over the notes and fall back to the gift box", () => {
+  const field = resolve({ engraving: "  Ana ", notes: "a journal and a mug" }).engraving;
+  assert.deepEqual({ text: field.text, item: field.item, source: field.source }, { text: "Ana", item: "journal", source: "field" });
+
+  assert.equal(resolve({ notes: "monogram \"AB\" please", engravingItem: "bag" }).engraving.item, "bag");
+  assert.equal(resolve({ engraving: "Ana", engravingItem: "leather wallet" }).engraving.item, "wallet");
+  assert.equal(resolve({ engraving: "Ana", notes: "something cozy" }).engraving.item, "box");
+});
+
+test("items that can't be engraved are rejected with the allowed list", () => {
+  const hoodie = resolve({ engraving: "LOVE", engravingItem: "hoodie" });
+  assert.equal(hoodie.code, "ENGRAVING_ITEM_UNSUPPORTED");
+  assert.equal(hoodie.status, 400);
+  assert.equal(hoodie.field, "engravingItem");
+  assert.ok(hoodie.allowed.includes("wallet") && hoodie.allowed.includes("box"));
+
+  assert.equal(resolve({ engraving: "Ana", engravingItem: "a spaceship" }).code, "ENGRAVING_ITEM_UNSUPPORTED");
+
+  // the tier's item rules apply too (no belts in the Corporate box)
+  assert.equal(catalog.tierAllows("belt", "corporate"), false);
+  const corporate = resolve({ engraving: "Ana", engravingItem: "belt" }, { tier: "corporate" });
+  assert.equal(corporate.code, "ENGRAVING_ITEM_UNSUPPORTED");
+  assert.ok(!corporate.allowed.includes("belt"));
+});
+
+test("engraving text is capped, plain-charset and clean", () => {
+  const max = catalog.engraving("en").maxLength;
+  const long = validateEngravingText("x".repeat(max + 1), { maxLength: max, field: "engraving" });
+  assert.deepEqual([long.status, long.code, long.limit], [400, "ENGRAVING_TOO_LONG", max]);
+
+  assert.equal(validateEngravingText("Love you 💛", { maxLength: max }).code, "ENGRAVING_CHARSET");
+  assert.equal(validateEngravingText("...", { maxLength: max }).code, "ENGRAVING_CHARSET");
+  assert.equal(validateEngravingText("Zoë & Léa 4ever", { maxLength: max }).ok, true);
+
+  const unsafe = resolve({ engraving: "sh1t happens" });
+  assert.deepEqual([unsafe.status, unsafe.code, unsafe.field], [422, "ENGRAVING_UNSAFE", "engraving"]);
+  assert.equal(resolve({ notes: "engrave 'merde' on the mug" }).field, "notes");
+});
+
+test("the profanity check sees through letter swaps and spelled-out words", () => {
+  assert.deepEqual(findProfanity("F.U.C.K"), ["fuck"]);
+  assert.deepEqual(findProfanity("@ss"), ["ass"]);
+  assert.deepEqual(findProfanity("Happy 40th, Cass!"), []);
+  assert.deepEqual(findProfanity("J.M. 2024"), []);
+
+  process.env.MEANINGFULL_ENGRAVING_BLOCKLIST = "acme";
+  try {
+    assert.deepEqual(findProfanity("Acme forever"), ["acme"]);
+  } finally {
+    delete process.env.MEANINGFULL_ENGRAVING_BLOCKLIST;
+  }
+});
+
+test("engraving schema errors are listed with their path", () => {
+  const bad = clone(data);
+  bad.engraving.maxLength = 200;
+  bad.engraving.surfaces.spaceship = "on the hull";
+  bad.engraving.surfaces.mug = "";
+  bad.engraving.defaultSurface = "lid";
+  delete bad.engraving.keywords.en;
+
+  const errors = validateCatalog(bad);
+  assert.ok(errors.includes("engraving.maxLength: expected an integer 1-60"));
+  assert.ok(errors.includes("engraving.surfaces.spaceship: unknown include key"));
+  assert.ok(errors.includes("engraving.surfaces.mug: expected a non-empty string"));
+  assert.ok(errors.includes("engraving.defaultSurface: unknown surface \"lid\""));
+  assert.ok(errors.includes("engraving.keywords: missing default locale \"en\""));
+
+  const without = clone(data);
+  delete without.engraving;
+  assert.deepEqual(validateCatalog(without), []);
+  assert.equal(createCatalog(without).engraving("en"), null);
+});
@@ -0,0 +1,178 @@
+// The preview route end to end (api/generate-preview) on the offline fake Replicate client:
+// method / validation / quota / provider-failure paths, sync and async success, plus the pure
+// pipeline functions the module exports.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Routes build their engine and stores at load time, so the env goes first
+process.env.MEANINGFULL_FAKE_REPLICATE = "true";
+process.env.MEANINGFULL_FAKE_REPLICATE_FAIL_MODELS = "acme/broken-model";
+process.env.MEANINGFULL_ENGINE_CHAIN = JSON.stringify({
+  curated: ["replicate:black-forest-labs/flux-schnell"],
+  signature: ["replicate:black-forest-labs/flux-dev"],
+  corporate: ["replicate:acme/broken-model"],
+});
+process.env.MEANINGFULL_QUOTA_STORE = "memory";
+process.env.MEANINGFULL_QUOTA_LIMITS = JSON.stringify({ corporate: { session: { limit: 1 } } });
+process.env.MEANINGFULL_RECORD_STORE = "memory";
+process.env.MEANINGFULL_JOB_STORE = "memory";
+process.env.MEANINGFULL_SPEND_STORE = "memory";
+process.env.MEANINGFULL_IMAGE_STORE = "none";
+process.env.MEANINGFULL_RATE_LIMIT_PER_MINUTE = "0";
+process.env.MEANINGFULL_PREVIEW_TOKEN_SECRET = "meaningfull-local-preview-secret";
+process.env.MEANINGFULL_ADMIN_SECRET = "local-admin";
+process.env.MEANINGFULL_LOG_LEVEL = "error";
+
+const generatePreview = require("../api/generate-preview");
+const { PLACEHOLDER_URL } = require("../lib/fake-replicate");
+const { verifyPreviewToken } = require("../lib/previews");
+
+const { coerceInputs, extractCanonicalTags, detectBrands, inferRecipientGroup, buildPrompt } = generatePreview;
+
+function mockRes() {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (c) => {
+    res.statusCode = c;
+    return res;
+  };
+  res.json = (b) => {
+    res.body = b;
+    return res;
+  };
+  res.setHeader = (k, v) => {
+    res.headers[k] = v;
+  };
+  res.end = () => res;
+  return res;
+}
+
+let ipCounter = 0;
+
+// Each test gets its own client IP so per-IP limits never leak between tests
+async function send(body, opts) {
+  const o = opts || {};
+  const res = mockRes();
+  const headers = Object.assign({ "x-forwarded-for": o.ip || "203.0.113." + ++ipCounter }, o.headers || {});
+  await generatePreview({ method: o.method || "POST", headers, body, url: "/api/generate-preview" }, res);
+  return res;
+}
+
+function previewBody(fields) {
+  return Object.assign(
+    {
+      sessionId: "sess-" + Date.now() + "-" + ++ipCounter,
+      tier: "Curated",
+      inputs: { "Who's this gift for?": "My mom", "Anything you'd like us to know?": "She loves tea, no candles" },
+    },
+    fields || {}
+  );
+}
+
+test("only POST generates; preflight is answered", async () => {
+  const get = await send(null, { method: "GET" });
+  assert.equal(get.statusCode, 405);
+  assert.equal(get.body.code, "METHOD_NOT_ALLOWED");
+  assert.match(get.body.requestId, /^req_[0-9a-f]{16}$/);
+
+  const options = await send(null, { method: "OPTIONS" });
+  assert.equal(options.statusCode, 200);
+});
+
+test("invalid requests get a 400 with a stable code before any generation", async () => {
+  const cases = [
+    [previewBody({ inputs: undefined }), "INPUTS_REQUIRED"],
+    [previewBody({ sessionId: undefined }), "SESSION_ID_REQUIRED"],
+    [previewBody({ tier: "Platinum" }), "TIER_INVALID"],
+    [previewBody({ placement: "billboard" }), "PLACEMENT_INVALID"],
+    [previewBody({ inputs: { recipient: "Mom", engraving: "LOVE", engravingItem: "hoodie" } }), "ENGRAVING_ITEM_UNSUPPORTED"],
+  ];
+  for (const [body, code] of cases) {
+    const res = await send(body);
+    assert.equal(res.statusCode, 400, code);
+    assert.equal(res.body.code, code);
+  }
+
+  const tier = await send(previewBody({ tier: "Platinum" }));
+  assert.ok(tier.body.allowed.includes("Signature"));
+});
+
+test("a sync preview runs on the tier's Replicate model and returns a cart handle", async () => {
+  const res = await send(previewBody({ inputs: { recipient: "Dad", notes: "engrave 'J.M.' on the wallet" } }));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.provider, "replicate");
+  assert.equal(res.body.model, "black-forest-labs/flux-schnell");
+  assert.equal(res.body.imageUrl, PLACEHOLDER_URL);
+  assert.equal(res.body.used, 1);
+  assert.deepEqual([res.body.engraving.text, res.body.engraving.item], ["J.M.", "wallet"]);
+  assert.equal(verifyPreviewToken(res.body.previewToken), res.body.previewId);
+  assert.equal(res.headers["X-Request-Id"], res.body.requestId);
+});
+
+test("the session quota answers 429 once it is used up", async () => {
+  const body = previewBody({ tier: "Signature" });
+  const first = await send(body);
+  const second = await send(body);
+  assert.deepEqual([first.statusCode, second.statusCode], [200, 200]);
+  assert.equal(second.body.used, 2);
+
+  const third = await send(body);
+  assert.equal(third.statusCode, 429);
+  assert.equal(third.body.code, "QUOTA_EXCEEDED");
+  assert.equal(third.body.scope, "session");
+});
+
+test("a failing model answers 502 and gives the quota back", async () => {
+  // corporate: one generation per session, on a model the fake client always fails
+  const body = previewBody({ tier: "Corporate" });
+  const failed = await send(body);
+  assert.equal(failed.statusCode, 502);
+  assert.equal(failed.body.error, "Image generation failed");
+  assert.equal(failed.body.code, "PROVIDER_FAILED");
+  assert.equal(failed.body.attempts[0].model, "acme/broken-model");
+  assert.equal(failed.body.attempts[0].error, "Fake Replicate run failed");
+
+  // released: the same session is refused by the model again, not by the quota
+  const again = await send(body);
+  assert.equal(again.statusCode, 502);
+});
+
+test("async mode queues a prediction and answers 202 with a status URL", async () => {
+  const body = previewBody({ async: true });
+  const res = await send(body);
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.status, "queued");
+  assert.equal(
+    res.body.statusUrl,
+    "/api/preview-status?id=" + encodeURIComponent(res.body.jobId) + "&sessionId=" + encodeURIComponent(body.sessionId)
+  );
+  assert.ok(res.body.previewToken);
+});
+
+test("admin dry runs return the rule trace without a session", async () => {
+  const res = await send(previewBody({ dryRun: true, sessionId: undefined }), {
+    headers: { "x-meaningfull-admin-secret": "local-admin" },
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.dryRun, true);
+  assert.ok(res.body.trace.some((t) => t.rule === "avoid.candles"));
+});
+
+test("the pure pipeline functions are exported", () => {
+  const inputs = coerceInputs({ "Who's this gift for?": "My wife", "Anything Else": "no candles, she loves watches" }, "en");
+  assert.equal(inputs.recipient, "My wife");
+  assert.equal(inputs.notes, "no candles, she loves watches");
+
+  const tags = extractCanonicalTags(inputs.notes, "en");
+  assert.deepEqual(tags.includes, ["watch"]);
+  assert.deepEqual(tags.avoids, ["candles"]);
+
+  assert.equal(inferRecipientGroup(inputs, "en"), "female");
+  assert.deepEqual(detectBrands("a Rolex", { tier: "signature", includes: [], locale: "en" }).blocked, ["rolex"]);
+
+  const ast = buildPrompt({ inputs, tier: "Signature", locale: "en" });
+  assert.equal(ast.meta.recipientGroup, "female");
+  assert.deepEqual(ast.meta.canonical.avoids, ["candles"]);
+  assert.ok(ast.constraints.some((c) => c.kind === "negative" && c.rule === "avoid.candles"));
+});
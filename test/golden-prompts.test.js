@@ -0,0 +1,46 @@
+// Golden prompts (scripts/golden-prompts.js): every option-set payload in test/fixtures/golden
+// renders exactly its recorded snapshot. After an intentional rule or catalog change:
+//   node scripts/golden-prompts.js            (review the diff)
+//   node scripts/golden-prompts.js --update
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const { listCases, renderCase, readSnapshot, lineDiff, GOLDEN_DIR } = require("../scripts/golden-prompts");
+
+test("every golden payload has a snapshot and every snapshot a payload", () => {
+  const cases = listCases();
+  assert.ok(cases.length >= 5);
+  const snapshots = fs
+    .readdirSync(GOLDEN_DIR)
+    .filter((f) => f.endsWith(".prompt.txt"))
+    .map((f) => f.slice(0, -".prompt.txt".length))
+    .sort();
+  assert.deepEqual(snapshots, cases);
+});
+
+for (const name of listCases()) {
+  test("golden prompt: " + name, () => {
+    const expected = readSnapshot(name);
+    const actual = renderCase(name);
+    if (actual !== expected) {
+      assert.fail(
+        "prompt drift for " + name + " (node scripts/golden-prompts.js --update if intended)\n" +
+          lineDiff(expected || "", actual).join("\n")
+      );
+    }
+  });
+}
+
+test("rendering is deterministic", () => {
+  const name = listCases()[0];
+  assert.equal(renderCase(name), renderCase(name));
+});
+
+test("the snapshot diff shows only changed lines and their context", () => {
+  const before = ["a", "b", "c", "d", "e", "f", "g"].join("\n");
+  const after = ["a", "b", "c", "D", "e", "f", "g"].join("\n");
+  assert.deepEqual(lineDiff(before, after, 1), ["  c", "- d", "+ D", "  e"]);
+  assert.deepEqual(lineDiff(before, before), []);
+});
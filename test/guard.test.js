@@ -0,0 +1,179 @@
+// Abuse protection (lib/guard): origin allowlist, token bucket, daily spend cap,
+// Shopify app proxy signatures and the order createGuard.admit checks them in.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const {
+  createGuard,
+  createTokenBucket,
+  createSpendBudget,
+  createRedisSpendStore,
+  parseOriginList,
+  originAllowed,
+} = require("../lib/guard");
+const { verifyAppProxySignature } = require("../lib/shopify");
+const { clientIp } = require("../lib/http");
+const { createRedisStandIn } = require("../lib/quota/redis-standin");
+
+const SECRET = "app-proxy-local-secret";
+
+function signedUrl(params, secret) {
+  const message = Object.keys(params)
+    .sort()
+    .map((k) => k + "=" + params[k])
+    .join("");
+  const signature = crypto.createHmac("sha256", secret || SECRET).update(message).digest("hex");
+  const qs = new URLSearchParams(Object.assign({}, params, { signature }));
+  return "/apps/meaningfull/generate-preview?" + qs.toString();
+}
+
+function proxyParams(overrides) {
+  return Object.assign(
+    {
+      shop: "meaningfull.myshopify.com",
+      logged_in_customer_id: "7001",
+      path_prefix: "/apps/meaningfull",
+      timestamp: String(Math.floor(Date.now() / 1000)),
+    },
+    overrides || {}
+  );
+}
+
+test("origin allowlist: exact entries, one wildcard label, empty list allows all", () => {
+  const list = parseOriginList(" https://meaningfull.com/ , https://*.myshopify.com ");
+  assert.deepEqual(list, ["https://meaningfull.com", "https://*.myshopify.com"]);
+
+  assert.equal(originAllowed("https://meaningfull.com", list), true);
+  assert.equal(originAllowed("https://shop-1.myshopify.com", list), true);
+  assert.equal(originAllowed("https://a.b.myshopify.com", list), false);
+  assert.equal(originAllowed("http://shop.myshopify.com", list), false);
+  assert.equal(originAllowed("https://evil.com", list), false);
+  assert.equal(originAllowed("https://meaningfull.com.evil.com", list), false);
+  assert.equal(originAllowed(undefined, list), true);
+  assert.equal(originAllowed("https://evil.com", []), true);
+});
+
+test("token bucket allows a burst, then refuses with a retry hint", async () => {
+  const bucket = createTokenBucket({ capacity: 3, refillPerMinute: 6 });
+  for (let i = 0; i < 3; i++) assert.equal((await bucket.take("ip:1")).allowed, true);
+
+  const denied = await bucket.take("ip:1");
+  assert.equal(denied.allowed, false);
+  assert.ok(denied.retryAfterMs > 0 && denied.retryAfterMs <= 10000);
+
+  // other keys have their own bucket
+  assert.equal((await bucket.take("ip:2")).allowed, true);
+});
+
+test("spend budget refuses past the cap; release and settle adjust the total", async () => {
+  const budget = createSpendBudget({ capUsd: 0.1, costs: { "black-forest-labs/flux-dev": 0.025 } });
+  assert.equal(budget.costOf("replicate", "black-forest-labs/flux-dev"), 0.025);
+  assert.equal(budget.costOf("openai", "gpt-image-1"), 0.04);
+  assert.equal(budget.costOf("unknown", null), 0);
+
+  const a = await budget.reserve(0.06);
+  assert.equal(a.allowed, true);
+  const b = await budget.reserve(0.06);
+  assert.equal(b.allowed, false);
+  assert.equal(b.reservation, null);
+
+  await budget.release(a.reservation);
+  const c = await budget.reserve(0.06);
+  assert.equal(c.allowed, true);
+
+  // only one of three variants actually ran
+  await budget.settle(c.reservation, 0.02);
+  const d = await budget.reserve(0.08);
+  assert.equal(d.allowed, true);
+  assert.equal(d.spentUsd, 0.1);
+});
+
+test("redis spend store rolls back over-cap reservations", async () => {
+  const client = createRedisStandIn();
+  const budget = createSpendBudget({ capUsd: 0.05, store: createRedisSpendStore({ client }) });
+
+  assert.equal((await budget.reserve(0.04)).allowed, true);
+  const denied = await budget.reserve(0.04);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.spentUsd, 0.04);
+  assert.equal((await budget.reserve(0.01)).allowed, true);
+});
+
+test("app proxy signature: valid, tampered, wrong secret and stale requests", () => {
+  const ok = verifyAppProxySignature({ url: signedUrl(proxyParams()) }, SECRET);
+  assert.equal(ok.ok, true);
+  assert.equal(ok.shop, "meaningfull.myshopify.com");
+  assert.equal(ok.customerId, "7001");
+
+  const tampered = signedUrl(proxyParams()).replace("7001", "7002");
+  assert.equal(verifyAppProxySignature({ url: tampered }, SECRET).ok, false);
+  assert.equal(verifyAppProxySignature({ url: signedUrl(proxyParams(), "other") }, SECRET).ok, false);
+  assert.equal(verifyAppProxySignature({ url: "/apps/meaningfull/generate-preview" }, SECRET).ok, false);
+
+  const stale = proxyParams({ timestamp: String(Math.floor(Date.now() / 1000) - 3600) });
+  assert.equal(verifyAppProxySignature({ url: signedUrl(stale) }, SECRET).ok, false);
+});
+
+test("a spoofed X-Forwarded-For doesn't get a fresh token bucket", async () => {
+  const guard = createGuard({ bucket: createTokenBucket({ capacity: 1, refillPerMinute: 1 }) });
+  const req = (spoofed, headers) => ({
+    headers: Object.assign({ "x-forwarded-for": spoofed + ", 198.51.100.7" }, headers || {}),
+    url: "/api/generate-preview",
+  });
+
+  assert.equal((await guard.admit(req("10.0.0.1"), { ip: clientIp(req("10.0.0.1")) })).ok, true);
+  const again = req("10.0.0.2");
+  assert.equal(clientIp(again), "198.51.100.7");
+  assert.equal((await guard.admit(again, { ip: clientIp(again) })).code, "RATE_LIMITED");
+
+  // the platform's own header wins over anything the client sent
+  const vercel = req("10.0.0.3", { "x-vercel-forwarded-for": "198.51.100.7", "x-real-ip": "10.0.0.4" });
+  assert.equal(clientIp(vercel), "198.51.100.7");
+  assert.equal(clientIp({ headers: {}, socket: { remoteAddress: "127.0.0.1" } }), "127.0.0.1");
+});
+
+test("admit checks origin, kill switch, signature and rate limit in order", async () => {
+  const bucket = () => createTokenBucket({ capacity: 1, refillPerMinute: 1 });
+  const req = (origin, url) => ({ headers: origin ? { origin } : {}, url: url || "/api/generate-preview" });
+
+  const guard = createGuard({ allowedOrigins: ["https://meaningfull.com"], bucket: bucket() });
+  assert.equal((await guard.admit(req("https://evil.com"), { ip: "1.1.1.1" })).code, "ORIGIN_NOT_ALLOWED");
+  assert.equal((await guard.admit(req("https://meaningfull.com"), { ip: "1.1.1.1" })).ok, true);
+  const limited = await guard.admit(req("https://meaningfull.com"), { ip: "1.1.1.1" });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.code, "RATE_LIMITED");
+  assert.ok(limited.retryAfterSec > 0);
+
+  const off = createGuard({ disabled: true, signing: { required: true, secret: SECRET } });
+  const unavailable = await off.admit(req(null), { ip: "1.1.1.1" });
+  assert.equal(unavailable.status, 503);
+  assert.equal(unavailable.code, "PREVIEWS_UNAVAILABLE");
+
+  const signedOnly = createGuard({ signing: { required: true, secret: SECRET }, bucket: bucket() });
+  assert.equal((await signedOnly.admit(req(null), { ip: "2.2.2.2" })).code, "SIGNATURE_INVALID");
+  const admitted = await signedOnly.admit(req(null, signedUrl(proxyParams())), { ip: "2.2.2.2" });
+  assert.equal(admitted.ok, true);
+  assert.deepEqual(admitted.signed, { shop: "meaningfull.myshopify.com", customerId: "7001" });
+});
+
+test("reserveSpend turns a spent budget into PREVIEWS_UNAVAILABLE until the next UTC day", async () => {
+  const guard = createGuard({ budget: createSpendBudget({ capUsd: 0.05 }) });
+  const first = await guard.reserveSpend(0.04);
+  assert.equal(first.ok, true);
+
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const refused = await guard.reserveSpend(0.04);
+    assert.equal(refused.status, 503);
+    assert.equal(refused.code, "PREVIEWS_UNAVAILABLE");
+    assert.ok(refused.retryAfterSec > 0 && refused.retryAfterSec <= 86400);
+  } finally {
+    console.error = original;
+  }
+
+  await guard.releaseSpend(first.reservation);
+  assert.equal((await guard.reserveSpend(0.04)).ok, true);
+});
@@ -0,0 +1,91 @@
+// Inspiration field parsing, platform classification, style mapping and the fetch allowlist (lib/inspiration).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseInspiration, interpretInspiration, understandInspiration, createLinkFetcher, createStubLinkFetcher, extractPageText } = require("../lib/inspiration");
+const { getCatalog } = require("../lib/catalog");
+
+const vocabulary = getCatalog().inspiration();
+
+test("splits URLs, handles and keywords and classifies platforms", () => {
+  const parsed = parseInspiration(
+    "https://www.pinterest.com/jane/coastal-living/, instagram.com/jane.doe @janes_tiktok on tiktok; loves vintage stuff",
+    { platforms: vocabulary.platforms }
+  );
+  assert.deepEqual(
+    parsed.urls.map((u) => [u.host, u.platform]),
+    [["pinterest.com", "pinterest"], ["instagram.com", "instagram"]]
+  );
+  assert.deepEqual(parsed.urls[0].pathWords, ["jane", "coastal", "living"]);
+  assert.deepEqual(parsed.handles, [
+    { handle: "jane.doe", platform: "instagram" },
+    { handle: "janes_tiktok", platform: "tiktok" },
+  ]);
+  assert.deepEqual(parsed.keywords, ["vintage", "stuff"]);
+});
+
+test("malformed percent escapes in a link path are kept as typed", () => {
+  const parsed = parseInspiration("pinterest.com/%E0%A4%A/cozy-cabin", { platforms: vocabulary.platforms });
+  assert.equal(parsed.urls[0].platform, "pinterest");
+  assert.deepEqual(parsed.urls[0].pathWords, ["cozy", "cabin"]);
+  assert.doesNotThrow(() => interpretInspiration("pinterest.com/%E0%A4%A", vocabulary));
+});
+
+test("abbreviations and names are not links", () => {
+  const parsed = parseInspiration("e.g. Mr.Smith, anything", { platforms: vocabulary.platforms });
+  assert.deepEqual(parsed.urls, []);
+});
+
+test("keywords, board slugs and domains map onto catalog styles", () => {
+  const r = interpretInspiration("rei.com, loves hiking, pinterest.com/x/mid-century-den", vocabulary);
+  assert.deepEqual(r.styles.map((s) => s.key), ["outdoors", "vintage"]);
+  assert.deepEqual(r.styles[0].evidence, ["keyword:hiking", "domain:rei.com"]);
+  assert.equal(r.modifiers.vibe[0], vocabulary.styles.outdoors.vibe);
+  assert.equal(r.modifiers.palette[1], vocabulary.styles.vintage.palette);
+});
+
+test("no signal => no modifiers", () => {
+  const r = interpretInspiration("https://example.com/abc123", vocabulary);
+  assert.deepEqual(r.styles, []);
+  assert.deepEqual(r.modifiers, { vibe: [], palette: [] });
+  assert.deepEqual(interpretInspiration("", vocabulary).hosts, []);
+});
+
+test("nothing is fetched unless a fetcher is configured", async () => {
+  const r = await understandInspiration("https://www.pinterest.com/pin/123/", { vocabulary, fetcher: null });
+  assert.deepEqual(r.fetched, []);
+});
+
+test("fetcher allowlist: https, exact domain or subdomain, no IPs or ports", () => {
+  const f = createLinkFetcher({ allowHosts: ["pinterest.com"] });
+  assert.equal(f.canFetch("https://www.pinterest.com/pin/1/"), true);
+  assert.equal(f.canFetch("https://pinterest.com.evil.example/pin/1/"), false);
+  assert.equal(f.canFetch("http://pinterest.com/pin/1/"), false);
+  assert.equal(f.canFetch("https://pinterest.com:8443/pin/1/"), false);
+  assert.equal(f.canFetch("https://169.254.169.254/latest/meta-data"), false);
+  assert.equal(f.canFetch("https://example.com/"), false);
+});
+
+test("fetched page text adds style evidence; disallowed links are skipped", async () => {
+  const fetcher = createStubLinkFetcher(
+    { "https://www.pinterest.com/pin/123/": { title: "Scandinavian reading nook", description: "Clean lines, pale oak" } },
+    { allowHosts: ["pinterest.com"] }
+  );
+  const r = await understandInspiration("https://www.pinterest.com/pin/123/ https://example.com/moodboard", { vocabulary, fetcher });
+  assert.deepEqual(fetcher.calls, ["https://www.pinterest.com/pin/123/"]);
+  assert.deepEqual(r.fetched, [{ url: "https://www.pinterest.com/pin/123/", ok: true }]);
+  assert.deepEqual(r.styles[0], { key: "minimalist", label: "Minimalist", evidence: ["page:clean lines", "page:scandinavian"] });
+});
+
+test("fetch failures are recorded, not thrown", async () => {
+  const fetcher = createStubLinkFetcher({}, { allowHosts: ["pinterest.com"] });
+  const r = await understandInspiration("https://pinterest.com/pin/404/", { vocabulary, fetcher });
+  assert.equal(r.fetched[0].ok, false);
+  assert.match(r.fetched[0].error, /404/);
+});
+
+test("page text comes from og tags, then title / description", () => {
+  const html = '<html><head><title>Fallback</title><meta property="og:title" content="Boho &amp; rattan"><meta name="description" content="macrame wall"></head></html>';
+  assert.deepEqual(extractPageText(html), { title: "Boho & rattan", description: "macrame wall" });
+});
@@ -0,0 +1,78 @@
+// Shared per-locale suite (test/fixtures/locales/<locale>.json): every supported locale runs the
+// same notes, recipient, option-set label and inspiration checks.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { matchNotes, findTerms } = require("../lib/notes");
+const { getCatalog } = require("../lib/catalog");
+const { interpretInspiration } = require("../lib/inspiration");
+const { preferredLocale } = require("../lib/http");
+const { validateRequest } = require("../lib/validation");
+
+const catalog = getCatalog();
+const FIXTURES = path.join(__dirname, "fixtures", "locales");
+
+function groupOf(text, locale) {
+  const terms = catalog.recipientTerms(locale);
+  const female = findTerms(text, terms.female, locale).length > 0;
+  const male = findTerms(text, terms.male, locale).length > 0;
+  if (female && !male) return "female";
+  if (male && !female) return "male";
+  return "neutral";
+}
+
+test("every catalog locale has a fixture", () => {
+  const files = fs.readdirSync(FIXTURES).map((f) => path.basename(f, ".json")).sort();
+  assert.deepEqual(files, catalog.locales.slice().sort());
+});
+
+for (const locale of catalog.locales) {
+  const fixture = require(path.join(FIXTURES, locale + ".json"));
+
+  for (const row of fixture.notes) {
+    test(locale + " notes: " + row.notes, () => {
+      const result = matchNotes(row.notes, catalog.taxonomy(locale), locale);
+      assert.deepEqual(result.includes.slice().sort(), row.includes.slice().sort());
+      assert.deepEqual(result.avoids.slice().sort(), row.avoids.slice().sort());
+      assert.equal(groupOf(row.notes, locale), row.group);
+    });
+  }
+
+  test(locale + " option-set labels", () => {
+    const labels = catalog.fieldLabels(locale);
+    for (const field of Object.keys(fixture.labels)) {
+      assert.ok(labels[field].includes(fixture.labels[field]), field + ": " + fixture.labels[field]);
+    }
+  });
+
+  test(locale + " inspiration keywords", () => {
+    for (const row of fixture.inspiration) {
+      const styles = interpretInspiration(row.text, catalog.inspiration(locale)).styles.map((s) => s.key);
+      assert.deepEqual(styles, row.styles);
+    }
+  });
+
+  test(locale + " is selected from body.locale or Accept-Language", () => {
+    const tag = fixture.acceptLanguage.split(",")[0];
+    assert.equal(preferredLocale({ headers: { "accept-language": fixture.acceptLanguage } }, catalog.locales), locale);
+    assert.equal(validateRequest({ locale: tag }, { tiers: catalog.tiers, locales: catalog.locales, requireSession: false }).locale, locale);
+  });
+}
+
+test("default-locale synonyms still match in every locale", () => {
+  assert.deepEqual(matchNotes("sin candles", catalog.taxonomy("es"), "es").avoids, ["candles"]);
+  assert.deepEqual(matchNotes("pas de candles", catalog.taxonomy("fr"), "fr").avoids, ["candles"]);
+});
+
+test("unsupported or malformed locales", () => {
+  const opts = { tiers: catalog.tiers, locales: catalog.locales, requireSession: false };
+  assert.equal(validateRequest({ locale: "de-DE" }, opts).locale, null);
+  assert.equal(validateRequest({}, opts).locale, null);
+  assert.equal(validateRequest({ locale: "<script>" }, opts).code, "LOCALE_INVALID");
+  assert.equal(preferredLocale({ headers: { "accept-language": "de-DE,fr;q=0.3,es;q=0.7" } }, catalog.locales), "es");
+  assert.equal(preferredLocale({ headers: { "accept-language": "de, *;q=0.5" } }, catalog.locales), null);
+  assert.equal(preferredLocale({ headers: {} }, catalog.locales), null);
+});
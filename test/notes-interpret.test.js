@@ -0,0 +1,112 @@
+// LLM notes interpretation (lib/notes/interpret) driven offline through the stub client:
+// schema validation, the timeout / low-confidence / malformed-answer fallbacks to the matcher.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Fallbacks log a warning; keep the test output quiet
+process.env.MEANINGFULL_LOG_LEVEL = "error";
+
+const { interpretNotes, validateInterpretation, matchNotes, createStubNotesClient } = require("../lib/notes");
+const { getCatalog } = require("../lib/catalog");
+
+const taxonomy = getCatalog().taxonomy("en");
+
+function answer(fields) {
+  return Object.assign(
+    {
+      includes: ["watch"],
+      avoids: ["candles"],
+      brands: [],
+      requested_time: null,
+      recipient: { relationship: "husband", gender: "male", age: 40 },
+      confidence: 0.9,
+    },
+    fields || {}
+  );
+}
+
+function interpret(notes, client, opts) {
+  return interpretNotes(
+    notes,
+    Object.assign(
+      {
+        taxonomy,
+        enabled: true,
+        client,
+        fallback: (text) => Object.assign({ source: "regex" }, matchNotes(text, taxonomy, "en")),
+      },
+      opts || {}
+    )
+  );
+}
+
+test("a confident answer is used, limited to the canonical keys", async () => {
+  const client = createStubNotesClient(
+    answer({
+      includes: ["Watch", "spaceship", "watch"],
+      brands: [" Rolex "],
+      requested_time: "10:10",
+      recipient: { relationship: "Husband", gender: "robot", age: 400 },
+    })
+  );
+  const r = await interpret("a watch set to 10:10 for my husband, no candles", client);
+
+  assert.equal(r.source, "llm");
+  assert.deepEqual(r.includes, ["watch"]);
+  assert.deepEqual(r.avoids, ["candles"]);
+  assert.deepEqual(r.brands, ["rolex"]);
+  assert.equal(r.requestedTime, "10:10");
+  assert.deepEqual(r.recipient, { relationship: "husband", gender: "neutral", age: null });
+
+  // the note is sent as the user message, with the taxonomy keys as the schema enums
+  const call = client.calls[0];
+  assert.equal(call.messages[1].content, "a watch set to 10:10 for my husband, no candles");
+  const schema = call.response_format.json_schema.schema;
+  assert.deepEqual(schema.properties.includes.items.enum, Object.keys(taxonomy.include));
+});
+
+test("an item the model both includes and avoids is avoided", () => {
+  const r = validateInterpretation(answer({ includes: ["candles", "watch"], avoids: ["candles"] }), taxonomy, "en");
+  assert.deepEqual(r.includes, ["watch"]);
+  assert.deepEqual(r.avoids, ["candles"]);
+});
+
+test("low confidence falls back to the matcher", async () => {
+  const r = await interpret("no socks, he loves hats", createStubNotesClient(answer({ confidence: 0.2 })));
+  assert.equal(r.source, "regex");
+  assert.equal(r.fallbackReason, "low_confidence");
+  assert.deepEqual(r.includes, ["hat"]);
+  assert.deepEqual(r.avoids, ["socks"]);
+
+  const strict = await interpret("a watch", createStubNotesClient(answer({ confidence: 0.7 })), { minConfidence: 0.8 });
+  assert.equal(strict.fallbackReason, "low_confidence");
+});
+
+test("a slow model times out, is aborted and falls back", async () => {
+  const client = createStubNotesClient(answer(), { delayMs: 500 });
+  const started = Date.now();
+  const r = await interpret("he loves hats", client, { timeoutMs: 20 });
+  assert.ok(Date.now() - started < 400);
+  assert.equal(r.source, "regex");
+  assert.equal(r.fallbackReason, "error");
+  assert.deepEqual(r.includes, ["hat"]);
+});
+
+test("malformed model output is rejected and falls back", async () => {
+  for (const bad of ["not json at all", JSON.stringify([1, 2]), JSON.stringify({ includes: ["watch"] }), new Error("HTTP 500")]) {
+    const r = await interpret("he loves hats", createStubNotesClient(bad));
+    assert.equal(r.source, "regex");
+    assert.equal(r.fallbackReason, "error");
+  }
+
+  assert.throws(() => validateInterpretation(null, taxonomy), /non-object/);
+  assert.throws(() => validateInterpretation({ includes: "watch", avoids: [] }, taxonomy), /includes\/avoids/);
+});
+
+test("disabled or empty notes never call the model", async () => {
+  const client = createStubNotesClient(answer());
+  assert.equal((await interpret("he loves hats", client, { enabled: false })).fallbackReason, "disabled");
+  assert.equal((await interpret("   ", client)).fallbackReason, "empty");
+  assert.equal(client.calls.length, 0);
+});
@@ -0,0 +1,66 @@
+// Table-driven corpus of real customer notes for the lexical matcher (lib/notes/matcher).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { matchNotes, findTerms, tokenize, negationMask } = require("../lib/notes");
+const { getCatalog } = require("../lib/catalog");
+const corpus = require("./fixtures/customer-notes.json");
+
+const taxonomy = getCatalog().taxonomy();
+const recipientTerms = getCatalog().recipientTerms();
+
+function groupOf(text) {
+  const female = findTerms(text, recipientTerms.female).length > 0;
+  const male = findTerms(text, recipientTerms.male).length > 0;
+  if (female && !male) return "female";
+  if (male && !female) return "male";
+  return "neutral";
+}
+
+for (const row of corpus) {
+  test("notes: " + row.notes, () => {
+    const result = matchNotes(row.notes, taxonomy);
+    assert.deepEqual(result.includes.slice().sort(), row.includes.slice().sort());
+    assert.deepEqual(result.avoids.slice().sort(), row.avoids.slice().sort());
+    if (row.conflicts) assert.deepEqual(result.conflicts, row.conflicts);
+    assert.equal(groupOf(row.notes), row.group);
+  });
+}
+
+test("word boundaries: substrings never match", () => {
+  assert.deepEqual(findTerms("bring it in spring", ["ring"]), []);
+  assert.deepEqual(findTerms("a cardholder", ["card"]), []);
+  assert.deepEqual(findTerms("capture the moment", ["cap"]), []);
+  assert.deepEqual(findTerms("the other one", ["he"]), []);
+  assert.deepEqual(findTerms("pineapple", ["apple"]), []);
+});
+
+test("plurals and multi-word synonyms", () => {
+  assert.deepEqual(findTerms("two caps and watches", ["cap", "watch"]), ["cap", "watch"]);
+  assert.deepEqual(findTerms("new balance sneakers", ["new balance"]), ["new balance"]);
+  assert.deepEqual(findTerms("new, balance", ["new balance"]), []);
+});
+
+test("negation scope ends at punctuation, contrastive conjunctions and new clauses", () => {
+  const words = (text) => {
+    const tokens = tokenize(text);
+    const mask = negationMask(tokens);
+    return tokens.filter((t, i) => t.word && mask[i]).map((t) => t.word);
+  };
+  assert.deepEqual(words("no candles, hats"), ["candles"]);
+  assert.deepEqual(words("no candles but hats"), ["candles"]);
+  assert.deepEqual(words("no candles or socks"), ["candles", "or", "socks"]);
+  assert.deepEqual(words("no candles and he loves hats"), ["candles"]);
+  assert.deepEqual(words("no food and alcohol"), ["food", "alcohol"]);
+  assert.deepEqual(words("no skincare and a watch"), ["skincare"]);
+  assert.deepEqual(words("no candles and nice socks"), ["candles"]);
+});
+
+test("a coordinated noun phrase after a negation is its own request", () => {
+  const match = (text, locale) => matchNotes(text, getCatalog().taxonomy(locale), locale);
+  assert.deepEqual(match("no skincare and a watch"), { includes: ["watch"], avoids: ["skincare"], conflicts: [] });
+  assert.deepEqual(match("anything except a nice watch"), { includes: [], avoids: ["watches"], conflicts: [] });
+  assert.deepEqual(match("sin velas y un reloj", "es").includes, ["watch"]);
+  assert.deepEqual(match("pas de bougies et une jolie montre", "fr").includes, ["watch"]);
+});
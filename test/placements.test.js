@@ -0,0 +1,140 @@
+// Output placements: catalog output profiles, request validation, per-model aspect ratio /
+// format support and the engine skipping steps that cannot produce the placement.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCatalog, validateCatalog } = require("../lib/catalog");
+const { validateRequest } = require("../lib/validation");
+const { createImageEngine, createMockProvider } = require("../lib/providers");
+const { outputSupport: replicateSupport, buildInput } = require("../lib/providers/replicate");
+const { createOpenAIProvider, outputSupport: openaiSupport } = require("../lib/providers/openai");
+const { supportsOutput } = require("../lib/providers/output");
+const { createPromptAst, addConstraint, PRIORITY } = require("../lib/prompt");
+const data = require("../config/catalog.json");
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+function sampleAst() {
+  const ast = createPromptAst("Product photo of a gift box");
+  addConstraint(ast, "include", "global.scene", PRIORITY.HIGH, "a curated gift box on a wooden table");
+  return ast;
+}
+
+function outputOf(placement) {
+  return { placement: placement.placement, aspectRatio: placement.aspectRatio, format: placement.format, quality: placement.quality };
+}
+
+test("catalog placements: gallery by default, each with composition guidance", () => {
+  const catalog = createCatalog(data);
+  assert.deepEqual(catalog.placements, ["gallery", "mobile", "banner", "social"]);
+
+  const gallery = catalog.placement(null);
+  assert.equal(gallery.placement, "gallery");
+  assert.equal(gallery.aspectRatio, "1:1");
+  assert.equal(catalog.placement("nope").placement, "gallery");
+
+  const banner = catalog.placement("banner");
+  assert.equal(banner.aspectRatio, "16:9");
+  assert.ok(banner.composition.some((line) => /negative space/.test(line)));
+  assert.equal(catalog.placement("mobile").aspectRatio, "4:5");
+  assert.equal(catalog.placement("social").aspectRatio, "9:16");
+});
+
+test("placement schema errors are listed with their path", () => {
+  const bad = clone(data);
+  bad.placements.banner.aspectRatio = "wide";
+  bad.placements.mobile.format = "gif";
+  bad.placements.social.composition = [];
+  bad.defaultPlacement = "poster";
+
+  const errors = validateCatalog(bad);
+  assert.ok(errors.includes('placements.banner.aspectRatio: expected "width:height" (e.g. "4:5")'));
+  assert.ok(errors.includes("placements.mobile.format: expected one of webp, jpg, png"));
+  assert.ok(errors.includes("placements.social.composition: expected non-empty array of strings"));
+  assert.ok(errors.includes('defaultPlacement: unknown placement "poster"'));
+});
+
+test("request placement must be a catalog placement", () => {
+  const opts = { tiers: ["curated", "signature"], placements: ["gallery", "banner"] };
+  const base = { sessionId: "session-123" };
+
+  assert.equal(validateRequest(base, opts).placement, null);
+  assert.equal(validateRequest(Object.assign({ placement: " Banner " }, base), opts).placement, "banner");
+
+  const r = validateRequest(Object.assign({ placement: "poster" }, base), opts);
+  assert.equal(r.status, 400);
+  assert.equal(r.code, "PLACEMENT_INVALID");
+  assert.deepEqual(r.allowed, ["gallery", "banner"]);
+});
+
+test("model support: Flux takes every placement, OpenAI only its fixed sizes", () => {
+  const catalog = createCatalog(data);
+  const outputs = catalog.placements.map((key) => outputOf(catalog.placement(key)));
+
+  outputs.forEach((o) => assert.equal(supportsOutput(replicateSupport("black-forest-labs/flux-schnell"), o), true));
+  assert.deepEqual(
+    outputs.filter((o) => supportsOutput(openaiSupport("dall-e-3"), o)).map((o) => o.placement),
+    ["gallery", "banner", "social"]
+  );
+  assert.deepEqual(
+    outputs.filter((o) => supportsOutput(openaiSupport("gpt-image-1"), o)).map((o) => o.placement),
+    ["gallery"]
+  );
+  // unknown Replicate models are treated as square-only
+  assert.equal(supportsOutput(replicateSupport("someone/custom-sdxl"), outputs[2]), false);
+
+  const input = buildInput("black-forest-labs/flux-dev", { prompt: "p" }, outputs[2], null, 7);
+  assert.equal(input.aspect_ratio, "16:9");
+  assert.equal(input.output_format, "jpg");
+  assert.equal(input.quality, 85);
+});
+
+test("OpenAI maps aspect ratios onto its sizes and jpg onto jpeg", async () => {
+  const calls = [];
+  const client = {
+    images: {
+      generate: async (params) => {
+        calls.push(params);
+        return { data: [{ b64_json: "aGVsbG8=" }] };
+      },
+    },
+  };
+  const provider = createOpenAIProvider({ client });
+
+  await provider.generate({ model: "dall-e-3", fields: { prompt: "p" }, output: { aspectRatio: "16:9", format: "jpg", quality: 85 } });
+  const gpt = await provider.generate({ model: "gpt-image-1", fields: { prompt: "p" }, output: { aspectRatio: "2:3", format: "jpg", quality: 85 } });
+  assert.equal(calls[0].size, "1792x1024");
+  assert.equal(calls[1].size, "1024x1536");
+  assert.equal(calls[1].output_format, "jpeg");
+  assert.match(gpt.imageUrl, /^data:image\/jpeg;base64,/);
+
+  await assert.rejects(
+    provider.generate({ model: "dall-e-3", fields: { prompt: "p" }, output: { aspectRatio: "4:5", format: "webp", quality: 85 } }),
+    /not available/
+  );
+});
+
+test("engine skips steps that cannot produce the placement", async () => {
+  const mock = createMockProvider();
+  const openai = createOpenAIProvider({ client: { images: { generate: async () => ({ data: [{ url: "https://img/x.png" }] }) } } });
+  const engine = createImageEngine({
+    providers: { openai, mock },
+    chains: { curated: [{ provider: "openai", model: "dall-e-3" }, { provider: "mock", model: "m" }] },
+  });
+  const portrait = { placement: "mobile", aspectRatio: "4:5", format: "webp", quality: 85 };
+
+  assert.deepEqual(engine.outputChainFor("Curated", portrait).map((s) => s.provider), ["mock"]);
+  assert.deepEqual(engine.outputChainFor("Curated", { aspectRatio: "16:9", format: "jpg" }).map((s) => s.provider), ["openai", "mock"]);
+
+  const result = await engine.generate({ tier: "Curated", ast: sampleAst(), output: portrait });
+  assert.equal(result.provider, "mock");
+  assert.equal(result.output.placement, "mobile");
+  assert.match(result.attempts[0].error, /Unsupported output 4:5/);
+  assert.equal(mock.calls[0].output.aspectRatio, "4:5");
+
+  const svg = Buffer.from(result.imageUrl.split(",")[1], "base64").toString();
+  assert.match(svg, /width="1024" height="1280"/);
+});
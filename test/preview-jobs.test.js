@@ -0,0 +1,247 @@
+// Async preview jobs (lib/jobs) and the routes that move them: api/preview-status polling the
+// offline fake Replicate client and api/replicate-webhook receiving signed deliveries.
+// File stores in a temp dir, so the test and both routes see the same jobs, previews and quota.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Routes build their stores at load time, so the env goes first
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), "meaningfull-jobs-"));
+process.env.MEANINGFULL_FAKE_REPLICATE = "true";
+process.env.MEANINGFULL_RECORD_STORE = "file";
+process.env.MEANINGFULL_RECORD_DIR = DIR;
+process.env.MEANINGFULL_QUOTA_STORE = "file";
+process.env.MEANINGFULL_QUOTA_FILE = path.join(DIR, "quota.json");
+process.env.MEANINGFULL_IMAGE_STORE = "none";
+process.env.MEANINGFULL_PREVIEW_TOKEN_SECRET = "meaningfull-local-preview-secret";
+process.env.MEANINGFULL_LOG_LEVEL = "error";
+process.env.REPLICATE_WEBHOOK_SIGNING_SECRET = "whsec_" + Buffer.from("replicate-local-webhook-secret").toString("base64");
+
+const previewStatus = require("../api/preview-status");
+const replicateWebhook = require("../api/replicate-webhook");
+const { createJobStore, newJobId, syncJobFromPrediction } = require("../lib/jobs");
+const { createPreviewStore, buildPreviewRecord, newPreviewId } = require("../lib/previews");
+const { createQuota } = require("../lib/quota");
+const { createMemoryRecordStore } = require("../lib/store");
+const { PLACEHOLDER_URL } = require("../lib/fake-replicate");
+
+const jobs = createJobStore();
+const previews = createPreviewStore();
+const quota = createQuota();
+
+function mockRes() {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (c) => {
+    res.statusCode = c;
+    return res;
+  };
+  res.json = (b) => {
+    res.body = b;
+    return res;
+  };
+  res.setHeader = (k, v) => {
+    res.headers[k] = v;
+  };
+  res.end = () => res;
+  return res;
+}
+
+// A fake prediction id that finished long ago (see lib/fake-replicate parseFakeId)
+function finishedPredictionId(failed) {
+  return "fake-" + (Date.now() - 60000) + "-0-" + (failed ? "f" : "s") + "-" + crypto.randomBytes(4).toString("hex");
+}
+
+let sessionCounter = 0;
+
+// What generate-preview's async mode leaves behind: a reserved quota slot, a pending preview, a job
+async function queueJob(fields) {
+  const sessionId = "sess-jobs-" + ++sessionCounter;
+  const reservation = await quota.consume({ tier: "Curated", sessionId });
+  const job = Object.assign(
+    {
+      id: newJobId(),
+      status: "queued",
+      predictionId: "fake-" + Date.now() + "-600000-s-0000abcd",
+      previewId: newPreviewId(),
+      sessionId,
+      tier: "Curated",
+      model: "black-forest-labs/flux-dev",
+      reservation,
+      imageUrl: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    },
+    fields || {}
+  );
+  await previews.put(buildPreviewRecord({ id: job.previewId, status: "pending", sessionId, tier: job.tier, jobId: job.id }));
+  await jobs.put(job);
+  return job;
+}
+
+// The session's next generation number; 1 means the job's reservation was refunded
+async function nextUsed(sessionId) {
+  const r = await quota.consume({ tier: "Curated", sessionId });
+  await quota.release(r);
+  return r.used;
+}
+
+async function poll(query, method) {
+  const res = mockRes();
+  await previewStatus({ method: method || "GET", headers: {}, query }, res);
+  return res;
+}
+
+function signedHeaders(body, secret) {
+  const id = "msg_" + crypto.randomBytes(6).toString("hex");
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const key = Buffer.from(String(secret || process.env.REPLICATE_WEBHOOK_SIGNING_SECRET).split("_").pop(), "base64");
+  const signature = crypto.createHmac("sha256", key).update(id + "." + timestamp + "." + body).digest("base64");
+  return { "webhook-id": id, "webhook-timestamp": timestamp, "webhook-signature": "v1," + signature };
+}
+
+async function deliver(jobId, prediction, opts) {
+  const o = opts || {};
+  const rawBody = typeof prediction === "string" ? prediction : JSON.stringify(prediction);
+  const res = mockRes();
+  await replicateWebhook(
+    {
+      method: o.method || "POST",
+      url: "/api/replicate-webhook?job=" + encodeURIComponent(jobId),
+      headers: o.headers || signedHeaders(rawBody),
+      rawBody,
+    },
+    res
+  );
+  return res;
+}
+
+test.after(() => {
+  fs.rmSync(DIR, { recursive: true, force: true });
+});
+
+test("syncJobFromPrediction moves a job once and refunds a failed one", async () => {
+  const store = createMemoryRecordStore();
+  const previewRecords = createMemoryRecordStore();
+  const released = [];
+  const ctx = { jobs: store, previews: previewRecords, quota: { release: async (r) => released.push(r) } };
+  const job = await store.put({ id: "job_1", status: "queued", previewId: "pv_1", reservation: { allowed: true, member: "m1" } });
+  await previewRecords.put({ id: "pv_1", status: "pending" });
+
+  const running = await syncJobFromPrediction(ctx, job, { id: "p1", status: "processing" });
+  assert.equal(running.status, "processing");
+  assert.equal(await syncJobFromPrediction(ctx, running, { id: "p1", status: "processing" }), running);
+
+  const failed = await syncJobFromPrediction(ctx, running, { id: "p1", status: "canceled" });
+  assert.deepEqual([failed.status, failed.error], ["failed", "Prediction canceled"]);
+  assert.deepEqual(released, [{ allowed: true, member: "m1" }]);
+  assert.equal((await previewRecords.get("pv_1")).status, "failed");
+
+  // terminal: a late success is ignored and nothing is refunded twice
+  const late = await syncJobFromPrediction(ctx, failed, { id: "p1", status: "succeeded", output: [PLACEHOLDER_URL] });
+  assert.equal(late, failed);
+  assert.equal((await store.get("job_1")).status, "failed");
+  assert.equal(released.length, 1);
+
+  // a success without an image is a failure
+  const empty = await store.put({ id: "job_2", status: "queued" });
+  assert.equal((await syncJobFromPrediction(ctx, empty, { status: "succeeded", output: null })).error, "No image returned from model");
+});
+
+test("the status route validates the request and hides other sessions' jobs", async () => {
+  const post = await poll({ id: "job_x" }, "POST");
+  assert.deepEqual([post.statusCode, post.body.code], [405, "METHOD_NOT_ALLOWED"]);
+
+  const missing = await poll({});
+  assert.deepEqual([missing.statusCode, missing.body.code], [400, "JOB_ID_REQUIRED"]);
+
+  const unknown = await poll({ id: "job_does_not_exist" });
+  assert.deepEqual([unknown.statusCode, unknown.body.code], [404, "JOB_NOT_FOUND"]);
+
+  const job = await queueJob();
+  const other = await poll({ id: job.id, sessionId: "someone-else" });
+  assert.deepEqual([other.statusCode, other.body.code], [404, "JOB_NOT_FOUND"]);
+  // a job id alone is not enough
+  const anonymous = await poll({ id: job.id });
+  assert.deepEqual([anonymous.statusCode, anonymous.body.code], [404, "JOB_NOT_FOUND"]);
+
+  // still running on Replicate: the poll reports it without finishing it
+  const running = await poll({ id: job.id, sessionId: job.sessionId });
+  assert.equal(running.statusCode, 200);
+  assert.equal(running.body.status, "queued");
+  assert.equal(running.body.imageUrl, null);
+});
+
+test("polling finishes a job: success records the image, failure refunds the quota", async () => {
+  const ok = await queueJob({ predictionId: finishedPredictionId(false) });
+  const done = await poll({ id: ok.id, sessionId: ok.sessionId });
+  assert.equal(done.statusCode, 200);
+  assert.deepEqual([done.body.ok, done.body.status, done.body.imageUrl], [true, "succeeded", PLACEHOLDER_URL]);
+  assert.equal(done.body.previewId, ok.previewId);
+  assert.equal((await previews.get(ok.previewId)).status, "succeeded");
+  assert.equal(await nextUsed(ok.sessionId), 2);
+
+  const bad = await queueJob({ predictionId: finishedPredictionId(true) });
+  const failed = await poll({ id: bad.id, sessionId: bad.sessionId });
+  assert.deepEqual([failed.body.ok, failed.body.status, failed.body.error], [false, "failed", "Fake prediction failed"]);
+  assert.equal(await nextUsed(bad.sessionId), 1);
+});
+
+test("webhooks with a bad signature or body never touch the job", async () => {
+  const job = await queueJob();
+  const prediction = { id: job.predictionId, status: "failed", error: "boom" };
+  const body = JSON.stringify(prediction);
+
+  const get = await deliver(job.id, prediction, { method: "GET" });
+  assert.deepEqual([get.statusCode, get.body.code], [405, "METHOD_NOT_ALLOWED"]);
+
+  const rejected = [
+    signedHeaders(body, "whsec_" + Buffer.from("another-secret").toString("base64")),
+    signedHeaders(body.replace("boom", "bang")),
+    {},
+  ];
+  for (const headers of rejected) {
+    const res = await deliver(job.id, prediction, { headers });
+    assert.deepEqual([res.statusCode, res.body.code], [401, "SIGNATURE_INVALID"]);
+  }
+
+  const notJson = await deliver(job.id, "not json");
+  assert.deepEqual([notJson.statusCode, notJson.body.code], [400, "BODY_INVALID"]);
+
+  const unknown = await deliver("job_does_not_exist", prediction);
+  assert.deepEqual([unknown.statusCode, unknown.body.code], [404, "JOB_NOT_FOUND"]);
+
+  const mismatch = await deliver(job.id, Object.assign({}, prediction, { id: "fake-someone-elses-prediction" }));
+  assert.deepEqual([mismatch.statusCode, mismatch.body.code], [409, "PREDICTION_MISMATCH"]);
+
+  assert.equal((await jobs.get(job.id)).status, "queued");
+  assert.equal(await nextUsed(job.sessionId), 2);
+});
+
+test("a failed prediction webhook refunds the quota once; later deliveries are ignored", async () => {
+  const job = await queueJob();
+  const started = await deliver(job.id, { id: job.predictionId, status: "processing" });
+  assert.deepEqual([started.statusCode, started.body.status], [200, "processing"]);
+
+  const failed = await deliver(job.id, { id: job.predictionId, status: "failed", error: "NSFW content detected" });
+  assert.deepEqual([failed.statusCode, failed.body.jobId, failed.body.status], [200, job.id, "failed"]);
+  const record = await jobs.get(job.id);
+  assert.equal(record.error, "NSFW content detected");
+  assert.equal((await previews.get(job.previewId)).status, "failed");
+  assert.equal(await nextUsed(job.sessionId), 1);
+
+  // retried / out-of-order deliveries after the terminal state change nothing
+  for (const late of [
+    { id: job.predictionId, status: "failed", error: "NSFW content detected" },
+    { id: job.predictionId, status: "succeeded", output: [PLACEHOLDER_URL] },
+  ]) {
+    const res = await deliver(job.id, late);
+    assert.deepEqual([res.statusCode, res.body.status], [200, "failed"]);
+  }
+  assert.deepEqual(await jobs.get(job.id), record);
+  assert.equal(await nextUsed(job.sessionId), 1);
+});
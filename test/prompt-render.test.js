@@ -0,0 +1,95 @@
+// Prompt renderers (lib/prompt/render): model -> renderer mapping, the negative-prompt split for
+// SDXL and the token-budget trimming that may drop soft constraints but never HARD ones.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PRIORITY, createPromptAst, addSection, addConstraint, renderPrompt, rendererFor, estimateTokens } = require("../lib/prompt");
+
+// `n` words -> ceil(n * 1.3) estimated tokens
+function words(n, word) {
+  return Array.from({ length: n }, () => word || "detail").join(" ");
+}
+
+function baseAst() {
+  const ast = createPromptAst("A curated gift box flat lay.");
+  addSection(ast, "notes", "Notes", ["She loves tea, no candles"]);
+  addSection(ast, "style", "Style", ["Soft daylight"], { after: true });
+  addConstraint(ast, "include", "focus.tea", PRIORITY.HIGH, "a tin of loose-leaf tea");
+  addConstraint(ast, "negative", "avoid.candles", PRIORITY.HARD, "no candles");
+  addConstraint(ast, "negative", "global.text", PRIORITY.HARD, "No readable text");
+  return ast;
+}
+
+test("models map to their renderer; unknown models render for flux", () => {
+  assert.equal(rendererFor("stability-ai/sdxl").name, "sdxl");
+  assert.equal(rendererFor("lucataco/realvisxl-v2.0").name, "sdxl");
+  assert.equal(rendererFor("black-forest-labs/flux-dev").name, "flux");
+  assert.equal(rendererFor("acme/unknown-model").name, "flux");
+  assert.equal(rendererFor(undefined).name, "flux");
+  assert.equal(renderPrompt(baseAst(), { renderer: "openai" }).renderer, "openai");
+  assert.equal(renderPrompt(baseAst(), { renderer: "nope" }).renderer, "flux");
+
+  assert.equal(estimateTokens(""), 0);
+  assert.equal(estimateTokens(words(10)), 13);
+});
+
+test("sdxl moves the negatives into negative_prompt without their leading \"no\"", () => {
+  const sdxl = renderPrompt(baseAst(), "stability-ai/sdxl");
+  assert.equal(sdxl.fields.negative_prompt, "candles, readable text");
+  assert.doesNotMatch(sdxl.fields.prompt, /KEEP OUT OF FRAME|candles/i);
+  // the raw Notes section is skipped: it would pull the avoided word back into the image
+  assert.doesNotMatch(sdxl.fields.prompt, /Notes:/);
+  assert.match(sdxl.fields.prompt, /MUST INCLUDE:\n- a tin of loose-leaf tea/);
+  assert.equal(sdxl.tokens.negative, estimateTokens("candles, readable text"));
+
+  const flux = renderPrompt(baseAst(), "black-forest-labs/flux-schnell");
+  assert.deepEqual(Object.keys(flux.fields), ["prompt"]);
+  assert.match(flux.fields.prompt, /Notes:\nShe loves tea, no candles/);
+  assert.match(flux.fields.prompt, /KEEP OUT OF FRAME:\n- candles, readable text\n\nStyle:\nSoft daylight$/);
+});
+
+test("over budget, the lowest-priority constraints go first, latest-added first on ties", () => {
+  const ast = baseAst();
+  addConstraint(ast, "include", "guidance.a", PRIORITY.LOW, words(200, "alpha"));
+  addConstraint(ast, "include", "guidance.b", PRIORITY.LOW, words(200, "beta"));
+  addConstraint(ast, "include", "inspiration.c", PRIORITY.MEDIUM, words(200, "gamma"));
+
+  const r = renderPrompt(ast, "black-forest-labs/flux-dev");
+  assert.deepEqual(r.dropped.map((c) => c.rule), ["guidance.b", "guidance.a"]);
+  assert.equal(r.overBudget, false);
+  assert.ok(r.tokens.prompt <= 512);
+  assert.match(r.fields.prompt, /gamma/);
+  assert.doesNotMatch(r.fields.prompt, /alpha|beta/);
+});
+
+test("HARD constraints are never dropped, even when the prompt stays over budget", () => {
+  const ast = baseAst();
+  addConstraint(ast, "include", "tier.layout", PRIORITY.HARD, words(300, "layout"));
+  addConstraint(ast, "negative", "global.people", PRIORITY.HARD, "no " + words(200, "people"));
+  addConstraint(ast, "include", "guidance.trinkets", PRIORITY.LOW, "a few small trinkets");
+
+  for (const model of ["black-forest-labs/flux-dev", "stability-ai/sdxl"]) {
+    const r = renderPrompt(ast, model);
+    assert.equal(r.overBudget, true, model);
+    assert.ok(r.dropped.some((c) => c.rule === "guidance.trinkets"), model);
+    assert.ok(r.dropped.every((c) => c.priority < PRIORITY.HARD), model);
+    for (const c of ast.constraints.filter((c) => c.priority >= PRIORITY.HARD)) {
+      const field = c.kind === "negative" && r.fields.negative_prompt !== undefined ? "negative_prompt" : "prompt";
+      assert.ok(r.fields[field].includes(c.text.replace(/^no\s+/i, "")), model + ": " + c.rule);
+    }
+  }
+});
+
+test("sdxl trims each field with its own constraints", () => {
+  const ast = baseAst();
+  addConstraint(ast, "negative", "guidance.clutter", PRIORITY.LOW, "no " + words(200, "clutter"));
+  addConstraint(ast, "include", "guidance.ribbon", PRIORITY.LOW, "a satin ribbon");
+
+  // only the negative field is over: the long negative goes, the cheap include stays
+  const r = renderPrompt(ast, "stability-ai/sdxl");
+  assert.deepEqual(r.dropped.map((c) => c.rule), ["guidance.clutter"]);
+  assert.match(r.fields.prompt, /a satin ribbon/);
+  assert.equal(r.fields.negative_prompt, "candles, readable text");
+  assert.equal(r.overBudget, false);
+});
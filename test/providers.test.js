@@ -0,0 +1,136 @@
+// Image engine (lib/providers): ordered fallback along a tier's chain, the per-attempt timeout
+// and the attempt log, driven by the offline mock provider.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createImageEngine, createMockProvider, parseStep } = require("../lib/providers");
+const { createPromptAst, addConstraint, PRIORITY } = require("../lib/prompt");
+const { createLogger } = require("../lib/telemetry/logger");
+
+function sampleAst() {
+  const ast = createPromptAst("Product photo of a gift box");
+  addConstraint(ast, "include", "global.scene", PRIORITY.HIGH, "a curated gift box on a wooden table");
+  return ast;
+}
+
+// Collects the engine's log lines instead of printing them
+function quietLog() {
+  const lines = [];
+  const log = createLogger({ write: (level, line) => lines.push(JSON.parse(line)) });
+  log.lines = lines;
+  return log;
+}
+
+// Never answers on its own; settles only when the engine aborts the attempt
+function createHangingProvider() {
+  const provider = Object.assign(createMockProvider(), { aborted: 0 });
+  provider.generate = (req) =>
+    new Promise((resolve, reject) => {
+      req.signal.addEventListener("abort", () => {
+        provider.aborted++;
+        reject(new Error("aborted"));
+      });
+    });
+  return provider;
+}
+
+test("a failing step falls through to the next one and every attempt is recorded", async () => {
+  const mock = createMockProvider({ failModels: ["broken"] });
+  const engine = createImageEngine({
+    providers: { mock },
+    chains: { curated: ["mock:broken", "nope:model", "mock:working"].map(parseStep) },
+  });
+  const log = quietLog();
+
+  const r = await engine.generate({ tier: "Curated", ast: sampleAst(), seed: 5, log });
+  assert.deepEqual([r.provider, r.model, r.seed], ["mock", "working", 5]);
+  assert.match(r.imageUrl, /^data:image\/svg\+xml;base64,/);
+  assert.deepEqual(mock.calls.map((c) => c.model), ["broken", "working"]);
+  assert.deepEqual(
+    r.attempts.map((a) => [a.model, a.ok || a.error]),
+    [
+      ["broken", "Mock provider failure for model broken"],
+      ["model", "Unknown provider"],
+      ["working", true],
+    ]
+  );
+  assert.ok(r.attempts.every((a) => a.error === "Unknown provider" || Number.isInteger(a.ms)));
+  assert.deepEqual(log.lines.map((l) => [l.level, l.event, l.model]), [["error", "provider.attempt_failed", "broken"]]);
+});
+
+test("a step that outlives the timeout is aborted and the next step answers", async () => {
+  const slow = createHangingProvider();
+  const mock = createMockProvider();
+  const engine = createImageEngine({
+    providers: { slow, mock },
+    chains: { curated: ["slow:stuck", "mock:working"].map(parseStep) },
+    timeoutMs: 30,
+  });
+
+  const started = Date.now();
+  const r = await engine.generate({ tier: "Curated", ast: sampleAst(), log: quietLog() });
+  assert.ok(Date.now() - started < 1000);
+  assert.deepEqual([r.provider, r.model], ["mock", "working"]);
+  assert.equal(slow.aborted, 1);
+  assert.equal(r.attempts[0].error, "Timed out after 30ms");
+  assert.ok(r.attempts[0].ms >= 25);
+  assert.equal(r.attempts[1].ok, true);
+});
+
+test("when every step fails the error carries all the attempts", async () => {
+  const engine = createImageEngine({
+    providers: { mock: createMockProvider({ failModels: ["a", "b"] }), slow: createHangingProvider() },
+    chains: { curated: ["mock:a", "slow:stuck", "mock:b"].map(parseStep) },
+    timeoutMs: 20,
+  });
+
+  await assert.rejects(engine.generate({ tier: "Curated", ast: sampleAst(), log: quietLog() }), (e) => {
+    assert.equal(e.message, "All image providers failed");
+    assert.deepEqual(e.attempts.map((a) => a.model), ["a", "stuck", "b"]);
+    assert.equal(e.attempts[1].error, "Timed out after 20ms");
+    return true;
+  });
+});
+
+test("generateVariants falls back per variant and keeps each variant's attempts", async () => {
+  const mock = createMockProvider({ failModels: ["primary"] });
+  const engine = createImageEngine({
+    providers: { mock },
+    chains: { curated: ["mock:primary", "mock:backup"].map(parseStep) },
+  });
+
+  const r = await engine.generateVariants({ tier: "Curated", ast: sampleAst(), seeds: [1, 2], log: quietLog() });
+  assert.deepEqual(r.failures, []);
+  assert.deepEqual(r.variants.map((v) => [v.index, v.model, v.seed]), [[0, "backup", 1], [1, "backup", 2]]);
+  for (const v of r.variants) {
+    assert.deepEqual(v.attempts.map((a) => [a.model, !!a.ok]), [["primary", false], ["backup", true]]);
+  }
+  assert.equal(mock.calls.length, 4);
+});
+
+test("injected providers still need their keys in the engine's env", async () => {
+  const replicate = createMockProvider();
+  const mock = createMockProvider();
+  const chains = { curated: ["replicate:black-forest-labs/flux-schnell", "mock:m"].map(parseStep) };
+
+  const unkeyed = createImageEngine({ providers: { replicate, mock }, chains, env: {} });
+  const r = await unkeyed.generate({ tier: "Curated", ast: sampleAst(), log: quietLog() });
+  assert.equal(r.provider, "mock");
+  assert.equal(r.attempts[0].error, "Missing REPLICATE_API_TOKEN in environment");
+  assert.equal(replicate.calls.length, 0);
+  await assert.rejects(
+    unkeyed.replay({ provider: "replicate", model: "black-forest-labs/flux-schnell", fields: { prompt: "p" } }),
+    /Missing REPLICATE_API_TOKEN/
+  );
+
+  const keyed = createImageEngine({ providers: { replicate, mock }, chains, env: { REPLICATE_API_TOKEN: "r8_test" } });
+  assert.equal((await keyed.generate({ tier: "Curated", ast: sampleAst(), log: quietLog() })).provider, "replicate");
+});
+
+test("engine steps are provider:model", () => {
+  assert.deepEqual(parseStep(" replicate:black-forest-labs/flux-dev "), { provider: "replicate", model: "black-forest-labs/flux-dev" });
+  assert.deepEqual(parseStep("openai:dall-e-3"), { provider: "openai", model: "dall-e-3" });
+  assert.throws(() => parseStep("flux-dev"), /expected provider:model/);
+  assert.throws(() => parseStep(":flux-dev"), /expected provider:model/);
+});
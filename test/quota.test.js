@@ -0,0 +1,126 @@
+// Generation quota (lib/quota): rolling-window expiry, concurrent consumes on the shared file store,
+// the redis store against the in-process stand-in and the cold-start warning for the /tmp default.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createQuota, createMemoryStore, createFileStore, createRedisStore } = require("../lib/quota");
+const { createRedisStandIn } = require("../lib/quota/redis-standin");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function check(key, limit, windowMs) {
+  return { scope: key.split(":")[0], key, limit, windowMs: windowMs || HOUR_MS };
+}
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "meaningfull-quota-"));
+}
+
+test("entries leave the rolling window once it has passed", async () => {
+  for (const store of [createMemoryStore(), createRedisStore({ client: createRedisStandIn() })]) {
+    const t0 = 1700000000000;
+    const checks = [check("session:s1", 2)];
+
+    assert.equal((await store.consume(checks, "a", t0)).allowed, true, store.kind);
+    assert.equal((await store.consume(checks, "b", t0 + 1000)).allowed, true, store.kind);
+    const full = await store.consume(checks, "c", t0 + HOUR_MS - 1);
+    assert.equal(full.allowed, false, store.kind);
+    assert.deepEqual(full.counts, [2]);
+
+    // the first entry is exactly one window old: its slot is free again, the second still counts
+    const freed = await store.consume(checks, "d", t0 + HOUR_MS);
+    assert.equal(freed.allowed, true, store.kind);
+    assert.deepEqual(freed.counts, [2]);
+    assert.equal((await store.consume(checks, "e", t0 + HOUR_MS + 1)).allowed, false, store.kind);
+  }
+});
+
+test("concurrent consumes on the file store never grant past the limit", async () => {
+  const dir = tmpDir();
+  try {
+    const filePath = path.join(dir, "quota.json");
+    // two store instances on one file, like two functions sharing a volume
+    const stores = [createFileStore({ filePath }), createFileStore({ filePath })];
+    const checks = [check("session:s1", 3), check("ip:203.0.113.9", 5)];
+    const now = Date.now();
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, (_, i) => stores[i % 2].consume(checks, "m" + i, now))
+    );
+    assert.equal(results.filter((r) => r.allowed).length, 3);
+    assert.deepEqual(results.filter((r) => r.allowed).map((r) => r.counts[0]).sort(), [1, 2, 3]);
+
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    assert.equal(data["session:s1"].length, 3);
+    assert.equal(data["ip:203.0.113.9"].length, 3);
+    assert.equal(fs.existsSync(filePath + ".lock"), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the redis store reserves every scope or none and releases refunds", async () => {
+  const client = createRedisStandIn();
+  const quota = createQuota({
+    store: createRedisStore({ client }),
+    limits: { curated: { session: { limit: 2 }, ip: { limit: 3 } } },
+  });
+
+  const first = await quota.consume({ tier: "Curated", sessionId: "s1", ip: "198.51.100.7" });
+  assert.deepEqual([first.allowed, first.used, first.limit], [true, 1, 2]);
+  assert.equal(await client.zcard("meaningfull:quota:session:s1"), 1);
+
+  await quota.release(first);
+  assert.equal(await client.zcard("meaningfull:quota:session:s1"), 0);
+  assert.equal(await client.zcard("meaningfull:quota:ip:198.51.100.7"), 0);
+
+  // the IP runs out on another session: that session's own reservation is rolled back
+  await quota.consume({ tier: "Curated", sessionId: "s1", ip: "198.51.100.7" });
+  await quota.consume({ tier: "Curated", sessionId: "s1", ip: "198.51.100.7" });
+  await quota.consume({ tier: "Curated", sessionId: "s2", ip: "198.51.100.7" });
+  const blocked = await quota.consume({ tier: "Curated", sessionId: "s3", ip: "198.51.100.7" });
+  assert.deepEqual([blocked.allowed, blocked.scope, blocked.used, blocked.limit], [false, "ip", 3, 3]);
+  assert.equal(await client.zcard("meaningfull:quota:session:s3"), 0);
+
+  const session = await quota.consume({ tier: "Curated", sessionId: "s1", ip: "192.0.2.1" });
+  assert.deepEqual([session.allowed, session.scope, session.used], [false, "session", 2]);
+});
+
+test("falling back to the per-instance file store in production is logged at cold start", () => {
+  const dir = tmpDir();
+  const saved = {};
+  for (const name of ["VERCEL", "NODE_ENV", "MEANINGFULL_QUOTA_STORE", "MEANINGFULL_QUOTA_FILE", "MEANINGFULL_QUOTA_REDIS_URL", "REDIS_URL"]) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  const lines = [];
+  const consoleError = console.error;
+  console.error = (line) => lines.push(line);
+  try {
+    process.env.MEANINGFULL_QUOTA_FILE = path.join(dir, "quota.json");
+    createQuota();
+    assert.equal(lines.length, 0);
+
+    process.env.VERCEL = "1";
+    assert.equal(createQuota().store.kind, "file");
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.deepEqual([entry.level, entry.event, entry.store], ["error", "quota.store_not_shared", "file"]);
+
+    // an explicit choice is respected quietly
+    process.env.MEANINGFULL_QUOTA_STORE = "file";
+    createQuota();
+    assert.equal(lines.length, 1);
+  } finally {
+    console.error = consoleError;
+    for (const name of Object.keys(saved)) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
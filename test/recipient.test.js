@@ -0,0 +1,88 @@
+// Recipient profile (lib/recipient): extraction + the catalog rule table for palette, materials, props.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildRecipientProfile, resolveStyling, extractAge } = require("../lib/recipient");
+const { getCatalog } = require("../lib/catalog");
+
+const catalog = getCatalog();
+
+function profileOf(inputs, locale, hint) {
+  return buildRecipientProfile(inputs, {
+    vocabulary: catalog.profiles(locale),
+    groupTerms: catalog.recipientTerms(locale),
+    locale,
+    hint,
+  });
+}
+
+function stylingOf(inputs, opts) {
+  const o = opts || {};
+  return resolveStyling(profileOf(inputs, o.locale, o.hint), catalog.profiles(o.locale), { avoidTerms: o.avoidTerms });
+}
+
+test("ages: years, turning, per-locale phrasing; times never count", () => {
+  assert.equal(extractAge("don't include candles 14 years old"), 14);
+  assert.equal(extractAge("for my 16-year-old"), 16);
+  assert.equal(extractAge("she's turning 30"), 30);
+  assert.equal(extractAge("mi hija tiene 15 años", "es"), 15);
+  assert.equal(extractAge("mon fils a 12 ans", "fr"), 12);
+  assert.equal(extractAge("watch set to 10:10"), null);
+  assert.equal(extractAge("budget 250"), null);
+});
+
+test("profile: relationship, group, age band and interests", () => {
+  const p = profileOf({ recipient: "My son", notes: "he is 14 years old, loves gaming and coffee, no golf stuff" });
+  assert.equal(p.relationship, "child");
+  assert.equal(p.group, "male");
+  assert.equal(p.age, 14);
+  assert.equal(p.ageBand, "teen");
+  assert.deepEqual(p.interests, ["gaming", "coffee"]);
+  assert.deepEqual(p.vibe, { key: null, source: null });
+
+  assert.equal(profileOf({ notes: "a teenager who loves music" }).ageBand, "teen");
+  assert.equal(profileOf({ recipient: "Para mi abuela" }, "es").relationship, "grandparent");
+});
+
+test("the notes LLM's recipient answer is used when present", () => {
+  const p = profileOf({ recipient: "Alex", notes: "likes hiking" }, "en", { relationship: "husband", gender: "male", age: 41 });
+  assert.equal(p.relationship, "partner");
+  assert.equal(p.group, "male");
+  assert.equal(p.ageBand, "adult");
+});
+
+test("rules: the default palette, group overrides and inferred vibes", () => {
+  const rules = catalog.profiles().rules;
+  const neutral = stylingOf({ recipient: "someone special" });
+  assert.equal(neutral.palette, rules[0].palette);
+  assert.deepEqual(neutral.rules, ["default"]);
+  assert.equal(neutral.vibe.key, null);
+
+  const female = stylingOf({ recipient: "my sister" });
+  assert.equal(female.palette, rules.find((r) => r.id === "female").palette);
+
+  const teen = stylingOf({ recipient: "my son", notes: "he's 15 years old" });
+  assert.deepEqual(teen.vibe, { key: "bold", source: "inferred" });
+  assert.equal(teen.palette, catalog.profiles().vibes.bold.palette);
+  assert.equal(teen.sources.vibe, "rule.teen");
+});
+
+test("an explicit vibe always beats the inferred one", () => {
+  const s = stylingOf({ recipient: "my son", vibe: "Cozy homebody", notes: "he's 15 years old and loves hiking" });
+  assert.deepEqual(s.vibe, { key: "cozy", source: "explicit" });
+  assert.equal(s.sources.vibe, "field.vibe");
+  assert.equal(s.palette, catalog.profiles().vibes.cozy.palette);
+  assert.deepEqual(s.materials, catalog.profiles().vibes.cozy.materials);
+
+  const es = stylingOf({ recipient: "mi novio", vibe: "Minimalista" }, { locale: "es" });
+  assert.deepEqual(es.vibe, { key: "minimal", source: "explicit" });
+});
+
+test("props: vibe first, then interests; avoided items are dropped", () => {
+  const s = stylingOf({ vibe: "cozy", notes: "loves coffee and tea" });
+  assert.deepEqual(s.props, ["a handmade stoneware mug", "a ceramic pour-over coffee set", "a stoneware tea cup and tin"]);
+
+  const avoided = stylingOf({ vibe: "cozy", notes: "loves coffee" }, { avoidTerms: ["mug"] });
+  assert.deepEqual(avoided.props, ["a ceramic pour-over coffee set"]);
+});
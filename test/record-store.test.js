@@ -0,0 +1,81 @@
+// Record stores (lib/store): the redis backend shared between functions, its stand-in commands,
+// and the cold-start warning when production falls back to the per-instance /tmp file store.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createRecordStore, createRedisRecordStore } = require("../lib/store");
+const { createRedisStandIn } = require("../lib/quota/redis-standin");
+
+test("a record written by one function's store is read and updated by another's", async () => {
+  const client = createRedisStandIn();
+  // generate-preview and preview-status each build their own store on the same Redis
+  const writer = createRecordStore("jobs", { kind: "redis", client });
+  const reader = createRecordStore("jobs", { kind: "redis", client });
+  assert.equal(writer.kind, "redis");
+
+  await writer.put({ id: "job_abc", status: "queued", createdAt: "2026-10-19T00:00:00.000Z" });
+  assert.deepEqual(await reader.get("job_abc"), { id: "job_abc", status: "queued", createdAt: "2026-10-19T00:00:00.000Z" });
+
+  const next = await reader.update("job_abc", { status: "succeeded" });
+  assert.equal(next.status, "succeeded");
+  assert.ok(next.updatedAt);
+  assert.equal((await writer.get("job_abc")).status, "succeeded");
+
+  // record types don't collide; unknown and unsafe ids are simply missing
+  const previews = createRecordStore("previews", { kind: "redis", client });
+  assert.equal(await previews.get("job_abc"), null);
+  assert.equal(await reader.update("job_missing", { status: "failed" }), null);
+  assert.equal(await reader.get("../etc/passwd"), null);
+  await assert.rejects(writer.put({ id: "a b", status: "queued" }), /Invalid record id/);
+});
+
+test("redis records expire after their TTL", async () => {
+  const client = createRedisStandIn();
+  const store = createRedisRecordStore({ client, name: "jobs", ttlMs: 20 });
+  await store.put({ id: "job_short" });
+  assert.ok(await store.get("job_short"));
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.equal(await store.get("job_short"), null);
+
+  assert.throws(() => createRedisRecordStore({ client: {}, name: "jobs" }), /ioredis-compatible client/);
+});
+
+test("falling back to the per-instance file store in production is logged at cold start", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "meaningfull-records-"));
+  const saved = {};
+  for (const name of ["VERCEL", "NODE_ENV", "MEANINGFULL_RECORD_STORE", "MEANINGFULL_RECORD_DIR", "MEANINGFULL_QUOTA_REDIS_URL", "REDIS_URL"]) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  const lines = [];
+  const consoleError = console.error;
+  console.error = (line) => lines.push(line);
+  try {
+    process.env.MEANINGFULL_RECORD_DIR = dir;
+    createRecordStore("jobs");
+    assert.equal(lines.length, 0);
+
+    process.env.VERCEL = "1";
+    assert.equal(createRecordStore("jobs").kind, "file");
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.deepEqual([entry.level, entry.event, entry.records], ["error", "store.not_shared", "jobs"]);
+
+    // an explicit choice is respected quietly
+    assert.equal(createRecordStore("jobs", { kind: "file" }).kind, "file");
+    process.env.MEANINGFULL_RECORD_STORE = "file";
+    createRecordStore("orders");
+    assert.equal(lines.length, 1);
+  } finally {
+    console.error = consoleError;
+    for (const name of Object.keys(saved)) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
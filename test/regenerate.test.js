@@ -0,0 +1,165 @@
+// Reproducible previews (lib/previews/regenerate + engine.replay): recorded prompt + seed rerun exactly.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createImageEngine, createMockProvider, createReplicateProvider } = require("../lib/providers");
+const { createFakeReplicate } = require("../lib/fake-replicate");
+const { createMemoryRecordStore, createRedisRecordStore } = require("../lib/store");
+const { createRedisStandIn } = require("../lib/quota/redis-standin");
+const { createImageStorage, createFsBackend, createS3Backend, rehostImage } = require("../lib/storage");
+const { createS3StandIn } = require("../lib/storage/s3-standin");
+const { buildPreviewRecord } = require("../lib/previews");
+const { regeneratePreview } = require("../lib/previews/regenerate");
+const { createPromptAst, addConstraint, PRIORITY } = require("../lib/prompt");
+
+function sampleAst() {
+  const ast = createPromptAst("Product photo of a gift box");
+  addConstraint(ast, "include", "global.scene", PRIORITY.HIGH, "a curated gift box on a wooden table");
+  return ast;
+}
+
+function setup() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "meaningfull-regen-"));
+  const mock = createMockProvider();
+  return {
+    dir,
+    mock,
+    previews: createMemoryRecordStore(),
+    storage: createImageStorage({ backend: createFsBackend({ dir }) }),
+    engine: createImageEngine({ providers: { mock }, chains: { curated: [{ provider: "mock", model: "m" }] } }),
+  };
+}
+
+async function recordPreview(ctx, fields) {
+  const result = await ctx.engine.generate({ tier: "Curated", ast: sampleAst(), seed: 4242 });
+  const stored = await rehostImage(ctx.storage, result.imageUrl);
+  const record = buildPreviewRecord(
+    Object.assign(
+      {
+        sessionId: "sess-12345678",
+        tier: "Curated",
+        imageUrl: stored.imageUrl,
+        contentHash: stored.contentHash,
+        provider: result.provider,
+        model: result.model,
+        prompt: result.prompt,
+        inputs: { recipient: "mom", notes: "she loves coffee" },
+        output: result.output,
+        seed: result.seed,
+        predictionId: result.predictionId,
+      },
+      fields || {}
+    )
+  );
+  await ctx.previews.put(record);
+  return record;
+}
+
+test("replicate provider records the prediction id and passes the seed", async () => {
+  const client = createFakeReplicate({ durationMs: 0 });
+  const provider = createReplicateProvider({ client });
+  const out = await provider.generate({
+    model: "black-forest-labs/flux-dev",
+    fields: { prompt: "gift box" },
+    output: { aspectRatio: "1:1", format: "webp", quality: 90 },
+    seed: 7,
+  });
+  assert.match(out.predictionId, /^fake-/);
+  assert.equal(client.calls[0].input.seed, 7);
+});
+
+test("regenerate reruns the recorded prompt and seed as a new record", async () => {
+  const ctx = setup();
+  try {
+    const original = await recordPreview(ctx);
+    assert.equal(original.seed, 4242);
+    assert.deepEqual(original.inputs, { recipient: "mom", notes: "she loves coffee" });
+
+    const r = await regeneratePreview(original.id, ctx);
+    assert.equal(r.ok, true);
+    assert.equal(r.exact, true);
+    assert.equal(r.identical, true);
+    assert.notEqual(r.preview.id, original.id);
+    assert.equal(r.preview.regeneratedFrom, original.id);
+    assert.equal(r.preview.sessionId, null);
+    assert.deepEqual(ctx.mock.calls[1].fields, original.prompt);
+    assert.equal(ctx.mock.calls[1].seed, 4242);
+
+    // the original record is untouched
+    assert.deepEqual(await ctx.previews.get(original.id), original);
+  } finally {
+    fs.rmSync(ctx.dir, { recursive: true, force: true });
+  }
+});
+
+test("unknown, unfinished and unreproducible previews are refused", async () => {
+  const ctx = setup();
+  try {
+    assert.equal((await regeneratePreview("pv_000000000000000000000000", ctx)).code, "PREVIEW_NOT_FOUND");
+
+    const pending = await recordPreview(ctx, { status: "pending" });
+    assert.equal((await regeneratePreview(pending.id, ctx)).code, "PREVIEW_NOT_REPRODUCIBLE");
+
+    const lostReference = await recordPreview(ctx, { reference: { kind: "upload", strength: 0.6, imageUrl: null } });
+    const r = await regeneratePreview(lostReference.id, ctx);
+    assert.equal(r.status, 409);
+    assert.equal(r.code, "PREVIEW_NOT_REPRODUCIBLE");
+  } finally {
+    fs.rmSync(ctx.dir, { recursive: true, force: true });
+  }
+});
+
+const REFERENCE_URL =
+  "data:image/svg+xml;base64," + Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"/>').toString("base64");
+
+test("support regenerates a preview recorded by another function instance", async () => {
+  const redis = createRedisStandIn();
+  const s3 = createS3StandIn();
+  const endpoint = await s3.listen();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "meaningfull-regen-"));
+  // generate-preview and regenerate-preview share Redis and the bucket, nothing else
+  function instance() {
+    const mock = createMockProvider();
+    const cfg = s3.config;
+    return {
+      mock,
+      previews: createRedisRecordStore({ client: redis, name: "previews" }),
+      storage: createImageStorage({
+        backend: createS3Backend({
+          endpoint,
+          bucket: cfg.bucket,
+          accessKeyId: cfg.accessKeyId,
+          secretAccessKey: cfg.secretAccessKey,
+          publicBaseUrl: "https://cdn.example.com",
+        }),
+      }),
+      engine: createImageEngine({ providers: { mock }, chains: { curated: [{ provider: "mock", model: "m" }] } }),
+    };
+  }
+  try {
+    const generator = instance();
+    const kept = await rehostImage(generator.storage, REFERENCE_URL);
+    const original = await recordPreview(generator, { reference: { kind: "upload", strength: 0.6, imageUrl: kept.imageUrl } });
+
+    const support = instance();
+    const r = await regeneratePreview(original.id, support);
+    assert.equal(r.ok, true);
+    assert.equal(r.exact, true);
+    assert.equal(support.mock.calls[0].reference.image, kept.imageUrl);
+    assert.match(r.preview.imageUrl, /^https:\/\/cdn\.example\.com\/previews\//);
+    assert.equal((await generator.previews.get(r.preview.id)).regeneratedFrom, original.id);
+
+    // an image only this host's fs store kept can't be rerun elsewhere
+    const local = createImageStorage({ backend: createFsBackend({ dir }) });
+    const onDisk = await rehostImage(local, REFERENCE_URL);
+    const hostBound = await recordPreview(generator, { reference: { kind: "upload", strength: 0.6, imageUrl: onDisk.imageUrl } });
+    assert.equal((await regeneratePreview(hostBound.id, support)).code, "PREVIEW_NOT_REPRODUCIBLE");
+  } finally {
+    await s3.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
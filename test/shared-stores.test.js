@@ -0,0 +1,148 @@
+// Records shared between functions: with a Redis URL set, the preview written by one function's
+// store is read by the orders webhook, and its order record by /api/order-previews, each through
+// its own store instance; so is an earlier preview used as a reference. ioredis is swapped for
+// the in-process stand-in (one "server" for all).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { createRedisStandIn } = require("../lib/quota/redis-standin");
+
+const server = createRedisStandIn();
+const ioredis = require.resolve("ioredis");
+require.cache[ioredis] = { id: ioredis, filename: ioredis, loaded: true, exports: function FakeRedis() { return server; } };
+
+// Routes build their stores at load time, so the env goes first
+delete process.env.MEANINGFULL_RECORD_STORE;
+delete process.env.MEANINGFULL_PREVIEW_STORE;
+delete process.env.MEANINGFULL_ORDER_STORE;
+process.env.REDIS_URL = "redis://standin:6379";
+process.env.MEANINGFULL_METRICS_STORE = "memory";
+process.env.MEANINGFULL_LOG_LEVEL = "error";
+process.env.MEANINGFULL_PREVIEW_TOKEN_SECRET = "meaningfull-local-preview-secret";
+process.env.SHOPIFY_WEBHOOK_SECRET = "shopify-local-webhook-secret";
+process.env.MEANINGFULL_ADMIN_SECRET = "local-admin";
+
+const { createPreviewStore, buildPreviewRecord, resolveReference } = require("../lib/previews");
+const { createRecordStore } = require("../lib/store");
+const ordersWebhook = require("../api/shopify-orders-webhook");
+const orderPreviews = require("../api/order-previews");
+
+const FIXTURE = path.join(__dirname, "fixtures", "shopify", "orders-create.json");
+const PREVIEW_ID = "pv_5d1e0c9a7b3f2e4a6c8d0b1f";
+const ADMIN = { "x-meaningfull-admin-secret": "local-admin" };
+
+function mockRes() {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (c) => {
+    res.statusCode = c;
+    return res;
+  };
+  res.json = (b) => {
+    res.body = b;
+    return res;
+  };
+  res.setHeader = (k, v) => {
+    res.headers[k] = v;
+  };
+  res.end = () => res;
+  return res;
+}
+
+async function call(route, req) {
+  const res = mockRes();
+  await route(req, res);
+  return res;
+}
+
+function signed(raw) {
+  return {
+    "x-shopify-hmac-sha256": crypto.createHmac("sha256", process.env.SHOPIFY_WEBHOOK_SECRET).update(raw, "utf8").digest("base64"),
+    "x-shopify-topic": "orders/create",
+    "x-shopify-webhook-id": "7d0f6c2a-51b8-4e0e-9c3d-2f4a8b6e1d90",
+  };
+}
+
+test("a preview stored by one function is attached by the orders webhook and read back by another", async () => {
+  const generator = createPreviewStore();
+  assert.equal(generator.kind, "redis");
+  await generator.put(
+    buildPreviewRecord({
+      id: PREVIEW_ID,
+      sessionId: "sess-1",
+      tier: "Signature",
+      catalogVersion: "2026.10.1",
+      imageUrl: "https://cdn.example.com/previews/5d1e.webp",
+      provider: "replicate",
+      model: "black-forest-labs/flux-dev",
+      prompt: { prompt: "Overhead photo of a gift box..." },
+      canonical: { includes: ["watch"], avoids: [] },
+      brands: [],
+    })
+  );
+
+  const raw = fs.readFileSync(FIXTURE, "utf8");
+  const delivered = await call(ordersWebhook, { method: "POST", rawBody: raw, headers: signed(raw) });
+  assert.equal(delivered.statusCode, 200);
+  assert.equal(delivered.body.attached, 1);
+
+  // the record lives in Redis, not in this instance's /tmp
+  const fulfillment = createRecordStore("orders");
+  assert.equal((await fulfillment.get("order_5731294412871")).orderName, "#1042");
+
+  const lookup = await call(orderPreviews, { method: "GET", query: { orderId: "5731294412871" }, headers: ADMIN });
+  assert.equal(lookup.statusCode, 200);
+  assert.equal(lookup.body.lineItems[0].previewStatus, "attached");
+  assert.equal(lookup.body.lineItems[0].preview.imageUrl, "https://cdn.example.com/previews/5d1e.webp");
+});
+
+test("order routes answer with error codes", async () => {
+  const raw = fs.readFileSync(FIXTURE, "utf8");
+  const cases = [
+    [await call(ordersWebhook, { method: "GET", headers: {} }), 405, "METHOD_NOT_ALLOWED"],
+    [await call(ordersWebhook, { method: "POST", rawBody: raw, headers: { "x-shopify-topic": "orders/create" } }), 401, "SIGNATURE_INVALID"],
+    [await call(ordersWebhook, { method: "POST", rawBody: "{nope", headers: signed("{nope") }), 400, "BODY_INVALID"],
+    [await call(ordersWebhook, { method: "POST", rawBody: "{}", headers: signed("{}") }), 400, "ORDER_ID_REQUIRED"],
+    [await call(orderPreviews, { method: "GET", query: { orderId: "1" }, headers: {} }), 403, "ADMIN_REQUIRED"],
+    [await call(orderPreviews, { method: "GET", query: {}, headers: ADMIN }), 400, "ORDER_ID_REQUIRED"],
+    [await call(orderPreviews, { method: "GET", query: { orderId: "404" }, headers: ADMIN }), 404, "ORDER_NOT_FOUND"],
+  ];
+  for (const [res, status, code] of cases) {
+    assert.deepEqual([res.statusCode, res.body.code], [status, code]);
+  }
+});
+
+test("a reference preview is resolved from the shared store, for its own session only", async () => {
+  const earlier = buildPreviewRecord({
+    sessionId: "sess-ref-1",
+    tier: "Curated",
+    imageUrl: "https://cdn.example.com/previews/0b7e.webp",
+    provider: "replicate",
+    model: "black-forest-labs/flux-schnell",
+    prompt: { prompt: "Overhead photo of a gift box..." },
+  });
+  await createPreviewStore().put(earlier);
+
+  const previews = createPreviewStore();
+  const ref = { kind: "preview", previewId: earlier.id, strength: 0.5 };
+  const resolved = await resolveReference(ref, { previews, storage: null, sessionId: "sess-ref-1" });
+  assert.equal(resolved.ok, true);
+  assert.equal(resolved.reference.image, "https://cdn.example.com/previews/0b7e.webp");
+  assert.deepEqual(resolved.reference.source, {
+    kind: "preview",
+    previewId: earlier.id,
+    contentHash: null,
+    imageUrl: "https://cdn.example.com/previews/0b7e.webp",
+  });
+
+  assert.equal((await resolveReference(ref, { previews, storage: null, sessionId: "sess-other" })).code, "REFERENCE_NOT_FOUND");
+
+  // an fs-backend image kept in another instance's /tmp can't be read here
+  const hostBound = buildPreviewRecord(Object.assign({}, earlier, { id: undefined, imageUrl: "/api/preview-image?key=previews/0b7e.webp" }));
+  await previews.put(hostBound);
+  const lost = await resolveReference({ kind: "preview", previewId: hostBound.id, strength: 0.5 }, { previews, storage: null, sessionId: "sess-ref-1" });
+  assert.equal(lost.code, "REFERENCE_NOT_FOUND");
+});
@@ -0,0 +1,144 @@
+// Preview tokens (lib/previews) + the orders/create receiver (api/shopify-orders-webhook),
+// driven by a recorded webhook body signed with a local secret.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Routes build their stores at load time, so the env goes first
+process.env.MEANINGFULL_RECORD_STORE = "file";
+process.env.MEANINGFULL_RECORD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "meaningfull-test-"));
+process.env.MEANINGFULL_PREVIEW_TOKEN_SECRET = "meaningfull-local-preview-secret";
+process.env.SHOPIFY_WEBHOOK_SECRET = "shopify-local-webhook-secret";
+process.env.MEANINGFULL_ADMIN_SECRET = "local-admin";
+
+const { createPreviewStore, signPreviewToken, verifyPreviewToken, buildPreviewRecord } = require("../lib/previews");
+const { previewTokenFromLineItem } = require("../lib/shopify");
+const ordersWebhook = require("../api/shopify-orders-webhook");
+const orderPreviews = require("../api/order-previews");
+
+const FIXTURE = path.join(__dirname, "fixtures", "shopify", "orders-create.json");
+const PREVIEW_ID = "pv_5d1e0c9a7b3f2e4a6c8d0b1f";
+
+function shopifyHmac(body) {
+  return crypto.createHmac("sha256", process.env.SHOPIFY_WEBHOOK_SECRET).update(body, "utf8").digest("base64");
+}
+
+function mockRes() {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (c) => {
+    res.statusCode = c;
+    return res;
+  };
+  res.json = (b) => {
+    res.body = b;
+    return res;
+  };
+  res.setHeader = (k, v) => {
+    res.headers[k] = v;
+  };
+  res.end = () => res;
+  return res;
+}
+
+async function deliver(rawBody, headers) {
+  const res = mockRes();
+  await ordersWebhook({ method: "POST", rawBody, headers }, res);
+  return res;
+}
+
+test.after(() => {
+  fs.rmSync(process.env.MEANINGFULL_RECORD_DIR, { recursive: true, force: true });
+});
+
+test("preview tokens round-trip and reject tampering", () => {
+  const token = signPreviewToken("pv_abc");
+  assert.equal(verifyPreviewToken(token), "pv_abc");
+  assert.equal(verifyPreviewToken(token.replace("pv_abc", "pv_abd")), null);
+  assert.equal(verifyPreviewToken(token, "other-secret"), null);
+  assert.equal(verifyPreviewToken("garbage"), null);
+});
+
+test("line item properties are read from array and object shapes", () => {
+  assert.equal(previewTokenFromLineItem({ properties: [{ name: "_meaningfull_preview", value: "t1" }] }), "t1");
+  assert.equal(previewTokenFromLineItem({ properties: { "Meaningfull Preview": "t2" } }), "t2");
+  assert.equal(previewTokenFromLineItem({ properties: [] }), null);
+  assert.equal(previewTokenFromLineItem({}), null);
+});
+
+test("orders/create attaches the recorded preview to its line item", async () => {
+  await createPreviewStore().put(
+    buildPreviewRecord({
+      id: PREVIEW_ID,
+      sessionId: "sess-1",
+      tier: "Signature",
+      catalogVersion: "2026.10.1",
+      imageUrl: "https://cdn.example.com/previews/5d1e.webp",
+      provider: "replicate",
+      model: "black-forest-labs/flux-dev",
+      prompt: { prompt: "Overhead photo of a gift box..." },
+      canonical: { includes: ["watch"], avoids: ["candles"] },
+      brands: [],
+    })
+  );
+
+  const raw = fs.readFileSync(FIXTURE, "utf8");
+  const res = await deliver(raw, {
+    "x-shopify-hmac-sha256": shopifyHmac(raw),
+    "x-shopify-topic": "orders/create",
+    "x-shopify-webhook-id": "b54557e4-bdd9-4b37-8a5f-bf7d70bcd043",
+  });
+  assert.equal(res.statusCode, 200);
+  const { requestId, ...body } = res.body;
+  assert.match(requestId, /^req_[0-9a-f]{16}$/);
+  assert.deepEqual(body, { ok: true, orderId: 5731294412871, attached: 1 });
+
+  const lookup = mockRes();
+  await orderPreviews(
+    { method: "GET", query: { orderId: "5731294412871" }, headers: { "x-meaningfull-admin-secret": "local-admin" } },
+    lookup
+  );
+  assert.equal(lookup.statusCode, 200);
+  assert.equal(lookup.body.orderName, "#1042");
+
+  const [boxed, card, forged] = lookup.body.lineItems;
+  assert.equal(boxed.previewStatus, "attached");
+  assert.equal(boxed.preview.imageUrl, "https://cdn.example.com/previews/5d1e.webp");
+  assert.deepEqual(boxed.preview.canonical, { includes: ["watch"], avoids: ["candles"] });
+  assert.equal(boxed.preview.prompt.prompt, "Overhead photo of a gift box...");
+  assert.equal(card.previewStatus, "none");
+  assert.equal(card.preview, null);
+  assert.equal(forged.previewStatus, "invalid_token");
+  assert.equal(forged.preview, null);
+});
+
+test("a redelivered webhook is acknowledged without rewriting the record", async () => {
+  const raw = fs.readFileSync(FIXTURE, "utf8");
+  const res = await deliver(raw, {
+    "x-shopify-hmac-sha256": shopifyHmac(raw),
+    "x-shopify-topic": "orders/create",
+    "x-shopify-webhook-id": "b54557e4-bdd9-4b37-8a5f-bf7d70bcd043",
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.duplicate, true);
+});
+
+test("bad or missing HMAC is rejected", async () => {
+  const raw = fs.readFileSync(FIXTURE, "utf8");
+  const tampered = raw.replace('"#1042"', '"#1043"');
+
+  const res = await deliver(tampered, { "x-shopify-hmac-sha256": shopifyHmac(raw), "x-shopify-topic": "orders/create" });
+  assert.equal(res.statusCode, 401);
+
+  const missing = await deliver(raw, { "x-shopify-topic": "orders/create" });
+  assert.equal(missing.statusCode, 401);
+});
+
+test("order lookup is admin-only", async () => {
+  const res = mockRes();
+  await orderPreviews({ method: "GET", query: { orderId: "5731294412871" }, headers: {} }, res);
+  assert.equal(res.statusCode, 403);
+});
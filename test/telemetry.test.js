@@ -0,0 +1,189 @@
+// Observability (lib/telemetry): log redaction, the Prometheus registry and its stores,
+// request instrumentation (requestId on every response) and the /api/metrics route.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createLogger } = require("../lib/telemetry/logger");
+const { redactFields, hashValue, serializeError } = require("../lib/telemetry/redact");
+const { createRegistry, createRedisMetricsStore } = require("../lib/telemetry/metrics");
+const { instrument, registry } = require("../lib/telemetry");
+const { createRedisStandIn } = require("../lib/quota/redis-standin");
+
+function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(k, v) {
+      res.headers[k.toLowerCase()] = v;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    end(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+function capture() {
+  const lines = [];
+  return { lines, write: (level, line) => lines.push(JSON.parse(line)) };
+}
+
+test("shopper text is hashed, never logged", () => {
+  const out = redactFields({
+    tier: "curated",
+    notes: "loves Lego and gardening",
+    audit: { recipient: "Mum", includes: ["lego"] },
+  });
+  assert.equal(out.tier, "curated");
+  assert.equal(out.notes.redacted, true);
+  assert.equal(out.notes.length, "loves Lego and gardening".length);
+  assert.equal(out.notes.hash, hashValue("loves Lego and gardening"));
+  assert.match(out.notes.hash, /^sha256:[0-9a-f]{12}$/);
+  assert.equal(out.audit.recipient.redacted, true);
+  assert.deepEqual(out.audit.includes, ["lego"]);
+  assert.ok(!JSON.stringify(out).includes("gardening"));
+});
+
+test("errors are logged without the provider payload", () => {
+  const e = new Error("Request to https://api.replicate.com failed with status 422");
+  e.response = { status: 422, body: { input: { prompt: "secret notes" } } };
+  e.request = { body: "secret notes" };
+  const s = serializeError(e);
+  assert.deepEqual(s, { name: "Error", message: e.message, status: 422 });
+
+  const sink = capture();
+  const log = createLogger({ requestId: "req_test", write: sink.write });
+  log.error("provider.attempt_failed", e, { provider: "replicate", prompt: "secret notes" });
+  const line = sink.lines[0];
+  assert.equal(line.level, "error");
+  assert.equal(line.requestId, "req_test");
+  assert.equal(line.err.status, 422);
+  assert.ok(!JSON.stringify(line).includes("secret notes"));
+});
+
+test("stage timers add up per request and respect the log level", () => {
+  const sink = capture();
+  const seen = [];
+  const log = createLogger({ level: "warn", write: sink.write, onTiming: (stage) => seen.push(stage) });
+  log.time("provider")();
+  log.time("provider")();
+  log.child({ variant: 1 }).time("storage")();
+  log.info("ignored");
+  log.warn("kept");
+
+  assert.deepEqual(Object.keys(log.timings()).sort(), ["provider", "storage"]);
+  assert.deepEqual(seen, ["provider", "provider", "storage"]);
+  assert.deepEqual(sink.lines.map((l) => l.event), ["kept"]);
+});
+
+test("registry renders Prometheus text with ordered histogram buckets", async () => {
+  const reg = createRegistry();
+  const hits = reg.counter("t_hits_total", "Hits", ["limit"]);
+  const latency = reg.histogram("t_seconds", "Latency", ["stage"], [0.1, 1]);
+  hits.inc({ limit: "quota" });
+  hits.inc({ limit: "quota" }, 2);
+  latency.observe({ stage: "provider" }, 0.5);
+  await reg.flush();
+
+  const text = await reg.render();
+  assert.ok(text.includes("# TYPE t_hits_total counter\n"));
+  assert.ok(text.includes('t_hits_total{limit="quota"} 3\n'));
+  const lines = text.split("\n").filter((l) => l.startsWith("t_seconds"));
+  assert.deepEqual(lines, [
+    't_seconds_bucket{stage="provider",le="1"} 1',
+    't_seconds_bucket{stage="provider",le="+Inf"} 1',
+    't_seconds_sum{stage="provider"} 0.5',
+    't_seconds_count{stage="provider"} 1',
+  ]);
+});
+
+test("the redis metrics store is shared between registries (one per function)", async () => {
+  const client = createRedisStandIn();
+  const a = createRegistry({ store: createRedisMetricsStore({ client }) });
+  const b = createRegistry({ store: createRedisMetricsStore({ client }) });
+  a.counter("t_previews_total", "Previews", ["outcome"]).inc({ outcome: "success" });
+  b.counter("t_previews_total", "Previews", ["outcome"]);
+  await a.flush();
+
+  assert.ok((await b.render()).includes('t_previews_total{outcome="success"} 1'));
+  await b.reset();
+  assert.ok(!(await a.render()).includes("outcome="));
+});
+
+test("a failing metrics store is logged once as a warning, never thrown", async () => {
+  const reg = createRegistry({
+    store: {
+      async add() {
+        throw new Error("READONLY You can't write against a read only replica.");
+      },
+    },
+  });
+  const lines = [];
+  const original = console.error;
+  console.error = (line) => lines.push(JSON.parse(line));
+  try {
+    const hits = reg.counter("t_failing_total", "Hits");
+    hits.inc();
+    hits.inc();
+    await reg.flush();
+  } finally {
+    console.error = original;
+  }
+
+  assert.equal(lines.length, 1);
+  assert.deepEqual([lines[0].level, lines[0].event], ["warn", "metrics.store_failed"]);
+  assert.match(lines[0].err.message, /READONLY/);
+});
+
+test("instrument adds requestId to responses and counts rejections", async () => {
+  await registry.reset();
+  const res = mockRes();
+  const log = instrument({ method: "POST", headers: { "x-request-id": "shopify-req-0001" } }, res, { route: "t-route" });
+  assert.equal(log.requestId, "shopify-req-0001");
+  assert.equal(res.headers["x-request-id"], "shopify-req-0001");
+
+  res.status(429).json({ error: "Generation limit reached", code: "QUOTA_EXCEEDED" });
+  assert.equal(res.body.requestId, "shopify-req-0001");
+  assert.equal(res.body.code, "QUOTA_EXCEEDED");
+  res.end();
+
+  await registry.flush();
+  const text = await registry.render();
+  assert.ok(text.includes('meaningfull_http_responses_total{route="t-route",status="429"} 1'));
+  assert.ok(text.includes('meaningfull_rejections_total{code="QUOTA_EXCEEDED"} 1'));
+  assert.ok(text.includes('meaningfull_limit_hits_total{limit="quota"} 1'));
+
+  // header content that doesn't look like an id is replaced
+  const other = mockRes();
+  const minted = instrument({ headers: { "x-request-id": "<script>" } }, other, { route: "t-route" });
+  assert.match(minted.requestId, /^req_[0-9a-f]{16}$/);
+});
+
+test("/api/metrics needs the bearer token", async () => {
+  process.env.MEANINGFULL_METRICS_TOKEN = "scrape-token";
+  const route = require("../api/metrics");
+  try {
+    const denied = mockRes();
+    await route({ method: "GET", headers: { authorization: "Bearer wrong-token" } }, denied);
+    assert.equal(denied.statusCode, 403);
+
+    const ok = mockRes();
+    await route({ method: "GET", headers: { authorization: "Bearer scrape-token" } }, ok);
+    assert.equal(ok.statusCode, 200);
+    assert.match(ok.headers["content-type"], /^text\/plain; version=0\.0\.4/);
+    assert.ok(ok.body.includes("# TYPE meaningfull_previews_total counter"));
+  } finally {
+    delete process.env.MEANINGFULL_METRICS_TOKEN;
+  }
+});
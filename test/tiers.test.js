@@ -0,0 +1,84 @@
+// Tier blueprints (catalog) + the per-tier limits that key off them (lib/quota, lib/variants).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCatalog, validateCatalog } = require("../lib/catalog");
+const { createQuota, tierKey } = require("../lib/quota");
+const { createMemoryStore } = require("../lib/quota/memory-store");
+const { variantLimit } = require("../lib/variants");
+const { validateRequest } = require("../lib/validation");
+const data = require("../config/catalog.json");
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+test("every catalog tier has a blueprint with a layout and an item range", () => {
+  const catalog = createCatalog(data);
+  assert.deepEqual(catalog.tiers, ["curated", "signature", "mini", "corporate", "subscription"]);
+
+  for (const t of catalog.tiers) {
+    const bp = catalog.blueprint(t);
+    assert.equal(bp.tier, t);
+    assert.ok(bp.layout.length > 0, t);
+    assert.ok(bp.items.min >= 1 && bp.items.min <= bp.items.max, t);
+  }
+  assert.equal(catalog.blueprint("platinum"), null);
+
+  const signature = catalog.blueprint("signature");
+  assert.ok(signature.hero.length > 0);
+  assert.ok(signature.bannedHeroes.includes("candle"));
+  assert.deepEqual(catalog.blueprint("curated").hero, []);
+});
+
+test("blueprint schema errors are listed with their path", () => {
+  const bad = clone(data);
+  delete bad.blueprints.mini;
+  bad.blueprints.corporate.items = { min: 5, max: 3 };
+  bad.blueprints.subscription.layout = [];
+  bad.blueprints.platinum = clone(bad.blueprints.curated);
+
+  const errors = validateCatalog(bad);
+  assert.ok(errors.includes("blueprints.mini: missing blueprint for tier"));
+  assert.ok(errors.includes("blueprints.corporate.items: expected integer 1 <= min <= max"));
+  assert.ok(errors.includes("blueprints.subscription.layout: expected non-empty array of strings"));
+  assert.ok(errors.includes("blueprints.platinum: tier not listed in tiers"));
+});
+
+test("new tiers are accepted by name; anything else is rejected", () => {
+  const tiers = createCatalog(data).tiers;
+  assert.equal(validateRequest({ sessionId: "sess-0001", tier: "corporate" }, { tiers }).tier, "Corporate");
+  assert.equal(validateRequest({ sessionId: "sess-0001", tier: "Mini" }, { tiers }).tier, "Mini");
+  assert.equal(validateRequest({ sessionId: "sess-0001", tier: "Curated Plus" }, { tiers }).code, "TIER_INVALID");
+});
+
+test("tier keys no longer collapse onto curated", () => {
+  assert.equal(tierKey("Signature"), "signature");
+  assert.equal(tierKey("Corporate"), "corporate");
+  assert.equal(tierKey(""), "curated");
+
+  assert.equal(variantLimit("Mini"), 1);
+  assert.equal(variantLimit("Signature"), 4);
+  assert.equal(variantLimit("Corporate", { corporate: 3 }), 3);
+});
+
+test("quota limits are per tier; tiers without limits use curated's", async () => {
+  const quota = createQuota({
+    store: createMemoryStore(),
+    limits: {
+      curated: { session: { limit: 1, windowMs: 60000 } },
+      corporate: { session: { limit: 2, windowMs: 60000 } },
+    },
+  });
+
+  const corporate = { tier: "Corporate", sessionId: "sess-corp", ip: "1.1.1.1" };
+  assert.equal((await quota.consume(corporate)).allowed, true);
+  assert.equal((await quota.consume(corporate)).allowed, true);
+  assert.equal((await quota.consume(corporate)).allowed, false);
+
+  // a tier added to the catalog before anyone set its limits
+  const holiday = { tier: "Holiday", sessionId: "sess-holiday", ip: "1.1.1.1" };
+  assert.equal((await quota.consume(holiday)).allowed, true);
+  assert.equal((await quota.consume(holiday)).allowed, false);
+});
@@ -0,0 +1,125 @@
+// Variants (lib/variants + engine.generateVariants): seeds, limits and server-side ranking.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createRanker,
+  createHeuristicScorer,
+  createVisionScorer,
+  createStubVisionClient,
+  scoreHeuristic,
+  variantLimit,
+  newSeeds,
+} = require("../lib/variants");
+const { createImageEngine, createMockProvider } = require("../lib/providers");
+const { buildInput } = require("../lib/providers/replicate");
+const { validateVariants } = require("../lib/validation");
+const { createPromptAst, addConstraint, PRIORITY } = require("../lib/prompt");
+
+function sampleAst() {
+  const ast = createPromptAst("Product photo of a gift box");
+  addConstraint(ast, "include", "global.scene", PRIORITY.HIGH, "a curated gift box on a wooden table");
+  return ast;
+}
+
+test("variant count is validated against the tier limit", () => {
+  assert.equal(variantLimit("Curated", { curated: 2, signature: 4 }), 2);
+  assert.equal(variantLimit("Signature", { curated: 2, signature: 4 }), 4);
+  assert.equal(variantLimit("Curated", { curated: 0 }), 1);
+
+  assert.deepEqual(validateVariants(undefined, { limit: 2 }), { ok: true, count: 1 });
+  assert.deepEqual(validateVariants(2, { limit: 2 }), { ok: true, count: 2 });
+  for (const bad of [0, 3, 1.5, "two"]) {
+    const r = validateVariants(bad, { limit: 2 });
+    assert.equal(r.code, "VARIANTS_INVALID");
+    assert.equal(r.limit, 2);
+  }
+});
+
+test("seeds are distinct and reach seed-capable models", () => {
+  const seeds = newSeeds(4);
+  assert.equal(new Set(seeds).size, 4);
+  seeds.forEach((s) => assert.ok(Number.isInteger(s) && s >= 0));
+
+  const output = { aspectRatio: "1:1", format: "webp", quality: 90 };
+  assert.equal(buildInput("black-forest-labs/flux-schnell", { prompt: "p" }, output, null, 42).seed, 42);
+  assert.equal("seed" in buildInput("black-forest-labs/flux-schnell", { prompt: "p" }, output, null), false);
+});
+
+test("generateVariants: one image per seed, same seed => same image", async () => {
+  const mock = createMockProvider();
+  const engine = createImageEngine({ providers: { mock }, chains: { curated: [{ provider: "mock", model: "m" }] } });
+
+  const a = await engine.generateVariants({ tier: "Curated", ast: sampleAst(), seeds: [1, 2] });
+  assert.equal(a.variants.length, 2);
+  assert.deepEqual(a.variants.map((v) => v.seed), [1, 2]);
+  assert.notEqual(a.variants[0].imageUrl, a.variants[1].imageUrl);
+  assert.deepEqual(mock.calls.map((c) => c.seed), [1, 2]);
+
+  const again = await engine.generate({ tier: "Curated", ast: sampleAst(), seed: 2 });
+  assert.equal(again.imageUrl, a.variants[1].imageUrl);
+});
+
+test("generateVariants keeps partial results and throws only when every variant fails", async () => {
+  const flaky = Object.assign(createMockProvider(), {
+    async generate(req) {
+      if (req.seed === 13) throw new Error("unlucky seed");
+      return createMockProvider().generate(req);
+    },
+  });
+  const engine = createImageEngine({ providers: { mock: flaky }, chains: { curated: [{ provider: "mock", model: "m" }] } });
+
+  const partial = await engine.generateVariants({ tier: "Curated", ast: sampleAst(), seeds: [13, 7] });
+  assert.deepEqual(partial.variants.map((v) => v.seed), [7]);
+  assert.equal(partial.failures[0].seed, 13);
+  assert.match(partial.failures[0].error, /All image providers failed/);
+
+  await assert.rejects(
+    engine.generateVariants({ tier: "Curated", ast: sampleAst(), seeds: [13] }),
+    (e) => e.attempts.length === 1 && /unlucky seed/.test(e.attempts[0].error)
+  );
+});
+
+test("heuristic scorer penalizes fallbacks, unstored and blank-looking images", () => {
+  assert.deepEqual(scoreHeuristic({ attempts: [{ ok: true }], stored: true, contentType: "image/webp", bytes: 90000 }), {
+    score: 1,
+    reasons: [],
+  });
+  const weak = scoreHeuristic({ attempts: [{ error: "x" }, { ok: true }], stored: false, contentType: "image/png", bytes: 900 });
+  assert.equal(weak.score, 0.25);
+  assert.deepEqual(weak.reasons, ["fallback model", "not re-hosted", "possibly blank image"]);
+});
+
+test("ranker orders by weighted score, keeps generation order on ties", async () => {
+  const vision = createStubVisionClient((req) => (req.imageUrl === "b" ? 0.9 : 0.3));
+  const ranker = createRanker({
+    scorers: [createHeuristicScorer(), createVisionScorer({ client: vision })],
+  });
+
+  const ranked = await ranker.rank([
+    { imageUrl: "a", seed: 1, attempts: [{ ok: true }], stored: true, prompt: { prompt: "gift box" } },
+    { imageUrl: "b", seed: 2, attempts: [{ ok: true }], stored: true, prompt: { prompt: "gift box" } },
+    { imageUrl: "c", seed: 3, attempts: [{ ok: true }], stored: true, prompt: { prompt: "gift box" } },
+  ]);
+
+  assert.deepEqual(ranked.map((v) => [v.rank, v.seed]), [[1, 2], [2, 1], [3, 3]]);
+  assert.deepEqual(ranked[0].scores, { heuristic: 1, vision: 0.9 });
+  assert.equal(ranked[0].score, 0.933);
+  assert.equal(vision.calls[0].prompt, "gift box");
+});
+
+test("a failing scorer is skipped, not fatal", async () => {
+  const ranker = createRanker({
+    scorers: [createHeuristicScorer(), createVisionScorer({ client: createStubVisionClient(new Error("scorer down")) })],
+  });
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const ranked = await ranker.rank([{ imageUrl: "a", seed: 1, attempts: [{ ok: true }], stored: true }]);
+    assert.equal(ranked[0].score, 1);
+    assert.equal(ranked[0].scores.vision, null);
+  } finally {
+    console.error = original;
+  }
+});
@@ -0,0 +1,110 @@
+// Post-generation verification (lib/verify): constraint checks, tightened retries, checker adapters.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createVerifier, createStubChecker, createOpenAIChecker, checkableConstraints, tightenPrompt } = require("../lib/verify");
+const { createImageEngine, createMockProvider } = require("../lib/providers");
+const { createStubNotesClient } = require("../lib/notes");
+const { createPromptAst, addConstraint, PRIORITY } = require("../lib/prompt");
+
+function sampleAst() {
+  const ast = createPromptAst("Product photo of a gift box");
+  addConstraint(ast, "include", "tier.curated", PRIORITY.HIGH, "show one premium gift box open");
+  addConstraint(ast, "include", "focus.requested-time", PRIORITY.HARD, "watch must show the exact time 10:10");
+  addConstraint(ast, "negative", "avoid.candles", PRIORITY.HARD, "no candles");
+  addConstraint(ast, "negative", "global.hard-negatives", PRIORITY.MEDIUM, "no pillows");
+  return ast;
+}
+
+function quietly(fn) {
+  const original = console.error;
+  console.error = () => {};
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      console.error = original;
+    });
+}
+
+test("only HIGH/HARD constraints are checked, hardest first", () => {
+  const checks = checkableConstraints(sampleAst());
+  assert.deepEqual(checks.map((c) => c.rule), ["focus.requested-time", "avoid.candles", "tier.curated"]);
+  assert.deepEqual(checks.map((c) => c.id), ["c1", "c2", "c3"]);
+});
+
+test("a visible hard avoid fails; an unmet include is reported without failing", async () => {
+  const verifier = createVerifier({ checker: createStubChecker(["no candles"]), maxRetries: 0 });
+  const failed = await verifier.verify("data:image/png;base64,AA==", sampleAst());
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.hardViolations, 1);
+  assert.deepEqual(failed.violations.map((v) => v.rule), ["avoid.candles"]);
+
+  const soft = createVerifier({ checker: createStubChecker(["watch must show the exact time 10:10"]), maxRetries: 0 });
+  const passed = await soft.verify("data:image/png;base64,AA==", sampleAst());
+  assert.equal(passed.status, "passed");
+  assert.equal(passed.violations[0].rule, "focus.requested-time");
+  assert.ok(passed.score < 1);
+});
+
+test("a failed check retries once with a tightened prompt and the same seed", async () => {
+  const mock = createMockProvider();
+  const engine = createImageEngine({ providers: { mock }, chains: { curated: [{ provider: "mock", model: "m" }] } });
+  let checks = 0;
+  const checker = createStubChecker(() => (++checks === 1 ? ["no candles"] : []));
+  const verifier = createVerifier({ checker, maxRetries: 1 });
+
+  const request = { tier: "Curated", ast: sampleAst(), seed: 99 };
+  const first = await engine.generate(request);
+  const out = await quietly(() => verifier.verifyWithRetry({ engine, request, result: first }));
+
+  assert.equal(out.verdict.status, "passed");
+  assert.equal(out.verdict.retries, 1);
+  assert.notEqual(out.result.imageUrl, first.imageUrl);
+  assert.equal(mock.calls.length, 2);
+  assert.equal(mock.calls[1].seed, 99);
+  assert.match(mock.calls[1].fields.prompt, /STRICT: none of these may appear anywhere in the image: candles/);
+  // the original AST is left as it was
+  assert.equal(request.ast.constraints.some((c) => c.rule === "verify.retry"), false);
+});
+
+test("retries stop at the limit; the verdict stays failed", async () => {
+  const mock = createMockProvider();
+  const engine = createImageEngine({ providers: { mock }, chains: { curated: [{ provider: "mock", model: "m" }] } });
+  const verifier = createVerifier({ checker: createStubChecker(["no candles"]), maxRetries: 2 });
+
+  const request = { tier: "Curated", ast: sampleAst(), seed: 5 };
+  const out = await verifier.verifyWithRetry({ engine, request, result: await engine.generate(request) });
+  assert.equal(out.verdict.status, "failed");
+  assert.equal(out.verdict.retries, 2);
+  assert.equal(mock.calls.length, 3);
+});
+
+test("checker errors are reported, never retried or thrown", async () => {
+  const verifier = createVerifier({ checker: createStubChecker(() => new Error("vision down")), maxRetries: 1 });
+  const verdict = await quietly(() => verifier.verify("data:image/png;base64,AA==", sampleAst()));
+  assert.equal(verdict.status, "error");
+  assert.match(verdict.error, /vision down/);
+});
+
+test("tightenPrompt only adds exclusions for hard avoids", () => {
+  const ast = sampleAst();
+  const tightened = tightenPrompt(ast, [
+    { kind: "negative", text: "no candles", priority: PRIORITY.HARD },
+    { kind: "include", text: "watch must show the exact time 10:10", priority: PRIORITY.HARD },
+  ]);
+  const added = tightened.constraints.filter((c) => c.rule === "verify.retry");
+  assert.equal(added.length, 1);
+  assert.equal(added[0].text, "STRICT: none of these may appear anywhere in the image: candles");
+});
+
+test("OpenAI checker sends the image and parses the strict JSON answer", async () => {
+  const client = createStubNotesClient({ results: [{ id: "c1", satisfied: false, confidence: 0.9 }] });
+  const checker = createOpenAIChecker({ client, model: "gpt-4o-mini" });
+  const out = await checker.check({ imageUrl: "https://img.example.com/a.webp", constraints: [{ id: "c1", kind: "negative", text: "no candles" }] });
+
+  assert.deepEqual(out.results, [{ id: "c1", satisfied: false, confidence: 0.9 }]);
+  const content = client.calls[0].messages[1].content;
+  assert.deepEqual(content[1], { type: "image_url", image_url: { url: "https://img.example.com/a.webp" } });
+  assert.equal(client.calls[0].response_format.json_schema.strict, true);
+});